@@ -0,0 +1,154 @@
+/**
+ * ============================================
+ * APPLICATION CONFIGURATION
+ * ============================================
+ * Limits and settings for board features
+ * ============================================
+ */
+
+const path = require('path');
+
+const MB = 1024 * 1024;
+
+// Canvas layout limits (boards with layout_type = 'canvas')
+const CANVAS_CONFIG = {
+    WIDTH: parseInt(process.env.CANVAS_WIDTH) || 10000,    // Canvas size in px
+    HEIGHT: parseInt(process.env.CANVAS_HEIGHT) || 10000,
+    MIN_POST_SIZE: 40,                                      // Smallest post width/height
+    MAX_POST_SIZE: 4000,                                    // Largest post width/height
+    MAX_GRID_SIZE: 500,                                     // Largest snap-to-grid step
+    MAX_BATCH_SIZE: 200                                     // Posts per batch move
+};
+
+// Threaded comments on posts
+const COMMENT_CONFIG = {
+    MAX_LENGTH: 5000,                                       // Characters per comment
+    DEFAULT_DEPTH: 3,                                       // Levels returned when no depth is asked for
+    MAX_DEPTH: 10                                           // Deepest tree a single request can load
+};
+
+// Uploaded attachments for image, video and file posts
+const UPLOAD_CONFIG = {
+    DIR: path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads')),
+    
+    // Accepted MIME types and size limits per post content type
+    TYPES: {
+        image: {
+            maxSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * MB,
+            mimeTypes: process.env.ALLOWED_FILE_TYPES
+                ? process.env.ALLOWED_FILE_TYPES.split(',').map(type => type.trim())
+                : ['image/jpeg', 'image/png', 'image/gif', 'image/webp']
+        },
+        video: {
+            maxSize: parseInt(process.env.MAX_VIDEO_SIZE) || 100 * MB,
+            mimeTypes: ['video/mp4', 'video/webm', 'video/quicktime']
+        },
+        file: {
+            maxSize: parseInt(process.env.MAX_ATTACHMENT_SIZE) || 20 * MB,
+            mimeTypes: [
+                'application/pdf',
+                'text/plain',
+                'text/csv',
+                'application/zip',
+                'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+                'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+                'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+            ]
+        }
+    },
+    
+    THUMBNAIL_WIDTHS: [320, 640, 1280],                     // Thumbnail widths made for image uploads
+    THUMBNAIL_QUALITY: 80,                                  // JPEG quality for thumbnails
+    MAX_PIXELS: parseInt(process.env.MAX_IMAGE_PIXELS) || 25 * 1000 * 1000  // Largest image (width x height) we decode
+};
+
+// Realtime board updates over WebSocket
+const REALTIME_CONFIG = {
+    PATH: '/api/realtime',                                  // WebSocket endpoint
+    HEARTBEAT_INTERVAL: 30 * 1000,                          // Ping clients and drop dead connections
+    MAX_SUBSCRIPTIONS: 20,                                  // Boards one connection can follow
+    MAX_MESSAGE_SIZE: 16 * 1024,                            // Largest client message in bytes
+    CURSOR_INTERVAL: 50,                                    // Fastest cursor broadcast per user in ms
+    EDIT_TIMEOUT: 30 * 1000                                 // Editing signal lapses unless renewed
+};
+
+// Board export and import archives
+const ARCHIVE_CONFIG = {
+    MAX_SIZE: parseInt(process.env.MAX_ARCHIVE_SIZE) || 200 * MB,  // Largest archive accepted for import
+    MAX_ENTRIES: 10000,                                     // Files inside one archive
+    MAX_UNCOMPRESSED_SIZE: 1024 * MB,                       // Total size once extracted
+    MAX_MANIFEST_SIZE: 50 * MB                              // Size of board.json once extracted
+};
+
+// Link previews fetched for link posts
+const LINK_PREVIEW_CONFIG = {
+    TIMEOUT: parseInt(process.env.LINK_PREVIEW_TIMEOUT) || 5000,  // Whole fetch, redirects included, in ms
+    MAX_BYTES: 1 * MB,                                      // Page bytes read before parsing what we have
+    MAX_REDIRECTS: 3,                                       // Redirects followed per fetch
+    CACHE_TTL: 24 * 60 * 60 * 1000,                         // How long a preview is reused for the same URL
+    FAILURE_TTL: 10 * 60 * 1000,                            // How long a failed fetch is remembered
+    MIN_REFRESH_INTERVAL: 5 * 60 * 1000,                    // Asking to refresh sooner gets the cached result
+    USER_AGENT: 'TelfordBoardBot/1.0 (link previews)'
+};
+
+// Video posts
+const VIDEO_CONFIG = {
+    // Providers allowed until an admin picks some (all of them when unset)
+    DEFAULT_PROVIDERS: process.env.VIDEO_PROVIDERS
+        ? process.env.VIDEO_PROVIDERS.split(',').map(provider => provider.trim())
+        : null
+};
+
+// Accounts
+const AUTH_CONFIG = {
+    // Whether unverified users are kept from creating boards and posts
+    // until an admin changes it
+    REQUIRE_EMAIL_VERIFICATION: process.env.REQUIRE_EMAIL_VERIFICATION === 'true'
+};
+
+// Outgoing email
+const MAIL_CONFIG = {
+    TRANSPORT: process.env.MAIL_TRANSPORT || 'outbox',      // smtp, outbox (files, for development and tests) or noop
+    FROM: process.env.MAIL_FROM || 'Telford Community Board <no-reply@telford.local>',
+    OUTBOX_DIR: path.resolve(process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../../outbox')),
+    SMTP: {
+        HOST: process.env.SMTP_HOST || 'localhost',
+        PORT: parseInt(process.env.SMTP_PORT) || 587,
+        SECURE: process.env.SMTP_SECURE === 'true',         // TLS from the start (port 465) rather than STARTTLS
+        USER: process.env.SMTP_USER || null,
+        PASS: process.env.SMTP_PASS || null
+    },
+    SEND_TIMEOUT: 15 * 1000,                                // Longest one delivery attempt may take
+    MAX_ATTEMPTS: 5,                                        // Deliveries tried before a message is dropped
+    RETRY_DELAY: 30 * 1000,                                 // Wait before the first retry; doubles each time
+    MAX_QUEUE_SIZE: 1000                                    // Messages waiting before new ones are refused
+};
+
+// Two-factor authentication (TOTP)
+const MFA_CONFIG = {
+    ISSUER: process.env.MFA_ISSUER || 'Telford Community Board',  // Name shown in authenticator apps
+    ENCRYPTION_KEY: process.env.MFA_ENCRYPTION_KEY || null,  // Key for stored TOTP secrets; derived from JWT_SECRET if unset
+    CODE_WINDOW: 1,                                         // 30-second steps either side of now still accepted
+    RECOVERY_CODE_COUNT: 10,                                // Recovery codes issued at a time
+    MAX_FAILED_ATTEMPTS: 5,                                 // Wrong codes in a row before the account's codes are locked
+    LOCKOUT: 15 * 60 * 1000,                                // Lock length; outlasts the 5-minute MFA pending token
+    PRIVILEGED_ROLES: ['moderator', 'admin'],               // Roles admins may require 2FA for
+    // Roles that must use 2FA until an admin changes it, e.g. "admin,moderator"
+    REQUIRED_ROLES: (process.env.MFA_REQUIRED_ROLES || '')
+        .split(',')
+        .map(role => role.trim())
+        .filter(Boolean)
+};
+
+module.exports = {
+    CANVAS_CONFIG,
+    COMMENT_CONFIG,
+    UPLOAD_CONFIG,
+    REALTIME_CONFIG,
+    ARCHIVE_CONFIG,
+    LINK_PREVIEW_CONFIG,
+    VIDEO_CONFIG,
+    AUTH_CONFIG,
+    MAIL_CONFIG,
+    MFA_CONFIG
+};
@@ -7,6 +7,7 @@
  */
 
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 
 // JWT Configuration
 const JWT_CONFIG = {
@@ -14,19 +15,25 @@ const JWT_CONFIG = {
     ACCESS_TOKEN_EXPIRY: '15m',           // 15 minutes - short-lived for security
     REFRESH_TOKEN_EXPIRY: '7d',           // 7 days - long-lived for user convenience
     RESET_TOKEN_EXPIRY: '1h',             // 1 hour - for password reset
+    INVITATION_TOKEN_EXPIRY: '7d',        // 7 days - for board invitations
+    EMAIL_VERIFICATION_TOKEN_EXPIRY: '24h', // 24 hours - for email verification links
+    MFA_PENDING_TOKEN_EXPIRY: '5m',       // 5 minutes - between the password and the 2FA code
     
     // Token types for better security
     TOKEN_TYPES: {
         ACCESS: 'access',
         REFRESH: 'refresh',
-        RESET: 'reset'
+        RESET: 'reset',
+        INVITATION: 'invitation',
+        EMAIL_VERIFICATION: 'email_verification',
+        MFA_PENDING: 'mfa_pending'
     }
 };
 
 /**
  * Generate JWT token
  * @param {object} payload - Data to encode in token
- * @param {string} type - Token type (access, refresh, reset)
+ * @param {string} type - Token type (access, refresh, reset, invitation, email_verification, mfa_pending)
  * @returns {string} - JWT token
  */
 function generateToken(payload, type = JWT_CONFIG.TOKEN_TYPES.ACCESS) {
@@ -72,7 +79,10 @@ function getSecretByType(type) {
     const secrets = {
         [JWT_CONFIG.TOKEN_TYPES.ACCESS]: process.env.JWT_ACCESS_SECRET || process.env.JWT_SECRET,
         [JWT_CONFIG.TOKEN_TYPES.REFRESH]: process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
-        [JWT_CONFIG.TOKEN_TYPES.RESET]: process.env.JWT_RESET_SECRET || process.env.JWT_SECRET
+        [JWT_CONFIG.TOKEN_TYPES.RESET]: process.env.JWT_RESET_SECRET || process.env.JWT_SECRET,
+        [JWT_CONFIG.TOKEN_TYPES.INVITATION]: process.env.JWT_INVITATION_SECRET || process.env.JWT_SECRET,
+        [JWT_CONFIG.TOKEN_TYPES.EMAIL_VERIFICATION]: process.env.JWT_VERIFICATION_SECRET || process.env.JWT_SECRET,
+        [JWT_CONFIG.TOKEN_TYPES.MFA_PENDING]: process.env.JWT_MFA_SECRET || process.env.JWT_SECRET
     };
     
     const secret = secrets[type];
@@ -91,42 +101,113 @@ function getExpiryByType(type) {
     const expiries = {
         [JWT_CONFIG.TOKEN_TYPES.ACCESS]: JWT_CONFIG.ACCESS_TOKEN_EXPIRY,
         [JWT_CONFIG.TOKEN_TYPES.REFRESH]: JWT_CONFIG.REFRESH_TOKEN_EXPIRY,
-        [JWT_CONFIG.TOKEN_TYPES.RESET]: JWT_CONFIG.RESET_TOKEN_EXPIRY
+        [JWT_CONFIG.TOKEN_TYPES.RESET]: JWT_CONFIG.RESET_TOKEN_EXPIRY,
+        [JWT_CONFIG.TOKEN_TYPES.INVITATION]: JWT_CONFIG.INVITATION_TOKEN_EXPIRY,
+        [JWT_CONFIG.TOKEN_TYPES.EMAIL_VERIFICATION]: JWT_CONFIG.EMAIL_VERIFICATION_TOKEN_EXPIRY,
+        [JWT_CONFIG.TOKEN_TYPES.MFA_PENDING]: JWT_CONFIG.MFA_PENDING_TOKEN_EXPIRY
     };
     
     return expiries[type] || JWT_CONFIG.ACCESS_TOKEN_EXPIRY;
 }
 
 /**
- * Generate both access and refresh tokens for a user
+ * Generate both access and refresh tokens for a user.
+ * Every refresh token gets its own id (jti); tokens rotated from the
+ * same sign-in share a family id. Access tokens name their session (sid).
  * @param {object} user - User object
+ * @param {object} options - { family } to continue an existing family,
+ *   { sessionId } of the sign-in
  * @returns {object} - Tokens object
  */
-function generateAuthTokens(user) {
+function generateAuthTokens(user, { family = crypto.randomUUID(), sessionId = null } = {}) {
     const payload = {
         userId: user.id,
         email: user.email,
         role: user.role
     };
+    const jti = crypto.randomUUID();
     
-    const accessToken = generateToken(payload, JWT_CONFIG.TOKEN_TYPES.ACCESS);
-    const refreshToken = generateToken(payload, JWT_CONFIG.TOKEN_TYPES.REFRESH);
+    const accessToken = generateToken(sessionId ? { ...payload, sid: sessionId } : payload, JWT_CONFIG.TOKEN_TYPES.ACCESS);
+    const refreshToken = generateToken({ ...payload, jti, family }, JWT_CONFIG.TOKEN_TYPES.REFRESH);
     
     return {
         accessToken,
         refreshToken,
+        refreshTokenId: jti,
+        refreshTokenFamily: family,
+        refreshTokenExpiresAt: new Date(getTokenExpiry(refreshToken) * 1000),
         accessTokenExpiry: JWT_CONFIG.ACCESS_TOKEN_EXPIRY,
         refreshTokenExpiry: JWT_CONFIG.REFRESH_TOKEN_EXPIRY
     };
 }
 
+/**
+ * Hash a token for storage, so a leaked table holds nothing usable
+ * @param {string} token - Token as handed to the client
+ * @returns {string} - Hex SHA-256 digest
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Fingerprint of a password hash, put in reset tokens so they stop
+ * working once the password changes. Keyed so the token does not
+ * reveal anything about the hash.
+ * @param {string} passwordHash - User's stored (bcrypt) password hash
+ * @returns {string} - Hex digest
+ */
+function passwordFingerprint(passwordHash) {
+    return crypto.createHmac('sha256', getSecretByType(JWT_CONFIG.TOKEN_TYPES.RESET))
+        .update(passwordHash)
+        .digest('hex')
+        .slice(0, 32);
+}
+
 /**
  * Generate password reset token
- * @param {string} email - User email
- * @returns {string} - Reset token
+ * @param {object} user - User with their password hash loaded
+ * @returns {object} - { token, jti, expiresAt }
+ */
+function generateResetToken(user) {
+    const jti = crypto.randomUUID();
+    const token = generateToken(
+        { email: user.email, jti, pwd: passwordFingerprint(user.password) },
+        JWT_CONFIG.TOKEN_TYPES.RESET
+    );
+    
+    return { token, jti, expiresAt: new Date(getTokenExpiry(token) * 1000) };
+}
+
+/**
+ * Generate board invitation token
+ * @param {object} invitation - { boardId, userId, nonce }
+ * @returns {string} - Invitation token
+ */
+function generateInvitationToken({ boardId, userId, nonce }) {
+    return generateToken({ boardId, userId, nonce }, JWT_CONFIG.TOKEN_TYPES.INVITATION);
+}
+
+/**
+ * Generate email verification token. It names the address being
+ * verified, so it stops working if the account's email changes.
+ * @param {object} user - User to verify
+ * @returns {string} - Verification token
+ */
+function generateVerificationToken(user) {
+    return generateToken({ userId: user.id, email: user.email }, JWT_CONFIG.TOKEN_TYPES.EMAIL_VERIFICATION);
+}
+
+/**
+ * Generate the short-lived token handed out after a correct password
+ * when a second factor is still needed. It is not an access token: it
+ * can only be exchanged, with a 2FA code, at /api/auth/login/mfa.
+ * @param {object} user - User who gave the right password
+ * @param {string} purpose - 'verify' (enter a code) or 'setup' (2FA must be set up first)
+ * @returns {string} - MFA pending token
  */
-function generateResetToken(email) {
-    return generateToken({ email }, JWT_CONFIG.TOKEN_TYPES.RESET);
+function generateMfaPendingToken(user, purpose) {
+    return generateToken({ userId: user.id, purpose }, JWT_CONFIG.TOKEN_TYPES.MFA_PENDING);
 }
 
 /**
@@ -167,6 +248,11 @@ module.exports = {
     decodeToken,
     generateAuthTokens,
     generateResetToken,
+    passwordFingerprint,
+    generateInvitationToken,
+    generateVerificationToken,
+    generateMfaPendingToken,
+    hashToken,
     isTokenExpired,
     getTokenExpiry
 };
\ No newline at end of file
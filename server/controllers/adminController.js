@@ -0,0 +1,103 @@
+/**
+ * ============================================
+ * ADMIN CONTROLLER
+ * ============================================
+ * Site-wide settings only admins can change
+ * ============================================
+ */
+
+const { listProviders, setAllowedProviders } = require('../services/videoService');
+const { getAuthSettings: loadAuthSettings, updateAuthSettings: saveAuthSettings } = require('../services/authSettings');
+
+/**
+ * List video providers and whether each is allowed
+ */
+const getVideoProviders = async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: { providers: await listProviders() }
+        });
+        
+    } catch (error) {
+        console.error('Get video providers error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get video providers',
+            code: 'VIDEO_PROVIDERS_FETCH_ERROR'
+        });
+    }
+};
+
+/**
+ * Choose which video providers new video posts may use
+ */
+const updateVideoProviders = async (req, res) => {
+    try {
+        await setAllowedProviders(req.body.providers, req.user);
+        
+        res.json({
+            success: true,
+            message: 'Video providers updated',
+            data: { providers: await listProviders() }
+        });
+        
+    } catch (error) {
+        console.error('Update video providers error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update video providers',
+            code: 'VIDEO_PROVIDERS_UPDATE_ERROR'
+        });
+    }
+};
+
+/**
+ * Show the account rules (e.g. whether email verification is required)
+ */
+const getAuthSettings = async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: { settings: await loadAuthSettings() }
+        });
+        
+    } catch (error) {
+        console.error('Get auth settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get account settings',
+            code: 'AUTH_SETTINGS_FETCH_ERROR'
+        });
+    }
+};
+
+/**
+ * Change the account rules
+ */
+const updateAuthSettings = async (req, res) => {
+    try {
+        const settings = await saveAuthSettings(req.body, req.user);
+        
+        res.json({
+            success: true,
+            message: 'Account settings updated',
+            data: { settings }
+        });
+        
+    } catch (error) {
+        console.error('Update auth settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update account settings',
+            code: 'AUTH_SETTINGS_UPDATE_ERROR'
+        });
+    }
+};
+
+module.exports = {
+    getVideoProviders,
+    updateVideoProviders,
+    getAuthSettings,
+    updateAuthSettings
+};
@@ -7,9 +7,99 @@
  */
 
 const db = require('../models');
-const { generateAuthTokens, generateResetToken, verifyToken, JWT_CONFIG } = require('../config/jwt');
+const {
+    issueAuthTokens,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeSessions,
+    issueResetToken,
+    consumeResetToken
+} = require('../services/tokenService');
+const {
+    MFA_PURPOSES,
+    secondFactorStep,
+    readMfaPendingToken,
+    beginSetup,
+    confirmSetup,
+    verifySecondFactor,
+    regenerateRecoveryCodes: issueNewRecoveryCodes,
+    disableMfa: removeMfa,
+    getMfaStatus: loadMfaStatus
+} = require('../services/mfaService');
+const { sendEmail } = require('../services/mailer');
+const { generateVerificationToken, generateMfaPendingToken, verifyToken, JWT_CONFIG } = require('../config/jwt');
 const { hash } = require('bcryptjs');
 
+/**
+ * Where a sign-in comes from, recorded on its session
+ */
+const sessionDetails = (req) => ({
+    userAgent: req.get('user-agent') || null,
+    ipAddress: req.ip || null
+});
+
+/**
+ * Email a user a new verification link
+ * @returns {object} - { verificationToken, verificationLink }
+ */
+const sendVerificationEmail = (req, user) => {
+    const verificationToken = generateVerificationToken(user);
+    const verificationLink = `${req.protocol}://${req.get('host')}/api/auth/verify-email/${verificationToken}`;
+    
+    sendEmail('emailVerification', user.email, {
+        name: user.displayName,
+        verificationLink,
+        expiresIn: '24 hours'
+    });
+    
+    return { verificationToken, verificationLink };
+};
+
+/**
+ * Let a user know their password changed, in case it was not them
+ */
+const sendPasswordChangedEmail = (user, viaReset) => {
+    sendEmail('passwordChanged', user.email, {
+        name: user.displayName,
+        changedAt: new Date().toUTCString(),
+        viaReset
+    });
+};
+
+/**
+ * Sign a user in once every factor has been checked: start a session,
+ * set the refresh cookie and send the tokens
+ * @param {object} extra - More fields for the response data
+ */
+const completeLogin = async (req, res, user, extra = {}) => {
+    const tokens = await issueAuthTokens(user, sessionDetails(req));
+    
+    // Update last login
+    await user.updateLastLogin();
+    
+    // Set refresh token as HTTP-only cookie
+    res.cookie('refreshToken', tokens.refreshToken, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'strict',
+        maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+    });
+    
+    res.json({
+        success: true,
+        message: 'Login successful',
+        data: {
+            user: user.getPublicProfile(),
+            tokens: {
+                accessToken: tokens.accessToken,
+                refreshToken: tokens.refreshToken,
+                expiresIn: tokens.accessTokenExpiry
+            },
+            ...extra
+        }
+    });
+};
+
 /**
  * Register a new user
  */
@@ -44,11 +134,13 @@ const register = async (req, res) => {
             displayName: displayName || username,
             role: 'user',
             isActive: true,
-            emailVerified: false // Email verification would be added here
+            emailVerified: false // Until they follow the verification link
         });
         
+        const verification = sendVerificationEmail(req, user);
+        
         // Generate tokens
-        const tokens = generateAuthTokens(user);
+        const tokens = await issueAuthTokens(user, sessionDetails(req));
         
         // Update last login
         await user.updateLastLogin();
@@ -66,14 +158,19 @@ const register = async (req, res) => {
         
         res.status(201).json({
             success: true,
-            message: 'Registration successful',
+            message: 'Registration successful. Please check your email to verify your address.',
             data: {
                 user: userProfile,
                 tokens: {
                     accessToken: tokens.accessToken,
+                    refreshToken: tokens.refreshToken,
                     expiresIn: tokens.accessTokenExpiry
                 }
-            }
+            },
+            // Only include in development
+            ...(process.env.NODE_ENV === 'development' && {
+                debug: verification
+            })
         });
         
     } catch (error) {
@@ -129,42 +226,123 @@ const login = async (req, res) => {
             });
         }
         
-        // Generate tokens
-        const tokens = generateAuthTokens(user);
+        // With 2FA the password only earns a short-lived pending token;
+        // the tokens come from /login/mfa once the code checks out
+        const mfaStep = await secondFactorStep(user);
+        if (mfaStep) {
+            const setup = mfaStep === MFA_PURPOSES.SETUP;
+            
+            return res.json({
+                success: true,
+                message: setup
+                    ? 'Two-factor authentication is required for this account. Set it up to finish signing in.'
+                    : 'Enter the code from your authenticator app to finish signing in',
+                code: setup ? 'MFA_SETUP_REQUIRED' : 'MFA_REQUIRED',
+                data: {
+                    mfaRequired: true,
+                    mfaSetupRequired: setup,
+                    mfaToken: generateMfaPendingToken(user, mfaStep),
+                    expiresIn: JWT_CONFIG.MFA_PENDING_TOKEN_EXPIRY
+                }
+            });
+        }
         
-        // Update last login
-        await user.updateLastLogin();
+        await completeLogin(req, res, user);
         
-        // Get public profile
-        const userProfile = user.getPublicProfile();
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Login failed',
+            code: 'LOGIN_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Second step of login: exchange the MFA pending token and a code from
+ * the authenticator app (or a recovery code) for the usual tokens.
+ * When the role requires 2FA and it is not set up yet, the code
+ * confirms the setup started at /login/mfa/setup.
+ */
+const loginWithMfa = async (req, res) => {
+    try {
+        const { mfaToken, code, recoveryCode } = req.body;
+        const { user, purpose } = await readMfaPendingToken(mfaToken);
+        
+        if (purpose === MFA_PURPOSES.SETUP) {
+            if (!code) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Enter a code from your authenticator app to finish setting up two-factor authentication',
+                    code: 'MFA_CODE_REQUIRED'
+                });
+            }
+            
+            const recoveryCodes = await confirmSetup(user, code);
+            return await completeLogin(req, res, user, { recoveryCodes });
+        }
         
-        // Set refresh token as HTTP-only cookie
-        res.cookie('refreshToken', tokens.refreshToken, {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: 'strict',
-            maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+        const result = await verifySecondFactor(user.id, { code, recoveryCode });
+        await completeLogin(req, res, user, result.method === 'recovery_code'
+            ? { recoveryCodesRemaining: result.recoveryCodesRemaining }
+            : {});
+            
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+        
+        console.error('MFA login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Login failed',
+            code: 'LOGIN_ERROR'
         });
+    }
+};
+
+/**
+ * Start the 2FA setup a role requires, during login (with the MFA
+ * pending token instead of an access token)
+ */
+const startLoginMfaSetup = async (req, res) => {
+    try {
+        const { user, purpose } = await readMfaPendingToken(req.body.mfaToken);
+        
+        if (purpose !== MFA_PURPOSES.SETUP) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already set up for this account',
+                code: 'MFA_ALREADY_ENABLED'
+            });
+        }
         
         res.json({
             success: true,
-            message: 'Login successful',
-            data: {
-                user: userProfile,
-                tokens: {
-                    accessToken: tokens.accessToken,
-                    expiresIn: tokens.accessTokenExpiry
-                }
-            }
+            message: 'Add the account to your authenticator app, then enter a code to finish signing in',
+            data: await beginSetup(user)
         });
         
     } catch (error) {
-        console.error('Login error:', error);
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+        
+        console.error('MFA login setup error:', error);
         res.status(500).json({
             success: false,
-            message: 'Login failed',
-            code: 'LOGIN_ERROR',
-            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            message: 'Failed to start two-factor setup',
+            code: 'MFA_SETUP_ERROR'
         });
     }
 };
@@ -174,6 +352,14 @@ const login = async (req, res) => {
  */
 const logout = async (req, res) => {
     try {
+        const { refreshToken } = req.body;
+        
+        // Revoke the sign-in server-side so the refresh token is dead
+        // even if the client keeps a copy
+        if (refreshToken) {
+            await revokeRefreshToken(refreshToken, req.user);
+        }
+        
         // Clear the refresh token cookie
         res.clearCookie('refreshToken', {
             httpOnly: true,
@@ -181,9 +367,6 @@ const logout = async (req, res) => {
             sameSite: 'strict'
         });
         
-        // In a real application, you might want to blacklist the refresh token
-        // This requires storing tokens in a database or Redis
-        
         res.json({
             success: true,
             message: 'Logged out successfully'
@@ -214,54 +397,196 @@ const refreshToken = async (req, res) => {
             });
         }
         
-        // Verify refresh token
-        const decoded = verifyToken(refreshToken, JWT_CONFIG.TOKEN_TYPES.REFRESH);
+        // Exchange the refresh token for a new pair; the old one is spent
+        const { tokens } = await rotateRefreshToken(refreshToken);
+        
+        res.cookie('refreshToken', tokens.refreshToken, {
+            httpOnly: true,
+            secure: process.env.NODE_ENV === 'production',
+            sameSite: 'strict',
+            maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+        });
         
-        // Find user
-        const user = await db.User.findByPk(decoded.userId);
+        res.json({
+            success: true,
+            message: 'Token refreshed successfully',
+            data: {
+                accessToken: tokens.accessToken,
+                refreshToken: tokens.refreshToken,
+                expiresIn: tokens.accessTokenExpiry
+            }
+        });
         
-        if (!user || !user.isActive) {
-            return res.status(401).json({
+    } catch (error) {
+        if (!error.status) {
+            console.error('Token refresh error:', error);
+            return res.status(500).json({
                 success: false,
-                message: 'Invalid refresh token',
-                code: 'INVALID_REFRESH_TOKEN'
+                message: 'Failed to refresh token',
+                code: 'TOKEN_REFRESH_ERROR'
             });
         }
         
-        // Generate new access token
-        const payload = {
-            userId: user.id,
-            email: user.email,
-            role: user.role
-        };
-        
-        const newAccessToken = generateToken(payload, JWT_CONFIG.TOKEN_TYPES.ACCESS);
+        res.status(error.status).json({
+            success: false,
+            message: error.message,
+            code: error.code
+        });
+    }
+};
+
+/**
+ * List the current user's active sessions
+ */
+const listSessions = async (req, res) => {
+    try {
+        const sessions = await db.UserSession.findActiveForUser(req.user.id);
         
         res.json({
             success: true,
-            message: 'Token refreshed successfully',
+            count: sessions.length,
             data: {
-                accessToken: newAccessToken,
-                expiresIn: JWT_CONFIG.ACCESS_TOKEN_EXPIRY
+                sessions: sessions.map(session => session.toSummary(req.user.sessionId))
             }
         });
         
     } catch (error) {
-        console.error('Token refresh error:', error);
+        console.error('List sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to list sessions',
+            code: 'SESSIONS_FETCH_ERROR'
+        });
+    }
+};
+
+/**
+ * Sign out one of the current user's sessions (e.g. a lost device)
+ */
+const revokeSession = async (req, res) => {
+    try {
+        const sessionId = parseInt(req.params.sessionId, 10);
+        const revoked = await revokeSessions(req.user.id, { only: sessionId });
+        
+        if (!revoked.length) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found',
+                code: 'SESSION_NOT_FOUND'
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Session signed out'
+        });
+        
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to sign out session',
+            code: 'SESSION_REVOKE_ERROR'
+        });
+    }
+};
+
+/**
+ * Sign out every session of the current user except this one
+ */
+const revokeOtherSessions = async (req, res) => {
+    try {
+        if (!req.user.sessionId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Sign in again to manage your other sessions',
+                code: 'NO_CURRENT_SESSION'
+            });
+        }
+        
+        const revoked = await revokeSessions(req.user.id, { except: req.user.sessionId });
         
-        let statusCode = 401;
-        let message = 'Invalid refresh token';
-        let code = 'INVALID_REFRESH_TOKEN';
+        res.json({
+            success: true,
+            message: 'Other sessions signed out',
+            data: { revokedCount: revoked.length }
+        });
+        
+    } catch (error) {
+        console.error('Revoke other sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to sign out other sessions',
+            code: 'SESSION_REVOKE_ERROR'
+        });
+    }
+};
+
+/**
+ * List any user's active sessions (admin)
+ */
+const listUserSessions = async (req, res) => {
+    try {
+        const user = await db.User.findByPk(req.params.userId);
         
-        if (error.name === 'TokenExpiredError') {
-            message = 'Refresh token expired. Please log in again.';
-            code = 'REFRESH_TOKEN_EXPIRED';
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found',
+                code: 'USER_NOT_FOUND'
+            });
         }
         
-        res.status(statusCode).json({
+        const sessions = await db.UserSession.findActiveForUser(user.id);
+        
+        res.json({
+            success: true,
+            count: sessions.length,
+            data: {
+                sessions: sessions.map(session => session.toSummary(req.user.sessionId))
+            }
+        });
+        
+    } catch (error) {
+        console.error('List user sessions error:', error);
+        res.status(500).json({
             success: false,
-            message,
-            code
+            message: 'Failed to list sessions',
+            code: 'SESSIONS_FETCH_ERROR'
+        });
+    }
+};
+
+/**
+ * Sign a user out everywhere (admin). Access tokens already handed out
+ * stay valid until they expire, at most ACCESS_TOKEN_EXPIRY.
+ */
+const forceLogoutUser = async (req, res) => {
+    try {
+        const user = await db.User.findByPk(req.params.userId);
+        
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found',
+                code: 'USER_NOT_FOUND'
+            });
+        }
+        
+        const revoked = await revokeSessions(user.id);
+        
+        res.json({
+            success: true,
+            message: `${user.username} has been signed out of every session`,
+            data: { revokedCount: revoked.length }
+        });
+        
+    } catch (error) {
+        console.error('Force logout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to sign out user',
+            code: 'FORCE_LOGOUT_ERROR'
         });
     }
 };
@@ -373,6 +698,10 @@ const changePassword = async (req, res) => {
         user.password = newPassword;
         await user.save();
         
+        // Sign out everywhere else; this session stays signed in
+        await revokeSessions(user.id, { except: req.user.sessionId });
+        sendPasswordChangedEmail(user, false);
+        
         res.json({
             success: true,
             message: 'Password changed successfully'
@@ -395,7 +724,7 @@ const forgotPassword = async (req, res) => {
     try {
         const { email } = req.body;
         
-        const user = await db.User.findOne({ where: { email: email.toLowerCase() } });
+        const user = await db.User.scope('withPassword').findOne({ where: { email: email.toLowerCase() } });
         
         // For security, don't reveal if user exists or not
         if (!user) {
@@ -414,18 +743,16 @@ const forgotPassword = async (req, res) => {
             });
         }
         
-        // Generate reset token
-        const resetToken = generateResetToken(user.email);
-        
-        // In a real application, you would:
-        // 1. Store the reset token in database with expiry
-        // 2. Send email with reset link
-        // 3. Log the request for security
-        
-        // For now, we'll return the token (in production, send email)
+        // Generate and record a single-use reset token
+        const resetToken = await issueResetToken(user);
         const resetLink = `${process.env.CLIENT_URL}/reset-password?token=${resetToken}`;
         
-        console.log(`Password reset link for ${user.email}: ${resetLink}`);
+        // Queued; the response does not wait for the mail server
+        sendEmail('passwordReset', user.email, {
+            name: user.displayName,
+            resetLink,
+            expiresIn: '1 hour'
+        });
         
         res.json({
             success: true,
@@ -456,85 +783,302 @@ const resetPassword = async (req, res) => {
     try {
         const { token, password } = req.body;
         
-        // Verify reset token
-        const decoded = verifyToken(token, JWT_CONFIG.TOKEN_TYPES.RESET);
+        // The link is used up, the password changed and every session
+        // ended together, or none of it happens
+        const user = await db.sequelize.transaction(async (transaction) => {
+            // Check the token and use it up; it cannot be used again
+            const user = await consumeResetToken(token, { transaction });
+            
+            // Update password (hooks will handle hashing)
+            user.password = password;
+            await user.save({ transaction });
+            
+            // Whoever knew the old password is signed out everywhere
+            await revokeSessions(user.id, { transaction });
+            return user;
+        });
+        sendPasswordChangedEmail(user, true);
         
-        // Find user by email from token
-        const user = await db.User.findOne({ 
-            where: { email: decoded.email.toLowerCase() }
+        res.json({
+            success: true,
+            message: 'Password reset successful. You can now log in with your new password.'
         });
         
-        if (!user) {
+    } catch (error) {
+        if (!error.status) {
+            console.error('Reset password error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to reset password',
+                code: 'PASSWORD_RESET_ERROR'
+            });
+        }
+        
+        res.status(error.status).json({
+            success: false,
+            message: error.message,
+            code: error.code
+        });
+    }
+};
+
+/**
+ * Verify email address from the link sent at registration
+ */
+const verifyEmail = async (req, res) => {
+    try {
+        const { token } = req.params;
+        
+        let decoded;
+        try {
+            decoded = verifyToken(token, JWT_CONFIG.TOKEN_TYPES.EMAIL_VERIFICATION);
+        } catch (error) {
+            const expired = error.name === 'TokenExpiredError';
             return res.status(400).json({
                 success: false,
-                message: 'Invalid reset token',
-                code: 'INVALID_RESET_TOKEN'
+                message: expired
+                    ? 'Verification link has expired. Please request a new one.'
+                    : 'Invalid verification link',
+                code: expired ? 'VERIFICATION_TOKEN_EXPIRED' : 'INVALID_VERIFICATION_TOKEN'
             });
         }
         
-        if (!user.isActive) {
-            return res.status(403).json({
+        const user = decoded.tokenType === JWT_CONFIG.TOKEN_TYPES.EMAIL_VERIFICATION
+            ? await db.User.findByPk(decoded.userId)
+            : null;
+        
+        // A link for an address the account no longer uses verifies nothing
+        if (!user || user.email !== decoded.email) {
+            return res.status(400).json({
                 success: false,
-                message: 'Account is deactivated',
-                code: 'ACCOUNT_DEACTIVATED'
+                message: 'Invalid verification link',
+                code: 'INVALID_VERIFICATION_TOKEN'
             });
         }
         
-        // Update password (hooks will handle hashing)
-        user.password = password;
-        await user.save();
+        if (!user.emailVerified) {
+            await user.update({ emailVerified: true });
+        }
         
-        // In a real application, you would:
-        // 1. Invalidate all existing tokens for this user
-        // 2. Send confirmation email
-        // 3. Log the password change
+        res.json({
+            success: true,
+            message: 'Email address verified',
+            data: {
+                user: user.getPublicProfile()
+            }
+        });
         
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Email verification failed',
+            code: 'EMAIL_VERIFICATION_ERROR'
+        });
+    }
+};
+
+/**
+ * Whether the current user has 2FA
+ */
+const getMfa = async (req, res) => {
+    try {
         res.json({
             success: true,
-            message: 'Password reset successful. You can now log in with your new password.'
+            data: { mfa: await loadMfaStatus(req.user) }
         });
         
     } catch (error) {
-        console.error('Reset password error:', error);
+        console.error('Get MFA status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get two-factor status',
+            code: 'MFA_FETCH_ERROR'
+        });
+    }
+};
+
+/**
+ * Start setting up 2FA: returns the secret and an otpauth URI for the app
+ */
+const setupMfa = async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            message: 'Add the account to your authenticator app, then confirm with a code',
+            data: await beginSetup(req.user)
+        });
         
-        let statusCode = 400;
-        let message = 'Invalid or expired reset token';
-        let code = 'INVALID_RESET_TOKEN';
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
         
-        if (error.name === 'TokenExpiredError') {
-            message = 'Reset token has expired. Please request a new password reset.';
-            code = 'RESET_TOKEN_EXPIRED';
+        console.error('MFA setup error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to start two-factor setup',
+            code: 'MFA_SETUP_ERROR'
+        });
+    }
+};
+
+/**
+ * Turn 2FA on with the first code from the app. The recovery codes
+ * are only ever shown here.
+ */
+const verifyMfaSetup = async (req, res) => {
+    try {
+        const recoveryCodes = await confirmSetup(req.user, req.body.code);
+        
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled. Keep your recovery codes somewhere safe.',
+            data: { recoveryCodes }
+        });
+        
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
         }
         
-        res.status(statusCode).json({
+        console.error('MFA setup verification error:', error);
+        res.status(500).json({
             success: false,
-            message,
-            code
+            message: 'Failed to enable two-factor authentication',
+            code: 'MFA_SETUP_ERROR'
         });
     }
 };
 
 /**
- * Verify email (placeholder for future implementation)
+ * Replace the recovery codes (the old ones stop working)
  */
-const verifyEmail = async (req, res) => {
+const regenerateRecoveryCodes = async (req, res) => {
     try {
-        const { token } = req.params;
+        const recoveryCodes = await issueNewRecoveryCodes(req.user.id, req.body.code);
+        
+        res.json({
+            success: true,
+            message: 'New recovery codes generated. The old ones no longer work.',
+            data: { recoveryCodes }
+        });
+        
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
         
-        // In a real application, verify email token
-        // and update user's emailVerified status
+        console.error('Recovery code error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate recovery codes',
+            code: 'RECOVERY_CODES_ERROR'
+        });
+    }
+};
+
+/**
+ * Turn 2FA off. Needs the password and a current code (or recovery code).
+ */
+const disableMfa = async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+        const user = await db.User.scope('withPassword').findByPk(req.user.id);
+        
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found',
+                code: 'USER_NOT_FOUND'
+            });
+        }
+        
+        if (!await user.comparePassword(password)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Password is incorrect',
+                code: 'INCORRECT_PASSWORD'
+            });
+        }
+        
+        await removeMfa(user, { code, recoveryCode });
         
         res.json({
             success: true,
-            message: 'Email verification would be implemented here'
+            message: 'Two-factor authentication disabled'
         });
         
     } catch (error) {
-        console.error('Verify email error:', error);
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+        
+        console.error('Disable MFA error:', error);
         res.status(500).json({
             success: false,
-            message: 'Email verification failed',
-            code: 'EMAIL_VERIFICATION_ERROR'
+            message: 'Failed to disable two-factor authentication',
+            code: 'MFA_DISABLE_ERROR'
+        });
+    }
+};
+
+/**
+ * Send the current user a new verification link
+ */
+const resendVerification = async (req, res) => {
+    try {
+        const user = await db.User.findByPk(req.user.id);
+        
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found',
+                code: 'USER_NOT_FOUND'
+            });
+        }
+        
+        if (user.emailVerified) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email address is already verified',
+                code: 'EMAIL_ALREADY_VERIFIED'
+            });
+        }
+        
+        const verification = sendVerificationEmail(req, user);
+        
+        res.json({
+            success: true,
+            message: 'Verification email sent. Please check your inbox.',
+            // Only include in development
+            ...(process.env.NODE_ENV === 'development' && {
+                debug: verification
+            })
+        });
+        
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send verification email',
+            code: 'VERIFICATION_RESEND_ERROR'
         });
     }
 };
@@ -542,12 +1086,25 @@ const verifyEmail = async (req, res) => {
 module.exports = {
     register,
     login,
+    loginWithMfa,
+    startLoginMfaSetup,
     logout,
     refreshToken,
+    listSessions,
+    revokeSession,
+    revokeOtherSessions,
+    listUserSessions,
+    forceLogoutUser,
     getProfile,
     updateProfile,
     changePassword,
     forgotPassword,
     resetPassword,
-    verifyEmail
+    verifyEmail,
+    resendVerification,
+    getMfa,
+    setupMfa,
+    verifyMfaSetup,
+    regenerateRecoveryCodes,
+    disableMfa
 };
\ No newline at end of file
@@ -0,0 +1,441 @@
+/**
+ * ============================================
+ * BOARD CONTROLLER
+ * ============================================
+ * Handles creating, reading, updating and deleting boards
+ * ============================================
+ */
+
+const { Op } = require('sequelize');
+const db = require('../models');
+const { getPagination } = require('../utils/helpers');
+const { ROLE_BOARD_PERMISSIONS } = require('../utils/validators');
+const { publish, EVENT_TYPES } = require('../realtime/events');
+const boardArchive = require('../services/boardArchive');
+
+// Fields a board owner or admin may set through the API
+const EDITABLE_FIELDS = [
+    'title',
+    'description',
+    'layoutType',
+    'backgroundColor',
+    'backgroundImage',
+    'isPublic',
+    'allowComments',
+    'allowReactions',
+    'isTemplate'
+];
+
+// Owner details included with board responses
+const OWNER_INCLUDE = {
+    model: db.User,
+    as: 'owner',
+    attributes: ['id', 'username', 'displayName']
+};
+
+/**
+ * Pick editable board fields from a request body
+ */
+function pickBoardFields(body) {
+    const fields = {};
+    EDITABLE_FIELDS.forEach(field => {
+        if (body[field] !== undefined) fields[field] = body[field];
+    });
+    return fields;
+}
+
+/**
+ * Respond with 409 if a requested custom slug belongs to another board
+ * @returns {Promise<boolean>} - True if a response was sent
+ */
+async function rejectTakenSlug(res, slug, boardId = null) {
+    if (slug === undefined || !(await db.Board.isSlugTaken(slug, boardId))) {
+        return false;
+    }
+    
+    res.status(409).json({
+        success: false,
+        message: 'That slug is already in use',
+        code: 'SLUG_TAKEN'
+    });
+    return true;
+}
+
+/**
+ * Copy options from a request body; comments and reactions stay behind unless asked for
+ */
+function pickCopyOptions(body) {
+    return {
+        includeComments: body.includeComments === true,
+        includeReactions: body.includeReactions === true
+    };
+}
+
+/**
+ * Title for a copy of a board, kept within the 200 character limit
+ */
+function copyTitle(title) {
+    const suffix = ' (copy)';
+    return title.slice(0, 200 - suffix.length) + suffix;
+}
+
+/**
+ * Create a board from a template the user can read
+ */
+async function createFromTemplate(req, res) {
+    const template = await db.Board.findOne({ where: { id: req.body.templateId, isTemplate: true } });
+    
+    if (!template || !(await template.hasPermission(req.user, 'viewer'))) {
+        return res.status(404).json({
+            success: false,
+            message: 'Template not found',
+            code: 'TEMPLATE_NOT_FOUND'
+        });
+    }
+    
+    if (await rejectTakenSlug(res, req.body.slug)) return;
+    
+    // Copies start out private and as ordinary boards unless the request says otherwise
+    const { board } = await boardArchive.duplicateBoard(template, req.user, {
+        ...pickCopyOptions(req.body),
+        board: {
+            isPublic: false,
+            isTemplate: false,
+            ...pickBoardFields(req.body),
+            slug: req.body.slug
+        }
+    });
+    
+    res.status(201).json({
+        success: true,
+        message: 'Board created from template',
+        data: { board }
+    });
+}
+
+/**
+ * Create a new board, empty or from a template
+ */
+const createBoard = async (req, res) => {
+    try {
+        if (req.body.templateId !== undefined) {
+            return await createFromTemplate(req, res);
+        }
+        
+        if (await rejectTakenSlug(res, req.body.slug)) return;
+        
+        const board = await db.Board.create({
+            ...pickBoardFields(req.body),
+            slug: req.body.slug,
+            userId: req.user.id
+        });
+        
+        res.status(201).json({
+            success: true,
+            message: 'Board created successfully',
+            data: { board }
+        });
+        
+    } catch (error) {
+        console.error('Create board error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create board',
+            code: 'BOARD_CREATE_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Get boards owned by the current user
+ */
+const getMyBoards = async (req, res) => {
+    try {
+        const { page, limit, offset } = getPagination(req.query);
+        
+        const { rows: boards, count } = await db.Board.findAndCountAll({
+            where: { userId: req.user.id },
+            order: [['updated_at', 'DESC']],
+            limit,
+            offset
+        });
+        
+        res.json({
+            success: true,
+            data: {
+                boards,
+                pagination: {
+                    page,
+                    limit,
+                    total: count,
+                    totalPages: Math.ceil(count / limit)
+                }
+            }
+        });
+        
+    } catch (error) {
+        console.error('Get boards error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get boards',
+            code: 'BOARDS_FETCH_ERROR'
+        });
+    }
+};
+
+/**
+ * List templates the current user can start a board from
+ */
+const getTemplates = async (req, res) => {
+    try {
+        const { page, limit, offset } = getPagination(req.query);
+        const where = { isTemplate: true };
+        
+        // Moderators and admins can read every board, so they see every template
+        if (!(req.user && ROLE_BOARD_PERMISSIONS[req.user.role])) {
+            const visible = [{ isPublic: true }];
+            
+            if (req.user) {
+                const collaborations = await db.BoardCollaborator.findAll({
+                    where: { userId: req.user.id, invitationStatus: 'accepted' },
+                    attributes: ['boardId']
+                });
+                
+                visible.push({ userId: req.user.id });
+                if (collaborations.length > 0) {
+                    visible.push({ id: collaborations.map(collaboration => collaboration.boardId) });
+                }
+            }
+            
+            where[Op.or] = visible;
+        }
+        
+        const { rows: templates, count } = await db.Board.findAndCountAll({
+            where,
+            include: [OWNER_INCLUDE],
+            order: [['updated_at', 'DESC']],
+            limit,
+            offset
+        });
+        
+        res.json({
+            success: true,
+            data: {
+                templates,
+                pagination: {
+                    page,
+                    limit,
+                    total: count,
+                    totalPages: Math.ceil(count / limit)
+                }
+            }
+        });
+        
+    } catch (error) {
+        console.error('Get templates error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get templates',
+            code: 'TEMPLATES_FETCH_ERROR'
+        });
+    }
+};
+
+/**
+ * Get a single board by id or slug
+ */
+const getBoard = async (req, res) => {
+    try {
+        const board = req.board;
+        
+        // Only count views from people other than the owner
+        if (!board.isOwnedBy(req.user)) {
+            await board.increment('viewCount');
+        }
+        
+        await board.reload({ include: [OWNER_INCLUDE] });
+        
+        res.json({
+            success: true,
+            data: {
+                board,
+                permission: req.boardPermission
+            }
+        });
+        
+    } catch (error) {
+        console.error('Get board error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get board',
+            code: 'BOARD_FETCH_ERROR'
+        });
+    }
+};
+
+/**
+ * Update board settings
+ */
+const updateBoard = async (req, res) => {
+    try {
+        const board = req.board;
+        const fields = pickBoardFields(req.body);
+        
+        if (req.body.slug !== undefined && req.body.slug !== board.slug) {
+            // Old slugs keep redirecting, but choosing the address is the owner's call
+            if (req.boardPermission !== 'owner') {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Only the board owner can change its slug',
+                    code: 'SLUG_CHANGE_DENIED'
+                });
+            }
+            
+            if (await rejectTakenSlug(res, req.body.slug, board.id)) return;
+            fields.slug = req.body.slug;
+        }
+        
+        await board.update(fields);
+        publish(board.id, EVENT_TYPES.BOARD_UPDATED, { board }, req.user);
+        
+        res.json({
+            success: true,
+            message: 'Board updated successfully',
+            data: { board }
+        });
+        
+    } catch (error) {
+        console.error('Update board error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update board',
+            code: 'BOARD_UPDATE_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Delete a board
+ */
+const deleteBoard = async (req, res) => {
+    try {
+        const boardId = req.board.id;
+        await req.board.destroy();
+        publish(boardId, EVENT_TYPES.BOARD_DELETED, { boardId }, req.user);
+        
+        res.json({
+            success: true,
+            message: 'Board deleted successfully'
+        });
+        
+    } catch (error) {
+        console.error('Delete board error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete board',
+            code: 'BOARD_DELETE_ERROR'
+        });
+    }
+};
+
+/**
+ * Copy a board the user can read into a new board they own
+ */
+const duplicateBoard = async (req, res) => {
+    try {
+        const source = req.board;
+        
+        const { board, stats } = await boardArchive.duplicateBoard(source, req.user, {
+            ...pickCopyOptions(req.body),
+            board: {
+                title: req.body.title || copyTitle(source.title),
+                isPublic: false,
+                isTemplate: false
+            }
+        });
+        
+        res.status(201).json({
+            success: true,
+            message: 'Board duplicated successfully',
+            data: { board, stats }
+        });
+        
+    } catch (error) {
+        console.error('Duplicate board error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to duplicate board',
+            code: 'BOARD_DUPLICATE_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Download a board as a zip archive
+ */
+const exportBoard = async (req, res) => {
+    try {
+        const archive = await boardArchive.exportBoard(req.board);
+        
+        res.set('Content-Type', 'application/zip');
+        res.attachment(`board-${req.board.slug}.zip`);
+        res.send(archive);
+        
+    } catch (error) {
+        console.error('Export board error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export board',
+            code: 'BOARD_EXPORT_ERROR'
+        });
+    }
+};
+
+/**
+ * Recreate a board from an exported archive, owned by the current user
+ */
+const importBoard = async (req, res) => {
+    try {
+        const { board, stats } = await boardArchive.importBoard(req.file.buffer, req.user, {
+            authors: req.query.authors || 'placeholder'
+        });
+        
+        res.status(201).json({
+            success: true,
+            message: 'Board imported successfully',
+            data: { board, stats }
+        });
+        
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+        
+        console.error('Import board error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to import board',
+            code: 'BOARD_IMPORT_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+module.exports = {
+    createBoard,
+    getMyBoards,
+    getBoard,
+    updateBoard,
+    deleteBoard,
+    getTemplates,
+    duplicateBoard,
+    exportBoard,
+    importBoard
+};
@@ -0,0 +1,505 @@
+/**
+ * ============================================
+ * COLLABORATOR CONTROLLER
+ * ============================================
+ * Handles board invitations and collaborator management
+ * ============================================
+ */
+
+const crypto = require('crypto');
+const db = require('../models');
+const { generateInvitationToken, verifyToken, JWT_CONFIG } = require('../config/jwt');
+const { meetsPermission } = require('../utils/validators');
+const { publish, EVENT_TYPES } = require('../realtime/events');
+const { sendEmail } = require('../services/mailer');
+
+// Public user details included with collaborator responses
+const USER_ATTRIBUTES = ['id', 'username', 'displayName'];
+
+/**
+ * Only the owner may hand out or manage the admin level;
+ * board admins manage viewers and editors
+ */
+function canManageLevel(permission, level) {
+    return permission === 'owner' || (permission === 'admin' && level !== 'admin');
+}
+
+/**
+ * Answer an invitation by email address the same way whatever happened,
+ * so the response does not tell the inviter whether the address has an
+ * account (or is already on the board)
+ */
+function sendEmailInvitationReply(res) {
+    return res.status(202).json({
+        success: true,
+        message: 'If that email address belongs to an account, an invitation has been sent to it'
+    });
+}
+
+/**
+ * Build the link an invitee follows to accept
+ */
+function buildInvitationLink(token) {
+    return `${process.env.CLIENT_URL}/invitations/accept?token=${token}`;
+}
+
+/**
+ * Verify an invitation token and find the pending invitation it belongs to.
+ * Sends an error response and returns null if the token is not usable.
+ */
+async function findInvitationByToken(req, res) {
+    let decoded;
+    try {
+        decoded = verifyToken(req.body.token, JWT_CONFIG.TOKEN_TYPES.INVITATION);
+    } catch (error) {
+        const expired = error.name === 'TokenExpiredError';
+        res.status(400).json({
+            success: false,
+            message: expired ? 'Invitation has expired. Ask the board owner to invite you again.' : 'Invalid invitation token',
+            code: expired ? 'INVITATION_EXPIRED' : 'INVALID_INVITATION_TOKEN'
+        });
+        return null;
+    }
+    
+    if (decoded.tokenType !== JWT_CONFIG.TOKEN_TYPES.INVITATION || decoded.userId !== req.user.id) {
+        res.status(400).json({
+            success: false,
+            message: 'Invalid invitation token',
+            code: 'INVALID_INVITATION_TOKEN'
+        });
+        return null;
+    }
+    
+    const invitation = await db.BoardCollaborator.findOne({
+        where: {
+            boardId: decoded.boardId,
+            userId: req.user.id,
+            invitationToken: decoded.nonce,
+            invitationStatus: 'pending'
+        }
+    });
+    
+    if (!invitation) {
+        res.status(404).json({
+            success: false,
+            message: 'Invitation not found or already answered',
+            code: 'INVITATION_NOT_FOUND'
+        });
+        return null;
+    }
+    
+    return invitation;
+}
+
+/**
+ * Invite a user to a board by username or email.
+ * Invitations by email get the same reply whether or not they reach anyone.
+ */
+const inviteCollaborator = async (req, res) => {
+    try {
+        const { board, boardPermission: permission } = req;
+        const { identifier, permissionLevel = 'editor' } = req.body;
+        
+        if (!canManageLevel(permission, permissionLevel)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the board owner can invite admins',
+                code: 'INSUFFICIENT_PERMISSIONS'
+            });
+        }
+        
+        // Usernames cannot contain @
+        const byEmail = identifier.includes('@');
+        const invitee = await db.User.findOne({
+            where: {
+                ...(byEmail ? { email: identifier.toLowerCase() } : { username: identifier }),
+                isActive: true
+            }
+        });
+        
+        if (!invitee) {
+            if (byEmail) return sendEmailInvitationReply(res);
+            return res.status(404).json({
+                success: false,
+                message: 'User not found',
+                code: 'USER_NOT_FOUND'
+            });
+        }
+        
+        if (board.isOwnedBy(invitee)) {
+            if (byEmail) return sendEmailInvitationReply(res);
+            return res.status(400).json({
+                success: false,
+                message: 'The board owner cannot be invited',
+                code: 'CANNOT_INVITE_OWNER'
+            });
+        }
+        
+        let invitation = await db.BoardCollaborator.findOne({
+            where: { boardId: board.id, userId: invitee.id }
+        });
+        
+        if (invitation && invitation.invitationStatus === 'accepted') {
+            if (byEmail) return sendEmailInvitationReply(res);
+            return res.status(400).json({
+                success: false,
+                message: 'User is already a collaborator on this board',
+                code: 'ALREADY_COLLABORATOR'
+            });
+        }
+        
+        // Re-sending replaces the pending level, so it needs the same right as changing it
+        if (invitation && invitation.invitationStatus === 'pending' &&
+            !canManageLevel(permission, invitation.permissionLevel)) {
+            if (byEmail) return sendEmailInvitationReply(res);
+            return res.status(403).json({
+                success: false,
+                message: 'Only the board owner can manage admin invitations',
+                code: 'INSUFFICIENT_PERMISSIONS'
+            });
+        }
+        
+        // The row only stores a random nonce; the signed token carries it
+        const nonce = crypto.randomBytes(16).toString('hex');
+        const fields = {
+            permissionLevel,
+            invitedBy: req.user.id,
+            invitationToken: nonce,
+            invitationStatus: 'pending',
+            joinedAt: null
+        };
+        
+        if (invitation) {
+            // Re-inviting after a rejection or re-sending a pending invitation
+            await invitation.update(fields);
+        } else {
+            invitation = await db.BoardCollaborator.create({
+                ...fields,
+                boardId: board.id,
+                userId: invitee.id
+            });
+        }
+        
+        const token = generateInvitationToken({ boardId: board.id, userId: invitee.id, nonce });
+        const invitationLink = buildInvitationLink(token);
+        const inviter = await db.User.findByPk(req.user.id, { attributes: USER_ATTRIBUTES });
+        
+        sendEmail('boardInvitation', invitee.email, {
+            name: invitee.displayName || invitee.username,
+            inviterName: inviter ? inviter.displayName || inviter.username : 'Someone',
+            boardTitle: board.title,
+            permissionLevel: invitation.permissionLevel,
+            invitationLink
+        });
+        
+        if (byEmail) {
+            return sendEmailInvitationReply(res);
+        }
+        
+        res.status(201).json({
+            success: true,
+            message: `Invitation sent to ${invitee.username}`,
+            data: {
+                invitation: {
+                    id: invitation.id,
+                    boardId: board.id,
+                    user: { id: invitee.id, username: invitee.username, displayName: invitee.displayName },
+                    permissionLevel: invitation.permissionLevel,
+                    invitationStatus: invitation.invitationStatus
+                }
+            },
+            // Only include in development
+            ...(process.env.NODE_ENV === 'development' && {
+                debug: {
+                    invitationToken: token,
+                    invitationLink
+                }
+            })
+        });
+        
+    } catch (error) {
+        console.error('Invite collaborator error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send invitation',
+            code: 'INVITATION_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * List collaborators and pending invitations on a board
+ */
+const getCollaborators = async (req, res) => {
+    try {
+        const where = { boardId: req.board.id };
+        
+        // Only board admins see invitations that have not been accepted
+        if (!meetsPermission(req.boardPermission, 'admin')) {
+            where.invitationStatus = 'accepted';
+        }
+        
+        const collaborators = await db.BoardCollaborator.findAll({
+            where,
+            attributes: { exclude: ['invitationToken'] },
+            include: [
+                { model: db.User, as: 'user', attributes: USER_ATTRIBUTES },
+                { model: db.User, as: 'inviter', attributes: USER_ATTRIBUTES }
+            ],
+            order: [['created_at', 'ASC']]
+        });
+        
+        res.json({
+            success: true,
+            count: collaborators.length,
+            data: { collaborators }
+        });
+        
+    } catch (error) {
+        console.error('Get collaborators error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get collaborators',
+            code: 'COLLABORATORS_FETCH_ERROR'
+        });
+    }
+};
+
+/**
+ * Change a collaborator's permission level
+ */
+const updateCollaborator = async (req, res) => {
+    try {
+        const collaborator = await db.BoardCollaborator.findOne({
+            where: { boardId: req.board.id, userId: req.params.userId }
+        });
+        
+        if (!collaborator) {
+            return res.status(404).json({
+                success: false,
+                message: 'Collaborator not found',
+                code: 'COLLABORATOR_NOT_FOUND'
+            });
+        }
+        
+        const { permissionLevel } = req.body;
+        
+        if (!canManageLevel(req.boardPermission, collaborator.permissionLevel) ||
+            !canManageLevel(req.boardPermission, permissionLevel)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the board owner can manage admins',
+                code: 'INSUFFICIENT_PERMISSIONS'
+            });
+        }
+        
+        await collaborator.update({ permissionLevel });
+        publish(req.board.id, EVENT_TYPES.COLLABORATOR_UPDATED, {
+            userId: collaborator.userId,
+            permissionLevel
+        }, req.user);
+        
+        res.json({
+            success: true,
+            message: 'Collaborator permission updated',
+            data: {
+                collaborator: {
+                    id: collaborator.id,
+                    boardId: collaborator.boardId,
+                    userId: collaborator.userId,
+                    permissionLevel: collaborator.permissionLevel,
+                    invitationStatus: collaborator.invitationStatus
+                }
+            }
+        });
+        
+    } catch (error) {
+        console.error('Update collaborator error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update collaborator',
+            code: 'COLLABORATOR_UPDATE_ERROR'
+        });
+    }
+};
+
+/**
+ * Remove a collaborator (or cancel their invitation).
+ * Collaborators may also remove themselves to leave a board.
+ */
+const removeCollaborator = async (req, res) => {
+    try {
+        const isSelf = parseInt(req.params.userId) === req.user.id;
+        
+        if (!isSelf && !meetsPermission(req.boardPermission, 'admin')) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to manage collaborators on this board.',
+                code: 'BOARD_ACCESS_DENIED'
+            });
+        }
+        
+        const collaborator = await db.BoardCollaborator.findOne({
+            where: { boardId: req.board.id, userId: req.params.userId }
+        });
+        
+        if (!collaborator) {
+            return res.status(404).json({
+                success: false,
+                message: 'Collaborator not found',
+                code: 'COLLABORATOR_NOT_FOUND'
+            });
+        }
+        
+        if (!isSelf && !canManageLevel(req.boardPermission, collaborator.permissionLevel)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the board owner can remove admins',
+                code: 'INSUFFICIENT_PERMISSIONS'
+            });
+        }
+        
+        await collaborator.destroy();
+        publish(req.board.id, EVENT_TYPES.COLLABORATOR_REMOVED, { userId: collaborator.userId }, req.user);
+        
+        res.json({
+            success: true,
+            message: isSelf ? 'You have left the board' : 'Collaborator removed'
+        });
+        
+    } catch (error) {
+        console.error('Remove collaborator error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove collaborator',
+            code: 'COLLABORATOR_REMOVE_ERROR'
+        });
+    }
+};
+
+/**
+ * List pending invitations for the current user
+ */
+const getMyInvitations = async (req, res) => {
+    try {
+        const invitations = await db.BoardCollaborator.findAll({
+            where: {
+                userId: req.user.id,
+                invitationStatus: 'pending'
+            },
+            include: [
+                { model: db.Board, as: 'board', attributes: ['id', 'title', 'slug', 'description'] },
+                { model: db.User, as: 'inviter', attributes: USER_ATTRIBUTES }
+            ],
+            order: [['created_at', 'DESC']]
+        });
+        
+        res.json({
+            success: true,
+            count: invitations.length,
+            data: {
+                invitations: invitations.map(invitation => ({
+                    id: invitation.id,
+                    board: invitation.board,
+                    inviter: invitation.inviter,
+                    permissionLevel: invitation.permissionLevel,
+                    createdAt: invitation.created_at,
+                    // The invitee is signed in, so hand them a token to answer with
+                    token: generateInvitationToken({
+                        boardId: invitation.boardId,
+                        userId: invitation.userId,
+                        nonce: invitation.invitationToken
+                    })
+                }))
+            }
+        });
+        
+    } catch (error) {
+        console.error('Get invitations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get invitations',
+            code: 'INVITATIONS_FETCH_ERROR'
+        });
+    }
+};
+
+/**
+ * Accept an invitation
+ */
+const acceptInvitation = async (req, res) => {
+    try {
+        const invitation = await findInvitationByToken(req, res);
+        if (!invitation) return;
+        
+        await invitation.update({
+            invitationStatus: 'accepted',
+            invitationToken: null,
+            joinedAt: new Date()
+        });
+        publish(invitation.boardId, EVENT_TYPES.COLLABORATOR_JOINED, {
+            userId: invitation.userId,
+            permissionLevel: invitation.permissionLevel
+        }, req.user);
+        
+        const board = await db.Board.findByPk(invitation.boardId, {
+            attributes: ['id', 'title', 'slug']
+        });
+        
+        res.json({
+            success: true,
+            message: 'Invitation accepted',
+            data: {
+                board,
+                permissionLevel: invitation.permissionLevel
+            }
+        });
+        
+    } catch (error) {
+        console.error('Accept invitation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to accept invitation',
+            code: 'INVITATION_ACCEPT_ERROR'
+        });
+    }
+};
+
+/**
+ * Reject an invitation
+ */
+const rejectInvitation = async (req, res) => {
+    try {
+        const invitation = await findInvitationByToken(req, res);
+        if (!invitation) return;
+        
+        await invitation.update({
+            invitationStatus: 'rejected',
+            invitationToken: null
+        });
+        
+        res.json({
+            success: true,
+            message: 'Invitation rejected'
+        });
+        
+    } catch (error) {
+        console.error('Reject invitation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reject invitation',
+            code: 'INVITATION_REJECT_ERROR'
+        });
+    }
+};
+
+module.exports = {
+    inviteCollaborator,
+    getCollaborators,
+    updateCollaborator,
+    removeCollaborator,
+    getMyInvitations,
+    acceptInvitation,
+    rejectInvitation
+};
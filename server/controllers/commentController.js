@@ -0,0 +1,254 @@
+/**
+ * ============================================
+ * COMMENT CONTROLLER
+ * ============================================
+ * Handles threaded comments on posts
+ * ============================================
+ */
+
+const db = require('../models');
+const { meetsPermission } = require('../utils/validators');
+const { buildCommentTree } = require('../utils/commentTree');
+const { COMMENT_CONFIG } = require('../config/config');
+const { publish, EVENT_TYPES } = require('../realtime/events');
+
+// Author details included with comment responses
+const AUTHOR_INCLUDE = {
+    model: db.User,
+    as: 'author',
+    attributes: ['id', 'username', 'displayName']
+};
+
+/**
+ * Find a post that belongs to the request's board
+ */
+async function findBoardPost(req) {
+    return await db.Post.findOne({
+        where: { id: req.params.postId, boardId: req.board.id }
+    });
+}
+
+/**
+ * Find a comment that belongs to the given post
+ */
+async function findPostComment(post, commentId) {
+    return await db.Comment.findOne({
+        where: { id: commentId, postId: post.id }
+    });
+}
+
+/**
+ * Send the standard 404 for a missing post
+ */
+function sendPostNotFound(res) {
+    return res.status(404).json({
+        success: false,
+        message: 'Post not found',
+        code: 'POST_NOT_FOUND'
+    });
+}
+
+/**
+ * Send the standard 404 for a missing comment
+ */
+function sendCommentNotFound(res) {
+    return res.status(404).json({
+        success: false,
+        message: 'Comment not found',
+        code: 'COMMENT_NOT_FOUND'
+    });
+}
+
+/**
+ * List comments on a post as a nested tree
+ */
+const getComments = async (req, res) => {
+    try {
+        const post = await findBoardPost(req);
+        if (!post) return sendPostNotFound(res);
+        
+        const maxDepth = parseInt(req.query.depth) || COMMENT_CONFIG.DEFAULT_DEPTH;
+        const rootId = req.query.parentId ? parseInt(req.query.parentId) : null;
+        
+        const comments = await db.Comment.findAll({
+            where: { postId: post.id },
+            include: [AUTHOR_INCLUDE],
+            order: [['created_at', 'ASC'], ['id', 'ASC']]
+        });
+        
+        if (rootId && !comments.some(comment => comment.id === rootId)) {
+            return sendCommentNotFound(res);
+        }
+        
+        const tree = buildCommentTree(
+            comments.map(comment => comment.toJSON()),
+            { maxDepth, rootId }
+        );
+        
+        res.json({
+            success: true,
+            count: tree.length,
+            total: comments.length,
+            data: {
+                comments: tree,
+                depth: maxDepth
+            }
+        });
+        
+    } catch (error) {
+        console.error('Get comments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get comments',
+            code: 'COMMENTS_FETCH_ERROR'
+        });
+    }
+};
+
+/**
+ * Comment on a post, or reply to another comment
+ */
+const createComment = async (req, res) => {
+    try {
+        if (!req.board.allowComments) {
+            return res.status(403).json({
+                success: false,
+                message: 'Comments are turned off for this board',
+                code: 'COMMENTS_DISABLED'
+            });
+        }
+        
+        const post = await findBoardPost(req);
+        if (!post) return sendPostNotFound(res);
+        
+        const { content, parentCommentId } = req.body;
+        
+        // Replies must stay within the same post
+        if (parentCommentId) {
+            const parent = await findPostComment(post, parentCommentId);
+            if (!parent) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Parent comment not found on this post',
+                    code: 'PARENT_COMMENT_NOT_FOUND'
+                });
+            }
+        }
+        
+        const comment = await db.Comment.create({
+            content,
+            postId: post.id,
+            userId: req.user.id,
+            parentCommentId: parentCommentId || null
+        });
+        
+        await comment.reload({ include: [AUTHOR_INCLUDE] });
+        publish(req.board.id, EVENT_TYPES.COMMENT_ADDED, { comment }, req.user);
+        
+        res.status(201).json({
+            success: true,
+            message: 'Comment added',
+            data: { comment }
+        });
+        
+    } catch (error) {
+        console.error('Create comment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add comment',
+            code: 'COMMENT_CREATE_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Edit a comment (author only)
+ */
+const updateComment = async (req, res) => {
+    try {
+        const post = await findBoardPost(req);
+        if (!post) return sendPostNotFound(res);
+        
+        const comment = await findPostComment(post, req.params.commentId);
+        if (!comment) return sendCommentNotFound(res);
+        
+        if (!comment.isAuthoredBy(req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the author can edit this comment',
+                code: 'COMMENT_EDIT_DENIED'
+            });
+        }
+        
+        if (comment.content !== req.body.content) {
+            await comment.update({ content: req.body.content, isEdited: true });
+        }
+        
+        await comment.reload({ include: [AUTHOR_INCLUDE] });
+        publish(req.board.id, EVENT_TYPES.COMMENT_UPDATED, { comment }, req.user);
+        
+        res.json({
+            success: true,
+            message: 'Comment updated',
+            data: { comment }
+        });
+        
+    } catch (error) {
+        console.error('Update comment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update comment',
+            code: 'COMMENT_UPDATE_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Delete a comment and its replies (author, or board editors and above)
+ */
+const deleteComment = async (req, res) => {
+    try {
+        const post = await findBoardPost(req);
+        if (!post) return sendPostNotFound(res);
+        
+        const comment = await findPostComment(post, req.params.commentId);
+        if (!comment) return sendCommentNotFound(res);
+        
+        if (!comment.isAuthoredBy(req.user) && !meetsPermission(req.boardPermission, 'editor')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the author or a board editor can delete this comment',
+                code: 'COMMENT_DELETE_DENIED'
+            });
+        }
+        
+        // Replies go with it (ON DELETE CASCADE on parent_comment_id)
+        await comment.destroy();
+        publish(req.board.id, EVENT_TYPES.COMMENT_DELETED, {
+            commentId: comment.id,
+            postId: post.id
+        }, req.user);
+        
+        res.json({
+            success: true,
+            message: 'Comment deleted'
+        });
+        
+    } catch (error) {
+        console.error('Delete comment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete comment',
+            code: 'COMMENT_DELETE_ERROR'
+        });
+    }
+};
+
+module.exports = {
+    getComments,
+    createComment,
+    updateComment,
+    deleteComment
+};
@@ -0,0 +1,951 @@
+/**
+ * ============================================
+ * POST CONTROLLER
+ * ============================================
+ * Handles posts on boards
+ * ============================================
+ */
+
+const db = require('../models');
+const { meetsPermission } = require('../utils/validators');
+const { applyPlacement, getPlacementError, resolveZOrder } = require('../utils/canvas');
+const { keyBetween, needsRebalance } = require('../utils/ordering');
+const { getSectionPlacementError, buildSectionTree } = require('../utils/sections');
+const { getLinkPreview } = require('../services/linkUnfurl');
+const { withServerMetadata } = require('../services/postMetadata');
+const { publish, EVENT_TYPES } = require('../realtime/events');
+
+// Fields that can be set when creating or editing a post
+const EDITABLE_FIELDS = [
+    'title',
+    'content',
+    'contentType',
+    'metadata',
+    'positionX',
+    'positionY',
+    'width',
+    'height',
+    'zIndex',
+    'color',
+    'imageUrl',
+    'linkUrl',
+    'filePath'
+];
+
+// Author details included with post responses
+const AUTHOR_INCLUDE = {
+    model: db.User,
+    as: 'author',
+    attributes: ['id', 'username', 'displayName']
+};
+
+/**
+ * Pick editable post fields from a request body
+ */
+function pickPostFields(body) {
+    const fields = {};
+    EDITABLE_FIELDS.forEach(field => {
+        if (body[field] !== undefined) fields[field] = body[field];
+    });
+    return fields;
+}
+
+/**
+ * Find a post that belongs to the given board
+ */
+async function findBoardPost(board, postId, options = {}) {
+    return await db.Post.findOne({
+        ...options,
+        where: { id: postId, boardId: board.id }
+    });
+}
+
+/**
+ * Only the author or a board editor (or above) may change a post
+ */
+function canModifyPost(post, user, permission) {
+    return post.isAuthoredBy(user) || meetsPermission(permission, 'editor');
+}
+
+/**
+ * Look up the section a post should go into and check it can go there
+ * @param {object} board - Board the post is on
+ * @param {object} post - Post being placed ({ contentType })
+ * @param {number|null} sectionId - Target section, or null for the top level
+ * @returns {Promise<object>} - { section } or { status, code, message } on failure
+ */
+async function resolveSection(board, post, sectionId) {
+    if (sectionId === null || sectionId === undefined) {
+        return { section: null };
+    }
+    
+    const section = await findBoardPost(board, sectionId);
+    if (!section) {
+        return { status: 404, code: 'SECTION_NOT_FOUND', message: 'Section not found on this board' };
+    }
+    
+    const problem = getSectionPlacementError(post, section);
+    if (problem) {
+        return { status: 400, code: 'INVALID_SECTION', message: problem };
+    }
+    
+    return { section };
+}
+
+/**
+ * Details clients need to move a post between sections
+ */
+function sectionPlacement(post) {
+    return {
+        id: post.id,
+        parentPostId: post.parentPostId,
+        sortKey: post.sortKey
+    };
+}
+
+/**
+ * Tell clients every key on a board changed after appending a post
+ * renumbered it, so they reload the order
+ */
+function publishRenumbered(board, post, user) {
+    publish(board.id, EVENT_TYPES.POST_REORDERED, {
+        post: { id: post.id, sortKey: post.sortKey, isPinned: post.isPinned },
+        renumbered: true
+    }, user);
+}
+
+/**
+ * Add reaction counts and the caller's own reaction to posts.
+ * Boards with reactions turned off get `reactions: null`.
+ */
+async function withReactions(posts, board, user) {
+    const summaries = board.allowReactions
+        ? await db.Reaction.summarize(posts.map(post => post.id), user)
+        : new Map();
+    
+    return posts.map(post => ({
+        ...post.toJSON(),
+        reactions: summaries.get(post.id) || null
+    }));
+}
+
+/**
+ * Send a 400 response for model validation failures
+ */
+function sendModelValidationError(res, error) {
+    return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        errors: error.errors.map(err => ({
+            field: err.path,
+            message: err.message,
+            value: err.value
+        }))
+    });
+}
+
+/**
+ * Order posts are shown in; canvas boards draw posts bottom to top
+ */
+function displayOrder(board) {
+    return board.layoutType === 'canvas'
+        ? [['zIndex', 'ASC'], ['created_at', 'ASC']]
+        : db.Post.LIST_ORDER;
+}
+
+/**
+ * List posts on a board
+ */
+const getPosts = async (req, res) => {
+    try {
+        const where = { boardId: req.board.id };
+        if (req.query.contentType) {
+            where.contentType = req.query.contentType;
+        }
+        
+        const posts = await db.Post.findAll({
+            where,
+            include: [AUTHOR_INCLUDE],
+            order: displayOrder(req.board)
+        });
+        
+        res.json({
+            success: true,
+            count: posts.length,
+            data: { posts: await withReactions(posts, req.board, req.user) }
+        });
+        
+    } catch (error) {
+        console.error('Get posts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get posts',
+            code: 'POSTS_FETCH_ERROR'
+        });
+    }
+};
+
+/**
+ * Get a board's posts grouped into sections
+ */
+const getPostTree = async (req, res) => {
+    try {
+        const posts = await db.Post.findAll({
+            where: { boardId: req.board.id },
+            include: [AUTHOR_INCLUDE],
+            order: displayOrder(req.board)
+        });
+        
+        const tree = buildSectionTree(await withReactions(posts, req.board, req.user));
+        
+        res.json({
+            success: true,
+            count: posts.length,
+            data: { tree }
+        });
+        
+    } catch (error) {
+        console.error('Get post tree error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get posts',
+            code: 'POSTS_FETCH_ERROR'
+        });
+    }
+};
+
+/**
+ * Get a single post
+ */
+const getPost = async (req, res) => {
+    try {
+        const post = await findBoardPost(req.board, req.params.postId, {
+            include: [AUTHOR_INCLUDE]
+        });
+        
+        if (!post) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found',
+                code: 'POST_NOT_FOUND'
+            });
+        }
+        
+        const [postWithReactions] = await withReactions([post], req.board, req.user);
+        
+        res.json({
+            success: true,
+            data: { post: postWithReactions }
+        });
+        
+    } catch (error) {
+        console.error('Get post error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get post',
+            code: 'POST_FETCH_ERROR'
+        });
+    }
+};
+
+/**
+ * Create a post on a board (editors and above)
+ */
+const createPost = async (req, res) => {
+    try {
+        const fields = await withServerMetadata(req.board, pickPostFields(req.body));
+        
+        const { section, ...sectionError } = await resolveSection(req.board, fields, req.body.parentPostId);
+        if (sectionError.status) {
+            return res.status(sectionError.status).json({
+                success: false,
+                message: sectionError.message,
+                code: sectionError.code
+            });
+        }
+        
+        // New canvas posts go on top of the stack
+        if (req.board.layoutType === 'canvas' && fields.zIndex === undefined) {
+            const topZIndex = await db.Post.max('zIndex', { where: { boardId: req.board.id } });
+            fields.zIndex = (topZIndex || 0) + 1;
+        }
+        
+        const { sortKey, renumbered } = await db.Post.nextSortKey(req.board.id);
+        const post = await db.Post.create({
+            ...fields,
+            sortKey,
+            boardId: req.board.id,
+            userId: req.user.id,
+            parentPostId: section ? section.id : null
+        });
+        
+        await post.reload({ include: [AUTHOR_INCLUDE] });
+        publish(req.board.id, EVENT_TYPES.POST_CREATED, { post }, req.user);
+        if (renumbered) {
+            publishRenumbered(req.board, post, req.user);
+        }
+        
+        res.status(201).json({
+            success: true,
+            message: 'Post created successfully',
+            data: { post }
+        });
+        
+    } catch (error) {
+        if (error.name === 'SequelizeValidationError') {
+            return sendModelValidationError(res, error);
+        }
+        
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+        
+        console.error('Create post error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create post',
+            code: 'POST_CREATE_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Check a post can switch content type without breaking its section:
+ * a section with posts in it stays a section, and a post inside a
+ * section cannot become one
+ * @returns {Promise<object|null>} - { status, code, message } or null if allowed
+ */
+async function checkContentTypeChange(board, post, contentType) {
+    if (contentType === undefined || contentType === post.contentType) {
+        return null;
+    }
+    
+    if (post.isSection()) {
+        const childCount = await db.Post.count({ where: { parentPostId: post.id } });
+        if (childCount > 0) {
+            return { status: 409, code: 'SECTION_HAS_CHILDREN', message: 'Move or delete the posts in this section first' };
+        }
+    }
+    
+    const { status, code, message } = await resolveSection(board, { contentType }, post.parentPostId);
+    return status ? { status, code, message } : null;
+}
+
+/**
+ * Edit a post (author, or board editors and above)
+ */
+const updatePost = async (req, res) => {
+    try {
+        const post = await findBoardPost(req.board, req.params.postId);
+        
+        if (!post) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found',
+                code: 'POST_NOT_FOUND'
+            });
+        }
+        
+        if (!canModifyPost(post, req.user, req.boardPermission)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the author or a board editor can edit this post',
+                code: 'POST_EDIT_DENIED'
+            });
+        }
+        
+        const sectionError = await checkContentTypeChange(req.board, post, req.body.contentType);
+        if (sectionError) {
+            return res.status(sectionError.status).json({
+                success: false,
+                message: sectionError.message,
+                code: sectionError.code
+            });
+        }
+        
+        await post.update(await withServerMetadata(req.board, pickPostFields(req.body), post));
+        await post.reload({ include: [AUTHOR_INCLUDE] });
+        publish(req.board.id, EVENT_TYPES.POST_UPDATED, { post }, req.user);
+        
+        res.json({
+            success: true,
+            message: 'Post updated successfully',
+            data: { post }
+        });
+        
+    } catch (error) {
+        if (error.name === 'SequelizeValidationError') {
+            return sendModelValidationError(res, error);
+        }
+        
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+        
+        console.error('Update post error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update post',
+            code: 'POST_UPDATE_ERROR',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Fetch a link post's preview again, skipping the cache unless it was
+ * fetched only moments ago (author, or board editors and above)
+ */
+const unfurlPost = async (req, res) => {
+    try {
+        const post = await findBoardPost(req.board, req.params.postId);
+        
+        if (!post) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found',
+                code: 'POST_NOT_FOUND'
+            });
+        }
+        
+        if (!canModifyPost(post, req.user, req.boardPermission)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the author or a board editor can refresh this preview',
+                code: 'POST_EDIT_DENIED'
+            });
+        }
+        
+        if (post.contentType !== 'link' || !post.linkUrl) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only link posts have previews',
+                code: 'NOT_A_LINK_POST'
+            });
+        }
+        
+        let link;
+        try {
+            link = await getLinkPreview(post.linkUrl, { refresh: true });
+        } catch (error) {
+            if (!error.status) throw error;
+            
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+        
+        await post.update({ metadata: { ...post.metadata, link } });
+        await post.reload({ include: [AUTHOR_INCLUDE] });
+        publish(req.board.id, EVENT_TYPES.POST_UPDATED, { post }, req.user);
+        
+        res.json({
+            success: true,
+            message: 'Link preview refreshed',
+            data: { post }
+        });
+        
+    } catch (error) {
+        console.error('Unfurl post error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to refresh link preview',
+            code: 'LINK_UNFURL_ERROR'
+        });
+    }
+};
+
+/**
+ * Pin or unpin a post (board editors and above)
+ */
+const pinPost = async (req, res) => {
+    try {
+        const post = await findBoardPost(req.board, req.params.postId);
+        
+        if (!post) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found',
+                code: 'POST_NOT_FOUND'
+            });
+        }
+        
+        // Toggle unless an explicit value was sent
+        const isPinned = req.body.isPinned !== undefined ? req.body.isPinned : !post.isPinned;
+        await post.update({ isPinned });
+        publish(req.board.id, EVENT_TYPES.POST_UPDATED, { post }, req.user);
+        
+        res.json({
+            success: true,
+            message: isPinned ? 'Post pinned' : 'Post unpinned',
+            data: { post }
+        });
+        
+    } catch (error) {
+        console.error('Pin post error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to pin post',
+            code: 'POST_PIN_ERROR'
+        });
+    }
+};
+
+/**
+ * Delete a post (author, or board editors and above).
+ * A section with posts in it needs ?children=cascade to delete them too,
+ * or ?children=reparent to keep them (at the top level, or in
+ * ?targetSectionId if given).
+ */
+const deletePost = async (req, res) => {
+    try {
+        const post = await findBoardPost(req.board, req.params.postId);
+        
+        if (!post) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found',
+                code: 'POST_NOT_FOUND'
+            });
+        }
+        
+        if (!canModifyPost(post, req.user, req.boardPermission)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the author or a board editor can delete this post',
+                code: 'POST_DELETE_DENIED'
+            });
+        }
+        
+        const children = post.isSection()
+            ? await db.Post.findAll({ where: { parentPostId: post.id }, order: [['sortKey', 'ASC']] })
+            : [];
+        const action = req.query.children;
+        
+        if (children.length > 0) {
+            // Emptying someone else's section is an editor's call, not the section author's
+            if (!meetsPermission(req.boardPermission, 'editor')) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Only a board editor can delete a section that has posts in it',
+                    code: 'POST_DELETE_DENIED'
+                });
+            }
+            
+            if (!action) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'This section has posts in it. Choose children=cascade to delete them or children=reparent to keep them',
+                    code: 'SECTION_HAS_CHILDREN',
+                    childCount: children.length
+                });
+            }
+        }
+        
+        let target = null;
+        if (children.length > 0 && action === 'reparent' && req.query.targetSectionId !== undefined) {
+            const targetSectionId = parseInt(req.query.targetSectionId);
+            const resolved = targetSectionId === post.id
+                ? { status: 400, code: 'INVALID_SECTION', message: 'Posts cannot be moved into the section being deleted' }
+                : await resolveSection(req.board, children[0], targetSectionId);
+            
+            if (resolved.status) {
+                return res.status(resolved.status).json({
+                    success: false,
+                    message: resolved.message,
+                    code: resolved.code
+                });
+            }
+            target = resolved.section;
+        }
+        
+        await db.sequelize.transaction(async (transaction) => {
+            if (children.length > 0 && action === 'cascade') {
+                await db.Post.destroy({ where: { parentPostId: post.id }, transaction });
+            }
+            
+            if (children.length > 0 && action === 'reparent') {
+                for (const child of children) {
+                    await child.update({ parentPostId: target ? target.id : null }, { transaction });
+                }
+            }
+            
+            await post.destroy({ transaction });
+        });
+        
+        if (action === 'reparent' && children.length > 0) {
+            publish(req.board.id, EVENT_TYPES.POST_SECTION_CHANGED, {
+                posts: children.map(sectionPlacement)
+            }, req.user);
+        }
+        
+        const deletedIds = action === 'cascade' ? children.map(child => child.id) : [];
+        publish(req.board.id, EVENT_TYPES.POST_DELETED, { postId: post.id, childIds: deletedIds }, req.user);
+        
+        res.json({
+            success: true,
+            message: 'Post deleted successfully',
+            data: {
+                deletedChildren: deletedIds.length,
+                reparentedChildren: action === 'reparent' ? children.length : 0
+            }
+        });
+        
+    } catch (error) {
+        console.error('Delete post error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete post',
+            code: 'POST_DELETE_ERROR'
+        });
+    }
+};
+
+/**
+ * Move a post into a section, or out to the top level (board editors and above).
+ * The post goes to the end of its new section.
+ */
+const moveToSection = async (req, res) => {
+    try {
+        const post = await findBoardPost(req.board, req.params.postId);
+        
+        if (!post) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found',
+                code: 'POST_NOT_FOUND'
+            });
+        }
+        
+        const { section, ...sectionError } = await resolveSection(req.board, post, req.body.sectionId);
+        if (sectionError.status) {
+            return res.status(sectionError.status).json({
+                success: false,
+                message: sectionError.message,
+                code: sectionError.code
+            });
+        }
+        
+        const parentPostId = section ? section.id : null;
+        if (post.parentPostId !== parentPostId) {
+            const { sortKey, renumbered } = await db.Post.nextSortKey(req.board.id);
+            await post.update({ parentPostId, sortKey });
+            publish(req.board.id, EVENT_TYPES.POST_SECTION_CHANGED, { posts: [sectionPlacement(post)] }, req.user);
+            if (renumbered) {
+                publishRenumbered(req.board, post, req.user);
+            }
+        }
+        
+        res.json({
+            success: true,
+            message: section ? 'Post moved into section' : 'Post moved to the top level',
+            data: { post: sectionPlacement(post) }
+        });
+        
+    } catch (error) {
+        console.error('Move to section error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to move post',
+            code: 'POST_SECTION_ERROR'
+        });
+    }
+};
+
+/**
+ * Collapse or expand a section for everyone on the board (board editors and above)
+ */
+const collapseSection = async (req, res) => {
+    try {
+        const post = await findBoardPost(req.board, req.params.postId);
+        
+        if (!post) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found',
+                code: 'POST_NOT_FOUND'
+            });
+        }
+        
+        if (!post.isSection()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only sections can be collapsed',
+                code: 'NOT_A_SECTION'
+            });
+        }
+        
+        // Toggle unless an explicit value was sent
+        const isCollapsed = req.body.isCollapsed !== undefined ? req.body.isCollapsed : !post.isCollapsed;
+        await post.update({ isCollapsed });
+        publish(req.board.id, EVENT_TYPES.POST_UPDATED, { post }, req.user);
+        
+        res.json({
+            success: true,
+            message: isCollapsed ? 'Section collapsed' : 'Section expanded',
+            data: { post }
+        });
+        
+    } catch (error) {
+        console.error('Collapse section error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to collapse section',
+            code: 'SECTION_COLLAPSE_ERROR'
+        });
+    }
+};
+
+/**
+ * Move, resize and restack many posts on a canvas board in one transaction
+ */
+const movePosts = async (req, res) => {
+    try {
+        const board = req.board;
+        
+        if (board.layoutType !== 'canvas') {
+            return res.status(400).json({
+                success: false,
+                message: 'Posts can only be positioned on canvas boards',
+                code: 'BOARD_NOT_CANVAS'
+            });
+        }
+        
+        const items = req.body.posts;
+        const gridSize = req.body.snapToGrid;
+        const ids = items.map(item => item.id);
+        
+        const result = await db.sequelize.transaction(async (transaction) => {
+            const posts = await db.Post.findAll({
+                where: { id: ids, boardId: board.id },
+                lock: transaction.LOCK.UPDATE,
+                transaction
+            });
+            
+            const postsById = new Map(posts.map(post => [post.id, post]));
+            const missing = ids.filter(id => !postsById.has(id));
+            
+            if (missing.length > 0) {
+                return { status: 404, missing };
+            }
+            
+            // Check every placement before writing anything
+            const updates = [];
+            const outOfBounds = [];
+            
+            items.forEach(item => {
+                const post = postsById.get(item.id);
+                const placement = applyPlacement(post, item, { gridSize });
+                const problem = getPlacementError(placement);
+                
+                if (problem) {
+                    outOfBounds.push({ id: item.id, message: problem });
+                }
+                updates.push({ post, placement });
+            });
+            
+            if (outOfBounds.length > 0) {
+                return { status: 400, outOfBounds };
+            }
+            
+            let zOrder = new Map();
+            if (items.some(item => item.zIndex !== undefined)) {
+                const range = {
+                    min: (await db.Post.min('zIndex', { where: { boardId: board.id }, transaction })) || 0,
+                    max: (await db.Post.max('zIndex', { where: { boardId: board.id }, transaction })) || 0
+                };
+                zOrder = resolveZOrder(items, range);
+            }
+            
+            for (const { post, placement } of updates) {
+                if (zOrder.has(post.id)) {
+                    placement.zIndex = zOrder.get(post.id);
+                }
+                await post.update(placement, { transaction });
+            }
+            
+            return { status: 200, posts: updates.map(({ post }) => post) };
+        });
+        
+        if (result.status === 404) {
+            return res.status(404).json({
+                success: false,
+                message: 'Some posts were not found on this board',
+                code: 'POST_NOT_FOUND',
+                missingIds: result.missing
+            });
+        }
+        
+        if (result.status === 400) {
+            return res.status(400).json({
+                success: false,
+                message: 'Some posts would be placed outside the canvas',
+                code: 'POSITION_OUT_OF_BOUNDS',
+                errors: result.outOfBounds
+            });
+        }
+        
+        const placements = result.posts.map(post => ({
+            id: post.id,
+            positionX: post.positionX,
+            positionY: post.positionY,
+            width: post.width,
+            height: post.height,
+            zIndex: post.zIndex
+        }));
+        publish(board.id, EVENT_TYPES.POST_MOVED, { posts: placements }, req.user);
+        
+        res.json({
+            success: true,
+            message: `${result.posts.length} post(s) positioned`,
+            data: { posts: placements }
+        });
+        
+    } catch (error) {
+        console.error('Move posts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to position posts',
+            code: 'POST_POSITION_ERROR'
+        });
+    }
+};
+
+/**
+ * Place a post between two neighbours (wall, grid and stream boards).
+ * Only the moved post gets a new sort key unless keys have grown too long.
+ */
+const reorderPost = async (req, res) => {
+    try {
+        const board = req.board;
+        
+        if (board.layoutType === 'canvas') {
+            return res.status(400).json({
+                success: false,
+                message: 'Canvas boards are ordered by position, not by sort order',
+                code: 'BOARD_IS_CANVAS'
+            });
+        }
+        
+        const { previousPostId, nextPostId } = req.body;
+        const postId = parseInt(req.params.postId);
+        
+        if (previousPostId === postId || nextPostId === postId) {
+            return res.status(400).json({
+                success: false,
+                message: 'A post cannot be its own neighbour',
+                code: 'INVALID_NEIGHBOURS'
+            });
+        }
+        
+        const result = await db.sequelize.transaction(async (transaction) => {
+            await db.Post.ensureSortKeys(board.id, { transaction });
+            
+            const post = await findBoardPost(board, postId, { transaction });
+            const previous = previousPostId ? await findBoardPost(board, previousPostId, { transaction }) : null;
+            const next = nextPostId ? await findBoardPost(board, nextPostId, { transaction }) : null;
+            
+            if (!post || (previousPostId && !previous) || (nextPostId && !next)) {
+                return { status: 404 };
+            }
+            
+            const { previousKey, nextKey } = await db.Post.findNeighbourKeys(board.id, {
+                previousKey: previous ? previous.sortKey : null,
+                nextKey: next ? next.sortKey : null,
+                excludeId: post.id
+            }, { transaction });
+            
+            if (previousKey !== null && nextKey !== null && previousKey >= nextKey) {
+                return { status: 400 };
+            }
+            
+            const sortKey = keyBetween(previousKey, nextKey);
+            
+            if (!needsRebalance(sortKey)) {
+                await post.update({ sortKey }, { transaction });
+                return { status: 200, post };
+            }
+            
+            // Keys have grown too long: renumber the board with the post in place
+            const others = await db.Post.findAll({
+                where: { boardId: board.id, id: { [db.Sequelize.Op.ne]: post.id } },
+                order: [['sortKey', 'ASC']],
+                transaction
+            });
+            const index = previousKey === null ? 0 : others.findIndex(other => other.sortKey === previousKey) + 1;
+            others.splice(index, 0, post);
+            await db.Post.renumber(others, { transaction });
+            
+            return { status: 200, post, renumbered: true };
+        });
+        
+        if (result.status === 404) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post or neighbour not found on this board',
+                code: 'POST_NOT_FOUND'
+            });
+        }
+        
+        if (result.status === 400) {
+            return res.status(400).json({
+                success: false,
+                message: 'The previous post must come before the next post',
+                code: 'INVALID_NEIGHBOURS'
+            });
+        }
+        
+        const reordered = {
+            id: result.post.id,
+            sortKey: result.post.sortKey,
+            isPinned: result.post.isPinned
+        };
+        
+        // After a renumber every key on the board changed, so clients should reload
+        publish(board.id, EVENT_TYPES.POST_REORDERED, {
+            post: reordered,
+            renumbered: !!result.renumbered
+        }, req.user);
+        
+        res.json({
+            success: true,
+            message: 'Post reordered',
+            data: { post: reordered }
+        });
+        
+    } catch (error) {
+        console.error('Reorder post error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reorder post',
+            code: 'POST_REORDER_ERROR'
+        });
+    }
+};
+
+module.exports = {
+    getPosts,
+    getPostTree,
+    getPost,
+    createPost,
+    updatePost,
+    unfurlPost,
+    pinPost,
+    deletePost,
+    moveToSection,
+    collapseSection,
+    movePosts,
+    reorderPost
+};
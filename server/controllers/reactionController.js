@@ -0,0 +1,92 @@
+/**
+ * ============================================
+ * REACTION CONTROLLER
+ * ============================================
+ * Handles the caller's reaction to a post
+ * ============================================
+ */
+
+const db = require('../models');
+const { publish, EVENT_TYPES } = require('../realtime/events');
+
+/**
+ * Set, change or clear the caller's reaction to a post.
+ * Send a reactionType to set or change it, or null to clear it.
+ */
+const setReaction = async (req, res) => {
+    try {
+        const reactionType = req.body.reactionType || null;
+        
+        // Clearing is still allowed after reactions are turned off
+        if (reactionType && !req.board.allowReactions) {
+            return res.status(403).json({
+                success: false,
+                message: 'Reactions are turned off for this board',
+                code: 'REACTIONS_DISABLED'
+            });
+        }
+        
+        const post = await db.Post.findOne({
+            where: { id: req.params.postId, boardId: req.board.id }
+        });
+        
+        if (!post) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found',
+                code: 'POST_NOT_FOUND'
+            });
+        }
+        
+        const where = { postId: post.id, userId: req.user.id };
+        
+        if (!reactionType) {
+            await db.Reaction.destroy({ where });
+        } else {
+            const existing = await db.Reaction.findOne({ where });
+            
+            if (existing) {
+                await existing.update({ reactionType });
+            } else {
+                try {
+                    await db.Reaction.create({ ...where, reactionType });
+                } catch (error) {
+                    // Lost a race with another request from the same user
+                    if (error.name !== 'SequelizeUniqueConstraintError') throw error;
+                    await db.Reaction.update({ reactionType }, { where });
+                }
+            }
+        }
+        
+        const summaries = await db.Reaction.summarize([post.id], req.user);
+        const { userReaction, ...totals } = summaries.get(post.id);
+        
+        publish(req.board.id, EVENT_TYPES.REACTION_CHANGED, {
+            postId: post.id,
+            userId: req.user.id,
+            reactionType: userReaction,
+            reactions: totals
+        }, req.user);
+        
+        res.json({
+            success: true,
+            message: reactionType ? 'Reaction saved' : 'Reaction removed',
+            data: {
+                postId: post.id,
+                reactions: summaries.get(post.id)
+            }
+        });
+        
+    } catch (error) {
+        console.error('Set reaction error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to save reaction',
+            code: 'REACTION_SAVE_ERROR'
+        });
+    }
+};
+
+module.exports = {
+    setReaction
+};
@@ -0,0 +1,57 @@
+/**
+ * ============================================
+ * SEARCH CONTROLLER
+ * ============================================
+ * Full-text search across boards, posts and comments
+ * ============================================
+ */
+
+const searchService = require('../services/searchService');
+const { getPagination } = require('../utils/helpers');
+
+/**
+ * Search everything the caller can see
+ */
+const search = async (req, res) => {
+    try {
+        const { page, limit, offset } = getPagination(req.query);
+        
+        const { results, total } = await searchService.search({
+            q: req.query.q,
+            types: req.query.type ? req.query.type.split(',') : null,
+            boardId: req.query.boardId ? parseInt(req.query.boardId) : null,
+            authorId: req.query.authorId ? parseInt(req.query.authorId) : null,
+            contentType: req.query.contentType || null,
+            from: req.query.from ? new Date(req.query.from) : null,
+            to: req.query.to ? new Date(req.query.to) : null,
+            user: req.user || null,
+            limit,
+            offset
+        });
+        
+        res.json({
+            success: true,
+            data: {
+                results,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    totalPages: Math.ceil(total / limit)
+                }
+            }
+        });
+        
+    } catch (error) {
+        console.error('Search error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Search failed',
+            code: 'SEARCH_ERROR'
+        });
+    }
+};
+
+module.exports = {
+    search
+};
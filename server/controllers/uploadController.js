@@ -0,0 +1,85 @@
+/**
+ * ============================================
+ * UPLOAD CONTROLLER
+ * ============================================
+ * Handles board attachments for image, video and file posts
+ * ============================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getUploadPath } = require('../utils/uploadPaths');
+const { mimeTypeForExtension } = require('../utils/fileTypes');
+
+// Post field that should hold the URL for each upload content type
+const POST_FIELDS = {
+    image: 'imageUrl',
+    video: 'linkUrl',
+    file: 'filePath'
+};
+
+/**
+ * Respond with a stored upload (runs after uploadSingle)
+ */
+const uploadFile = async (req, res) => {
+    const file = req.file;
+    
+    res.status(201).json({
+        success: true,
+        message: 'File uploaded successfully',
+        data: {
+            url: file.url,
+            contentType: file.contentType,
+            postField: POST_FIELDS[file.contentType],
+            mimeType: file.mimetype,
+            size: file.size,
+            originalName: file.originalname,
+            image: file.image || null,
+            video: file.video || null
+        }
+    });
+};
+
+/**
+ * Send an uploaded file to someone who can view its board
+ */
+const serveUpload = async (req, res) => {
+    try {
+        const filePath = getUploadPath(req.board.id, req.params.filename);
+        const mimeType = filePath && mimeTypeForExtension(path.extname(filePath).slice(1));
+        
+        // Only files with a known type are served (not the .json upload details)
+        if (!mimeType || !fs.existsSync(filePath)) {
+            return res.status(404).json({
+                success: false,
+                message: 'File not found',
+                code: 'FILE_NOT_FOUND'
+            });
+        }
+        
+        const isInline = mimeType.startsWith('image/') || mimeType.startsWith('video/');
+        
+        res.set({
+            'Content-Type': mimeType,
+            'X-Content-Type-Options': 'nosniff',
+            // Only images and videos are shown inline; anything else is downloaded
+            'Content-Disposition': isInline ? 'inline' : `attachment; filename="${req.params.filename}"`,
+            'Cache-Control': req.board.isPublic ? 'public, max-age=86400' : 'private, no-store'
+        });
+        
+        res.sendFile(filePath);
+        
+    } catch (error) {
+        console.error('Serve upload error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get file',
+            code: 'FILE_FETCH_ERROR'
+        });
+    }
+};
+
+module.exports = {
+    uploadFile,
+    serveUpload
+};
@@ -44,6 +44,7 @@ CREATE TABLE IF NOT EXISTS boards (
     is_public BOOLEAN DEFAULT FALSE,
     allow_comments BOOLEAN DEFAULT TRUE,
     allow_reactions BOOLEAN DEFAULT TRUE,
+    is_template BOOLEAN DEFAULT FALSE,
     view_count INTEGER DEFAULT 0,
     user_id INTEGER NOT NULL,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
@@ -60,6 +61,26 @@ CREATE INDEX IF NOT EXISTS idx_boards_user_id ON boards(user_id);
 CREATE INDEX IF NOT EXISTS idx_boards_slug ON boards(slug);
 CREATE INDEX IF NOT EXISTS idx_boards_created_at ON boards(created_at DESC);
 
+-- Boards offered as starting points for new boards
+ALTER TABLE boards ADD COLUMN IF NOT EXISTS is_template BOOLEAN DEFAULT FALSE;
+CREATE INDEX IF NOT EXISTS idx_boards_templates ON boards(updated_at DESC) WHERE is_template = TRUE;
+
+-- ============================================
+-- BOARD_SLUG_HISTORY TABLE
+-- Old slugs, so links to a renamed board still resolve
+-- ============================================
+CREATE TABLE IF NOT EXISTS board_slug_history (
+    id SERIAL PRIMARY KEY,
+    board_id INTEGER NOT NULL,
+    slug VARCHAR(200) UNIQUE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (board_id) REFERENCES boards(id) ON DELETE CASCADE
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_slug_history_board_id ON board_slug_history(board_id);
+
 -- ============================================
 -- BOARD_COLLABORATORS TABLE
 -- ============================================
@@ -101,11 +122,14 @@ CREATE TABLE IF NOT EXISTS posts (
     position_y INTEGER DEFAULT 0,
     width INTEGER DEFAULT 200,
     height INTEGER DEFAULT 150,
+    z_index INTEGER DEFAULT 0,
+    sort_key VARCHAR(255) COLLATE "C",
     color VARCHAR(7) DEFAULT '#ffffff',
     image_url VARCHAR(500),
     link_url VARCHAR(500),
     file_path VARCHAR(500),
     is_pinned BOOLEAN DEFAULT FALSE,
+    is_collapsed BOOLEAN DEFAULT FALSE,
     view_count INTEGER DEFAULT 0,
     board_id INTEGER NOT NULL,
     user_id INTEGER NOT NULL,
@@ -118,7 +142,7 @@ CREATE TABLE IF NOT EXISTS posts (
     FOREIGN KEY (parent_post_id) REFERENCES posts(id) ON DELETE CASCADE,
     
     CONSTRAINT valid_post_color CHECK (color ~* '^#[0-9A-F]{6}$'),
-    CONSTRAINT valid_content_type CHECK (content_type IN ('text', 'image', 'link', 'video', 'file'))
+    CONSTRAINT valid_content_type CHECK (content_type IN ('text', 'image', 'link', 'video', 'file', 'section'))
 );
 
 -- Indexes
@@ -126,6 +150,19 @@ CREATE INDEX IF NOT EXISTS idx_posts_board_id ON posts(board_id);
 CREATE INDEX IF NOT EXISTS idx_posts_user_id ON posts(user_id);
 CREATE INDEX IF NOT EXISTS idx_posts_parent_id ON posts(parent_post_id) WHERE parent_post_id IS NOT NULL;
 
+-- Stacking order on canvas boards (added after the first release)
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS z_index INTEGER DEFAULT 0;
+CREATE INDEX IF NOT EXISTS idx_posts_board_z_index ON posts(board_id, z_index);
+
+-- Manual ordering on wall, grid and stream boards (fractional sort keys)
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS sort_key VARCHAR(255) COLLATE "C";
+CREATE INDEX IF NOT EXISTS idx_posts_board_sort_key ON posts(board_id, is_pinned DESC, sort_key);
+
+-- Section posts that group child posts through parent_post_id
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS is_collapsed BOOLEAN DEFAULT FALSE;
+ALTER TABLE posts DROP CONSTRAINT IF EXISTS valid_content_type;
+ALTER TABLE posts ADD CONSTRAINT valid_content_type CHECK (content_type IN ('text', 'image', 'link', 'video', 'file', 'section'));
+
 -- ============================================
 -- COMMENTS TABLE
 -- ============================================
@@ -149,6 +186,7 @@ CREATE TABLE IF NOT EXISTS comments (
 -- Indexes
 CREATE INDEX IF NOT EXISTS idx_comments_post_id ON comments(post_id);
 CREATE INDEX IF NOT EXISTS idx_comments_user_id ON comments(user_id);
+CREATE INDEX IF NOT EXISTS idx_comments_parent_id ON comments(parent_comment_id);
 
 -- ============================================
 -- REACTIONS TABLE
@@ -172,6 +210,148 @@ CREATE TABLE IF NOT EXISTS reactions (
 CREATE INDEX IF NOT EXISTS idx_reactions_post_id ON reactions(post_id);
 CREATE INDEX IF NOT EXISTS idx_reactions_user_id ON reactions(user_id);
 
+-- ============================================
+-- LINK_PREVIEWS TABLE
+-- ============================================
+-- Cached previews for link post URLs (failed fetches are cached too)
+CREATE TABLE IF NOT EXISTS link_previews (
+    id SERIAL PRIMARY KEY,
+    url VARCHAR(500) UNIQUE NOT NULL,
+    preview JSONB,
+    failure VARCHAR(50),
+    fetched_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- SITE_SETTINGS TABLE
+-- ============================================
+-- Settings admins can change at runtime (e.g. allowed video providers)
+CREATE TABLE IF NOT EXISTS site_settings (
+    key VARCHAR(100) PRIMARY KEY,
+    value JSONB,
+    updated_by INTEGER,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- ============================================
+-- REFRESH_TOKENS TABLE
+-- ============================================
+-- Issued refresh tokens, stored hashed and looked up by their jti.
+-- Rotation links each token to the one that replaced it; tokens from
+-- the same sign-in share a family_id so reuse can revoke them all.
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    jti VARCHAR(64) UNIQUE NOT NULL,
+    user_id INTEGER NOT NULL,
+    family_id VARCHAR(64) NOT NULL,
+    token_hash VARCHAR(64) NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    replaced_by VARCHAR(64),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id);
+
+-- ============================================
+-- USER_SESSIONS TABLE
+-- ============================================
+-- One row per sign-in (login or register), tied to the family of
+-- refresh tokens it rotates through
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    token_family VARCHAR(64) UNIQUE NOT NULL,
+    user_agent VARCHAR(500),
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id);
+
+-- ============================================
+-- PASSWORD_RESET_TOKENS TABLE
+-- ============================================
+-- Issued password reset tokens (hashed); each can be used once
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id SERIAL PRIMARY KEY,
+    jti VARCHAR(64) UNIQUE NOT NULL,
+    user_id INTEGER NOT NULL,
+    token_hash VARCHAR(64) NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_id ON password_reset_tokens(user_id);
+
+-- ============================================
+-- USER_MFA TABLE
+-- ============================================
+-- TOTP two-factor authentication, one row per user. The secret is
+-- stored encrypted; enabled_at stays null until the first code is
+-- confirmed. last_used_step stops a code being used twice.
+CREATE TABLE IF NOT EXISTS user_mfa (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER UNIQUE NOT NULL,
+    secret VARCHAR(255) NOT NULL,
+    enabled_at TIMESTAMP WITH TIME ZONE,
+    last_used_step BIGINT,
+    failed_attempts INTEGER NOT NULL DEFAULT 0,
+    locked_until TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- ============================================
+-- MFA_RECOVERY_CODES TABLE
+-- ============================================
+-- One-time recovery codes (hashed) for signing in without the
+-- authenticator app
+CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_mfa_recovery_codes_user_id ON mfa_recovery_codes(user_id);
+
+-- ============================================
+-- FULL-TEXT SEARCH INDEXES
+-- ============================================
+-- Expressions must match the documents in server/utils/searchQuery.js
+-- so /api/search can use these indexes
+CREATE INDEX IF NOT EXISTS idx_boards_search ON boards USING GIN ((
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(description, '')), 'B')
+));
+
+CREATE INDEX IF NOT EXISTS idx_posts_search ON posts USING GIN ((
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(content, '')), 'B')
+));
+
+CREATE INDEX IF NOT EXISTS idx_comments_search ON comments USING GIN ((
+    to_tsvector('english', content)
+));
+
 -- ============================================
 -- INITIAL DATA
 -- ============================================
@@ -7,6 +7,9 @@
  */
 
 const { verifyToken, JWT_CONFIG } = require('../config/jwt');
+const db = require('../models');
+const { BOARD_PERMISSION_LEVELS, meetsPermission } = require('../utils/validators');
+const { isEmailVerificationRequired } = require('../services/authSettings');
 
 /**
  * Authentication middleware - verifies access token
@@ -42,7 +45,8 @@ const authenticate = (req, res, next) => {
         req.user = {
             id: decoded.userId,
             email: decoded.email,
-            role: decoded.role
+            role: decoded.role,
+            sessionId: decoded.sid || null
         };
         
         next();
@@ -97,6 +101,129 @@ const authorize = (...allowedRoles) => {
     };
 };
 
+/**
+ * Email verification middleware - when an admin requires verified
+ * emails, unverified users can still read but cannot create content.
+ * Runs after authenticate.
+ */
+const requireVerifiedEmail = async (req, res, next) => {
+    try {
+        if (!await isEmailVerificationRequired()) {
+            return next();
+        }
+        
+        const user = await db.User.findByPk(req.user.id, { attributes: ['id', 'emailVerified'] });
+        
+        if (!user || !user.emailVerified) {
+            return res.status(403).json({
+                success: false,
+                message: 'Please verify your email address before creating content.',
+                code: 'EMAIL_NOT_VERIFIED'
+            });
+        }
+        
+        next();
+    } catch (error) {
+        console.error('Email verification check error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to check email verification',
+            code: 'EMAIL_VERIFICATION_CHECK_ERROR'
+        });
+    }
+};
+
+/**
+ * Send a request for a board's old slug on to its current slug.
+ * GET and HEAD get a 301; other methods a 308 so the body is sent again.
+ */
+function redirectToSlug(req, res, oldSlug, newSlug) {
+    const queryStart = req.originalUrl.indexOf('?');
+    const pathname = queryStart === -1 ? req.originalUrl : req.originalUrl.slice(0, queryStart);
+    const search = queryStart === -1 ? '' : req.originalUrl.slice(queryStart);
+    
+    const segments = pathname.split('/');
+    const index = segments.findIndex(segment => segment.toLowerCase() === oldSlug.toLowerCase());
+    segments[index] = newSlug;
+    
+    const status = ['GET', 'HEAD'].includes(req.method) ? 301 : 308;
+    return res.status(status).location(segments.join('/') + search).json({
+        success: false,
+        message: 'Board has moved to a new address',
+        code: 'BOARD_MOVED',
+        data: { slug: newSlug }
+    });
+}
+
+/**
+ * Board-level authorization middleware
+ * Loads the board named by the route parameter and checks the caller's
+ * effective permission (ownership, collaboration, is_public, global role).
+ * Attaches req.board and req.boardPermission for the controllers.
+ * Old slugs of a renamed board redirect to the current one, for callers
+ * who can view it; anyone else gets the usual 404.
+ * @param {string} requiredLevel - viewer, editor, admin or owner
+ * @param {string} paramName - Route parameter holding the board id or slug
+ */
+const requireBoardAccess = (requiredLevel = 'viewer', paramName = 'boardId') => {
+    if (!BOARD_PERMISSION_LEVELS.includes(requiredLevel)) {
+        throw new Error(`Unknown board permission level: ${requiredLevel}`);
+    }
+    
+    return async (req, res, next) => {
+        try {
+            const board = await db.Board.findByIdOrSlug(req.params[paramName]);
+            
+            if (!board) {
+                // Only callers who can see the board learn where it moved
+                const renamed = await db.Board.findBySlugHistory(req.params[paramName]);
+                if (renamed && meetsPermission(await renamed.getPermissionFor(req.user), 'viewer')) {
+                    return redirectToSlug(req, res, req.params[paramName], renamed.slug);
+                }
+                
+                return res.status(404).json({
+                    success: false,
+                    message: 'Board not found',
+                    code: 'BOARD_NOT_FOUND'
+                });
+            }
+            
+            const permission = await board.getPermissionFor(req.user);
+            
+            if (!meetsPermission(permission, requiredLevel)) {
+                // Anonymous callers may get further once they sign in
+                if (!req.user) {
+                    return res.status(401).json({
+                        success: false,
+                        message: 'Authentication required to access this board.',
+                        code: 'NOT_AUTHENTICATED'
+                    });
+                }
+                
+                return res.status(403).json({
+                    success: false,
+                    message: 'You do not have permission to perform this action on this board.',
+                    code: 'BOARD_ACCESS_DENIED',
+                    requiredPermission: requiredLevel,
+                    boardPermission: permission
+                });
+            }
+            
+            req.board = board;
+            req.boardPermission = permission;
+            
+            next();
+        } catch (error) {
+            console.error('Board access error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to check board access',
+                code: 'BOARD_ACCESS_ERROR'
+            });
+        }
+    };
+};
+
 /**
  * Optional authentication middleware
  * Attaches user if token is valid, but doesn't block request
@@ -113,7 +240,8 @@ const optionalAuth = (req, res, next) => {
                 req.user = {
                     id: decoded.userId,
                     email: decoded.email,
-                    role: decoded.role
+                    role: decoded.role,
+                    sessionId: decoded.sid || null
                 };
             }
         }
@@ -174,6 +302,8 @@ const verifyRefreshToken = (req, res, next) => {
 module.exports = {
     authenticate,
     authorize,
+    requireVerifiedEmail,
+    requireBoardAccess,
     optionalAuth,
     verifyRefreshToken
 };
\ No newline at end of file
@@ -48,6 +48,47 @@ const RATE_LIMIT_CONFIG = {
         },
         standardHeaders: true,
         legacyHeaders: false
+    },
+    
+    // Resending verification emails
+    emailVerification: {
+        windowMs: 60 * 60 * 1000, // 1 hour
+        max: 3, // Limit each user to 3 resends per hour
+        keyGenerator: (req) => `user:${req.user.id}`, // Runs after authenticate
+        message: {
+            success: false,
+            message: 'Too many verification emails requested, please try again later.',
+            code: 'VERIFICATION_LIMIT_EXCEEDED'
+        },
+        standardHeaders: true,
+        legacyHeaders: false
+    },
+    
+    // Two-factor codes (a 6-digit code is easy to guess given enough tries)
+    mfa: {
+        windowMs: 15 * 60 * 1000, // 15 minutes
+        max: 5, // Limit each IP to 5 wrong codes per windowMs
+        message: {
+            success: false,
+            message: 'Too many authentication code attempts, please try again later.',
+            code: 'MFA_RATE_LIMIT_EXCEEDED'
+        },
+        standardHeaders: true,
+        legacyHeaders: false,
+        skipSuccessfulRequests: true // Don't count accepted codes
+    },
+    
+    // Starting 2FA setup during login (each call makes a new secret)
+    mfaSetup: {
+        windowMs: 15 * 60 * 1000, // 15 minutes
+        max: 10, // Limit each IP to 10 setups per windowMs
+        message: {
+            success: false,
+            message: 'Too many two-factor setup attempts, please try again later.',
+            code: 'MFA_RATE_LIMIT_EXCEEDED'
+        },
+        standardHeaders: true,
+        legacyHeaders: false
     }
 };
 
@@ -55,6 +96,9 @@ const RATE_LIMIT_CONFIG = {
 const generalLimiter = rateLimit(RATE_LIMIT_CONFIG.general);
 const authLimiter = rateLimit(RATE_LIMIT_CONFIG.auth);
 const passwordResetLimiter = rateLimit(RATE_LIMIT_CONFIG.passwordReset);
+const emailVerificationLimiter = rateLimit(RATE_LIMIT_CONFIG.emailVerification);
+const mfaLimiter = rateLimit(RATE_LIMIT_CONFIG.mfa);
+const mfaSetupLimiter = rateLimit(RATE_LIMIT_CONFIG.mfaSetup);
 
 /**
  * Custom rate limiter based on user ID (for logged-in users)
@@ -99,6 +143,9 @@ module.exports = {
     generalLimiter,
     authLimiter,
     passwordResetLimiter,
+    emailVerificationLimiter,
+    mfaLimiter,
+    mfaSetupLimiter,
     userRateLimiter,
     skipRateLimit
 };
\ No newline at end of file
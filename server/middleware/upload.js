@@ -0,0 +1,250 @@
+/**
+ * ============================================
+ * FILE UPLOAD MIDDLEWARE
+ * ============================================
+ * Stores image, video and file attachments for a board.
+ * Checks type, size and magic bytes before a file is kept.
+ * Also receives board archives for import.
+ * ============================================
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const multer = require('multer');
+const { UPLOAD_CONFIG, ARCHIVE_CONFIG } = require('../config/config');
+const { HEADER_SIZE, MIME_TYPES, matchesMimeType } = require('../utils/fileTypes');
+const { getBoardUploadDir, getUploadUrl } = require('../utils/uploadPaths');
+const { processImage, describeImage } = require('../services/imageService');
+const { getAllowedProviders, processVideo } = require('../services/videoService');
+
+// Largest size any content type allows (multer needs a single limit)
+const MAX_UPLOAD_SIZE = Math.max(...Object.values(UPLOAD_CONFIG.TYPES).map(type => type.maxSize));
+
+/**
+ * Find which post content type (image, video, file) accepts a MIME type
+ * @param {string} mimeType - Declared MIME type
+ * @returns {string|null} - Content type, or null if not accepted
+ */
+function getUploadContentType(mimeType) {
+    if (!MIME_TYPES[mimeType]) return null;
+    
+    const match = Object.entries(UPLOAD_CONFIG.TYPES)
+        .find(([, type]) => type.mimeTypes.includes(mimeType));
+    return match ? match[0] : null;
+}
+
+/**
+ * Read the first bytes of a file
+ */
+async function readHeader(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(HEADER_SIZE);
+        const { bytesRead } = await handle.read(buffer, 0, HEADER_SIZE, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Error that carries an HTTP status and response code
+ */
+function uploadError(status, code, message) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+}
+
+const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+        const dir = getBoardUploadDir(req.board.id);
+        fs.mkdir(dir, { recursive: true }, error => cb(error, dir));
+    },
+    
+    // Random name; the extension comes from the MIME type, not the client's filename
+    filename: (req, file, cb) => {
+        const name = crypto.randomBytes(16).toString('hex');
+        cb(null, `${name}.${MIME_TYPES[file.mimetype].ext}`);
+    }
+});
+
+const upload = multer({
+    storage,
+    limits: {
+        fileSize: MAX_UPLOAD_SIZE,
+        files: 1
+    },
+    fileFilter: (req, file, cb) => {
+        const contentType = getUploadContentType(file.mimetype);
+        
+        if (!contentType) {
+            return cb(uploadError(415, 'UNSUPPORTED_FILE_TYPE', `Files of type ${file.mimetype} cannot be uploaded`));
+        }
+        
+        file.contentType = contentType;
+        cb(null, true);
+    }
+});
+
+/**
+ * Check a stored file against its content type's size limit and magic bytes.
+ * Throws an upload error if the file should not be kept.
+ */
+async function verifyUpload(file) {
+    const { maxSize } = UPLOAD_CONFIG.TYPES[file.contentType];
+    
+    if (file.size > maxSize) {
+        throw uploadError(413, 'FILE_TOO_LARGE', `${file.contentType} uploads cannot exceed ${Math.floor(maxSize / 1024 / 1024)}MB`);
+    }
+    
+    const header = await readHeader(file.path);
+    if (!matchesMimeType(file.mimetype, header)) {
+        throw uploadError(415, 'FILE_CONTENT_MISMATCH', `File content does not match ${file.mimetype}`);
+    }
+}
+
+/**
+ * Make thumbnails for an image upload and describe the result.
+ * Throws an upload error if the image is too large or cannot be decoded.
+ */
+async function describeUpload(boardId, file) {
+    let info;
+    try {
+        info = await processImage(file);
+    } catch (error) {
+        if (error.status) throw error;
+        throw uploadError(415, 'INVALID_IMAGE', 'Image could not be read');
+    }
+    
+    return info ? describeImage(boardId, file.filename, info) : null;
+}
+
+/**
+ * Record how long an uploaded video runs.
+ * Throws an upload error if video uploads are turned off.
+ */
+async function describeVideoUpload(file) {
+    if (!(await getAllowedProviders()).includes('upload')) {
+        throw uploadError(403, 'VIDEO_PROVIDER_NOT_ALLOWED', 'Video uploads are not allowed on this site');
+    }
+    
+    return await processVideo(file);
+}
+
+/**
+ * Respond to a failed upload
+ */
+function sendUploadError(res, failure) {
+    if (failure instanceof multer.MulterError) {
+        const tooLarge = failure.code === 'LIMIT_FILE_SIZE';
+        return res.status(tooLarge ? 413 : 400).json({
+            success: false,
+            message: tooLarge ? 'File is too large' : failure.message,
+            code: tooLarge ? 'FILE_TOO_LARGE' : 'UPLOAD_ERROR'
+        });
+    }
+    
+    if (failure.status) {
+        return res.status(failure.status).json({
+            success: false,
+            message: failure.message,
+            code: failure.code
+        });
+    }
+    
+    console.error('Upload error:', failure);
+    res.status(500).json({
+        success: false,
+        message: 'Failed to upload file',
+        code: 'UPLOAD_ERROR'
+    });
+}
+
+/**
+ * Accept a single file upload for req.board (run after requireBoardAccess).
+ * Sets req.file with an extra contentType (image, video or file), url and,
+ * for images, image (dimensions, dominant colour and thumbnail sources),
+ * or for videos, video ({ duration }).
+ * @param {string} fieldName - Multipart field holding the file
+ */
+const uploadSingle = (fieldName = 'file') => {
+    const receive = upload.single(fieldName);
+    
+    return (req, res, next) => {
+        receive(req, res, async (error) => {
+            try {
+                if (error) throw error;
+                
+                if (!req.file) {
+                    throw uploadError(400, 'NO_FILE', `A file is required in the "${fieldName}" field`);
+                }
+                
+                await verifyUpload(req.file);
+                req.file.url = getUploadUrl(req.board.id, req.file.filename);
+                
+                if (req.file.contentType === 'image') {
+                    req.file.image = await describeUpload(req.board.id, req.file);
+                }
+                
+                if (req.file.contentType === 'video') {
+                    req.file.video = await describeVideoUpload(req.file);
+                }
+                
+                next();
+                
+            } catch (uploadFailure) {
+                if (req.file) {
+                    fs.promises.unlink(req.file.path).catch(() => {});
+                }
+                
+                sendUploadError(res, uploadFailure);
+            }
+        });
+    };
+};
+
+// Board archives are read straight from memory and never stored as uploads
+const archiveUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: ARCHIVE_CONFIG.MAX_SIZE,
+        files: 1
+    }
+});
+
+/**
+ * Accept a board archive (zip) in memory as req.file.buffer
+ * @param {string} fieldName - Multipart field holding the archive
+ */
+const uploadArchive = (fieldName = 'archive') => {
+    const receive = archiveUpload.single(fieldName);
+    
+    return (req, res, next) => {
+        receive(req, res, (error) => {
+            try {
+                if (error) throw error;
+                
+                if (!req.file) {
+                    throw uploadError(400, 'NO_FILE', `An archive is required in the "${fieldName}" field`);
+                }
+                
+                if (!matchesMimeType('application/zip', req.file.buffer.subarray(0, HEADER_SIZE))) {
+                    throw uploadError(415, 'FILE_CONTENT_MISMATCH', 'Archive must be a zip file');
+                }
+                
+                next();
+                
+            } catch (uploadFailure) {
+                sendUploadError(res, uploadFailure);
+            }
+        });
+    };
+};
+
+module.exports = {
+    uploadSingle,
+    uploadArchive,
+    getUploadContentType
+};
@@ -7,6 +7,22 @@
  */
 
 const { body, query, param, validationResult } = require('express-validator');
+const {
+    HEX_COLOR_REGEX,
+    BOARD_LAYOUTS,
+    POST_CONTENT_TYPES,
+    COLLABORATOR_PERMISSIONS,
+    REACTION_TYPES,
+    isMediaUrl,
+    isHttpUrl,
+    getMissingPostField,
+    getSlugError
+} = require('../utils/validators');
+const { SEARCH_TYPES } = require('../utils/searchQuery');
+const { AUTHOR_MODES } = require('../utils/archiveManifest');
+const { SECTION_CHILD_ACTIONS } = require('../utils/sections');
+const { VIDEO_PROVIDER_IDS } = require('../utils/videoProviders');
+const { CANVAS_CONFIG, COMMENT_CONFIG, MFA_CONFIG } = require('../config/config');
 
 /**
  * Handle validation errors
@@ -177,6 +193,613 @@ const changePasswordValidation = [
     validate
 ];
 
+/**
+ * Board settings shared by create and update
+ */
+const boardSettingsRules = [
+    body('slug')
+        .optional()
+        .trim()
+        .toLowerCase()
+        .custom(slug => {
+            const error = getSlugError(slug);
+            if (error) {
+                throw new Error(error);
+            }
+            return true;
+        }),
+    
+    body('description')
+        .optional({ nullable: true })
+        .trim()
+        .isLength({ max: 5000 }).withMessage('Description cannot exceed 5000 characters'),
+    
+    body('layoutType')
+        .optional()
+        .isIn(BOARD_LAYOUTS).withMessage(`Layout must be one of: ${BOARD_LAYOUTS.join(', ')}`),
+    
+    body('backgroundColor')
+        .optional()
+        .matches(HEX_COLOR_REGEX).withMessage('Background colour must be a hex colour like #ffffff'),
+    
+    body('backgroundImage')
+        .optional({ nullable: true })
+        .isURL().withMessage('Background image must be a valid URL')
+        .isLength({ max: 500 }).withMessage('Background image URL cannot exceed 500 characters'),
+    
+    body('isPublic')
+        .optional()
+        .isBoolean().withMessage('isPublic must be true or false')
+        .toBoolean(),
+    
+    body('allowComments')
+        .optional()
+        .isBoolean().withMessage('allowComments must be true or false')
+        .toBoolean(),
+    
+    body('allowReactions')
+        .optional()
+        .isBoolean().withMessage('allowReactions must be true or false')
+        .toBoolean(),
+    
+    body('isTemplate')
+        .optional()
+        .isBoolean().withMessage('isTemplate must be true or false')
+        .toBoolean()
+];
+
+/**
+ * What to bring along when copying a board or template
+ */
+const boardCopyRules = [
+    body(['includeComments', 'includeReactions'])
+        .optional()
+        .isBoolean().withMessage('includeComments and includeReactions must be true or false')
+        .toBoolean()
+];
+
+/**
+ * Create board validation (the title can come from a template)
+ */
+const createBoardValidation = [
+    body('templateId')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Template ID must be a positive integer')
+        .toInt(),
+    
+    body('title')
+        .if((value, { req }) => value !== undefined || req.body.templateId === undefined)
+        .trim()
+        .notEmpty().withMessage('Title is required')
+        .isLength({ max: 200 }).withMessage('Title cannot exceed 200 characters'),
+    
+    ...boardSettingsRules,
+    ...boardCopyRules,
+    
+    validate
+];
+
+/**
+ * Duplicate board validation
+ */
+const duplicateBoardValidation = [
+    body('title')
+        .optional()
+        .trim()
+        .notEmpty().withMessage('Title cannot be empty')
+        .isLength({ max: 200 }).withMessage('Title cannot exceed 200 characters'),
+    
+    ...boardCopyRules,
+    
+    validate
+];
+
+/**
+ * Update board validation
+ */
+const updateBoardValidation = [
+    body('title')
+        .optional()
+        .trim()
+        .notEmpty().withMessage('Title cannot be empty')
+        .isLength({ max: 200 }).withMessage('Title cannot exceed 200 characters'),
+    
+    ...boardSettingsRules,
+    
+    validate
+];
+
+/**
+ * Post fields shared by create and update
+ */
+const postFieldRules = [
+    body('contentType')
+        .optional()
+        .isIn(POST_CONTENT_TYPES).withMessage(`Content type must be one of: ${POST_CONTENT_TYPES.join(', ')}`),
+    
+    body('title')
+        .optional({ nullable: true })
+        .trim()
+        .isLength({ max: 200 }).withMessage('Title cannot exceed 200 characters'),
+    
+    body('content')
+        .optional({ nullable: true })
+        .isLength({ max: 10000 }).withMessage('Content cannot exceed 10000 characters'),
+    
+    body('metadata')
+        .optional({ nullable: true })
+        .isObject().withMessage('Metadata must be an object'),
+    
+    body(['positionX', 'positionY'])
+        .optional()
+        .isInt().withMessage('Position must be an integer')
+        .toInt(),
+    
+    body(['width', 'height'])
+        .optional()
+        .isInt({ min: 1 }).withMessage('Size must be a positive integer')
+        .toInt(),
+    
+    body('zIndex')
+        .optional()
+        .isInt().withMessage('zIndex must be an integer')
+        .toInt(),
+    
+    body('color')
+        .optional()
+        .matches(HEX_COLOR_REGEX).withMessage('Colour must be a hex colour like #ffffff'),
+    
+    body('imageUrl')
+        .optional({ nullable: true })
+        .custom(isMediaUrl).withMessage('Image URL must be a valid URL')
+        .isLength({ max: 500 }).withMessage('Image URL cannot exceed 500 characters'),
+    
+    // Video posts can also point at a video uploaded to the board
+    body('linkUrl')
+        .optional({ nullable: true })
+        .custom((value, { req }) => isHttpUrl(value) || (req.body.contentType === 'video' && isMediaUrl(value)))
+        .withMessage('Link URL must be a valid http(s) URL')
+        .isLength({ max: 500 }).withMessage('Link URL cannot exceed 500 characters'),
+    
+    body('filePath')
+        .optional({ nullable: true })
+        .isLength({ max: 500 }).withMessage('File path cannot exceed 500 characters')
+];
+
+/**
+ * Create post validation
+ */
+const createPostValidation = [
+    ...postFieldRules,
+    
+    body('parentPostId')
+        .optional({ nullable: true })
+        .isInt({ min: 1 }).withMessage('Section ID must be a positive integer')
+        .toInt(),
+    
+    // Required field depends on the content type
+    body().custom((value, { req }) => {
+        const missing = getMissingPostField(req.body);
+        if (missing) {
+            throw new Error(`${missing} is required for ${req.body.contentType || 'text'} posts`);
+        }
+        return true;
+    }),
+    
+    validate
+];
+
+/**
+ * Update post validation
+ */
+const updatePostValidation = [
+    ...postFieldRules,
+    
+    validate
+];
+
+/**
+ * Pin post validation
+ */
+const pinPostValidation = [
+    body('isPinned')
+        .optional()
+        .isBoolean().withMessage('isPinned must be true or false')
+        .toBoolean(),
+    
+    validate
+];
+
+/**
+ * Move to section validation (null moves the post to the top level)
+ */
+const moveToSectionValidation = [
+    param('postId')
+        .isInt({ min: 1 }).withMessage('Post ID must be a positive integer'),
+    
+    body('sectionId')
+        .exists().withMessage('sectionId is required (null for the top level)'),
+    
+    body('sectionId')
+        .optional({ nullable: true })
+        .isInt({ min: 1 }).withMessage('Section ID must be a positive integer')
+        .toInt(),
+    
+    validate
+];
+
+/**
+ * Collapse section validation
+ */
+const collapseSectionValidation = [
+    param('postId')
+        .isInt({ min: 1 }).withMessage('Post ID must be a positive integer'),
+    
+    body('isCollapsed')
+        .optional()
+        .isBoolean().withMessage('isCollapsed must be true or false')
+        .toBoolean(),
+    
+    validate
+];
+
+/**
+ * Delete post validation (what to do with a section's posts)
+ */
+const deletePostValidation = [
+    param('postId')
+        .isInt({ min: 1 }).withMessage('Post ID must be a positive integer'),
+    
+    query('children')
+        .optional()
+        .isIn(SECTION_CHILD_ACTIONS).withMessage(`children must be one of: ${SECTION_CHILD_ACTIONS.join(', ')}`),
+    
+    query('targetSectionId')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Target section ID must be a positive integer')
+        .toInt(),
+    
+    validate
+];
+
+/**
+ * Batch canvas positioning validation
+ */
+const movePostsValidation = [
+    body('posts')
+        .isArray({ min: 1, max: CANVAS_CONFIG.MAX_BATCH_SIZE })
+        .withMessage(`posts must be an array of 1 to ${CANVAS_CONFIG.MAX_BATCH_SIZE} items`)
+        .custom(posts => new Set(posts.map(post => post.id)).size === posts.length)
+        .withMessage('Each post can only appear once per batch'),
+    
+    body('posts.*.id')
+        .isInt({ min: 1 }).withMessage('Post ID must be a positive integer')
+        .toInt(),
+    
+    body(['posts.*.positionX', 'posts.*.positionY', 'posts.*.width', 'posts.*.height'])
+        .optional()
+        .isInt().withMessage('Positions and sizes must be integers')
+        .toInt(),
+    
+    body('posts.*.zIndex')
+        .optional()
+        .custom(value => Number.isInteger(value) || value === 'front' || value === 'back')
+        .withMessage('zIndex must be an integer, "front" or "back"'),
+    
+    body('snapToGrid')
+        .optional()
+        .isInt({ min: 1, max: CANVAS_CONFIG.MAX_GRID_SIZE })
+        .withMessage(`snapToGrid must be between 1 and ${CANVAS_CONFIG.MAX_GRID_SIZE}`)
+        .toInt(),
+    
+    validate
+];
+
+/**
+ * Reorder post validation
+ */
+const reorderPostValidation = [
+    param('postId')
+        .isInt({ min: 1 }).withMessage('Post ID must be a positive integer'),
+    
+    body(['previousPostId', 'nextPostId'])
+        .optional({ nullable: true })
+        .isInt({ min: 1 }).withMessage('Neighbour post IDs must be positive integers')
+        .toInt(),
+    
+    validate
+];
+
+/**
+ * Set reaction validation (null clears the reaction)
+ */
+const setReactionValidation = [
+    param('postId')
+        .isInt({ min: 1 }).withMessage('Post ID must be a positive integer'),
+    
+    body('reactionType')
+        .custom(value => value === null || REACTION_TYPES.includes(value))
+        .withMessage(`Reaction must be one of: ${REACTION_TYPES.join(', ')}, or null to clear`),
+    
+    validate
+];
+
+/**
+ * Comment list query validation
+ */
+const listCommentsValidation = [
+    query('depth')
+        .optional()
+        .isInt({ min: 1, max: COMMENT_CONFIG.MAX_DEPTH })
+        .withMessage(`Depth must be between 1 and ${COMMENT_CONFIG.MAX_DEPTH}`),
+    
+    query('parentId')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Parent comment ID must be a positive integer'),
+    
+    validate
+];
+
+/**
+ * Comment content rule shared by create and update
+ */
+const commentContentRule = body('content')
+    .trim()
+    .notEmpty().withMessage('Comment cannot be empty')
+    .isLength({ max: COMMENT_CONFIG.MAX_LENGTH })
+    .withMessage(`Comment cannot exceed ${COMMENT_CONFIG.MAX_LENGTH} characters`);
+
+/**
+ * Create comment validation
+ */
+const createCommentValidation = [
+    commentContentRule,
+    
+    body('parentCommentId')
+        .optional({ nullable: true })
+        .isInt({ min: 1 }).withMessage('Parent comment ID must be a positive integer')
+        .toInt(),
+    
+    validate
+];
+
+/**
+ * Update comment validation
+ */
+const updateCommentValidation = [
+    param('commentId')
+        .isInt({ min: 1 }).withMessage('Comment ID must be a positive integer'),
+    
+    commentContentRule,
+    
+    validate
+];
+
+/**
+ * Invite collaborator validation
+ */
+const inviteCollaboratorValidation = [
+    body('identifier')
+        .trim()
+        .notEmpty().withMessage('Username or email is required'),
+    
+    body('permissionLevel')
+        .optional()
+        .isIn(COLLABORATOR_PERMISSIONS).withMessage(`Permission must be one of: ${COLLABORATOR_PERMISSIONS.join(', ')}`),
+    
+    validate
+];
+
+/**
+ * Update collaborator validation
+ */
+const updateCollaboratorValidation = [
+    param('userId')
+        .isInt({ min: 1 }).withMessage('User ID must be a positive integer'),
+    
+    body('permissionLevel')
+        .notEmpty().withMessage('Permission level is required')
+        .isIn(COLLABORATOR_PERMISSIONS).withMessage(`Permission must be one of: ${COLLABORATOR_PERMISSIONS.join(', ')}`),
+    
+    validate
+];
+
+/**
+ * Session id validation
+ */
+const sessionIdValidation = [
+    param('sessionId')
+        .isInt({ min: 1 }).withMessage('Session ID must be a positive integer'),
+    
+    validate
+];
+
+/**
+ * User id validation (admin account routes)
+ */
+const userIdValidation = [
+    param('userId')
+        .isInt({ min: 1 }).withMessage('User ID must be a positive integer'),
+    
+    validate
+];
+
+/**
+ * Two-factor code (6 digits from an authenticator app)
+ */
+const mfaCode = () => body('code')
+    .trim()
+    .matches(/^\d{6}$/).withMessage('Authentication code must be 6 digits');
+
+// Either an app code or a recovery code must be provided
+const mfaCodeOrRecoveryCode = body().custom((value, { req }) => {
+    if (!req.body.code && !req.body.recoveryCode) {
+        throw new Error('Either an authentication code or a recovery code is required');
+    }
+    return true;
+});
+
+/**
+ * Second login step validation
+ */
+const mfaLoginValidation = [
+    body('mfaToken')
+        .notEmpty().withMessage('MFA token is required'),
+    
+    mfaCode().optional(),
+    
+    body('recoveryCode')
+        .optional()
+        .trim()
+        .isLength({ max: 20 }).withMessage('Invalid recovery code'),
+    
+    mfaCodeOrRecoveryCode,
+    
+    validate
+];
+
+/**
+ * Two-factor setup during login validation
+ */
+const mfaTokenValidation = [
+    body('mfaToken')
+        .notEmpty().withMessage('MFA token is required'),
+    
+    validate
+];
+
+/**
+ * Two-factor code validation (confirming setup, new recovery codes)
+ */
+const mfaCodeValidation = [
+    mfaCode(),
+    
+    validate
+];
+
+/**
+ * Turning two-factor authentication off
+ */
+const disableMfaValidation = [
+    body('password')
+        .notEmpty().withMessage('Password is required'),
+    
+    mfaCode().optional(),
+    
+    body('recoveryCode')
+        .optional()
+        .trim()
+        .isLength({ max: 20 }).withMessage('Invalid recovery code'),
+    
+    mfaCodeOrRecoveryCode,
+    
+    validate
+];
+
+/**
+ * Invitation response validation
+ */
+const invitationTokenValidation = [
+    body('token')
+        .notEmpty().withMessage('Invitation token is required'),
+    
+    validate
+];
+
+/**
+ * Video provider allowlist validation
+ */
+const updateVideoProvidersValidation = [
+    body('providers')
+        .isArray().withMessage('providers must be a list of provider ids'),
+    
+    body('providers.*')
+        .isIn(VIDEO_PROVIDER_IDS).withMessage(`Providers must be from: ${VIDEO_PROVIDER_IDS.join(', ')}`),
+    
+    validate
+];
+
+/**
+ * Account settings validation
+ */
+const updateAuthSettingsValidation = [
+    body('requireEmailVerification')
+        .optional()
+        .isBoolean({ strict: true }).withMessage('requireEmailVerification must be true or false'),
+    
+    body('mfaRequiredRoles')
+        .optional()
+        .isArray().withMessage('mfaRequiredRoles must be a list of roles'),
+    
+    body('mfaRequiredRoles.*')
+        .isIn(MFA_CONFIG.PRIVILEGED_ROLES).withMessage(`Roles must be from: ${MFA_CONFIG.PRIVILEGED_ROLES.join(', ')}`),
+    
+    validate
+];
+
+/**
+ * Search query validation
+ */
+const searchValidation = [
+    query('q')
+        .trim()
+        .notEmpty().withMessage('Search text is required')
+        .isLength({ min: 2, max: 200 }).withMessage('Search text must be between 2 and 200 characters'),
+    
+    query('type')
+        .optional()
+        .custom(value => value.split(',').every(type => SEARCH_TYPES.includes(type)))
+        .withMessage(`Type must be one or more of: ${SEARCH_TYPES.join(', ')}`),
+    
+    query(['boardId', 'authorId'])
+        .optional()
+        .isInt({ min: 1 }).withMessage('IDs must be positive integers'),
+    
+    query('contentType')
+        .optional()
+        .isIn(POST_CONTENT_TYPES).withMessage(`Content type must be one of: ${POST_CONTENT_TYPES.join(', ')}`),
+    
+    query(['from', 'to'])
+        .optional()
+        .isISO8601().withMessage('Dates must be ISO 8601 (e.g. 2024-05-01)'),
+    
+    query('page')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    
+    validate
+];
+
+/**
+ * Board import validation
+ */
+const importBoardValidation = [
+    query('authors')
+        .optional()
+        .isIn(AUTHOR_MODES).withMessage(`Authors must be one of: ${AUTHOR_MODES.join(', ')}`),
+    
+    validate
+];
+
+/**
+ * Pagination query validation
+ */
+const paginationValidation = [
+    query('page')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    
+    validate
+];
+
 module.exports = {
     registerValidation,
     loginValidation,
@@ -184,5 +807,34 @@ module.exports = {
     resetPasswordValidation,
     updateProfileValidation,
     changePasswordValidation,
+    sessionIdValidation,
+    userIdValidation,
+    mfaLoginValidation,
+    mfaTokenValidation,
+    mfaCodeValidation,
+    disableMfaValidation,
+    createBoardValidation,
+    duplicateBoardValidation,
+    updateBoardValidation,
+    createPostValidation,
+    updatePostValidation,
+    pinPostValidation,
+    moveToSectionValidation,
+    collapseSectionValidation,
+    deletePostValidation,
+    movePostsValidation,
+    reorderPostValidation,
+    setReactionValidation,
+    listCommentsValidation,
+    createCommentValidation,
+    updateCommentValidation,
+    inviteCollaboratorValidation,
+    updateCollaboratorValidation,
+    invitationTokenValidation,
+    searchValidation,
+    updateVideoProvidersValidation,
+    updateAuthSettingsValidation,
+    importBoardValidation,
+    paginationValidation,
     validate
 };
\ No newline at end of file
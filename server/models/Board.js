@@ -0,0 +1,185 @@
+const { DataTypes, Op } = require('sequelize');
+const {
+    HEX_COLOR_REGEX,
+    BOARD_LAYOUTS,
+    ROLE_BOARD_PERMISSIONS,
+    highestPermission,
+    meetsPermission
+} = require('../utils/validators');
+const { generateUniqueSlug } = require('../utils/helpers');
+
+module.exports = (sequelize) => {
+    const Board = sequelize.define('Board', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        title: {
+            type: DataTypes.STRING(200),
+            allowNull: false,
+            validate: {
+                len: [1, 200]
+            }
+        },
+        description: {
+            type: DataTypes.TEXT
+        },
+        slug: {
+            type: DataTypes.STRING(200),
+            allowNull: false,
+            unique: true
+        },
+        layoutType: {
+            type: DataTypes.STRING(50),
+            field: 'layout_type',
+            defaultValue: 'wall',
+            validate: {
+                isIn: [BOARD_LAYOUTS]
+            }
+        },
+        backgroundColor: {
+            type: DataTypes.STRING(7),
+            field: 'background_color',
+            defaultValue: '#ffffff',
+            validate: {
+                is: HEX_COLOR_REGEX
+            }
+        },
+        backgroundImage: {
+            type: DataTypes.STRING(500),
+            field: 'background_image'
+        },
+        isPublic: {
+            type: DataTypes.BOOLEAN,
+            field: 'is_public',
+            defaultValue: false
+        },
+        allowComments: {
+            type: DataTypes.BOOLEAN,
+            field: 'allow_comments',
+            defaultValue: true
+        },
+        allowReactions: {
+            type: DataTypes.BOOLEAN,
+            field: 'allow_reactions',
+            defaultValue: true
+        },
+        isTemplate: {
+            type: DataTypes.BOOLEAN,
+            field: 'is_template',
+            defaultValue: false
+        },
+        viewCount: {
+            type: DataTypes.INTEGER,
+            field: 'view_count',
+            defaultValue: 0
+        },
+        userId: {
+            type: DataTypes.INTEGER,
+            field: 'user_id',
+            allowNull: false
+        }
+    }, {
+        tableName: 'boards',
+        timestamps: true,
+        createdAt: 'created_at',
+        updatedAt: 'updated_at',
+        
+        hooks: {
+            beforeValidate: async (board) => {
+                if (!board.slug && board.title) {
+                    board.slug = await generateUniqueSlug(board.title, slug => Board.isSlugTaken(slug));
+                }
+            },
+            
+            // Keep the old slug so existing links can be redirected
+            beforeUpdate: async (board, options) => {
+                const oldSlug = board.previous('slug');
+                if (board.changed('slug') && oldSlug) {
+                    await sequelize.models.BoardSlugHistory.record(board.id, oldSlug, board.slug, {
+                        transaction: options.transaction
+                    });
+                }
+            }
+        }
+    });
+    
+    Board.associate = (models) => {
+        Board.belongsTo(models.User, { foreignKey: 'userId', as: 'owner' });
+        Board.hasMany(models.Post, { foreignKey: 'boardId', as: 'posts' });
+        Board.hasMany(models.BoardCollaborator, { foreignKey: 'boardId', as: 'collaborators' });
+        Board.hasMany(models.BoardSlugHistory, { foreignKey: 'boardId', as: 'slugHistory' });
+    };
+    
+    Board.prototype.isOwnedBy = function(user) {
+        return !!user && this.userId === user.id;
+    };
+    
+    /**
+     * Work out a user's effective permission level on this board from
+     * ownership, an accepted collaboration, is_public and their global role
+     * @returns {Promise<string|null>} - owner, admin, editor, viewer or null
+     */
+    Board.prototype.getPermissionFor = async function(user) {
+        if (this.isOwnedBy(user)) {
+            return 'owner';
+        }
+        
+        let level = this.isPublic ? 'viewer' : null;
+        
+        if (user) {
+            level = highestPermission(level, ROLE_BOARD_PERMISSIONS[user.role] || null);
+            
+            const collaborator = await sequelize.models.BoardCollaborator.findActive(this.id, user.id);
+            if (collaborator) {
+                level = highestPermission(level, collaborator.permissionLevel);
+            }
+        }
+        
+        return level;
+    };
+    
+    Board.prototype.hasPermission = async function(user, requiredLevel) {
+        const level = await this.getPermissionFor(user);
+        return meetsPermission(level, requiredLevel);
+    };
+    
+    /**
+     * Check whether a slug is in use, either as a board's current slug
+     * or as an old slug that still redirects
+     * @param {string} slug - Slug to check
+     * @param {number} exceptBoardId - Board whose own slugs do not count
+     */
+    Board.isSlugTaken = async function(slug, exceptBoardId = null) {
+        const others = exceptBoardId ? { [Op.ne]: exceptBoardId } : undefined;
+        
+        const boards = await this.count({ where: others ? { slug, id: others } : { slug } });
+        if (boards > 0) return true;
+        
+        const history = await sequelize.models.BoardSlugHistory.count({
+            where: others ? { slug, boardId: others } : { slug }
+        });
+        return history > 0;
+    };
+    
+    // Boards can be addressed by numeric id or by slug
+    Board.findByIdOrSlug = async function(idOrSlug, options = {}) {
+        const where = /^\d+$/.test(String(idOrSlug))
+            ? { id: parseInt(idOrSlug) }
+            : { slug: String(idOrSlug).toLowerCase() };
+        
+        return await this.findOne({ ...options, where });
+    };
+    
+    // Board that used a slug before it was changed
+    Board.findBySlugHistory = async function(slug, options = {}) {
+        const entry = await sequelize.models.BoardSlugHistory.findOne({
+            where: { slug: String(slug).toLowerCase() },
+            include: [{ model: this, as: 'board', ...options }]
+        });
+        return entry ? entry.board : null;
+    };
+    
+    return Board;
+};
@@ -0,0 +1,78 @@
+const { DataTypes } = require('sequelize');
+const { COLLABORATOR_PERMISSIONS } = require('../utils/validators');
+
+module.exports = (sequelize) => {
+    const BoardCollaborator = sequelize.define('BoardCollaborator', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        boardId: {
+            type: DataTypes.INTEGER,
+            field: 'board_id',
+            allowNull: false
+        },
+        userId: {
+            type: DataTypes.INTEGER,
+            field: 'user_id',
+            allowNull: false
+        },
+        permissionLevel: {
+            type: DataTypes.STRING(20),
+            field: 'permission_level',
+            defaultValue: 'editor',
+            validate: {
+                isIn: [COLLABORATOR_PERMISSIONS]
+            }
+        },
+        invitedBy: {
+            type: DataTypes.INTEGER,
+            field: 'invited_by'
+        },
+        invitationToken: {
+            type: DataTypes.STRING(100),
+            field: 'invitation_token'
+        },
+        invitationStatus: {
+            type: DataTypes.STRING(20),
+            field: 'invitation_status',
+            defaultValue: 'pending',
+            validate: {
+                isIn: [['pending', 'accepted', 'rejected']]
+            }
+        },
+        joinedAt: {
+            type: DataTypes.DATE,
+            field: 'joined_at'
+        }
+    }, {
+        tableName: 'board_collaborators',
+        timestamps: true,
+        createdAt: 'created_at',
+        updatedAt: false,
+        
+        indexes: [
+            { unique: true, fields: ['board_id', 'user_id'] }
+        ]
+    });
+    
+    BoardCollaborator.associate = (models) => {
+        BoardCollaborator.belongsTo(models.Board, { foreignKey: 'boardId', as: 'board', onDelete: 'CASCADE' });
+        BoardCollaborator.belongsTo(models.User, { foreignKey: 'userId', as: 'user', onDelete: 'CASCADE' });
+        BoardCollaborator.belongsTo(models.User, { foreignKey: 'invitedBy', as: 'inviter', onDelete: 'SET NULL' });
+    };
+    
+    // Accepted collaboration for a user on a board, if any
+    BoardCollaborator.findActive = async function(boardId, userId) {
+        return await this.findOne({
+            where: {
+                boardId,
+                userId,
+                invitationStatus: 'accepted'
+            }
+        });
+    };
+    
+    return BoardCollaborator;
+};
@@ -0,0 +1,41 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const BoardSlugHistory = sequelize.define('BoardSlugHistory', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        boardId: {
+            type: DataTypes.INTEGER,
+            field: 'board_id',
+            allowNull: false
+        },
+        slug: {
+            type: DataTypes.STRING(200),
+            allowNull: false,
+            unique: true
+        }
+    }, {
+        tableName: 'board_slug_history',
+        timestamps: true,
+        createdAt: 'created_at',
+        updatedAt: false
+    });
+    
+    BoardSlugHistory.associate = (models) => {
+        BoardSlugHistory.belongsTo(models.Board, { foreignKey: 'boardId', as: 'board', onDelete: 'CASCADE' });
+    };
+    
+    /**
+     * Remember a board's old slug after it changes. A board taking back
+     * one of its own old slugs removes it from the history.
+     */
+    BoardSlugHistory.record = async function(boardId, oldSlug, newSlug, options = {}) {
+        await this.destroy({ ...options, where: { boardId, slug: newSlug } });
+        await this.create({ boardId, slug: oldSlug }, options);
+    };
+    
+    return BoardSlugHistory;
+};
@@ -0,0 +1,60 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const Comment = sequelize.define('Comment', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        content: {
+            type: DataTypes.TEXT,
+            allowNull: false,
+            validate: {
+                // Mirrors the non_empty_content constraint
+                notBlank(value) {
+                    if (String(value).trim().length === 0) {
+                        throw new Error('Comment cannot be empty');
+                    }
+                }
+            }
+        },
+        postId: {
+            type: DataTypes.INTEGER,
+            field: 'post_id',
+            allowNull: false
+        },
+        userId: {
+            type: DataTypes.INTEGER,
+            field: 'user_id',
+            allowNull: false
+        },
+        parentCommentId: {
+            type: DataTypes.INTEGER,
+            field: 'parent_comment_id'
+        },
+        isEdited: {
+            type: DataTypes.BOOLEAN,
+            field: 'is_edited',
+            defaultValue: false
+        }
+    }, {
+        tableName: 'comments',
+        timestamps: true,
+        createdAt: 'created_at',
+        updatedAt: 'updated_at'
+    });
+    
+    Comment.associate = (models) => {
+        Comment.belongsTo(models.Post, { foreignKey: 'postId', as: 'post', onDelete: 'CASCADE' });
+        Comment.belongsTo(models.User, { foreignKey: 'userId', as: 'author', onDelete: 'CASCADE' });
+        Comment.belongsTo(Comment, { foreignKey: 'parentCommentId', as: 'parent', onDelete: 'CASCADE' });
+        Comment.hasMany(Comment, { foreignKey: 'parentCommentId', as: 'replies' });
+    };
+    
+    Comment.prototype.isAuthoredBy = function(user) {
+        return !!user && this.userId === user.id;
+    };
+    
+    return Comment;
+};
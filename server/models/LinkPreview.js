@@ -0,0 +1,61 @@
+const { DataTypes } = require('sequelize');
+const { LINK_PREVIEW_CONFIG } = require('../config/config');
+
+module.exports = (sequelize) => {
+    const LinkPreview = sequelize.define('LinkPreview', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        url: {
+            type: DataTypes.STRING(500),
+            allowNull: false,
+            unique: true
+        },
+        // { url, title, description, image, siteName } when the fetch worked
+        preview: {
+            type: DataTypes.JSONB
+        },
+        // Error code when it did not (LINK_BLOCKED, LINK_TIMEOUT, ...)
+        failure: {
+            type: DataTypes.STRING(50)
+        },
+        fetchedAt: {
+            type: DataTypes.DATE,
+            field: 'fetched_at',
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        }
+    }, {
+        tableName: 'link_previews',
+        timestamps: false
+    });
+    
+    /**
+     * Cached result for a URL, if it is still fresh enough to reuse
+     * @param {string} url - Link
+     * @param {object} options - { maxAge } in ms instead of the cache lifetimes
+     */
+    LinkPreview.findFresh = async function(url, { maxAge = null } = {}) {
+        const entry = await this.findOne({ where: { url } });
+        if (!entry) return null;
+        
+        const limit = maxAge !== null
+            ? maxAge
+            : entry.failure ? LINK_PREVIEW_CONFIG.FAILURE_TTL : LINK_PREVIEW_CONFIG.CACHE_TTL;
+        return Date.now() - entry.fetchedAt.getTime() < limit ? entry : null;
+    };
+    
+    /**
+     * Save the result of fetching a URL, replacing any earlier one
+     * @param {string} url - Link that was fetched
+     * @param {object} result - { preview } or { failure }
+     */
+    LinkPreview.store = async function(url, { preview = null, failure = null }) {
+        const [entry] = await this.upsert({ url, preview, failure, fetchedAt: new Date() });
+        return entry;
+    };
+    
+    return LinkPreview;
+};
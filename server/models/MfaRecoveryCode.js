@@ -0,0 +1,65 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const MfaRecoveryCode = sequelize.define('MfaRecoveryCode', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        userId: {
+            type: DataTypes.INTEGER,
+            field: 'user_id',
+            allowNull: false
+        },
+        codeHash: {
+            type: DataTypes.STRING(64),
+            field: 'code_hash',
+            allowNull: false
+        },
+        usedAt: {
+            type: DataTypes.DATE,
+            field: 'used_at'
+        }
+    }, {
+        tableName: 'mfa_recovery_codes',
+        timestamps: true,
+        createdAt: 'created_at',
+        updatedAt: false
+    });
+    
+    MfaRecoveryCode.associate = (models) => {
+        MfaRecoveryCode.belongsTo(models.User, { foreignKey: 'userId', as: 'user', onDelete: 'CASCADE' });
+    };
+    
+    /**
+     * Mark the code as used. Only succeeds once.
+     * @returns {Promise<boolean>} - False if it was already used
+     */
+    MfaRecoveryCode.prototype.consume = async function() {
+        const [count] = await MfaRecoveryCode.update(
+            { usedAt: new Date() },
+            { where: { id: this.id, usedAt: null } }
+        );
+        return count === 1;
+    };
+    
+    /**
+     * Replace every recovery code a user has
+     * @param {number} userId - User
+     * @param {Array<string>} codeHashes - Hashes of the new codes
+     */
+    MfaRecoveryCode.replaceForUser = async function(userId, codeHashes) {
+        await this.destroy({ where: { userId } });
+        return await this.bulkCreate(codeHashes.map(codeHash => ({ userId, codeHash })));
+    };
+    
+    /**
+     * How many unused codes a user has left
+     */
+    MfaRecoveryCode.countUnused = async function(userId) {
+        return await this.count({ where: { userId, usedAt: null } });
+    };
+    
+    return MfaRecoveryCode;
+};
@@ -0,0 +1,61 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const PasswordResetToken = sequelize.define('PasswordResetToken', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        // jti claim of the token
+        jti: {
+            type: DataTypes.STRING(64),
+            allowNull: false,
+            unique: true
+        },
+        userId: {
+            type: DataTypes.INTEGER,
+            field: 'user_id',
+            allowNull: false
+        },
+        tokenHash: {
+            type: DataTypes.STRING(64),
+            field: 'token_hash',
+            allowNull: false
+        },
+        expiresAt: {
+            type: DataTypes.DATE,
+            field: 'expires_at',
+            allowNull: false
+        },
+        usedAt: {
+            type: DataTypes.DATE,
+            field: 'used_at'
+        }
+    }, {
+        tableName: 'password_reset_tokens',
+        timestamps: true,
+        createdAt: 'created_at',
+        updatedAt: false
+    });
+    
+    PasswordResetToken.associate = (models) => {
+        PasswordResetToken.belongsTo(models.User, { foreignKey: 'userId', as: 'user', onDelete: 'CASCADE' });
+    };
+    
+    /**
+     * Mark the token as used. Only succeeds once, so the same link
+     * submitted twice at the same moment resets the password once.
+     * @param {object} options - { transaction }
+     * @returns {Promise<boolean>} - False if it was already used
+     */
+    PasswordResetToken.prototype.consume = async function({ transaction } = {}) {
+        const [count] = await PasswordResetToken.update(
+            { usedAt: new Date() },
+            { where: { id: this.id, usedAt: null }, transaction }
+        );
+        return count === 1;
+    };
+    
+    return PasswordResetToken;
+};
@@ -0,0 +1,227 @@
+const { DataTypes, Op } = require('sequelize');
+const { keyBetween, generateKeys, needsRebalance } = require('../utils/ordering');
+const {
+    HEX_COLOR_REGEX,
+    POST_CONTENT_TYPES,
+    getMissingPostField
+} = require('../utils/validators');
+
+module.exports = (sequelize) => {
+    const Post = sequelize.define('Post', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        title: {
+            type: DataTypes.STRING(200)
+        },
+        content: {
+            type: DataTypes.TEXT
+        },
+        contentType: {
+            type: DataTypes.STRING(50),
+            field: 'content_type',
+            defaultValue: 'text',
+            validate: {
+                isIn: [POST_CONTENT_TYPES]
+            }
+        },
+        metadata: {
+            type: DataTypes.JSONB
+        },
+        positionX: {
+            type: DataTypes.INTEGER,
+            field: 'position_x',
+            defaultValue: 0
+        },
+        positionY: {
+            type: DataTypes.INTEGER,
+            field: 'position_y',
+            defaultValue: 0
+        },
+        width: {
+            type: DataTypes.INTEGER,
+            defaultValue: 200
+        },
+        height: {
+            type: DataTypes.INTEGER,
+            defaultValue: 150
+        },
+        zIndex: {
+            type: DataTypes.INTEGER,
+            field: 'z_index',
+            defaultValue: 0
+        },
+        sortKey: {
+            type: DataTypes.STRING(255),
+            field: 'sort_key'
+        },
+        color: {
+            type: DataTypes.STRING(7),
+            defaultValue: '#ffffff',
+            validate: {
+                is: HEX_COLOR_REGEX
+            }
+        },
+        imageUrl: {
+            type: DataTypes.STRING(500),
+            field: 'image_url'
+        },
+        linkUrl: {
+            type: DataTypes.STRING(500),
+            field: 'link_url'
+        },
+        filePath: {
+            type: DataTypes.STRING(500),
+            field: 'file_path'
+        },
+        isPinned: {
+            type: DataTypes.BOOLEAN,
+            field: 'is_pinned',
+            defaultValue: false
+        },
+        isCollapsed: {
+            type: DataTypes.BOOLEAN,
+            field: 'is_collapsed',
+            defaultValue: false
+        },
+        viewCount: {
+            type: DataTypes.INTEGER,
+            field: 'view_count',
+            defaultValue: 0
+        },
+        boardId: {
+            type: DataTypes.INTEGER,
+            field: 'board_id',
+            allowNull: false
+        },
+        userId: {
+            type: DataTypes.INTEGER,
+            field: 'user_id',
+            allowNull: false
+        },
+        parentPostId: {
+            type: DataTypes.INTEGER,
+            field: 'parent_post_id'
+        }
+    }, {
+        tableName: 'posts',
+        timestamps: true,
+        createdAt: 'created_at',
+        updatedAt: 'updated_at',
+        
+        validate: {
+            // A link post needs link_url, an image post needs image_url, and so on
+            hasContentForType() {
+                const missing = getMissingPostField(this);
+                if (missing) {
+                    throw new Error(`${missing} is required for ${this.contentType} posts`);
+                }
+            }
+        }
+    });
+    
+    Post.associate = (models) => {
+        Post.belongsTo(models.Board, { foreignKey: 'boardId', as: 'board', onDelete: 'CASCADE' });
+        Post.belongsTo(models.User, { foreignKey: 'userId', as: 'author', onDelete: 'CASCADE' });
+        Post.belongsTo(Post, { foreignKey: 'parentPostId', as: 'parent', onDelete: 'CASCADE' });
+        Post.hasMany(Post, { foreignKey: 'parentPostId', as: 'children' });
+        Post.hasMany(models.Comment, { foreignKey: 'postId', as: 'comments' });
+        Post.hasMany(models.Reaction, { foreignKey: 'postId', as: 'reactions' });
+    };
+    
+    Post.prototype.isAuthoredBy = function(user) {
+        return !!user && this.userId === user.id;
+    };
+    
+    Post.prototype.isSection = function() {
+        return this.contentType === 'section';
+    };
+    
+    // Display order for non-canvas boards: pinned first, then manual order
+    Post.LIST_ORDER = [
+        ['isPinned', 'DESC'],
+        ['sortKey', 'ASC NULLS LAST'],
+        ['created_at', 'ASC']
+    ];
+    
+    /**
+     * Sort key that places a new post at the end of a board.
+     * Every append makes keys a little longer, so once the new key is too
+     * long the board is renumbered first (as reordering does).
+     * @returns {Promise<object>} - { sortKey, renumbered }
+     */
+    Post.nextSortKey = async function(boardId, options = {}) {
+        const lastKey = await this.max('sortKey', { where: { boardId }, ...options });
+        const sortKey = keyBetween(lastKey || null, null);
+        if (!needsRebalance(sortKey)) {
+            return { sortKey, renumbered: false };
+        }
+        
+        const renumberBoard = async (transaction) => {
+            const posts = await this.findAll({ where: { boardId }, order: [['sortKey', 'ASC']], transaction });
+            await this.renumber(posts, { transaction });
+            return posts.length > 0 ? posts[posts.length - 1].sortKey : null;
+        };
+        const renumberedLastKey = options.transaction
+            ? await renumberBoard(options.transaction)
+            : await sequelize.transaction(renumberBoard);
+        
+        return { sortKey: keyBetween(renumberedLastKey, null), renumbered: true };
+    };
+    
+    /**
+     * Find the sort keys either side of a position on a board.
+     * Give one neighbour and the other is looked up.
+     * @returns {Promise<object>} - { previousKey, nextKey }
+     */
+    Post.findNeighbourKeys = async function(boardId, { previousKey = null, nextKey = null, excludeId }, options = {}) {
+        const where = { boardId, id: { [Op.ne]: excludeId } };
+        
+        if (previousKey !== null && nextKey === null) {
+            const next = await this.findOne({
+                ...options,
+                where: { ...where, sortKey: { [Op.gt]: previousKey } },
+                order: [['sortKey', 'ASC']]
+            });
+            nextKey = next ? next.sortKey : null;
+        } else if (nextKey !== null && previousKey === null) {
+            const previous = await this.findOne({
+                ...options,
+                where: { ...where, sortKey: { [Op.lt]: nextKey } },
+                order: [['sortKey', 'DESC']]
+            });
+            previousKey = previous ? previous.sortKey : null;
+        } else if (previousKey === null && nextKey === null) {
+            previousKey = (await this.max('sortKey', { ...options, where })) || null;
+        }
+        
+        return { previousKey, nextKey };
+    };
+    
+    /**
+     * Give every post on a board a fresh, evenly spread sort key
+     * @param {Array} posts - Posts in the order they should end up
+     */
+    Post.renumber = async function(posts, options = {}) {
+        const keys = generateKeys(posts.length);
+        for (let i = 0; i < posts.length; i++) {
+            await posts[i].update({ sortKey: keys[i] }, options);
+        }
+    };
+    
+    /**
+     * Backfill sort keys for posts created before manual ordering existed,
+     * keeping the order they were displayed in
+     */
+    Post.ensureSortKeys = async function(boardId, options = {}) {
+        const unkeyed = await this.count({ ...options, where: { boardId, sortKey: null } });
+        if (unkeyed === 0) return;
+        
+        const posts = await this.findAll({ ...options, where: { boardId }, order: Post.LIST_ORDER });
+        await this.renumber(posts, options);
+    };
+    
+    return Post;
+};
@@ -0,0 +1,97 @@
+const { DataTypes } = require('sequelize');
+const { REACTION_TYPES } = require('../utils/validators');
+
+module.exports = (sequelize) => {
+    const Reaction = sequelize.define('Reaction', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        reactionType: {
+            type: DataTypes.STRING(20),
+            field: 'reaction_type',
+            allowNull: false,
+            validate: {
+                isIn: [REACTION_TYPES]
+            }
+        },
+        postId: {
+            type: DataTypes.INTEGER,
+            field: 'post_id',
+            allowNull: false
+        },
+        userId: {
+            type: DataTypes.INTEGER,
+            field: 'user_id',
+            allowNull: false
+        }
+    }, {
+        tableName: 'reactions',
+        timestamps: true,
+        createdAt: 'created_at',
+        updatedAt: false,
+        
+        indexes: [
+            { unique: true, fields: ['post_id', 'user_id'] }
+        ]
+    });
+    
+    Reaction.associate = (models) => {
+        Reaction.belongsTo(models.Post, { foreignKey: 'postId', as: 'post', onDelete: 'CASCADE' });
+        Reaction.belongsTo(models.User, { foreignKey: 'userId', as: 'user', onDelete: 'CASCADE' });
+    };
+    
+    /**
+     * Reaction counts for many posts at once, plus the user's own reaction.
+     * Uses one grouped query (and one more for the user) however many posts there are.
+     * @param {Array<number>} postIds - Posts to summarise
+     * @param {object|null} user - Current user, if signed in
+     * @returns {Promise<Map>} - postId => { counts, total, userReaction }
+     */
+    Reaction.summarize = async function(postIds, user = null) {
+        const summaries = new Map();
+        postIds.forEach(postId => {
+            summaries.set(postId, {
+                counts: Object.fromEntries(REACTION_TYPES.map(type => [type, 0])),
+                total: 0,
+                userReaction: null
+            });
+        });
+        
+        if (postIds.length === 0) return summaries;
+        
+        const rows = await this.findAll({
+            attributes: [
+                'postId',
+                'reactionType',
+                [sequelize.fn('COUNT', sequelize.col('id')), 'count']
+            ],
+            where: { postId: postIds },
+            group: ['postId', 'reactionType'],
+            raw: true
+        });
+        
+        rows.forEach(row => {
+            const summary = summaries.get(row.postId);
+            const count = parseInt(row.count);
+            summary.counts[row.reactionType] = count;
+            summary.total += count;
+        });
+        
+        if (user) {
+            const own = await this.findAll({
+                attributes: ['postId', 'reactionType'],
+                where: { postId: postIds, userId: user.id },
+                raw: true
+            });
+            own.forEach(row => {
+                summaries.get(row.postId).userReaction = row.reactionType;
+            });
+        }
+        
+        return summaries;
+    };
+    
+    return Reaction;
+};
@@ -0,0 +1,91 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const RefreshToken = sequelize.define('RefreshToken', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        // jti claim of the token
+        jti: {
+            type: DataTypes.STRING(64),
+            allowNull: false,
+            unique: true
+        },
+        userId: {
+            type: DataTypes.INTEGER,
+            field: 'user_id',
+            allowNull: false
+        },
+        // Shared by every token rotated from the same sign-in
+        familyId: {
+            type: DataTypes.STRING(64),
+            field: 'family_id',
+            allowNull: false
+        },
+        tokenHash: {
+            type: DataTypes.STRING(64),
+            field: 'token_hash',
+            allowNull: false
+        },
+        expiresAt: {
+            type: DataTypes.DATE,
+            field: 'expires_at',
+            allowNull: false
+        },
+        revokedAt: {
+            type: DataTypes.DATE,
+            field: 'revoked_at'
+        },
+        // jti of the token this one was rotated into
+        replacedBy: {
+            type: DataTypes.STRING(64),
+            field: 'replaced_by'
+        }
+    }, {
+        tableName: 'refresh_tokens',
+        timestamps: true,
+        createdAt: 'created_at',
+        updatedAt: false
+    });
+    
+    RefreshToken.associate = (models) => {
+        RefreshToken.belongsTo(models.User, { foreignKey: 'userId', as: 'user', onDelete: 'CASCADE' });
+    };
+    
+    /**
+     * Whether the token can still be exchanged for a new pair
+     */
+    RefreshToken.prototype.isUsable = function() {
+        return !this.revokedAt && this.expiresAt.getTime() > Date.now();
+    };
+    
+    /**
+     * Mark this token as used, rotated into another one.
+     * Only succeeds once, so two refreshes racing with the same token
+     * cannot both get a new pair.
+     * @param {string} replacementJti - jti of the new token
+     * @returns {Promise<boolean>} - False if it was already revoked
+     */
+    RefreshToken.prototype.rotateTo = async function(replacementJti) {
+        const [count] = await RefreshToken.update(
+            { revokedAt: new Date(), replacedBy: replacementJti },
+            { where: { id: this.id, revokedAt: null } }
+        );
+        return count === 1;
+    };
+    
+    /**
+     * Revoke every live token in a family (one sign-in)
+     */
+    RefreshToken.revokeFamily = async function(familyId, { transaction } = {}) {
+        const [count] = await this.update(
+            { revokedAt: new Date() },
+            { where: { familyId, revokedAt: null }, transaction }
+        );
+        return count;
+    };
+    
+    return RefreshToken;
+};
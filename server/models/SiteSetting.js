@@ -0,0 +1,47 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const SiteSetting = sequelize.define('SiteSetting', {
+        key: {
+            type: DataTypes.STRING(100),
+            primaryKey: true
+        },
+        value: {
+            type: DataTypes.JSONB
+        },
+        updatedBy: {
+            type: DataTypes.INTEGER,
+            field: 'updated_by'
+        }
+    }, {
+        tableName: 'site_settings',
+        timestamps: true,
+        createdAt: false,
+        updatedAt: 'updated_at'
+    });
+    
+    SiteSetting.associate = (models) => {
+        SiteSetting.belongsTo(models.User, { foreignKey: 'updatedBy', as: 'updater', onDelete: 'SET NULL' });
+    };
+    
+    /**
+     * Value of a setting, or the fallback if an admin never set it
+     */
+    SiteSetting.getValue = async function(key, fallback = null) {
+        const setting = await this.findByPk(key);
+        return setting ? setting.value : fallback;
+    };
+    
+    /**
+     * Change a setting
+     * @param {string} key - Setting name
+     * @param {*} value - New value (stored as JSON)
+     * @param {object} user - Admin making the change
+     */
+    SiteSetting.setValue = async function(key, value, user = null) {
+        const [setting] = await this.upsert({ key, value, updatedBy: user ? user.id : null });
+        return setting;
+    };
+    
+    return SiteSetting;
+};
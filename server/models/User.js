@@ -1,5 +1,13 @@
 const { DataTypes } = require('sequelize');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+// Stand-in author for imported content whose author has no account here
+const PLACEHOLDER_USER = {
+    username: 'imported-author',
+    email: 'imported-author@placeholder.invalid',
+    displayName: 'Imported author'
+};
 
 module.exports = (sequelize) => {
     const User = sequelize.define('User', {
@@ -94,6 +102,12 @@ module.exports = (sequelize) => {
         }
     });
     
+    User.associate = (models) => {
+        User.hasMany(models.Board, { foreignKey: 'userId', as: 'boards' });
+        User.hasMany(models.Post, { foreignKey: 'userId', as: 'posts' });
+        User.hasMany(models.Comment, { foreignKey: 'userId', as: 'comments' });
+    };
+    
     async function hashPassword(user) {
         if (user.password) {
             const salt = await bcrypt.genSalt(10);
@@ -105,6 +119,10 @@ module.exports = (sequelize) => {
         return await bcrypt.compare(candidatePassword, this.password);
     };
     
+    User.prototype.updateLastLogin = async function() {
+        return await this.update({ lastLogin: new Date() });
+    };
+    
     User.prototype.getPublicProfile = function() {
         const values = Object.assign({}, this.get());
         delete values.password;
@@ -129,5 +147,22 @@ module.exports = (sequelize) => {
         });
     };
     
+    /**
+     * Inactive account that owns imported content from unknown authors.
+     * It has a random password and cannot sign in.
+     */
+    User.findOrCreatePlaceholder = async function(options = {}) {
+        const [user] = await this.findOrCreate({
+            ...options,
+            where: { username: PLACEHOLDER_USER.username },
+            defaults: {
+                ...PLACEHOLDER_USER,
+                password: crypto.randomBytes(32).toString('hex'),
+                isActive: false
+            }
+        });
+        return user;
+    };
+    
     return User;
 };
\ No newline at end of file
@@ -0,0 +1,112 @@
+const { DataTypes, Op } = require('sequelize');
+const { MFA_CONFIG } = require('../config/config');
+
+module.exports = (sequelize) => {
+    const UserMfa = sequelize.define('UserMfa', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        userId: {
+            type: DataTypes.INTEGER,
+            field: 'user_id',
+            allowNull: false,
+            unique: true
+        },
+        // TOTP secret, encrypted (see services/mfaService)
+        secret: {
+            type: DataTypes.STRING(255),
+            allowNull: false
+        },
+        // Null until the first code is confirmed
+        enabledAt: {
+            type: DataTypes.DATE,
+            field: 'enabled_at'
+        },
+        // Time step of the last accepted code, so a code works only once
+        lastUsedStep: {
+            type: DataTypes.BIGINT,
+            field: 'last_used_step',
+            get() {
+                const value = this.getDataValue('lastUsedStep');
+                return value === null || value === undefined ? null : Number(value);
+            }
+        },
+        // Wrong codes since the last accepted one (or the last lock)
+        failedAttempts: {
+            type: DataTypes.INTEGER,
+            field: 'failed_attempts',
+            allowNull: false,
+            defaultValue: 0
+        },
+        // No codes are checked until then
+        lockedUntil: {
+            type: DataTypes.DATE,
+            field: 'locked_until'
+        }
+    }, {
+        tableName: 'user_mfa',
+        timestamps: true,
+        createdAt: 'created_at',
+        updatedAt: 'updated_at'
+    });
+    
+    UserMfa.associate = (models) => {
+        UserMfa.belongsTo(models.User, { foreignKey: 'userId', as: 'user', onDelete: 'CASCADE' });
+    };
+    
+    UserMfa.prototype.isEnabled = function() {
+        return Boolean(this.enabledAt);
+    };
+    
+    /**
+     * Record that a code from this time step was used. Only succeeds
+     * for a step later than the last one, so a code seen over someone's
+     * shoulder cannot be replayed.
+     * @param {number} step - Time step of the accepted code
+     * @returns {Promise<boolean>} - False if this or a later step was already used
+     */
+    UserMfa.prototype.useStep = async function(step) {
+        const [count] = await UserMfa.update(
+            { lastUsedStep: step },
+            { where: { id: this.id, [Op.or]: [{ lastUsedStep: null }, { lastUsedStep: { [Op.lt]: step } }] } }
+        );
+        return count === 1;
+    };
+    
+    UserMfa.prototype.isLocked = function() {
+        return Boolean(this.lockedUntil) && this.lockedUntil.getTime() > Date.now();
+    };
+    
+    /**
+     * Count a wrong code, locking the user's codes for MFA_CONFIG.LOCKOUT
+     * once MFA_CONFIG.MAX_FAILED_ATTEMPTS are wrong in a row
+     */
+    UserMfa.prototype.recordFailure = async function() {
+        await this.increment('failedAttempts');
+        await this.reload();
+        
+        if (this.failedAttempts >= MFA_CONFIG.MAX_FAILED_ATTEMPTS) {
+            await this.update({ failedAttempts: 0, lockedUntil: new Date(Date.now() + MFA_CONFIG.LOCKOUT) });
+        }
+    };
+    
+    /**
+     * Start counting wrong codes afresh after an accepted one
+     */
+    UserMfa.prototype.clearFailures = async function() {
+        if (this.failedAttempts > 0 || this.lockedUntil) {
+            await this.update({ failedAttempts: 0, lockedUntil: null });
+        }
+    };
+    
+    /**
+     * Enabled 2FA record of a user, if any
+     */
+    UserMfa.findEnabled = async function(userId) {
+        return await this.findOne({ where: { userId, enabledAt: { [Op.ne]: null } } });
+    };
+    
+    return UserMfa;
+};
@@ -0,0 +1,112 @@
+const { DataTypes, Op } = require('sequelize');
+
+// Longest user agent kept for a session
+const MAX_USER_AGENT_LENGTH = 500;
+
+module.exports = (sequelize) => {
+    const UserSession = sequelize.define('UserSession', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        userId: {
+            type: DataTypes.INTEGER,
+            field: 'user_id',
+            allowNull: false
+        },
+        // family_id of the refresh tokens this sign-in rotates through
+        tokenFamily: {
+            type: DataTypes.STRING(64),
+            field: 'token_family',
+            allowNull: false,
+            unique: true
+        },
+        userAgent: {
+            type: DataTypes.STRING(MAX_USER_AGENT_LENGTH),
+            field: 'user_agent',
+            set(value) {
+                this.setDataValue('userAgent', value ? String(value).slice(0, MAX_USER_AGENT_LENGTH) : null);
+            }
+        },
+        ipAddress: {
+            type: DataTypes.STRING(45),
+            field: 'ip_address'
+        },
+        lastUsedAt: {
+            type: DataTypes.DATE,
+            field: 'last_used_at',
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        },
+        revokedAt: {
+            type: DataTypes.DATE,
+            field: 'revoked_at'
+        }
+    }, {
+        tableName: 'user_sessions',
+        timestamps: true,
+        createdAt: 'created_at',
+        updatedAt: false
+    });
+    
+    UserSession.associate = (models) => {
+        UserSession.belongsTo(models.User, { foreignKey: 'userId', as: 'user', onDelete: 'CASCADE' });
+    };
+    
+    /**
+     * What the session owner sees in their session list
+     * @param {number} currentSessionId - Session the request came from
+     */
+    UserSession.prototype.toSummary = function(currentSessionId = null) {
+        return {
+            id: this.id,
+            userAgent: this.userAgent,
+            ipAddress: this.ipAddress,
+            createdAt: this.created_at,
+            lastUsedAt: this.lastUsedAt,
+            current: this.id === currentSessionId
+        };
+    };
+    
+    /**
+     * Sessions a user is still signed in with, most recently used first
+     */
+    UserSession.findActiveForUser = async function(userId) {
+        return await this.findAll({
+            where: { userId, revokedAt: null },
+            order: [['lastUsedAt', 'DESC']]
+        });
+    };
+    
+    /**
+     * Whether a session exists and has not been signed out
+     */
+    UserSession.isActive = async function(sessionId) {
+        const count = await this.count({ where: { id: sessionId, revokedAt: null } });
+        return count > 0;
+    };
+    
+    /**
+     * Sign out the given live sessions of a user
+     * @param {number} userId - User
+     * @param {object} options - { only: session id, except: session id to keep, transaction }
+     * @returns {Promise<Array>} - The sessions that were revoked
+     */
+    UserSession.revokeForUser = async function(userId, { only = null, except = null, transaction } = {}) {
+        const where = { userId, revokedAt: null };
+        if (only) where.id = only;
+        if (except) where.id = { [Op.ne]: except };
+        
+        const sessions = await this.findAll({ where, transaction });
+        if (sessions.length) {
+            await this.update(
+                { revokedAt: new Date() },
+                { where: { id: sessions.map(session => session.id) }, transaction }
+            );
+        }
+        return sessions;
+    };
+    
+    return UserSession;
+};
@@ -5,9 +5,29 @@ const db = {};
 
 // Load models manually
 db.User = require('./User')(sequelize, Sequelize.DataTypes);
+db.Board = require('./Board')(sequelize, Sequelize.DataTypes);
+db.BoardCollaborator = require('./BoardCollaborator')(sequelize, Sequelize.DataTypes);
+db.BoardSlugHistory = require('./BoardSlugHistory')(sequelize, Sequelize.DataTypes);
+db.Post = require('./Post')(sequelize, Sequelize.DataTypes);
+db.Comment = require('./Comment')(sequelize, Sequelize.DataTypes);
+db.Reaction = require('./Reaction')(sequelize, Sequelize.DataTypes);
+db.LinkPreview = require('./LinkPreview')(sequelize, Sequelize.DataTypes);
+db.SiteSetting = require('./SiteSetting')(sequelize, Sequelize.DataTypes);
+db.RefreshToken = require('./RefreshToken')(sequelize, Sequelize.DataTypes);
+db.UserSession = require('./UserSession')(sequelize, Sequelize.DataTypes);
+db.PasswordResetToken = require('./PasswordResetToken')(sequelize, Sequelize.DataTypes);
+db.UserMfa = require('./UserMfa')(sequelize, Sequelize.DataTypes);
+db.MfaRecoveryCode = require('./MfaRecoveryCode')(sequelize, Sequelize.DataTypes);
+
+// Set up associations once every model is loaded
+Object.keys(db).forEach(modelName => {
+    if (db[modelName].associate) {
+        db[modelName].associate(db);
+    }
+});
 
 // Store sequelize instances
 db.sequelize = sequelize;
 db.Sequelize = Sequelize;
 
-module.exports = db;
\ No newline at end of file
+module.exports = db;
@@ -0,0 +1,80 @@
+/**
+ * ============================================
+ * BOARD EVENTS
+ * ============================================
+ * In-process event bus. Controllers publish board changes here;
+ * the realtime socket server forwards them to subscribed clients.
+ * ============================================
+ */
+
+const { EventEmitter } = require('events');
+
+// Every event a board can publish
+const EVENT_TYPES = {
+    BOARD_UPDATED: 'board.updated',
+    BOARD_DELETED: 'board.deleted',
+    POST_CREATED: 'post.created',
+    POST_UPDATED: 'post.updated',
+    POST_MOVED: 'post.moved',
+    POST_REORDERED: 'post.reordered',
+    POST_SECTION_CHANGED: 'post.section_changed',
+    POST_DELETED: 'post.deleted',
+    COMMENT_ADDED: 'comment.added',
+    COMMENT_UPDATED: 'comment.updated',
+    COMMENT_DELETED: 'comment.deleted',
+    REACTION_CHANGED: 'reaction.changed',
+    COLLABORATOR_JOINED: 'collaborator.joined',
+    COLLABORATOR_UPDATED: 'collaborator.updated',
+    COLLABORATOR_REMOVED: 'collaborator.removed'
+};
+
+const KNOWN_TYPES = new Set(Object.values(EVENT_TYPES));
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+/**
+ * Publish a change on a board
+ * @param {number} boardId - Board the change happened on
+ * @param {string} type - One of EVENT_TYPES
+ * @param {object} data - Event payload (models are serialised with toJSON)
+ * @param {object} actor - User who made the change (req.user)
+ */
+function publish(boardId, type, data = {}, actor = null) {
+    if (!KNOWN_TYPES.has(type)) {
+        throw new Error(`Unknown board event type: ${type}`);
+    }
+    
+    const event = {
+        type,
+        boardId,
+        data: JSON.parse(JSON.stringify(data)),
+        actorId: actor ? actor.id : null,
+        timestamp: new Date().toISOString()
+    };
+    
+    // A failing listener must never fail the request that published the event
+    bus.listeners('event').forEach(listener => {
+        try {
+            listener(event);
+        } catch (error) {
+            console.error('Board event listener error:', error);
+        }
+    });
+}
+
+/**
+ * Listen to every published board event
+ * @param {function} listener - Called with { type, boardId, data, actorId, timestamp }
+ * @returns {function} - Call to stop listening
+ */
+function subscribe(listener) {
+    bus.on('event', listener);
+    return () => bus.off('event', listener);
+}
+
+module.exports = {
+    EVENT_TYPES,
+    publish,
+    subscribe
+};
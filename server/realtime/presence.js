@@ -0,0 +1,279 @@
+/**
+ * ============================================
+ * BOARD PRESENCE
+ * ============================================
+ * Who is on a board right now, where their cursor is, what they have
+ * selected and which posts they are editing. Runs on top of the
+ * realtime socket server; everything is dropped when a connection closes.
+ * ============================================
+ */
+
+const db = require('../models');
+const { REALTIME_CONFIG, CANVAS_CONFIG } = require('../config/config');
+const { meetsPermission } = require('../utils/validators');
+const { createThrottle } = require('../utils/throttle');
+
+/**
+ * Error with a response code, sent back to the client
+ */
+function presenceError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Public details of a user shown to other people on the board
+ */
+function publicUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        displayName: user.displayName || user.username
+    };
+}
+
+/**
+ * Add presence messages and join/leave tracking to a realtime server
+ * @param {object} realtime - Result of createRealtimeServer / attachRealtime
+ * @returns {object} - { getBoardPresence }
+ */
+function attachPresence(realtime) {
+    // boardId => { members: Map(userId => member), editing: Map(postId => lock) }
+    const boards = new Map();
+    
+    function getBoardState(boardId) {
+        if (!boards.has(boardId)) {
+            boards.set(boardId, { members: new Map(), editing: new Map() });
+        }
+        return boards.get(boardId);
+    }
+    
+    /**
+     * Send a presence update to everyone on the board except the sender
+     */
+    function announce(boardId, event, data, except = null) {
+        realtime.broadcast(boardId, { type: 'presence', event, boardId, ...data }, { except });
+    }
+    
+    /**
+     * Current state of a board, as sent to someone who joins
+     */
+    function getBoardPresence(boardId) {
+        const state = boards.get(boardId);
+        if (!state) return { users: [], editing: [] };
+        
+        return {
+            users: [...state.members.values()].map(member => ({
+                ...publicUser(member.user),
+                cursor: member.cursor,
+                selection: member.selection
+            })),
+            editing: [...state.editing.entries()].map(([postId, lock]) => ({
+                postId,
+                userId: lock.userId
+            }))
+        };
+    }
+    
+    /**
+     * Release a post a user was editing
+     */
+    function releaseLock(boardId, postId) {
+        const state = boards.get(boardId);
+        const lock = state && state.editing.get(postId);
+        if (!lock) return;
+        
+        clearTimeout(lock.timer);
+        state.editing.delete(postId);
+        announce(boardId, 'presence.editing', { postId, user: publicUser(lock.user), editing: false });
+    }
+    
+    /**
+     * Release every post a user is editing on a board
+     */
+    function releaseLocksOf(boardId, userId) {
+        const state = boards.get(boardId);
+        if (!state) return;
+        
+        state.editing.forEach((lock, postId) => {
+            if (lock.userId === userId) releaseLock(boardId, postId);
+        });
+    }
+    
+    /**
+     * Find the caller's presence on a board, refusing anonymous or unsubscribed clients
+     */
+    function requireMember(client, message) {
+        const boardId = parseInt(message.boardId);
+        
+        if (!client.user) {
+            throw presenceError('NOT_AUTHENTICATED', 'Sign in to share presence');
+        }
+        
+        const state = boards.get(boardId);
+        const member = state && state.members.get(client.user.id);
+        
+        if (!client.boards.has(boardId) || !member) {
+            throw presenceError('NOT_SUBSCRIBED', 'Subscribe to the board first');
+        }
+        
+        return { boardId, state, member };
+    }
+    
+    // Someone starts following a board
+    realtime.onSubscribe((client, boardId) => {
+        realtime.send(client, { type: 'presence.state', boardId, ...getBoardPresence(boardId) });
+        
+        // Anonymous viewers of public boards are not shown
+        if (!client.user) return;
+        
+        const state = getBoardState(boardId);
+        const existing = state.members.get(client.user.id);
+        
+        if (existing) {
+            existing.clients.add(client);
+            return;
+        }
+        
+        const member = {
+            user: client.user,
+            clients: new Set([client]),
+            cursor: null,
+            selection: [],
+            sendCursor: createThrottle(REALTIME_CONFIG.CURSOR_INTERVAL, (cursor, sender) => {
+                announce(boardId, 'presence.cursor', { user: publicUser(client.user), cursor }, sender);
+            })
+        };
+        state.members.set(client.user.id, member);
+        
+        announce(boardId, 'presence.joined', { user: publicUser(client.user) }, client);
+    });
+    
+    // Someone stops following a board or disconnects
+    realtime.onUnsubscribe((client, boardId) => {
+        const state = boards.get(boardId);
+        const member = client.user && state && state.members.get(client.user.id);
+        if (!member) return;
+        
+        member.clients.delete(client);
+        
+        // Still there in another tab
+        if (member.clients.size > 0) return;
+        
+        member.sendCursor.cancel();
+        state.members.delete(client.user.id);
+        releaseLocksOf(boardId, client.user.id);
+        
+        announce(boardId, 'presence.left', { user: publicUser(client.user) });
+        
+        if (state.members.size === 0) boards.delete(boardId);
+    });
+    
+    // Someone lowered to viewer stops editing
+    realtime.onPermissionChange((client, boardId, permission) => {
+        if (client.user && !meetsPermission(permission, 'editor')) {
+            releaseLocksOf(boardId, client.user.id);
+        }
+    });
+    
+    realtime.registerHandler('presence.cursor', async (client, message) => {
+        const { boardId, member } = requireMember(client, message);
+        const { x, y } = message;
+        
+        if (!Number.isFinite(x) || !Number.isFinite(y) ||
+            x < 0 || y < 0 || x > CANVAS_CONFIG.WIDTH || y > CANVAS_CONFIG.HEIGHT) {
+            throw presenceError('INVALID_CURSOR', 'Cursor must be inside the canvas');
+        }
+        
+        member.cursor = { x: Math.round(x), y: Math.round(y) };
+        member.sendCursor(member.cursor, client);
+        return null;
+    });
+    
+    realtime.registerHandler('presence.select', async (client, message) => {
+        const { boardId, member } = requireMember(client, message);
+        const postIds = message.postIds;
+        
+        if (!Array.isArray(postIds) || postIds.length > CANVAS_CONFIG.MAX_BATCH_SIZE ||
+            !postIds.every(id => Number.isInteger(id) && id > 0)) {
+            throw presenceError('INVALID_SELECTION', 'postIds must be a list of post IDs');
+        }
+        
+        member.selection = [...new Set(postIds)];
+        announce(boardId, 'presence.selection', {
+            user: publicUser(client.user),
+            postIds: member.selection
+        }, client);
+        return null;
+    });
+    
+    realtime.registerHandler('presence.editing', async (client, message) => {
+        let { boardId, state } = requireMember(client, message);
+        const postId = parseInt(message.postId);
+        
+        if (!postId || postId < 1) {
+            throw presenceError('INVALID_POST', 'postId must be a post ID');
+        }
+        
+        if (message.editing === false) {
+            const current = state.editing.get(postId);
+            if (current && current.userId === client.user.id) releaseLock(boardId, postId);
+            return { type: 'presence.editing', boardId, postId, editing: false };
+        }
+        
+        // Only posts on this board can be locked; a held lock was checked when taken
+        if (!state.editing.has(postId)) {
+            if (!await db.Post.count({ where: { id: postId, boardId } })) {
+                throw presenceError('POST_NOT_FOUND', 'Post not found on this board');
+            }
+            // The client may have left the board while the post was looked up
+            ({ state } = requireMember(client, message));
+        }
+        
+        if (!meetsPermission(client.boards.get(boardId), 'editor')) {
+            throw presenceError('BOARD_ACCESS_DENIED', 'Only board editors can edit posts');
+        }
+        
+        const current = state.editing.get(postId);
+        
+        if (current && current.userId !== client.user.id) {
+            throw presenceError('POST_BEING_EDITED', `${publicUser(current.user).displayName} is editing this post`);
+        }
+        
+        // Renewing an existing signal just restarts its timeout
+        if (current) clearTimeout(current.timer);
+        
+        const lock = {
+            userId: client.user.id,
+            user: client.user,
+            timer: setTimeout(() => releaseLock(boardId, postId), REALTIME_CONFIG.EDIT_TIMEOUT)
+        };
+        lock.timer.unref();
+        state.editing.set(postId, lock);
+        
+        if (!current) {
+            announce(boardId, 'presence.editing', { postId, user: publicUser(client.user), editing: true }, client);
+        }
+        
+        return { type: 'presence.editing', boardId, postId, editing: true, expiresIn: REALTIME_CONFIG.EDIT_TIMEOUT };
+    });
+    
+    realtime.registerHandler('presence.list', async (client, message) => {
+        const boardId = parseInt(message.boardId);
+        
+        if (!client.boards.has(boardId)) {
+            throw presenceError('NOT_SUBSCRIBED', 'Subscribe to the board first');
+        }
+        
+        return { type: 'presence.state', boardId, ...getBoardPresence(boardId) };
+    });
+    
+    return {
+        getBoardPresence
+    };
+}
+
+module.exports = {
+    attachPresence
+};
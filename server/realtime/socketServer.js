@@ -0,0 +1,448 @@
+/**
+ * ============================================
+ * REALTIME SOCKET SERVER
+ * ============================================
+ * WebSocket endpoint for live board updates.
+ * Clients authenticate with the same access JWT as the REST API
+ * (Authorization header, or ?token= for browsers), subscribe to boards
+ * they can view and receive typed board events.
+ * ============================================
+ */
+
+const { WebSocketServer, WebSocket } = require('ws');
+const db = require('../models');
+const { verifyToken, JWT_CONFIG } = require('../config/jwt');
+const { REALTIME_CONFIG } = require('../config/config');
+const { meetsPermission } = require('../utils/validators');
+const events = require('./events');
+
+const { EVENT_TYPES } = events;
+
+// Events after which every subscriber's access to the board is checked again
+const ACCESS_EVENTS = [
+    EVENT_TYPES.BOARD_UPDATED,
+    EVENT_TYPES.COLLABORATOR_UPDATED,
+    EVENT_TYPES.COLLABORATOR_REMOVED
+];
+
+// Close codes sent to clients
+const CLOSE_CODES = {
+    TOKEN_EXPIRED: 4001,
+    SERVER_SHUTDOWN: 1001
+};
+
+/**
+ * Error with a response code, sent back to the client
+ */
+function realtimeError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Work out who is connecting from the upgrade request.
+ * No token means an anonymous connection (public boards only).
+ * @returns {Promise<object>} - { user, expiresAt }
+ */
+async function authenticateUpgrade(req) {
+    const url = new URL(req.url, 'http://localhost');
+    const authHeader = req.headers.authorization;
+    const token = authHeader && authHeader.startsWith('Bearer ')
+        ? authHeader.split(' ')[1]
+        : url.searchParams.get('token');
+    
+    if (!token) {
+        return { user: null, expiresAt: null };
+    }
+    
+    const decoded = verifyToken(token, JWT_CONFIG.TOKEN_TYPES.ACCESS);
+    
+    if (decoded.tokenType !== JWT_CONFIG.TOKEN_TYPES.ACCESS) {
+        throw realtimeError('INVALID_TOKEN_TYPE', 'Invalid token type.');
+    }
+    
+    const account = await db.User.findByPk(decoded.userId, {
+        attributes: ['id', 'username', 'displayName', 'isActive']
+    });
+    
+    if (!account || !account.isActive) {
+        throw realtimeError('INVALID_TOKEN', 'Invalid or expired token.');
+    }
+    
+    // Sockets outlive requests, so a signed-out session may not open one
+    if (decoded.sid && !await db.UserSession.isActive(decoded.sid)) {
+        throw realtimeError('SESSION_REVOKED', 'Session has been signed out.');
+    }
+    
+    return {
+        user: {
+            id: decoded.userId,
+            email: decoded.email,
+            role: decoded.role,
+            username: account.username,
+            displayName: account.displayName
+        },
+        expiresAt: decoded.exp ? decoded.exp * 1000 : null
+    };
+}
+
+/**
+ * Refuse an upgrade request with a plain HTTP status
+ */
+function rejectUpgrade(socket, status, message) {
+    socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+    socket.destroy();
+}
+
+/**
+ * Create the realtime server
+ * @returns {object} - { handleUpgrade, registerHandler, onSubscribe, onUnsubscribe,
+ *   onPermissionChange, send, broadcast, close }
+ */
+function createRealtimeServer() {
+    const wss = new WebSocketServer({
+        noServer: true,
+        maxPayload: REALTIME_CONFIG.MAX_MESSAGE_SIZE
+    });
+    
+    // boardId => Set of connected clients following that board
+    const subscribers = new Map();
+    const subscribeHandlers = [];
+    const unsubscribeHandlers = [];
+    const permissionChangeHandlers = [];
+    
+    /**
+     * Send a JSON message to one client
+     */
+    function send(client, message) {
+        if (client.socket.readyState === WebSocket.OPEN) {
+            client.socket.send(JSON.stringify(message));
+        }
+    }
+    
+    /**
+     * Send a JSON message to everyone following a board
+     * @param {object} options - { except: client to skip }
+     */
+    function broadcast(boardId, message, { except = null } = {}) {
+        const clients = subscribers.get(boardId);
+        if (!clients) return;
+        
+        const payload = JSON.stringify(message);
+        clients.forEach(client => {
+            if (client !== except && client.socket.readyState === WebSocket.OPEN) {
+                client.socket.send(payload);
+            }
+        });
+    }
+    
+    /**
+     * Stop a client following a board
+     * @param {string} reason - Sent to the client when the server ends the subscription
+     */
+    function removeSubscription(client, boardId, reason = null) {
+        if (!client.boards.delete(boardId)) return;
+        
+        const clients = subscribers.get(boardId);
+        if (clients) {
+            clients.delete(client);
+            if (clients.size === 0) subscribers.delete(boardId);
+        }
+        
+        if (reason) {
+            send(client, { type: 'unsubscribed', boardId, reason });
+        }
+        
+        unsubscribeHandlers.forEach(handler => handler(client, boardId));
+    }
+    
+    /**
+     * Drop subscribers that can no longer view a board
+     */
+    async function recheckAccess(boardId) {
+        const clients = subscribers.get(boardId);
+        if (!clients) return;
+        
+        const board = await db.Board.findByPk(boardId);
+        
+        for (const client of [...clients]) {
+            const permission = board ? await board.getPermissionFor(client.user) : null;
+            
+            if (meetsPermission(permission, 'viewer')) {
+                const previous = client.boards.get(boardId);
+                client.boards.set(boardId, permission);
+                if (permission !== previous) {
+                    permissionChangeHandlers.forEach(handler => handler(client, boardId, permission));
+                }
+            } else {
+                removeSubscription(client, boardId, 'ACCESS_REVOKED');
+            }
+        }
+    }
+    
+    // Client message types and what to do with them
+    const handlers = {
+        async subscribe(client, message) {
+            const board = message.boardId ? await db.Board.findByIdOrSlug(String(message.boardId)) : null;
+            
+            if (!board) {
+                throw realtimeError('BOARD_NOT_FOUND', 'Board not found');
+            }
+            
+            const permission = await board.getPermissionFor(client.user);
+            
+            if (!meetsPermission(permission, 'viewer')) {
+                throw client.user
+                    ? realtimeError('BOARD_ACCESS_DENIED', 'You do not have access to this board.')
+                    : realtimeError('NOT_AUTHENTICATED', 'Authentication required to access this board.');
+            }
+            
+            if (!client.boards.has(board.id) && client.boards.size >= REALTIME_CONFIG.MAX_SUBSCRIPTIONS) {
+                throw realtimeError('TOO_MANY_SUBSCRIPTIONS', `A connection can follow at most ${REALTIME_CONFIG.MAX_SUBSCRIPTIONS} boards`);
+            }
+            
+            const isNew = !client.boards.has(board.id);
+            client.boards.set(board.id, permission);
+            if (!subscribers.has(board.id)) subscribers.set(board.id, new Set());
+            subscribers.get(board.id).add(client);
+            
+            send(client, { type: 'subscribed', boardId: board.id, permission, requestId: message.requestId });
+            
+            if (isNew) {
+                subscribeHandlers.forEach(handler => handler(client, board.id));
+            }
+            return null;
+        },
+        
+        async unsubscribe(client, message) {
+            const boardId = parseInt(message.boardId);
+            removeSubscription(client, boardId);
+            return { type: 'unsubscribed', boardId };
+        },
+        
+        async ping() {
+            return { type: 'pong' };
+        }
+    };
+    
+    /**
+     * Handle one message from a client
+     */
+    async function handleMessage(client, raw) {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch (error) {
+            message = null;
+        }
+        
+        const handler = message && typeof message.type === 'string' && Object.prototype.hasOwnProperty.call(handlers, message.type)
+            ? handlers[message.type]
+            : null;
+        
+        if (!handler) {
+            return send(client, { type: 'error', code: 'INVALID_MESSAGE', message: 'Unknown or malformed message' });
+        }
+        
+        try {
+            const reply = await handler(client, message);
+            if (reply) {
+                send(client, { ...reply, requestId: message.requestId });
+            }
+        } catch (error) {
+            if (!error.code) {
+                console.error('Realtime message error:', error);
+            }
+            send(client, {
+                type: 'error',
+                code: error.code || 'REALTIME_ERROR',
+                message: error.code ? error.message : 'Something went wrong',
+                requestId: message.requestId
+            });
+        }
+    }
+    
+    wss.on('connection', (socket, req, auth) => {
+        const client = {
+            socket,
+            user: auth.user,
+            boards: new Map(),     // boardId => permission
+            expiryTimer: null
+        };
+        
+        socket.isAlive = true;
+        
+        // Access tokens are short-lived; the client reconnects with a fresh one
+        if (auth.expiresAt) {
+            client.expiryTimer = setTimeout(() => {
+                socket.close(CLOSE_CODES.TOKEN_EXPIRED, 'Token expired');
+            }, Math.max(auth.expiresAt - Date.now(), 0));
+        }
+        
+        socket.on('pong', () => {
+            socket.isAlive = true;
+        });
+        
+        socket.on('message', raw => {
+            handleMessage(client, raw.toString());
+        });
+        
+        socket.on('close', () => {
+            clearTimeout(client.expiryTimer);
+            [...client.boards.keys()].forEach(boardId => removeSubscription(client, boardId));
+        });
+        
+        socket.on('error', error => {
+            console.error('Realtime socket error:', error.message);
+        });
+        
+        send(client, {
+            type: 'welcome',
+            user: client.user ? { id: client.user.id, username: client.user.username } : null
+        });
+    });
+    
+    /**
+     * Send one board event to the board's subscribers
+     */
+    async function deliverEvent(event) {
+        if (ACCESS_EVENTS.includes(event.type)) {
+            await recheckAccess(event.boardId);
+        }
+        
+        broadcast(event.boardId, {
+            type: 'event',
+            event: event.type,
+            boardId: event.boardId,
+            data: event.data,
+            actorId: event.actorId,
+            timestamp: event.timestamp
+        });
+        
+        if (event.type === EVENT_TYPES.BOARD_DELETED) {
+            const clients = subscribers.get(event.boardId) || new Set();
+            [...clients].forEach(client => removeSubscription(client, event.boardId, 'BOARD_DELETED'));
+        }
+    }
+    
+    // boardId => delivery of the board's latest event. Each board's events
+    // wait for the ones before them, so nothing published after an access
+    // change reaches a client before the change has been checked.
+    const deliveries = new Map();
+    
+    // Forward board events to subscribers
+    const stopListening = events.subscribe(event => {
+        const delivery = (deliveries.get(event.boardId) || Promise.resolve())
+            .then(() => deliverEvent(event))
+            .catch(error => {
+                console.error('Realtime broadcast error:', error);
+            });
+        
+        deliveries.set(event.boardId, delivery);
+        delivery.then(() => {
+            if (deliveries.get(event.boardId) === delivery) deliveries.delete(event.boardId);
+        });
+    });
+    
+    // Drop connections that stop answering pings
+    const heartbeat = setInterval(() => {
+        wss.clients.forEach(socket => {
+            if (socket.isAlive === false) return socket.terminate();
+            socket.isAlive = false;
+            socket.ping();
+        });
+    }, REALTIME_CONFIG.HEARTBEAT_INTERVAL);
+    heartbeat.unref();
+    
+    return {
+        wss,
+        
+        /**
+         * Handle an HTTP upgrade request for the realtime path
+         */
+        async handleUpgrade(req, socket, head) {
+            try {
+                const auth = await authenticateUpgrade(req);
+                wss.handleUpgrade(req, socket, head, ws => {
+                    wss.emit('connection', ws, req, auth);
+                });
+            } catch (error) {
+                rejectUpgrade(socket, 401, 'Unauthorized');
+            }
+        },
+        
+        /**
+         * Add a client message type (e.g. presence)
+         * @param {string} type - Message type
+         * @param {function} handler - async (client, message) => reply or null
+         */
+        registerHandler(type, handler) {
+            handlers[type] = handler;
+        },
+        
+        /**
+         * Run a callback when a client starts following a board
+         * @param {function} handler - (client, boardId) => void
+         */
+        onSubscribe(handler) {
+            subscribeHandlers.push(handler);
+        },
+        
+        /**
+         * Run a callback when a client stops following a board
+         * @param {function} handler - (client, boardId) => void
+         */
+        onUnsubscribe(handler) {
+            unsubscribeHandlers.push(handler);
+        },
+        
+        /**
+         * Run a callback when a subscriber's permission on a board changes
+         * but still lets them view it
+         * @param {function} handler - (client, boardId, permission) => void
+         */
+        onPermissionChange(handler) {
+            permissionChangeHandlers.push(handler);
+        },
+        
+        send,
+        broadcast,
+        
+        /**
+         * Close every connection and stop listening for events
+         */
+        close() {
+            clearInterval(heartbeat);
+            stopListening();
+            wss.clients.forEach(socket => socket.close(CLOSE_CODES.SERVER_SHUTDOWN, 'Server shutting down'));
+            wss.close();
+        }
+    };
+}
+
+/**
+ * Attach the realtime endpoint to an HTTP server
+ * @param {http.Server} server - Server returned by http.createServer
+ * @returns {object} - The realtime server (see createRealtimeServer)
+ */
+function attachRealtime(server) {
+    const realtime = createRealtimeServer();
+    
+    server.on('upgrade', (req, socket, head) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        
+        if (pathname !== REALTIME_CONFIG.PATH) {
+            return rejectUpgrade(socket, 404, 'Not Found');
+        }
+        
+        realtime.handleUpgrade(req, socket, head);
+    });
+    
+    return realtime;
+}
+
+module.exports = {
+    attachRealtime,
+    createRealtimeServer
+};
@@ -0,0 +1,69 @@
+/**
+ * ============================================
+ * ADMIN ROUTES
+ * ============================================
+ * Site-wide settings, nested under /api/admin
+ * ============================================
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const adminController = require('../controllers/adminController');
+
+// Import middleware
+const { authenticate, authorize } = require('../middleware/auth');
+const { updateVideoProvidersValidation, updateAuthSettingsValidation } = require('../middleware/validation');
+
+/**
+ * @route   GET /api/admin/video-providers
+ * @desc    List video providers and whether each is allowed
+ * @access  Private (Admin)
+ */
+router.get(
+    '/video-providers',
+    authenticate,
+    authorize('admin'),
+    adminController.getVideoProviders
+);
+
+/**
+ * @route   PUT /api/admin/video-providers
+ * @desc    Set the video providers new video posts may use
+ * @access  Private (Admin)
+ */
+router.put(
+    '/video-providers',
+    authenticate,
+    authorize('admin'),
+    updateVideoProvidersValidation,
+    adminController.updateVideoProviders
+);
+
+/**
+ * @route   GET /api/admin/auth-settings
+ * @desc    Show account rules (email verification, roles that must use 2FA)
+ * @access  Private (Admin)
+ */
+router.get(
+    '/auth-settings',
+    authenticate,
+    authorize('admin'),
+    adminController.getAuthSettings
+);
+
+/**
+ * @route   PUT /api/admin/auth-settings
+ * @desc    Change account rules
+ * @access  Private (Admin)
+ */
+router.put(
+    '/auth-settings',
+    authenticate,
+    authorize('admin'),
+    updateAuthSettingsValidation,
+    adminController.updateAuthSettings
+);
+
+module.exports = router;
@@ -14,14 +14,26 @@ const authController = require('../controllers/authController');
 
 // Import middleware
 const { authenticate, authorize, verifyRefreshToken } = require('../middleware/auth');
-const { authLimiter, passwordResetLimiter } = require('../middleware/rateLimit');
+const {
+    authLimiter,
+    passwordResetLimiter,
+    emailVerificationLimiter,
+    mfaLimiter,
+    mfaSetupLimiter
+} = require('../middleware/rateLimit');
 const {
     registerValidation,
     loginValidation,
     forgotPasswordValidation,
     resetPasswordValidation,
     updateProfileValidation,
-    changePasswordValidation
+    changePasswordValidation,
+    sessionIdValidation,
+    userIdValidation,
+    mfaLoginValidation,
+    mfaTokenValidation,
+    mfaCodeValidation,
+    disableMfaValidation
 } = require('../middleware/validation');
 
 /**
@@ -38,7 +50,7 @@ router.post(
 
 /**
  * @route   POST /api/auth/login
- * @desc    Login user
+ * @desc    Login user (with 2FA this returns an MFA pending token instead of tokens)
  * @access  Public
  */
 router.post(
@@ -48,9 +60,33 @@ router.post(
     authController.login
 );
 
+/**
+ * @route   POST /api/auth/login/mfa
+ * @desc    Finish logging in with an MFA pending token and a 2FA or recovery code
+ * @access  Public (with MFA pending token)
+ */
+router.post(
+    '/login/mfa',
+    mfaLimiter, // Rate limiting for code guesses
+    mfaLoginValidation,
+    authController.loginWithMfa
+);
+
+/**
+ * @route   POST /api/auth/login/mfa/setup
+ * @desc    Start the 2FA setup a role requires before login can finish
+ * @access  Public (with MFA pending token)
+ */
+router.post(
+    '/login/mfa/setup',
+    mfaSetupLimiter,
+    mfaTokenValidation,
+    authController.startLoginMfaSetup
+);
+
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user
+ * @desc    Logout user (revokes the refresh token sent in the body)
  * @access  Private
  */
 router.post(
@@ -61,7 +97,7 @@ router.post(
 
 /**
  * @route   POST /api/auth/refresh-token
- * @desc    Refresh access token
+ * @desc    Exchange a refresh token for a new access and refresh token
  * @access  Public (with valid refresh token)
  */
 router.post(
@@ -70,6 +106,40 @@ router.post(
     authController.refreshToken
 );
 
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the current user's active sessions
+ * @access  Private
+ */
+router.get(
+    '/sessions',
+    authenticate,
+    authController.listSessions
+);
+
+/**
+ * @route   DELETE /api/auth/sessions/others
+ * @desc    Sign out every session except the current one
+ * @access  Private
+ */
+router.delete(
+    '/sessions/others',
+    authenticate,
+    authController.revokeOtherSessions
+);
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Sign out one of the current user's sessions
+ * @access  Private
+ */
+router.delete(
+    '/sessions/:sessionId',
+    authenticate,
+    sessionIdValidation,
+    authController.revokeSession
+);
+
 /**
  * @route   GET /api/auth/me
  * @desc    Get current user profile
@@ -138,6 +208,79 @@ router.get(
     authController.verifyEmail
 );
 
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Send a new email verification link
+ * @access  Private
+ */
+router.post(
+    '/resend-verification',
+    authenticate,
+    emailVerificationLimiter, // Rate limiting per user
+    authController.resendVerification
+);
+
+/**
+ * @route   GET /api/auth/mfa
+ * @desc    Show whether two-factor authentication is enabled
+ * @access  Private
+ */
+router.get(
+    '/mfa',
+    authenticate,
+    authController.getMfa
+);
+
+/**
+ * @route   POST /api/auth/mfa/setup
+ * @desc    Start setting up two-factor authentication (returns an otpauth URI)
+ * @access  Private
+ */
+router.post(
+    '/mfa/setup',
+    authenticate,
+    authController.setupMfa
+);
+
+/**
+ * @route   POST /api/auth/mfa/setup/verify
+ * @desc    Enable two-factor authentication with a first code (returns recovery codes)
+ * @access  Private
+ */
+router.post(
+    '/mfa/setup/verify',
+    authenticate,
+    mfaLimiter,
+    mfaCodeValidation,
+    authController.verifyMfaSetup
+);
+
+/**
+ * @route   POST /api/auth/mfa/recovery-codes
+ * @desc    Replace the recovery codes
+ * @access  Private
+ */
+router.post(
+    '/mfa/recovery-codes',
+    authenticate,
+    mfaLimiter,
+    mfaCodeValidation,
+    authController.regenerateRecoveryCodes
+);
+
+/**
+ * @route   DELETE /api/auth/mfa
+ * @desc    Disable two-factor authentication
+ * @access  Private
+ */
+router.delete(
+    '/mfa',
+    authenticate,
+    mfaLimiter,
+    disableMfaValidation,
+    authController.disableMfa
+);
+
 /**
  * @route   GET /api/auth/admin/users
  * @desc    Get all users (admin only)
@@ -170,6 +313,32 @@ router.get(
     }
 );
 
+/**
+ * @route   GET /api/auth/admin/users/:userId/sessions
+ * @desc    List a user's active sessions (admin only)
+ * @access  Private (Admin)
+ */
+router.get(
+    '/admin/users/:userId/sessions',
+    authenticate,
+    authorize('admin'),
+    userIdValidation,
+    authController.listUserSessions
+);
+
+/**
+ * @route   POST /api/auth/admin/users/:userId/logout
+ * @desc    Sign a user out of every session (admin only)
+ * @access  Private (Admin)
+ */
+router.post(
+    '/admin/users/:userId/logout',
+    authenticate,
+    authorize('admin'),
+    userIdValidation,
+    authController.forceLogoutUser
+);
+
 /**
  * @route   GET /api/auth/test
  * @desc    Test authentication
@@ -0,0 +1,156 @@
+/**
+ * ============================================
+ * BOARD ROUTES
+ * ============================================
+ * All board-related API endpoints
+ * ============================================
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const boardController = require('../controllers/boardController');
+
+// Nested routers
+const postRoutes = require('./postRoutes');
+const collaboratorRoutes = require('./collaboratorRoutes');
+const uploadRoutes = require('./uploadRoutes');
+
+// Import middleware
+const { authenticate, optionalAuth, requireVerifiedEmail, requireBoardAccess } = require('../middleware/auth');
+const { uploadArchive } = require('../middleware/upload');
+const {
+    createBoardValidation,
+    duplicateBoardValidation,
+    updateBoardValidation,
+    importBoardValidation,
+    paginationValidation
+} = require('../middleware/validation');
+
+/**
+ * @route   POST /api/boards
+ * @desc    Create a new board (pass templateId to start from a template)
+ * @access  Private
+ */
+router.post(
+    '/',
+    authenticate,
+    requireVerifiedEmail,
+    createBoardValidation,
+    boardController.createBoard
+);
+
+/**
+ * @route   POST /api/boards/import
+ * @desc    Recreate a board from an exported archive (multipart field "archive");
+ *          ?authors=placeholder|match decides who authors imported content;
+ *          match only claims the importer's own account (any account for admins)
+ * @access  Private
+ */
+router.post(
+    '/import',
+    authenticate,
+    requireVerifiedEmail,
+    importBoardValidation,
+    uploadArchive('archive'),
+    boardController.importBoard
+);
+
+/**
+ * @route   GET /api/boards
+ * @desc    Get boards owned by the current user
+ * @access  Private
+ */
+router.get(
+    '/',
+    authenticate,
+    paginationValidation,
+    boardController.getMyBoards
+);
+
+/**
+ * @route   GET /api/boards/templates
+ * @desc    List board templates the current user can use
+ * @access  Public (public templates) / Private (own and shared templates)
+ */
+router.get(
+    '/templates',
+    optionalAuth,
+    paginationValidation,
+    boardController.getTemplates
+);
+
+/**
+ * @route   GET /api/boards/:boardId
+ * @desc    Get a board by id or slug
+ * @access  Public (public boards) / Private (owner, collaborators)
+ */
+router.get(
+    '/:boardId',
+    optionalAuth,
+    requireBoardAccess('viewer'),
+    boardController.getBoard
+);
+
+/**
+ * @route   PUT /api/boards/:boardId
+ * @desc    Update a board
+ * @access  Private (Owner, board admins)
+ */
+router.put(
+    '/:boardId',
+    authenticate,
+    requireBoardAccess('admin'),
+    updateBoardValidation,
+    boardController.updateBoard
+);
+
+/**
+ * @route   DELETE /api/boards/:boardId
+ * @desc    Delete a board
+ * @access  Private (Owner)
+ */
+router.delete(
+    '/:boardId',
+    authenticate,
+    requireBoardAccess('owner'),
+    boardController.deleteBoard
+);
+
+/**
+ * @route   POST /api/boards/:boardId/duplicate
+ * @desc    Copy a board, its posts and uploads into a new board owned by the current user
+ * @access  Private (anyone who can read the board)
+ */
+router.post(
+    '/:boardId/duplicate',
+    authenticate,
+    requireVerifiedEmail,
+    requireBoardAccess('viewer'),
+    duplicateBoardValidation,
+    boardController.duplicateBoard
+);
+
+/**
+ * @route   GET /api/boards/:boardId/export
+ * @desc    Download a board with its posts, comments, reactions and uploads as a zip archive
+ * @access  Private (Owner, board admins)
+ */
+router.get(
+    '/:boardId/export',
+    authenticate,
+    requireBoardAccess('admin'),
+    boardController.exportBoard
+);
+
+// Posts belonging to a board
+router.use('/:boardId/posts', postRoutes);
+
+// Collaborators and invitations on a board
+router.use('/:boardId/collaborators', collaboratorRoutes);
+
+// Uploaded attachments on a board
+router.use('/:boardId/uploads', uploadRoutes);
+
+module.exports = router;
@@ -0,0 +1,73 @@
+/**
+ * ============================================
+ * COLLABORATOR ROUTES
+ * ============================================
+ * Collaborator endpoints, nested under /api/boards/:boardId/collaborators
+ * ============================================
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+
+// Import controllers
+const collaboratorController = require('../controllers/collaboratorController');
+
+// Import middleware
+const { authenticate, requireBoardAccess } = require('../middleware/auth');
+const {
+    inviteCollaboratorValidation,
+    updateCollaboratorValidation
+} = require('../middleware/validation');
+
+/**
+ * @route   GET /api/boards/:boardId/collaborators
+ * @desc    List collaborators on a board
+ * @access  Private (Owner, collaborators)
+ */
+router.get(
+    '/',
+    authenticate,
+    requireBoardAccess('viewer'),
+    collaboratorController.getCollaborators
+);
+
+/**
+ * @route   POST /api/boards/:boardId/collaborators
+ * @desc    Invite a user by username or email (email invitations get the same
+ *          202 reply whether or not the address has an account)
+ * @access  Private (Owner, board admins)
+ */
+router.post(
+    '/',
+    authenticate,
+    requireBoardAccess('admin'),
+    inviteCollaboratorValidation,
+    collaboratorController.inviteCollaborator
+);
+
+/**
+ * @route   PATCH /api/boards/:boardId/collaborators/:userId
+ * @desc    Change a collaborator's permission level
+ * @access  Private (Owner, board admins)
+ */
+router.patch(
+    '/:userId',
+    authenticate,
+    requireBoardAccess('admin'),
+    updateCollaboratorValidation,
+    collaboratorController.updateCollaborator
+);
+
+/**
+ * @route   DELETE /api/boards/:boardId/collaborators/:userId
+ * @desc    Remove a collaborator, cancel an invitation or leave a board
+ * @access  Private (Owner, board admins, the collaborator themselves)
+ */
+router.delete(
+    '/:userId',
+    authenticate,
+    requireBoardAccess('viewer'),
+    collaboratorController.removeCollaborator
+);
+
+module.exports = router;
@@ -0,0 +1,74 @@
+/**
+ * ============================================
+ * COMMENT ROUTES
+ * ============================================
+ * Comment endpoints, nested under /api/boards/:boardId/posts/:postId/comments
+ * ============================================
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+
+// Import controllers
+const commentController = require('../controllers/commentController');
+
+// Import middleware
+const { authenticate, optionalAuth, requireBoardAccess } = require('../middleware/auth');
+const {
+    listCommentsValidation,
+    createCommentValidation,
+    updateCommentValidation
+} = require('../middleware/validation');
+
+/**
+ * @route   GET /api/boards/:boardId/posts/:postId/comments
+ * @desc    List comments as a nested tree (?depth=, ?parentId= to load a thread)
+ * @access  Public (public boards) / Private (owner, collaborators)
+ */
+router.get(
+    '/',
+    optionalAuth,
+    requireBoardAccess('viewer'),
+    listCommentsValidation,
+    commentController.getComments
+);
+
+/**
+ * @route   POST /api/boards/:boardId/posts/:postId/comments
+ * @desc    Comment on a post or reply to a comment
+ * @access  Private (anyone who can view the board)
+ */
+router.post(
+    '/',
+    authenticate,
+    requireBoardAccess('viewer'),
+    createCommentValidation,
+    commentController.createComment
+);
+
+/**
+ * @route   PUT /api/boards/:boardId/posts/:postId/comments/:commentId
+ * @desc    Edit a comment
+ * @access  Private (Author)
+ */
+router.put(
+    '/:commentId',
+    authenticate,
+    requireBoardAccess('viewer'),
+    updateCommentValidation,
+    commentController.updateComment
+);
+
+/**
+ * @route   DELETE /api/boards/:boardId/posts/:postId/comments/:commentId
+ * @desc    Delete a comment and its replies
+ * @access  Private (Author, owner, editors)
+ */
+router.delete(
+    '/:commentId',
+    authenticate,
+    requireBoardAccess('viewer'),
+    commentController.deleteComment
+);
+
+module.exports = router;
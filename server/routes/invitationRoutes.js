@@ -0,0 +1,54 @@
+/**
+ * ============================================
+ * INVITATION ROUTES
+ * ============================================
+ * Board invitations for the current user
+ * ============================================
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const collaboratorController = require('../controllers/collaboratorController');
+
+// Import middleware
+const { authenticate } = require('../middleware/auth');
+const { invitationTokenValidation } = require('../middleware/validation');
+
+/**
+ * @route   GET /api/invitations
+ * @desc    List pending board invitations for the current user
+ * @access  Private
+ */
+router.get(
+    '/',
+    authenticate,
+    collaboratorController.getMyInvitations
+);
+
+/**
+ * @route   POST /api/invitations/accept
+ * @desc    Accept a board invitation
+ * @access  Private (Invitee)
+ */
+router.post(
+    '/accept',
+    authenticate,
+    invitationTokenValidation,
+    collaboratorController.acceptInvitation
+);
+
+/**
+ * @route   POST /api/invitations/reject
+ * @desc    Reject a board invitation
+ * @access  Private (Invitee)
+ */
+router.post(
+    '/reject',
+    authenticate,
+    invitationTokenValidation,
+    collaboratorController.rejectInvitation
+);
+
+module.exports = router;
@@ -0,0 +1,203 @@
+/**
+ * ============================================
+ * POST ROUTES
+ * ============================================
+ * Post endpoints, nested under /api/boards/:boardId/posts
+ * ============================================
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+
+// Import controllers
+const postController = require('../controllers/postController');
+const reactionController = require('../controllers/reactionController');
+
+// Nested routers
+const commentRoutes = require('./commentRoutes');
+
+// Import middleware
+const { authenticate, optionalAuth, requireVerifiedEmail, requireBoardAccess } = require('../middleware/auth');
+const {
+    createPostValidation,
+    updatePostValidation,
+    pinPostValidation,
+    moveToSectionValidation,
+    collapseSectionValidation,
+    deletePostValidation,
+    movePostsValidation,
+    reorderPostValidation,
+    setReactionValidation
+} = require('../middleware/validation');
+
+/**
+ * @route   GET /api/boards/:boardId/posts
+ * @desc    List posts on a board with reaction counts (pinned first, then manual order)
+ * @access  Public (public boards) / Private (owner, collaborators)
+ */
+router.get(
+    '/',
+    optionalAuth,
+    requireBoardAccess('viewer'),
+    postController.getPosts
+);
+
+/**
+ * @route   GET /api/boards/:boardId/posts/tree
+ * @desc    List posts grouped into their sections
+ * @access  Public (public boards) / Private (owner, collaborators)
+ */
+router.get(
+    '/tree',
+    optionalAuth,
+    requireBoardAccess('viewer'),
+    postController.getPostTree
+);
+
+/**
+ * @route   POST /api/boards/:boardId/posts
+ * @desc    Create a post on a board
+ * @access  Private (Owner, editors)
+ */
+router.post(
+    '/',
+    authenticate,
+    requireVerifiedEmail,
+    requireBoardAccess('editor'),
+    createPostValidation,
+    postController.createPost
+);
+
+/**
+ * @route   PATCH /api/boards/:boardId/posts/positions
+ * @desc    Move, resize and restack many posts at once (canvas boards)
+ * @access  Private (Owner, editors)
+ */
+router.patch(
+    '/positions',
+    authenticate,
+    requireBoardAccess('editor'),
+    movePostsValidation,
+    postController.movePosts
+);
+
+/**
+ * @route   GET /api/boards/:boardId/posts/:postId
+ * @desc    Get a single post
+ * @access  Public (public boards) / Private (owner, collaborators)
+ */
+router.get(
+    '/:postId',
+    optionalAuth,
+    requireBoardAccess('viewer'),
+    postController.getPost
+);
+
+/**
+ * @route   PUT /api/boards/:boardId/posts/:postId
+ * @desc    Edit a post
+ * @access  Private (Author, owner, editors)
+ */
+router.put(
+    '/:postId',
+    authenticate,
+    requireBoardAccess('viewer'),
+    updatePostValidation,
+    postController.updatePost
+);
+
+/**
+ * @route   POST /api/boards/:boardId/posts/:postId/unfurl
+ * @desc    Fetch a link post's preview again (at most once every few
+ *          minutes per link; sooner returns the cached preview)
+ * @access  Private (Author, owner, editors)
+ */
+router.post(
+    '/:postId/unfurl',
+    authenticate,
+    requireBoardAccess('viewer'),
+    postController.unfurlPost
+);
+
+/**
+ * @route   PATCH /api/boards/:boardId/posts/:postId/pin
+ * @desc    Pin or unpin a post
+ * @access  Private (Owner, editors)
+ */
+router.patch(
+    '/:postId/pin',
+    authenticate,
+    requireBoardAccess('editor'),
+    pinPostValidation,
+    postController.pinPost
+);
+
+/**
+ * @route   PATCH /api/boards/:boardId/posts/:postId/section
+ * @desc    Move a post into a section, or to the top level (sectionId: null)
+ * @access  Private (Owner, editors)
+ */
+router.patch(
+    '/:postId/section',
+    authenticate,
+    requireBoardAccess('editor'),
+    moveToSectionValidation,
+    postController.moveToSection
+);
+
+/**
+ * @route   PATCH /api/boards/:boardId/posts/:postId/collapse
+ * @desc    Collapse or expand a section
+ * @access  Private (Owner, editors)
+ */
+router.patch(
+    '/:postId/collapse',
+    authenticate,
+    requireBoardAccess('editor'),
+    collapseSectionValidation,
+    postController.collapseSection
+);
+
+/**
+ * @route   PATCH /api/boards/:boardId/posts/:postId/reorder
+ * @desc    Place a post between two neighbours (wall, grid and stream boards)
+ * @access  Private (Owner, editors)
+ */
+router.patch(
+    '/:postId/reorder',
+    authenticate,
+    requireBoardAccess('editor'),
+    reorderPostValidation,
+    postController.reorderPost
+);
+
+/**
+ * @route   PUT /api/boards/:boardId/posts/:postId/reaction
+ * @desc    Set, change or clear (reactionType: null) your reaction to a post
+ * @access  Private (anyone who can view the board)
+ */
+router.put(
+    '/:postId/reaction',
+    authenticate,
+    requireBoardAccess('viewer'),
+    setReactionValidation,
+    reactionController.setReaction
+);
+
+/**
+ * @route   DELETE /api/boards/:boardId/posts/:postId
+ * @desc    Delete a post (?children=cascade|reparent for sections with posts)
+ * @access  Private (Author, owner, editors)
+ */
+router.delete(
+    '/:postId',
+    authenticate,
+    requireBoardAccess('viewer'),
+    deletePostValidation,
+    postController.deletePost
+);
+
+// Comments on a post
+router.use('/:postId/comments', commentRoutes);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+/**
+ * ============================================
+ * SEARCH ROUTES
+ * ============================================
+ * Full-text search endpoint
+ * ============================================
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const searchController = require('../controllers/searchController');
+
+// Import middleware
+const { optionalAuth } = require('../middleware/auth');
+const { searchValidation } = require('../middleware/validation');
+
+/**
+ * @route   GET /api/search?q=
+ * @desc    Search boards, posts and comments (ranked, with highlighted matches).
+ *          Filters: type, boardId, authorId, contentType, from, to, page, limit
+ * @access  Public (public boards) / Private (also own and collaborating boards)
+ */
+router.get(
+    '/',
+    optionalAuth,
+    searchValidation,
+    searchController.search
+);
+
+module.exports = router;
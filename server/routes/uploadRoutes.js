@@ -0,0 +1,44 @@
+/**
+ * ============================================
+ * UPLOAD ROUTES
+ * ============================================
+ * Attachment endpoints, nested under /api/boards/:boardId/uploads
+ * ============================================
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+
+// Import controllers
+const uploadController = require('../controllers/uploadController');
+
+// Import middleware
+const { authenticate, optionalAuth, requireBoardAccess } = require('../middleware/auth');
+const { uploadSingle } = require('../middleware/upload');
+
+/**
+ * @route   POST /api/boards/:boardId/uploads
+ * @desc    Upload an image or file (multipart field "file") for use in a post
+ * @access  Private (Owner, editors)
+ */
+router.post(
+    '/',
+    authenticate,
+    requireBoardAccess('editor'),
+    uploadSingle('file'),
+    uploadController.uploadFile
+);
+
+/**
+ * @route   GET /api/boards/:boardId/uploads/:filename
+ * @desc    Download an uploaded file
+ * @access  Public (public boards) / Private (owner, collaborators)
+ */
+router.get(
+    '/:filename',
+    optionalAuth,
+    requireBoardAccess('viewer'),
+    uploadController.serveUpload
+);
+
+module.exports = router;
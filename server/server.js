@@ -25,6 +25,7 @@ console.log('');
 // ============================================
 // 2. NOW IMPORT OTHER DEPENDENCIES
 // ============================================
+const http = require('http');
 const express = require('express');
 const cors = require('cors');
 const session = require('express-session');
@@ -38,6 +39,12 @@ const { authenticate, authorize } = require('./middleware/auth');
 // ============================================
 const { sequelize, testConnection } = require('./config/database');
 const authRoutes = require('./routes/authRoutes');
+const boardRoutes = require('./routes/boardRoutes');
+const invitationRoutes = require('./routes/invitationRoutes');
+const searchRoutes = require('./routes/searchRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const { attachRealtime } = require('./realtime/socketServer');
+const { attachPresence } = require('./realtime/presence');
 
 // ============================================
 // 4. INITIALIZE EXPRESS
@@ -113,6 +120,18 @@ app.get('/api/health', (req, res) => {
 // Authentication routes
 app.use('/api/auth', authRoutes);
 
+// Board routes
+app.use('/api/boards', boardRoutes);
+
+// Board invitation routes
+app.use('/api/invitations', invitationRoutes);
+
+// Search routes
+app.use('/api/search', searchRoutes);
+
+// Site admin routes
+app.use('/api/admin', adminRoutes);
+
 // Test protected route
 app.get('/api/protected', authenticate, (req, res) => {
     res.json({
@@ -176,7 +195,12 @@ async function startServer() {
         
         app.locals.db = db;
         
-        app.listen(PORT, HOST, () => {
+        // HTTP server shared with the realtime WebSocket endpoint
+        const server = http.createServer(app);
+        app.locals.realtime = attachRealtime(server);
+        attachPresence(app.locals.realtime);
+        
+        server.listen(PORT, HOST, () => {
             console.log(`\n🚀 Server running at http://${HOST}:${PORT}`);
             console.log(`📁 Environment: ${process.env.NODE_ENV}`);
             console.log(`🗄️  Database: ${process.env.DB_NAME}@${process.env.DB_HOST}`);
@@ -191,6 +215,9 @@ async function startServer() {
             console.log(`\n🔗 Health check: http://${HOST}:${PORT}/api/health`);
             console.log(`🔗 Frontend: http://${HOST}:${PORT}/`);
             console.log(`🔗 Auth Test: http://${HOST}:${PORT}/test-auth.html`);
+            console.log(`🔗 Boards API: http://${HOST}:${PORT}/api/boards`);
+            console.log(`🔗 Search API: http://${HOST}:${PORT}/api/search?q=`);
+            console.log(`🔗 Realtime: ws://${HOST}:${PORT}/api/realtime`);
             console.log(`🔗 Protected route: http://${HOST}:${PORT}/api/protected`);
             console.log(`🔗 Admin route: http://${HOST}:${PORT}/api/admin`);
         });
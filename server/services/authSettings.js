@@ -0,0 +1,81 @@
+/**
+ * ============================================
+ * AUTH SETTINGS SERVICE
+ * ============================================
+ * Account rules admins can change at runtime
+ * ============================================
+ */
+
+const db = require('../models');
+const { AUTH_CONFIG, MFA_CONFIG } = require('../config/config');
+
+// site_settings keys
+const REQUIRE_EMAIL_VERIFICATION_SETTING = 'auth.requireEmailVerification';
+const MFA_REQUIRED_ROLES_SETTING = 'auth.mfaRequiredRoles';
+
+/**
+ * Whether unverified users are kept from creating boards and posts
+ * @returns {Promise<boolean>}
+ */
+async function isEmailVerificationRequired() {
+    return await db.SiteSetting.getValue(
+        REQUIRE_EMAIL_VERIFICATION_SETTING,
+        AUTH_CONFIG.REQUIRE_EMAIL_VERIFICATION
+    ) === true;
+}
+
+/**
+ * Roles whose accounts must use two-factor authentication
+ * @returns {Promise<Array<string>>}
+ */
+async function getMfaRequiredRoles() {
+    const roles = await db.SiteSetting.getValue(MFA_REQUIRED_ROLES_SETTING, MFA_CONFIG.REQUIRED_ROLES);
+    return Array.isArray(roles)
+        ? roles.filter(role => MFA_CONFIG.PRIVILEGED_ROLES.includes(role))
+        : [];
+}
+
+/**
+ * Whether accounts with this role must use two-factor authentication
+ * @param {string} role - User role
+ * @returns {Promise<boolean>}
+ */
+async function isMfaRequiredForRole(role) {
+    if (!MFA_CONFIG.PRIVILEGED_ROLES.includes(role)) return false;
+    return (await getMfaRequiredRoles()).includes(role);
+}
+
+/**
+ * Current account rules
+ * @returns {Promise<object>} - { requireEmailVerification, mfaRequiredRoles }
+ */
+async function getAuthSettings() {
+    return {
+        requireEmailVerification: await isEmailVerificationRequired(),
+        mfaRequiredRoles: await getMfaRequiredRoles()
+    };
+}
+
+/**
+ * Change some of the account rules
+ * @param {object} changes - Settings to change (already validated)
+ * @param {object} user - Admin making the change
+ * @returns {Promise<object>} - The settings now in force
+ */
+async function updateAuthSettings(changes, user) {
+    if (changes.requireEmailVerification !== undefined) {
+        await db.SiteSetting.setValue(REQUIRE_EMAIL_VERIFICATION_SETTING, changes.requireEmailVerification, user);
+    }
+    if (changes.mfaRequiredRoles !== undefined) {
+        await db.SiteSetting.setValue(MFA_REQUIRED_ROLES_SETTING, [...new Set(changes.mfaRequiredRoles)], user);
+    }
+    return await getAuthSettings();
+}
+
+module.exports = {
+    isEmailVerificationRequired,
+    getMfaRequiredRoles,
+    isMfaRequiredForRole,
+    getAuthSettings,
+    updateAuthSettings
+};
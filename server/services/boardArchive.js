@@ -0,0 +1,492 @@
+/**
+ * ============================================
+ * BOARD ARCHIVE SERVICE
+ * ============================================
+ * Snapshots a board (settings, posts, comments, reactions and
+ * uploads) and restores a snapshot as a brand new board.
+ * Exports are zip files holding board.json and a files/ folder.
+ * ============================================
+ */
+
+const fs = require('fs');
+const AdmZip = require('adm-zip');
+const db = require('../models');
+const { ARCHIVE_CONFIG, UPLOAD_CONFIG } = require('../config/config');
+const { getBoardUploadDir, getUploadPath } = require('../utils/uploadPaths');
+const { isHttpUrl, isMediaUrl } = require('../utils/validators');
+const { MANAGED_METADATA_KEYS, withUploadMetadata, fillLinkPreviews } = require('./postMetadata');
+const {
+    ARCHIVE_FORMAT,
+    ARCHIVE_VERSION,
+    MANIFEST_NAME,
+    FILES_DIR,
+    checkManifest,
+    orderParentsFirst,
+    rebaseUploadUrls,
+    isAcceptableFile
+} = require('../utils/archiveManifest');
+
+// Board settings carried in a snapshot
+const BOARD_FIELDS = [
+    'title',
+    'description',
+    'layoutType',
+    'backgroundColor',
+    'backgroundImage',
+    'isPublic',
+    'allowComments',
+    'allowReactions',
+    'isTemplate'
+];
+
+// Post fields carried in a snapshot (ids are remapped separately)
+const POST_FIELDS = [
+    'title',
+    'content',
+    'contentType',
+    'metadata',
+    'positionX',
+    'positionY',
+    'width',
+    'height',
+    'zIndex',
+    'sortKey',
+    'color',
+    'imageUrl',
+    'linkUrl',
+    'filePath',
+    'isPinned',
+    'isCollapsed'
+];
+
+// Longest image or link URL a post can hold (same limit as the post API)
+const MAX_URL_LENGTH = 500;
+
+// Largest single upload, so no file in an archive can be bigger
+const MAX_FILE_SIZE = Math.max(...Object.values(UPLOAD_CONFIG.TYPES).map(type => type.maxSize));
+
+/**
+ * Error that carries an HTTP status and response code
+ */
+function archiveError(status, code, message) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+}
+
+const pick = (source, fields) => Object.fromEntries(fields.map(field => [field, source[field]]));
+
+const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Stored upload names for a board (originals, thumbnails and image details)
+ */
+async function listBoardFiles(boardId) {
+    try {
+        const names = await fs.promises.readdir(getBoardUploadDir(boardId));
+        return names.filter(name => getUploadPath(boardId, name)).sort();
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+/**
+ * Take a snapshot of a board that restoreBoard can rebuild
+ * @param {object} board - Board instance
+ * @param {object} options - { includeComments, includeReactions }
+ * @returns {Promise<object>} - Manifest (see utils/archiveManifest)
+ */
+async function snapshotBoard(board, { includeComments = true, includeReactions = true } = {}) {
+    const posts = await db.Post.findAll({
+        where: { boardId: board.id },
+        order: [['id', 'ASC']]
+    });
+    const postIds = posts.map(post => post.id);
+    
+    const comments = includeComments && postIds.length > 0
+        ? await db.Comment.findAll({ where: { postId: postIds }, order: [['id', 'ASC']] })
+        : [];
+    
+    const reactions = includeReactions && postIds.length > 0
+        ? await db.Reaction.findAll({ where: { postId: postIds }, order: [['id', 'ASC']] })
+        : [];
+    
+    const userIds = [...new Set([...posts, ...comments, ...reactions].map(item => item.userId))];
+    const users = userIds.length > 0
+        ? await db.User.findAll({ where: { id: userIds }, attributes: ['id', 'username', 'displayName'] })
+        : [];
+    
+    return {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        exportedAt: new Date().toISOString(),
+        sourceBoardId: board.id,
+        board: { ...pick(board, BOARD_FIELDS), slug: board.slug },
+        users: users.map(user => pick(user, ['id', 'username', 'displayName'])),
+        posts: posts.map(post => ({
+            id: post.id,
+            parentPostId: post.parentPostId,
+            userId: post.userId,
+            ...pick(post, POST_FIELDS),
+            createdAt: post.created_at
+        })),
+        comments: comments.map(comment => ({
+            id: comment.id,
+            postId: comment.postId,
+            parentCommentId: comment.parentCommentId,
+            userId: comment.userId,
+            content: comment.content,
+            isEdited: comment.isEdited,
+            createdAt: comment.created_at
+        })),
+        reactions: reactions.map(reaction => ({
+            postId: reaction.postId,
+            userId: reaction.userId,
+            reactionType: reaction.reactionType,
+            createdAt: reaction.created_at
+        })),
+        files: await listBoardFiles(board.id)
+    };
+}
+
+/**
+ * Work out which local account each snapshot author becomes.
+ * In match mode authors are found by username, but only among the
+ * accounts canClaim allows; everyone else, and everyone in placeholder
+ * mode, becomes the shared placeholder account.
+ * @returns {Promise<function>} - async (sourceUserId) => local user id
+ */
+async function mapAuthors(users, mode, canClaim, transaction) {
+    const authors = new Map();
+    
+    if (mode === 'match') {
+        const usernames = users.map(user => user.username).filter(name => typeof name === 'string');
+        const existing = usernames.length > 0
+            ? await db.User.findAll({ where: { username: usernames }, attributes: ['id', 'username'], transaction })
+            : [];
+        const byUsername = new Map(existing.filter(canClaim).map(user => [user.username, user.id]));
+        
+        users.forEach(user => {
+            if (byUsername.has(user.username)) authors.set(user.id, byUsername.get(user.username));
+        });
+    }
+    
+    let placeholderId = null;
+    const placeholderFor = new Set();
+    
+    const authorFor = async (sourceUserId) => {
+        if (authors.has(sourceUserId)) return authors.get(sourceUserId);
+        
+        if (placeholderId === null) {
+            placeholderId = (await db.User.findOrCreatePlaceholder({ transaction })).id;
+        }
+        placeholderFor.add(sourceUserId);
+        return placeholderId;
+    };
+    authorFor.placeholderCount = () => placeholderFor.size;
+    
+    return authorFor;
+}
+
+/**
+ * Post fields from an archive, checked the way the post API checks them.
+ * Server-managed metadata is dropped so it can be rebuilt from the
+ * board's own uploads and links.
+ * @param {object} post - Post from the manifest
+ * @param {function} rebase - Moves upload URLs over to the new board
+ * @returns {object} - Fields to create the post with
+ * @throws {Error} - 400 INVALID_ARCHIVE for a URL the post API would refuse
+ */
+function importedPostFields(post, rebase) {
+    const fields = rebase(pick(post, POST_FIELDS));
+    const { imageUrl, linkUrl } = fields;
+    
+    const metadata = isPlainObject(fields.metadata) ? { ...fields.metadata } : {};
+    MANAGED_METADATA_KEYS.forEach(key => delete metadata[key]);
+    
+    const isImageUrl = isMediaUrl(imageUrl) && imageUrl.length <= MAX_URL_LENGTH;
+    if (imageUrl !== null && imageUrl !== undefined && !isImageUrl) {
+        throw archiveError(400, 'INVALID_ARCHIVE', `Archive post ${post.id} has an invalid image URL`);
+    }
+    
+    // Video posts can also point at a video uploaded to the board
+    const isLinkUrl = (isHttpUrl(linkUrl) || (fields.contentType === 'video' && isMediaUrl(linkUrl)))
+        && linkUrl.length <= MAX_URL_LENGTH;
+    if (linkUrl !== null && linkUrl !== undefined && !isLinkUrl) {
+        throw archiveError(400, 'INVALID_ARCHIVE', `Archive post ${post.id} has an invalid link URL`);
+    }
+    
+    return { ...fields, metadata };
+}
+
+/**
+ * Rebuild a snapshot as a new board owned by a user, with fresh ids.
+ * Parent posts and comments keep pointing at their copies, and upload
+ * URLs are moved over to the new board.
+ * Snapshots from an archive are untrusted: post URLs are checked,
+ * server-managed metadata is rebuilt rather than copied, dates are not
+ * kept, and authors only match the owner's own account (any account
+ * for a site admin). Trusted snapshots (taken on this server, as
+ * duplicateBoard does) are kept as they are.
+ * The transaction only writes rows. Uploads are written and image and
+ * video details filled in after it commits (the board is deleted again
+ * if that fails), and link previews are fetched in the background.
+ * @param {object} manifest - Snapshot from snapshotBoard or an archive
+ * @param {object} owner - User who will own the new board
+ * @param {object} options - {
+ *   readFile: async (name) => Buffer|null, returns a stored upload's content,
+ *   authors: 'placeholder' (the default) or 'match',
+ *   board: settings overriding the snapshot's,
+ *   trusted: true if the snapshot was taken on this server
+ * }
+ * @returns {Promise<object>} - { board, stats }
+ */
+async function restoreBoard(manifest, owner, { readFile = async () => null, authors = 'placeholder', board: overrides = {}, trusted = false } = {}) {
+    const problem = checkManifest(manifest);
+    if (problem) {
+        throw archiveError(400, 'INVALID_ARCHIVE', problem);
+    }
+    
+    const stats = { posts: 0, comments: 0, reactions: 0, files: 0, skippedFiles: 0, placeholderAuthors: 0 };
+    const importedPosts = [];
+    let board = null;
+    let uploadDir = null;
+    
+    try {
+        board = await db.sequelize.transaction(async (transaction) => {
+            const board = await db.Board.create({
+                ...pick(manifest.board, BOARD_FIELDS),
+                ...overrides,
+                userId: owner.id
+            }, { transaction });
+            
+            const rebase = value => rebaseUploadUrls(value, manifest.sourceBoardId, board.id);
+            if (board.backgroundImage) {
+                const backgroundImage = rebase(board.backgroundImage);
+                if (!trusted && !isMediaUrl(backgroundImage)) {
+                    throw archiveError(400, 'INVALID_ARCHIVE', 'Archive board has an invalid background image URL');
+                }
+                await board.update({ backgroundImage }, { transaction });
+            }
+            
+            const canClaim = user => trusted || owner.role === 'admin' || user.id === owner.id;
+            const authorFor = await mapAuthors(manifest.users, authors, canClaim, transaction);
+            const createdAt = item => (trusted && item.createdAt) || undefined;
+            
+            const postIds = new Map();
+            for (const post of orderParentsFirst(manifest.posts, 'parentPostId')) {
+                const fields = trusted
+                    ? rebase(pick(post, POST_FIELDS))
+                    : importedPostFields(post, rebase);
+                
+                const created = await db.Post.create({
+                    ...fields,
+                    boardId: board.id,
+                    userId: await authorFor(post.userId),
+                    parentPostId: postIds.get(post.parentPostId) || null,
+                    created_at: createdAt(post)
+                }, { transaction });
+                
+                postIds.set(post.id, created.id);
+                importedPosts.push(created);
+                stats.posts++;
+            }
+            
+            const commentIds = new Map();
+            const comments = orderParentsFirst(manifest.comments.filter(comment => postIds.has(comment.postId)), 'parentCommentId');
+            for (const comment of comments) {
+                const created = await db.Comment.create({
+                    content: comment.content,
+                    isEdited: !!comment.isEdited,
+                    postId: postIds.get(comment.postId),
+                    userId: await authorFor(comment.userId),
+                    parentCommentId: commentIds.get(comment.parentCommentId) || null,
+                    created_at: createdAt(comment)
+                }, { transaction });
+                
+                commentIds.set(comment.id, created.id);
+                stats.comments++;
+            }
+            
+            // Several authors can map to the same account; keep the first reaction each
+            const reacted = new Set();
+            for (const reaction of manifest.reactions.filter(item => postIds.has(item.postId))) {
+                const postId = postIds.get(reaction.postId);
+                const userId = await authorFor(reaction.userId);
+                if (reacted.has(`${postId}:${userId}`)) continue;
+                
+                await db.Reaction.create({
+                    postId,
+                    userId,
+                    reactionType: reaction.reactionType,
+                    created_at: createdAt(reaction)
+                }, { transaction });
+                
+                reacted.add(`${postId}:${userId}`);
+                stats.reactions++;
+            }
+            
+            stats.placeholderAuthors = authorFor.placeholderCount();
+            
+            return board;
+        });
+        
+        uploadDir = getBoardUploadDir(board.id);
+        for (const filename of new Set(manifest.files)) {
+            const target = getUploadPath(board.id, filename);
+            const data = target ? await readFile(filename) : null;
+            
+            if (!data || !isAcceptableFile(filename, data)) {
+                stats.skippedFiles++;
+                continue;
+            }
+            
+            await fs.promises.mkdir(uploadDir, { recursive: true });
+            await fs.promises.writeFile(target, data);
+            stats.files++;
+        }
+        
+        // Image and video details are read from the uploads just written
+        if (!trusted) {
+            for (const post of importedPosts) {
+                if (!post.imageUrl && post.contentType !== 'video') continue;
+                
+                const { metadata } = await withUploadMetadata(board, pick(post, ['imageUrl', 'linkUrl', 'contentType', 'metadata']));
+                await post.update({ metadata });
+            }
+        }
+        
+    } catch (error) {
+        if (board) {
+            await board.destroy().catch(() => {});
+        }
+        if (uploadDir) {
+            fs.promises.rm(uploadDir, { recursive: true, force: true }).catch(() => {});
+        }
+        
+        if (error.name === 'SequelizeValidationError') {
+            throw archiveError(400, 'INVALID_ARCHIVE', `Archive content is invalid: ${error.errors.map(e => e.message).join(', ')}`);
+        }
+        throw error;
+    }
+    
+    if (!trusted) {
+        fillLinkPreviews(importedPosts.filter(post => post.contentType === 'link').map(post => post.id));
+    }
+    
+    return { board, stats };
+}
+
+/**
+ * Export a board as a zip archive
+ * @param {object} board - Board instance
+ * @returns {Promise<Buffer>} - Zip file contents
+ */
+async function exportBoard(board) {
+    const manifest = await snapshotBoard(board);
+    const zip = new AdmZip();
+    
+    zip.addFile(MANIFEST_NAME, Buffer.from(JSON.stringify(manifest, null, 2)));
+    
+    for (const filename of manifest.files) {
+        const data = await fs.promises.readFile(getUploadPath(board.id, filename));
+        zip.addFile(FILES_DIR + filename, data);
+    }
+    
+    return zip.toBuffer();
+}
+
+/**
+ * Open an archive, checking its size limits before anything is extracted
+ * @param {Buffer} buffer - Zip file contents
+ * @returns {object} - { manifest, readFile }
+ */
+function readArchive(buffer) {
+    let entries;
+    try {
+        entries = new AdmZip(buffer).getEntries().filter(entry => !entry.isDirectory);
+    } catch (error) {
+        throw archiveError(400, 'INVALID_ARCHIVE', 'Archive could not be read');
+    }
+    
+    if (entries.length > ARCHIVE_CONFIG.MAX_ENTRIES) {
+        throw archiveError(413, 'ARCHIVE_TOO_LARGE', `Archives cannot hold more than ${ARCHIVE_CONFIG.MAX_ENTRIES} files`);
+    }
+    
+    const totalSize = entries.reduce((sum, entry) => sum + entry.header.size, 0);
+    if (totalSize > ARCHIVE_CONFIG.MAX_UNCOMPRESSED_SIZE) {
+        throw archiveError(413, 'ARCHIVE_TOO_LARGE', 'Archive is too large once extracted');
+    }
+    
+    const manifestEntry = entries.find(entry => entry.entryName === MANIFEST_NAME);
+    if (!manifestEntry) {
+        throw archiveError(400, 'INVALID_ARCHIVE', `Archive has no ${MANIFEST_NAME}`);
+    }
+    if (manifestEntry.header.size > ARCHIVE_CONFIG.MAX_MANIFEST_SIZE) {
+        throw archiveError(413, 'ARCHIVE_TOO_LARGE', `${MANIFEST_NAME} is too large`);
+    }
+    
+    let manifest;
+    try {
+        manifest = JSON.parse(manifestEntry.getData().toString('utf8'));
+    } catch (error) {
+        throw archiveError(400, 'INVALID_ARCHIVE', `${MANIFEST_NAME} is not valid JSON`);
+    }
+    
+    const files = new Map(entries
+        .filter(entry => entry.entryName.startsWith(FILES_DIR))
+        .map(entry => [entry.entryName.slice(FILES_DIR.length), entry]));
+    
+    // Entries are only inflated on demand, and never past the size they declare
+    const readFile = async (filename) => {
+        const entry = files.get(filename);
+        if (!entry || entry.header.size > MAX_FILE_SIZE) return null;
+        
+        try {
+            return entry.getData();
+        } catch (error) {
+            return null;
+        }
+    };
+    
+    return { manifest, readFile };
+}
+
+/**
+ * Import a zip archive as a new board owned by a user
+ * @param {Buffer} buffer - Zip file contents
+ * @param {object} owner - User who will own the board
+ * @param {object} options - { authors: 'placeholder' (the default) or 'match' }
+ * @returns {Promise<object>} - { board, stats }
+ */
+async function importBoard(buffer, owner, { authors = 'placeholder' } = {}) {
+    const { manifest, readFile } = readArchive(buffer);
+    return await restoreBoard(manifest, owner, { readFile, authors });
+}
+
+/**
+ * Copy a board, with its posts and uploads, as a new board owned by a user
+ * @param {object} board - Board to copy
+ * @param {object} owner - User who will own the copy
+ * @param {object} options - {
+ *   includeComments, includeReactions (both off unless asked for),
+ *   board: settings for the copy, overriding the original's
+ * }
+ * @returns {Promise<object>} - { board, stats }
+ */
+async function duplicateBoard(board, owner, { includeComments = false, includeReactions = false, board: overrides = {} } = {}) {
+    const manifest = await snapshotBoard(board, { includeComments, includeReactions });
+    const readFile = filename => fs.promises.readFile(getUploadPath(board.id, filename)).catch(() => null);
+    
+    return await restoreBoard(manifest, owner, { readFile, authors: 'match', board: overrides, trusted: true });
+}
+
+module.exports = {
+    snapshotBoard,
+    restoreBoard,
+    duplicateBoard,
+    exportBoard,
+    importBoard
+};
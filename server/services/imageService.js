@@ -0,0 +1,134 @@
+/**
+ * ============================================
+ * IMAGE SERVICE
+ * ============================================
+ * Thumbnails, dimensions and dominant colour for uploaded images
+ * ============================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Jimp = require('jimp');
+const { UPLOAD_CONFIG } = require('../config/config');
+const { dominantColor } = require('../utils/imageColor');
+const { readImageSize } = require('../utils/fileTypes');
+const { getUploadUrl, getUploadPath, getUploadInfoPath, parseUploadUrl } = require('../utils/uploadPaths');
+
+// Formats we can decode; other images are kept without thumbnails
+const PROCESSABLE_TYPES = ['image/jpeg', 'image/png', 'image/gif'];
+
+// Size of the copy used to work out the dominant colour
+const COLOR_SAMPLE_SIZE = 64;
+
+/**
+ * Error that carries an HTTP status and response code
+ */
+function imageError(status, code, message) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+}
+
+/**
+ * Decode an uploaded image, write thumbnails beside it and record its details.
+ * The size in the header is checked first, so a small file claiming a
+ * huge image is never decoded.
+ * @param {object} file - Stored upload (multer file with path, filename, mimetype)
+ * @returns {Promise<object|null>} - { width, height, dominantColor, thumbnails },
+ *   or null for formats we cannot decode
+ * @throws {Error} - 413 IMAGE_TOO_LARGE past UPLOAD_CONFIG.MAX_PIXELS
+ */
+async function processImage(file) {
+    if (!PROCESSABLE_TYPES.includes(file.mimetype)) return null;
+    
+    const data = await fs.promises.readFile(file.path);
+    const size = readImageSize(data);
+    if (!size) return null;
+    if (size.width * size.height > UPLOAD_CONFIG.MAX_PIXELS) {
+        throw imageError(413, 'IMAGE_TOO_LARGE', `Images cannot have more than ${UPLOAD_CONFIG.MAX_PIXELS} pixels`);
+    }
+    
+    const image = await Jimp.read(data);
+    const { width, height } = image.bitmap;
+    
+    const sample = image.clone().scaleToFit(COLOR_SAMPLE_SIZE, COLOR_SAMPLE_SIZE);
+    
+    // JPEGs stay JPEG; PNG and GIF thumbnails are PNG to keep transparency
+    const ext = file.mimetype === 'image/jpeg' ? 'jpg' : 'png';
+    const stem = path.basename(file.filename, path.extname(file.filename));
+    const dir = path.dirname(file.path);
+    
+    const thumbnails = [];
+    for (const thumbWidth of UPLOAD_CONFIG.THUMBNAIL_WIDTHS) {
+        // Never upscale
+        if (thumbWidth >= width) continue;
+        
+        const thumb = image.clone().resize(thumbWidth, Jimp.AUTO);
+        if (ext === 'jpg') thumb.quality(UPLOAD_CONFIG.THUMBNAIL_QUALITY);
+        
+        const filename = `${stem}-${thumbWidth}.${ext}`;
+        await thumb.writeAsync(path.join(dir, filename));
+        thumbnails.push({ filename, width: thumbWidth, height: thumb.bitmap.height });
+    }
+    
+    const info = {
+        width,
+        height,
+        dominantColor: dominantColor(sample.bitmap.data),
+        thumbnails
+    };
+    
+    await fs.promises.writeFile(getUploadInfoPath(file.path), JSON.stringify(info));
+    return info;
+}
+
+/**
+ * Image details with URLs a client can pick from, smallest first
+ * @param {number} boardId - Board the upload belongs to
+ * @param {string} filename - Stored name of the original
+ * @param {object} info - Result of processImage
+ * @returns {object} - { width, height, dominantColor, sources: [{ url, width, height }] }
+ */
+function describeImage(boardId, filename, info) {
+    return {
+        width: info.width,
+        height: info.height,
+        dominantColor: info.dominantColor,
+        sources: [
+            ...info.thumbnails.map(thumb => ({
+                url: getUploadUrl(boardId, thumb.filename),
+                width: thumb.width,
+                height: thumb.height
+            })),
+            { url: getUploadUrl(boardId, filename), width: info.width, height: info.height }
+        ]
+    };
+}
+
+/**
+ * Look up image details for an image URL on a board.
+ * Only uploads that belong to the same board are recognised.
+ * @returns {Promise<object|null>} - describeImage result, or null
+ */
+async function loadImageInfo(boardId, url) {
+    const upload = parseUploadUrl(url);
+    if (!upload || upload.boardId !== boardId) return null;
+    
+    const filePath = getUploadPath(boardId, upload.filename);
+    if (!filePath) return null;
+    
+    try {
+        const info = JSON.parse(await fs.promises.readFile(getUploadInfoPath(filePath), 'utf8'));
+        return describeImage(boardId, upload.filename, info);
+    } catch (error) {
+        // Not an image we processed (external, unsupported format or missing)
+        return null;
+    }
+}
+
+module.exports = {
+    processImage,
+    describeImage,
+    loadImageInfo
+};
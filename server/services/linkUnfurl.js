@@ -0,0 +1,205 @@
+/**
+ * ============================================
+ * LINK UNFURL SERVICE
+ * ============================================
+ * Fetches the page behind a link post and reads its preview.
+ * Only public addresses are contacted (checked on every redirect and
+ * on the address actually connected to), fetches are time and size
+ * limited, and results are cached per URL.
+ * ============================================
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const db = require('../models');
+const { LINK_PREVIEW_CONFIG } = require('../config/config');
+const { isPublicAddress, parseLinkPreview } = require('../utils/linkPreview');
+
+const HTML_TYPES = ['text/html', 'application/xhtml+xml'];
+
+// Status and default message for each way an unfurl can fail
+const UNFURL_FAILURES = {
+    LINK_BLOCKED: [422, 'Links to private or local addresses cannot be previewed'],
+    LINK_NOT_HTML: [422, 'The link does not point to a web page'],
+    LINK_UNREACHABLE: [502, 'The page could not be fetched'],
+    LINK_TIMEOUT: [504, 'The page took too long to respond']
+};
+
+// Fetches in progress, so posts created together share one request per URL
+const pending = new Map();
+
+function unfurlError(code, message) {
+    const [status, defaultMessage] = UNFURL_FAILURES[code];
+    const error = new Error(message || defaultMessage);
+    error.status = status;
+    error.code = code;
+    return error;
+}
+
+/**
+ * dns.lookup that refuses to hand back an address we may not connect to
+ */
+function guardedLookup(allowAddress) {
+    return (hostname, options, callback) => {
+        dns.lookup(hostname, options, (error, address, family) => {
+            if (error) return callback(error);
+            
+            const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+            if (!addresses.every(allowAddress)) {
+                return callback(unfurlError('LINK_BLOCKED'));
+            }
+            callback(null, address, family);
+        });
+    };
+}
+
+/**
+ * Make one GET request. Resolves with { location } for redirects,
+ * otherwise { body, charset } holding at most MAX_BYTES of the page.
+ */
+function requestPage(url, { allowAddress, signal }) {
+    return new Promise((resolve, reject) => {
+        const host = url.hostname.replace(/^\[|\]$/g, '');
+        if (net.isIP(host) && !allowAddress(host)) {
+            return reject(unfurlError('LINK_BLOCKED'));
+        }
+        
+        const client = url.protocol === 'https:' ? https : http;
+        const request = client.get(url, {
+            agent: false,
+            lookup: guardedLookup(allowAddress),
+            signal,
+            headers: {
+                'User-Agent': LINK_PREVIEW_CONFIG.USER_AGENT,
+                'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.1'
+            }
+        }, response => {
+            const { statusCode, headers } = response;
+            
+            if (statusCode >= 300 && statusCode < 400 && headers.location) {
+                response.resume();
+                return resolve({ location: headers.location });
+            }
+            if (statusCode < 200 || statusCode >= 300) {
+                response.resume();
+                return reject(unfurlError('LINK_UNREACHABLE', `The page responded with status ${statusCode}`));
+            }
+            
+            const [type, ...params] = (headers['content-type'] || '').toLowerCase().split(';').map(part => part.trim());
+            if (!HTML_TYPES.includes(type)) {
+                response.resume();
+                return reject(unfurlError('LINK_NOT_HTML'));
+            }
+            
+            const charsetParam = params.find(param => param.startsWith('charset='));
+            const chunks = [];
+            let size = 0;
+            
+            // Previews live in <head>, so a truncated page is still useful
+            const finish = () => resolve({ body: Buffer.concat(chunks), charset: charsetParam && charsetParam.slice(8) });
+            
+            response.on('data', chunk => {
+                chunks.push(chunk);
+                size += chunk.length;
+                if (size >= LINK_PREVIEW_CONFIG.MAX_BYTES) {
+                    response.destroy();
+                    finish();
+                }
+            });
+            response.on('end', finish);
+            response.on('error', error => reject(error));
+        });
+        
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Decode a page body, falling back to UTF-8 for unknown charsets
+ */
+function decodeBody(body, charset) {
+    try {
+        return new TextDecoder(charset || 'utf-8').decode(body.subarray(0, LINK_PREVIEW_CONFIG.MAX_BYTES));
+    } catch (error) {
+        return new TextDecoder('utf-8').decode(body.subarray(0, LINK_PREVIEW_CONFIG.MAX_BYTES));
+    }
+}
+
+/**
+ * Fetch a page and read its preview, following a few redirects
+ * @param {string} url - http(s) URL to preview
+ * @param {object} options - { allowAddress } to override the public address check
+ * @returns {Promise<object>} - { url, title, description, image, siteName }
+ * @throws {Error} - With status and code (LINK_BLOCKED, LINK_NOT_HTML, LINK_UNREACHABLE, LINK_TIMEOUT)
+ */
+async function fetchLinkPreview(url, { allowAddress = isPublicAddress } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), LINK_PREVIEW_CONFIG.TIMEOUT);
+    
+    try {
+        let current = new URL(url);
+        
+        for (let redirects = 0; ; redirects++) {
+            if (!['http:', 'https:'].includes(current.protocol)) {
+                throw unfurlError('LINK_BLOCKED', 'Only http and https links can be previewed');
+            }
+            
+            const page = await requestPage(current, { allowAddress, signal: controller.signal });
+            
+            if (page.location === undefined) {
+                return { url: current.href, ...parseLinkPreview(decodeBody(page.body, page.charset), current.href) };
+            }
+            if (redirects >= LINK_PREVIEW_CONFIG.MAX_REDIRECTS) {
+                throw unfurlError('LINK_UNREACHABLE', 'The page redirected too many times');
+            }
+            current = new URL(page.location, current);
+        }
+    } catch (error) {
+        if (controller.signal.aborted) throw unfurlError('LINK_TIMEOUT');
+        if (error.code && UNFURL_FAILURES[error.code]) throw error;
+        throw unfurlError('LINK_UNREACHABLE');
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Preview for a URL, from the cache while it is fresh.
+ * Failures are cached too (for less time) so a dead link is not
+ * fetched again for every post that uses it.
+ * @param {string} url - Link to preview
+ * @param {object} options - { refresh } to fetch again unless the cached
+ *   result is newer than LINK_PREVIEW_CONFIG.MIN_REFRESH_INTERVAL
+ * @returns {Promise<object>} - Preview with fetchedAt
+ * @throws {Error} - With status and code when the page cannot be previewed
+ */
+async function getLinkPreview(url, { refresh = false } = {}) {
+    const cached = await db.LinkPreview.findFresh(url, refresh ? { maxAge: LINK_PREVIEW_CONFIG.MIN_REFRESH_INTERVAL } : {});
+    if (cached && cached.failure) throw unfurlError(cached.failure);
+    if (cached) return { ...cached.preview, fetchedAt: cached.fetchedAt };
+    
+    if (!pending.has(url)) {
+        pending.set(url, unfurlAndStore(url).finally(() => pending.delete(url)));
+    }
+    return pending.get(url);
+}
+
+async function unfurlAndStore(url) {
+    try {
+        const preview = await fetchLinkPreview(url);
+        const entry = await db.LinkPreview.store(url, { preview });
+        return { ...preview, fetchedAt: entry.fetchedAt };
+    } catch (error) {
+        if (error.code && UNFURL_FAILURES[error.code]) {
+            await db.LinkPreview.store(url, { failure: error.code });
+        }
+        throw error;
+    }
+}
+
+module.exports = {
+    fetchLinkPreview,
+    getLinkPreview
+};
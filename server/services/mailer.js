@@ -0,0 +1,247 @@
+/**
+ * ============================================
+ * MAILER
+ * ============================================
+ * Sends templated emails through a pluggable transport (smtp,
+ * outbox files or noop). Messages are queued and sent in the
+ * background with retries, so a slow or failing mail server never
+ * holds up the request that asked for the email.
+ * ============================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { MAIL_CONFIG } = require('../config/config');
+const { renderEmail } = require('../utils/mailTemplates');
+
+/**
+ * Transports. Each returns { name, send(message), close() }; send
+ * resolves once the message has been handed over.
+ */
+const MAIL_TRANSPORTS = {
+    smtp: ({ smtp = MAIL_CONFIG.SMTP, timeout = MAIL_CONFIG.SEND_TIMEOUT } = {}) => {
+        const transporter = nodemailer.createTransport({
+            host: smtp.HOST,
+            port: smtp.PORT,
+            secure: smtp.SECURE,
+            auth: smtp.USER ? { user: smtp.USER, pass: smtp.PASS } : undefined,
+            connectionTimeout: timeout,
+            greetingTimeout: timeout,
+            socketTimeout: timeout
+        });
+        
+        return {
+            name: 'smtp',
+            send: message => transporter.sendMail({
+                from: message.from,
+                to: message.to,
+                subject: message.subject,
+                text: message.text,
+                html: message.html,
+                messageId: `<${message.id}@telford-community-board>`
+            }),
+            close: () => transporter.close()
+        };
+    },
+    
+    // Writes each message to a JSON file, for development and tests
+    outbox: ({ dir = MAIL_CONFIG.OUTBOX_DIR } = {}) => ({
+        name: 'outbox',
+        async send(message) {
+            await fs.promises.mkdir(dir, { recursive: true });
+            const file = path.join(dir, `${Date.now()}-${message.id}.json`);
+            const { id, template, from, to, subject, text, html, queuedAt } = message;
+            await fs.promises.writeFile(file, JSON.stringify({ id, template, from, to, subject, text, html, queuedAt }, null, 2));
+        },
+        close() {}
+    }),
+    
+    // Drops every message
+    noop: () => ({
+        name: 'noop',
+        async send() {},
+        close() {}
+    })
+};
+
+const MAIL_TRANSPORT_NAMES = Object.keys(MAIL_TRANSPORTS);
+
+/**
+ * Create a transport by name
+ * @param {string} name - smtp, outbox or noop
+ * @param {object} options - Passed to the transport
+ */
+function createTransport(name, options = {}) {
+    const factory = MAIL_TRANSPORTS[name];
+    if (!factory) {
+        throw new Error(`Unknown mail transport: ${name} (use one of ${MAIL_TRANSPORT_NAMES.join(', ')})`);
+    }
+    return factory(options);
+}
+
+/**
+ * Reject if a delivery attempt takes too long
+ */
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Mail delivery timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Create a mailer with its own queue
+ * @param {object} options - { transport, from, maxAttempts, retryDelay, maxQueueSize, sendTimeout }
+ * @returns {object} - { send, flush, pending, close, transport }
+ */
+function createMailer({
+    transport = createTransport(MAIL_CONFIG.TRANSPORT),
+    from = MAIL_CONFIG.FROM,
+    maxAttempts = MAIL_CONFIG.MAX_ATTEMPTS,
+    retryDelay = MAIL_CONFIG.RETRY_DELAY,
+    maxQueueSize = MAIL_CONFIG.MAX_QUEUE_SIZE,
+    sendTimeout = MAIL_CONFIG.SEND_TIMEOUT
+} = {}) {
+    // Messages ready to go, and timers for messages waiting to retry
+    const queue = [];
+    const retries = new Set();
+    const idleWaiters = [];
+    let sending = false;
+    
+    const pending = () => queue.length + retries.size + (sending ? 1 : 0);
+    
+    function checkIdle() {
+        if (pending() === 0) {
+            idleWaiters.splice(0).forEach(resolve => resolve());
+        }
+    }
+    
+    function scheduleRetry(message) {
+        const delay = retryDelay * (2 ** (message.attempts - 1));
+        const timer = setTimeout(() => {
+            retries.delete(timer);
+            queue.push(message);
+            drain();
+        }, delay);
+        timer.unref();
+        retries.add(timer);
+    }
+    
+    /**
+     * Send queued messages one at a time until the queue is empty
+     */
+    async function drain() {
+        if (sending) return;
+        sending = true;
+        
+        while (queue.length) {
+            const message = queue.shift();
+            message.attempts++;
+            
+            try {
+                await withTimeout(Promise.resolve().then(() => transport.send(message)), sendTimeout);
+            } catch (error) {
+                if (message.attempts < maxAttempts) {
+                    console.warn(`Email "${message.template}" to ${message.to} failed (attempt ${message.attempts}), retrying:`, error.message);
+                    scheduleRetry(message);
+                } else {
+                    console.error(`Email "${message.template}" to ${message.to} dropped after ${message.attempts} attempts:`, error.message);
+                }
+            }
+        }
+        
+        sending = false;
+        checkIdle();
+    }
+    
+    return {
+        transport,
+        
+        /**
+         * Queue a templated email. Returns straight away; delivery
+         * happens in the background.
+         * @param {string} template - Template name (see mailTemplates)
+         * @param {string} to - Recipient address
+         * @param {object} data - Values for the template
+         * @returns {string|null} - Message id, or null if the queue is full
+         */
+        send(template, to, data = {}) {
+            const message = {
+                id: crypto.randomUUID(),
+                template,
+                from,
+                to,
+                ...renderEmail(template, data),
+                queuedAt: new Date().toISOString(),
+                attempts: 0
+            };
+            
+            if (pending() >= maxQueueSize) {
+                console.error(`Email "${template}" to ${to} not queued: mail queue is full`);
+                return null;
+            }
+            
+            queue.push(message);
+            setImmediate(drain);
+            return message.id;
+        },
+        
+        /**
+         * Resolve once every queued message was sent or dropped
+         * (waits for pending retries too)
+         */
+        flush() {
+            return new Promise(resolve => {
+                idleWaiters.push(resolve);
+                checkIdle();
+            });
+        },
+        
+        pending,
+        
+        /**
+         * Stop retrying and close the transport. Messages still queued are lost.
+         */
+        close() {
+            retries.forEach(timer => clearTimeout(timer));
+            retries.clear();
+            queue.length = 0;
+            transport.close();
+            checkIdle();
+        }
+    };
+}
+
+let defaultMailer = null;
+
+/**
+ * The app's mailer, using the configured transport
+ */
+function getMailer() {
+    if (!defaultMailer) {
+        defaultMailer = createMailer();
+    }
+    return defaultMailer;
+}
+
+/**
+ * Queue a templated email with the app's mailer
+ * @param {string} template - Template name (see mailTemplates)
+ * @param {string} to - Recipient address
+ * @param {object} data - Values for the template
+ * @returns {string|null} - Message id, or null if the queue is full
+ */
+function sendEmail(template, to, data) {
+    return getMailer().send(template, to, data);
+}
+
+module.exports = {
+    MAIL_TRANSPORT_NAMES,
+    createTransport,
+    createMailer,
+    getMailer,
+    sendEmail
+};
@@ -0,0 +1,300 @@
+/**
+ * ============================================
+ * MFA SERVICE
+ * ============================================
+ * TOTP two-factor authentication: setting it up, checking codes at
+ * sign-in, and one-time recovery codes. Secrets are stored encrypted
+ * (they must be readable to check codes); recovery codes are stored
+ * hashed and work once.
+ * ============================================
+ */
+
+const crypto = require('crypto');
+const db = require('../models');
+const { MFA_CONFIG } = require('../config/config');
+const { verifyToken, hashToken, JWT_CONFIG } = require('../config/jwt');
+const { isMfaRequiredForRole } = require('./authSettings');
+const {
+    generateSecret,
+    verifyCode,
+    buildOtpauthUri,
+    generateRecoveryCodes,
+    normalizeRecoveryCode
+} = require('../utils/totp');
+
+// What an MFA pending token lets its holder do next
+const MFA_PURPOSES = {
+    VERIFY: 'verify',   // Enter a code from the authenticator app (or a recovery code)
+    SETUP: 'setup'      // Set up 2FA first; the role requires it
+};
+
+function mfaError(status, code, message) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+}
+
+/**
+ * AES-256-GCM key for stored secrets
+ */
+function encryptionKey() {
+    return crypto.createHash('sha256')
+        .update(MFA_CONFIG.ENCRYPTION_KEY || `mfa-secret:${process.env.JWT_SECRET}`)
+        .digest();
+}
+
+/**
+ * Encrypt a TOTP secret for storage
+ * @param {string} secret - Base32 secret
+ * @returns {string} - "iv:tag:ciphertext", base64url
+ */
+function encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    
+    return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join(':');
+}
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {string} stored - Value from encryptSecret
+ * @returns {string} - Base32 secret
+ */
+function decryptSecret(stored) {
+    const [iv, tag, ciphertext] = stored.split(':').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+const hashRecoveryCode = code => hashToken(normalizeRecoveryCode(code));
+
+/**
+ * Refuse to check codes while too many wrong ones have been tried.
+ * The lock is per user, so it holds across IP addresses and new
+ * pending tokens, and outlasts any pending token that hit it.
+ */
+function checkNotLocked(record) {
+    if (record.isLocked()) {
+        const minutes = Math.ceil((record.lockedUntil.getTime() - Date.now()) / 60000);
+        throw mfaError(429, 'MFA_LOCKED', `Too many incorrect codes. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`);
+    }
+}
+
+/**
+ * Replace a user's recovery codes with a fresh set
+ * @returns {Promise<Array<string>>} - The new codes, to show once
+ */
+async function issueRecoveryCodes(userId) {
+    const codes = generateRecoveryCodes(MFA_CONFIG.RECOVERY_CODE_COUNT);
+    await db.MfaRecoveryCode.replaceForUser(userId, codes.map(hashRecoveryCode));
+    return codes;
+}
+
+/**
+ * What a user has to do after giving the right password
+ * @param {object} user - User signing in
+ * @returns {Promise<string|null>} - MFA_PURPOSES.VERIFY, MFA_PURPOSES.SETUP,
+ *   or null if the password is enough
+ */
+async function secondFactorStep(user) {
+    if (await db.UserMfa.findEnabled(user.id)) {
+        return MFA_PURPOSES.VERIFY;
+    }
+    if (await isMfaRequiredForRole(user.role)) {
+        return MFA_PURPOSES.SETUP;
+    }
+    return null;
+}
+
+/**
+ * Whether a user's role requires 2FA that they have not set up yet
+ * @param {object} user - User
+ * @returns {Promise<boolean>}
+ */
+async function isMfaSetupOutstanding(user) {
+    return await isMfaRequiredForRole(user.role) && !await db.UserMfa.findEnabled(user.id);
+}
+
+/**
+ * Check an MFA pending token and load its user
+ * @param {string} token - Token from the password step of login
+ * @returns {Promise<object>} - { user, purpose }
+ * @throws {Error} - 401 INVALID_MFA_TOKEN or MFA_TOKEN_EXPIRED, 403 ACCOUNT_DEACTIVATED
+ */
+async function readMfaPendingToken(token) {
+    let decoded;
+    try {
+        decoded = verifyToken(token, JWT_CONFIG.TOKEN_TYPES.MFA_PENDING);
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            throw mfaError(401, 'MFA_TOKEN_EXPIRED', 'Sign-in took too long. Please log in again.');
+        }
+        throw mfaError(401, 'INVALID_MFA_TOKEN', 'Invalid sign-in token. Please log in again.');
+    }
+    
+    if (decoded.tokenType !== JWT_CONFIG.TOKEN_TYPES.MFA_PENDING || !Object.values(MFA_PURPOSES).includes(decoded.purpose)) {
+        throw mfaError(401, 'INVALID_MFA_TOKEN', 'Invalid sign-in token. Please log in again.');
+    }
+    
+    const user = await db.User.findByPk(decoded.userId);
+    if (!user) {
+        throw mfaError(401, 'INVALID_MFA_TOKEN', 'Invalid sign-in token. Please log in again.');
+    }
+    if (!user.isActive) {
+        throw mfaError(403, 'ACCOUNT_DEACTIVATED', 'Account is deactivated. Please contact support.');
+    }
+    return { user, purpose: decoded.purpose };
+}
+
+/**
+ * Start setting up 2FA: a new secret, not in use until confirmed
+ * @param {object} user - User setting it up
+ * @returns {Promise<object>} - { secret, otpauthUri }
+ * @throws {Error} - 409 MFA_ALREADY_ENABLED
+ */
+async function beginSetup(user) {
+    const existing = await db.UserMfa.findOne({ where: { userId: user.id } });
+    if (existing && existing.isEnabled()) {
+        throw mfaError(409, 'MFA_ALREADY_ENABLED', 'Two-factor authentication is already enabled');
+    }
+    
+    const secret = generateSecret();
+    if (existing) {
+        await existing.update({ secret: encryptSecret(secret), lastUsedStep: null });
+    } else {
+        await db.UserMfa.create({ userId: user.id, secret: encryptSecret(secret) });
+    }
+    
+    return {
+        secret,
+        otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: MFA_CONFIG.ISSUER })
+    };
+}
+
+/**
+ * Finish setting up 2FA with the first code from the app
+ * @param {object} user - User setting it up
+ * @param {string} code - Current code from the authenticator app
+ * @returns {Promise<Array<string>>} - Recovery codes, to show once
+ * @throws {Error} - 400 MFA_SETUP_NOT_STARTED, 409 MFA_ALREADY_ENABLED,
+ *   429 MFA_LOCKED, 401 INVALID_MFA_CODE
+ */
+async function confirmSetup(user, code) {
+    const record = await db.UserMfa.findOne({ where: { userId: user.id } });
+    if (!record) {
+        throw mfaError(400, 'MFA_SETUP_NOT_STARTED', 'Start two-factor setup first');
+    }
+    if (record.isEnabled()) {
+        throw mfaError(409, 'MFA_ALREADY_ENABLED', 'Two-factor authentication is already enabled');
+    }
+    checkNotLocked(record);
+    
+    const step = verifyCode(decryptSecret(record.secret), code, { window: MFA_CONFIG.CODE_WINDOW });
+    if (step === null) {
+        await record.recordFailure();
+        throw mfaError(401, 'INVALID_MFA_CODE', 'Invalid authentication code');
+    }
+    
+    await record.update({ enabledAt: new Date(), lastUsedStep: step, failedAttempts: 0, lockedUntil: null });
+    return await issueRecoveryCodes(user.id);
+}
+
+/**
+ * Check a second factor: a code from the app or a recovery code.
+ * Either works only once. Too many wrong ones in a row lock the
+ * user's codes for a while.
+ * @param {number} userId - User signing in
+ * @param {object} factor - { code } or { recoveryCode }
+ * @returns {Promise<object>} - { method: 'totp' } or
+ *   { method: 'recovery_code', recoveryCodesRemaining }
+ * @throws {Error} - 400 MFA_NOT_ENABLED, 429 MFA_LOCKED, 401 INVALID_MFA_CODE
+ */
+async function verifySecondFactor(userId, { code, recoveryCode } = {}) {
+    const record = await db.UserMfa.findEnabled(userId);
+    if (!record) {
+        throw mfaError(400, 'MFA_NOT_ENABLED', 'Two-factor authentication is not enabled');
+    }
+    checkNotLocked(record);
+    
+    if (recoveryCode) {
+        const row = await db.MfaRecoveryCode.findOne({
+            where: { userId, codeHash: hashRecoveryCode(recoveryCode), usedAt: null }
+        });
+        if (!row || !await row.consume()) {
+            await record.recordFailure();
+            throw mfaError(401, 'INVALID_MFA_CODE', 'Invalid or already used recovery code');
+        }
+        await record.clearFailures();
+        return { method: 'recovery_code', recoveryCodesRemaining: await db.MfaRecoveryCode.countUnused(userId) };
+    }
+    
+    const step = verifyCode(decryptSecret(record.secret), code, { window: MFA_CONFIG.CODE_WINDOW });
+    if (step === null || !await record.useStep(step)) {
+        await record.recordFailure();
+        throw mfaError(401, 'INVALID_MFA_CODE', 'Invalid authentication code');
+    }
+    await record.clearFailures();
+    return { method: 'totp' };
+}
+
+/**
+ * Replace a user's recovery codes, after checking a current code
+ * @param {number} userId - User
+ * @param {string} code - Current code from the authenticator app
+ * @returns {Promise<Array<string>>} - The new codes, to show once
+ */
+async function regenerateRecoveryCodes(userId, code) {
+    await verifySecondFactor(userId, { code });
+    return await issueRecoveryCodes(userId);
+}
+
+/**
+ * Turn 2FA off and delete the secret and recovery codes, after
+ * checking a current code
+ * @param {object} user - User
+ * @param {object} factor - { code } or { recoveryCode }
+ * @throws {Error} - 403 MFA_REQUIRED_FOR_ROLE, 400 MFA_NOT_ENABLED, 401 INVALID_MFA_CODE
+ */
+async function disableMfa(user, factor) {
+    if (await isMfaRequiredForRole(user.role)) {
+        throw mfaError(403, 'MFA_REQUIRED_FOR_ROLE', `Two-factor authentication is required for ${user.role} accounts`);
+    }
+    await verifySecondFactor(user.id, factor);
+    
+    await db.UserMfa.destroy({ where: { userId: user.id } });
+    await db.MfaRecoveryCode.destroy({ where: { userId: user.id } });
+}
+
+/**
+ * Whether a user has 2FA, and whether their role requires it
+ * @param {object} user - User
+ * @returns {Promise<object>} - { enabled, enabledAt, required, recoveryCodesRemaining }
+ */
+async function getMfaStatus(user) {
+    const record = await db.UserMfa.findEnabled(user.id);
+    return {
+        enabled: Boolean(record),
+        enabledAt: record ? record.enabledAt : null,
+        required: await isMfaRequiredForRole(user.role),
+        recoveryCodesRemaining: record ? await db.MfaRecoveryCode.countUnused(user.id) : 0
+    };
+}
+
+module.exports = {
+    MFA_PURPOSES,
+    encryptSecret,
+    decryptSecret,
+    secondFactorStep,
+    isMfaSetupOutstanding,
+    readMfaPendingToken,
+    beginSetup,
+    confirmSetup,
+    verifySecondFactor,
+    regenerateRecoveryCodes,
+    disableMfa,
+    getMfaStatus
+};
@@ -0,0 +1,172 @@
+/**
+ * ============================================
+ * POST METADATA SERVICE
+ * ============================================
+ * Fills the server-managed parts of a post's metadata (image details,
+ * video details, link previews) from the URLs the post points at
+ * ============================================
+ */
+
+const db = require('../models');
+const { loadImageInfo } = require('./imageService');
+const { getLinkPreview } = require('./linkUnfurl');
+const { describeVideo } = require('./videoService');
+
+// Keys of post metadata that only the server writes
+const MANAGED_METADATA_KEYS = ['image', 'link', 'video'];
+
+/**
+ * Fill metadata.image (dimensions, dominant colour, responsive sources)
+ * from the uploaded image the post points at. metadata.image is managed
+ * by the server, so anything the client sent there is replaced.
+ * @param {object} board - Board the post is on
+ * @param {object} fields - Fields being saved
+ * @param {object} post - Existing post when editing
+ * @returns {Promise<object>} - Fields with metadata filled in
+ */
+async function withImageMetadata(board, fields, post = null) {
+    if (fields.imageUrl === undefined && fields.metadata === undefined) {
+        return fields;
+    }
+    
+    const imageUrl = fields.imageUrl !== undefined ? fields.imageUrl : post && post.imageUrl;
+    const metadata = { ...(fields.metadata !== undefined ? fields.metadata : post && post.metadata) };
+    delete metadata.image;
+    
+    const image = imageUrl ? await loadImageInfo(board.id, imageUrl) : null;
+    if (image) {
+        metadata.image = image;
+    }
+    
+    return { ...fields, metadata };
+}
+
+/**
+ * Preview for a link, or null when the page cannot be previewed
+ */
+async function findLinkPreview(linkUrl) {
+    try {
+        return await getLinkPreview(linkUrl);
+    } catch (error) {
+        if (!error.status) {
+            console.error('Link preview error:', error);
+        }
+        return null;
+    }
+}
+
+/**
+ * Fill metadata.link (title, description, image, site name) for link
+ * posts from the page the link points at. metadata.link is managed by
+ * the server too; a page that cannot be previewed leaves it out rather
+ * than failing the post.
+ * @param {object} fields - Fields being saved
+ * @param {object} post - Existing post when editing
+ * @returns {Promise<object>} - Fields with metadata filled in
+ */
+async function withLinkPreview(fields, post = null) {
+    const previous = post && post.metadata && post.metadata.link;
+    const contentType = fields.contentType || (post ? post.contentType : 'text');
+    
+    if (fields.linkUrl === undefined && fields.metadata === undefined && fields.contentType === undefined) {
+        return fields;
+    }
+    if (contentType !== 'link' && fields.metadata === undefined && !previous) {
+        return fields;
+    }
+    
+    const linkUrl = fields.linkUrl !== undefined ? fields.linkUrl : post && post.linkUrl;
+    const metadata = { ...(fields.metadata !== undefined ? fields.metadata : post && post.metadata) };
+    delete metadata.link;
+    
+    if (contentType === 'link' && linkUrl) {
+        // Keep the preview we have unless the link itself changed
+        const link = previous && post.linkUrl === linkUrl ? previous : await findLinkPreview(linkUrl);
+        if (link) {
+            metadata.link = link;
+        }
+    }
+    
+    return { ...fields, metadata };
+}
+
+/**
+ * Fill metadata.video (provider, embed URL, start time, duration) for
+ * video posts. Throws a 400 error for links no allowed provider plays.
+ * @param {object} board - Board the post is on
+ * @param {object} fields - Fields being saved
+ * @param {object} post - Existing post when editing
+ * @returns {Promise<object>} - Fields with metadata filled in
+ */
+async function withVideoMetadata(board, fields, post = null) {
+    const previous = post && post.metadata && post.metadata.video;
+    const contentType = fields.contentType || (post ? post.contentType : 'text');
+    
+    if (fields.linkUrl === undefined && fields.metadata === undefined && fields.contentType === undefined) {
+        return fields;
+    }
+    if (contentType !== 'video' && fields.metadata === undefined && !previous) {
+        return fields;
+    }
+    
+    const linkUrl = fields.linkUrl !== undefined ? fields.linkUrl : post && post.linkUrl;
+    const metadata = { ...(fields.metadata !== undefined ? fields.metadata : post && post.metadata) };
+    delete metadata.video;
+    
+    if (contentType === 'video' && linkUrl) {
+        // A video already on the post keeps playing even if its provider was since disallowed
+        metadata.video = previous && post.linkUrl === linkUrl ? previous : await describeVideo(board.id, linkUrl);
+    }
+    
+    return { ...fields, metadata };
+}
+
+/**
+ * Fill the parts of metadata that come from the board's own uploads and
+ * settings (image, video), without fetching any link preview
+ */
+async function withUploadMetadata(board, fields, post = null) {
+    const withImage = await withImageMetadata(board, fields, post);
+    return await withVideoMetadata(board, withImage, post);
+}
+
+/**
+ * Fill every server-managed part of metadata (image, video, link preview)
+ */
+async function withServerMetadata(board, fields, post = null) {
+    return await withLinkPreview(await withUploadMetadata(board, fields, post), post);
+}
+
+/**
+ * Add link previews to saved link posts that have none, one page at a
+ * time. Meant to run in the background (for imported boards), so it
+ * never throws; a post edited or deleted meanwhile is left alone.
+ * @param {Array<number>} postIds - Posts to fill
+ * @returns {Promise<void>}
+ */
+async function fillLinkPreviews(postIds) {
+    for (const postId of postIds) {
+        try {
+            const post = await db.Post.findByPk(postId);
+            if (!post || post.contentType !== 'link' || !post.linkUrl || (post.metadata && post.metadata.link)) continue;
+            
+            const link = await findLinkPreview(post.linkUrl);
+            if (!link) continue;
+            
+            // Only if the link is still the one that was previewed
+            await db.Post.update(
+                { metadata: { ...post.metadata, link } },
+                { where: { id: post.id, linkUrl: post.linkUrl } }
+            );
+        } catch (error) {
+            console.error('Link preview fill error:', error);
+        }
+    }
+}
+
+module.exports = {
+    MANAGED_METADATA_KEYS,
+    withUploadMetadata,
+    withServerMetadata,
+    fillLinkPreviews
+};
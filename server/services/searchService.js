@@ -0,0 +1,60 @@
+/**
+ * ============================================
+ * SEARCH SERVICE
+ * ============================================
+ * Runs full-text searches and shapes the results
+ * ============================================
+ */
+
+const db = require('../models');
+const { buildSearchQuery, formatHighlight } = require('../utils/searchQuery');
+
+/**
+ * Search boards, posts and comments the user can see
+ * @param {object} options - See buildSearchQuery
+ * @returns {Promise<object>} - { results, total }
+ */
+async function search(options) {
+    const { sql, replacements, empty } = buildSearchQuery(options);
+    
+    if (empty) {
+        return { results: [], total: 0 };
+    }
+    
+    const rows = await db.sequelize.query(sql, {
+        replacements,
+        type: db.Sequelize.QueryTypes.SELECT
+    });
+    
+    const results = rows.map(row => ({
+        type: row.type,
+        id: row.id,
+        boardId: row.board_id,
+        postId: row.post_id,
+        rank: Number(row.rank),
+        createdAt: row.created_at,
+        highlight: {
+            title: formatHighlight(row.title_highlight),
+            content: formatHighlight(row.body_highlight)
+        },
+        board: {
+            id: row.board_id,
+            title: row.board_title,
+            slug: row.board_slug
+        },
+        author: row.user_id ? {
+            id: row.user_id,
+            username: row.username,
+            displayName: row.display_name
+        } : null
+    }));
+    
+    return {
+        results,
+        total: rows.length > 0 ? parseInt(rows[0].total) : 0
+    };
+}
+
+module.exports = {
+    search
+};
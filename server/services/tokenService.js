@@ -0,0 +1,251 @@
+/**
+ * ============================================
+ * TOKEN SERVICE
+ * ============================================
+ * Issues, rotates and revokes refresh tokens and the sessions they
+ * belong to. Each refresh token is recorded (hashed) when issued and
+ * can be exchanged exactly once; presenting one that was already
+ * exchanged revokes its whole family and ends the session.
+ * Password reset tokens are recorded the same way and work once.
+ * ============================================
+ */
+
+const crypto = require('crypto');
+const db = require('../models');
+const {
+    generateAuthTokens,
+    generateResetToken,
+    passwordFingerprint,
+    verifyToken,
+    hashToken,
+    JWT_CONFIG
+} = require('../config/jwt');
+const { isMfaSetupOutstanding } = require('./mfaService');
+
+function tokenError(status, code, message) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+}
+
+const sameHash = (a, b) => a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+/**
+ * Record the refresh token of a freshly generated pair
+ */
+async function storeRefreshToken(user, tokens) {
+    return await db.RefreshToken.create({
+        jti: tokens.refreshTokenId,
+        userId: user.id,
+        familyId: tokens.refreshTokenFamily,
+        tokenHash: hashToken(tokens.refreshToken),
+        expiresAt: tokens.refreshTokenExpiresAt
+    });
+}
+
+/**
+ * End one sign-in: revoke its refresh tokens and its session
+ * @param {string|Array} familyId - Refresh token family (or families)
+ */
+async function endSignIn(familyId) {
+    await db.RefreshToken.revokeFamily(familyId);
+    await db.UserSession.update(
+        { revokedAt: new Date() },
+        { where: { tokenFamily: familyId, revokedAt: null } }
+    );
+}
+
+/**
+ * Start a session for a new sign-in and generate its first token pair
+ * @param {object} user - User signing in
+ * @param {object} details - { userAgent, ipAddress } of the request
+ * @returns {Promise<object>} - Tokens from generateAuthTokens, plus sessionId
+ */
+async function issueAuthTokens(user, { userAgent = null, ipAddress = null } = {}) {
+    const family = crypto.randomUUID();
+    const session = await db.UserSession.create({ userId: user.id, tokenFamily: family, userAgent, ipAddress });
+    
+    const tokens = generateAuthTokens(user, { family, sessionId: session.id });
+    await storeRefreshToken(user, tokens);
+    return { ...tokens, sessionId: session.id };
+}
+
+/**
+ * Verify a refresh token and find its stored record
+ * @throws {Error} - 401 INVALID_REFRESH_TOKEN or REFRESH_TOKEN_EXPIRED
+ */
+async function findRefreshToken(refreshToken) {
+    let decoded;
+    try {
+        decoded = verifyToken(refreshToken, JWT_CONFIG.TOKEN_TYPES.REFRESH);
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            throw tokenError(401, 'REFRESH_TOKEN_EXPIRED', 'Refresh token expired. Please log in again.');
+        }
+        throw tokenError(401, 'INVALID_REFRESH_TOKEN', 'Invalid refresh token');
+    }
+    
+    // Tokens issued before refresh tokens were recorded have no jti
+    const record = decoded.tokenType === JWT_CONFIG.TOKEN_TYPES.REFRESH && decoded.jti
+        ? await db.RefreshToken.findOne({ where: { jti: decoded.jti } })
+        : null;
+    
+    if (!record || !sameHash(record.tokenHash, hashToken(refreshToken))) {
+        throw tokenError(401, 'INVALID_REFRESH_TOKEN', 'Invalid refresh token');
+    }
+    return record;
+}
+
+/**
+ * Exchange a refresh token for a new pair in the same family
+ * @param {string} refreshToken - Token presented by the client
+ * @returns {Promise<object>} - { user, tokens }
+ * @throws {Error} - 401 INVALID_REFRESH_TOKEN, REFRESH_TOKEN_EXPIRED,
+ *   REFRESH_TOKEN_REVOKED, REFRESH_TOKEN_REUSED or MFA_SETUP_REQUIRED
+ */
+async function rotateRefreshToken(refreshToken) {
+    const record = await findRefreshToken(refreshToken);
+    
+    if (record.replacedBy) {
+        // Someone is replaying a token that was already exchanged: either
+        // it leaked or the real client is being raced. Kill the family.
+        await endSignIn(record.familyId);
+        throw tokenError(401, 'REFRESH_TOKEN_REUSED', 'Refresh token has already been used. Please log in again.');
+    }
+    if (!record.isUsable()) {
+        throw tokenError(401, 'REFRESH_TOKEN_REVOKED', 'Refresh token has been revoked. Please log in again.');
+    }
+    
+    const user = await db.User.findByPk(record.userId);
+    const session = await db.UserSession.findOne({ where: { tokenFamily: record.familyId } });
+    if (!user || !user.isActive || !session || session.revokedAt) {
+        await endSignIn(record.familyId);
+        throw tokenError(401, 'REFRESH_TOKEN_REVOKED', 'Refresh token has been revoked. Please log in again.');
+    }
+    
+    // Once an admin requires 2FA for a role, sessions started without it
+    // end at their next refresh and the user has to sign in and set it up
+    if (await isMfaSetupOutstanding(user)) {
+        await endSignIn(record.familyId);
+        throw tokenError(401, 'MFA_SETUP_REQUIRED', 'Two-factor authentication is required for this account. Please log in again to set it up.');
+    }
+    
+    const tokens = generateAuthTokens(user, { family: record.familyId, sessionId: session.id });
+    
+    if (!await record.rotateTo(tokens.refreshTokenId)) {
+        await endSignIn(record.familyId);
+        throw tokenError(401, 'REFRESH_TOKEN_REUSED', 'Refresh token has already been used. Please log in again.');
+    }
+    await storeRefreshToken(user, tokens);
+    await session.update({ lastUsedAt: new Date() });
+    
+    return { user, tokens: { ...tokens, sessionId: session.id } };
+}
+
+/**
+ * Sign a user out of some or all of their sessions
+ * @param {number} userId - User
+ * @param {object} options - { only: session id, except: session id to keep, transaction }
+ * @returns {Promise<Array>} - The sessions that were ended
+ */
+async function revokeSessions(userId, options = {}) {
+    const sessions = await db.UserSession.revokeForUser(userId, options);
+    if (sessions.length) {
+        await db.RefreshToken.revokeFamily(sessions.map(session => session.tokenFamily), { transaction: options.transaction });
+    }
+    return sessions;
+}
+
+/**
+ * Revoke the sign-in a refresh token belongs to (logout)
+ * @param {string} refreshToken - Token presented by the client
+ * @param {object} user - Signed-in user; tokens of anyone else are left alone
+ * @returns {Promise<boolean>} - Whether a token was revoked
+ */
+async function revokeRefreshToken(refreshToken, user) {
+    let record;
+    try {
+        record = await findRefreshToken(refreshToken);
+    } catch (error) {
+        if (error.status) return false;
+        throw error;
+    }
+    
+    if (record.userId !== user.id) return false;
+    await endSignIn(record.familyId);
+    return true;
+}
+
+/**
+ * Generate and record a password reset token
+ * @param {object} user - User with their password hash loaded
+ * @returns {Promise<string>} - Token for the reset link
+ */
+async function issueResetToken(user) {
+    const { token, jti, expiresAt } = generateResetToken(user);
+    
+    await db.PasswordResetToken.create({
+        jti,
+        userId: user.id,
+        tokenHash: hashToken(token),
+        expiresAt
+    });
+    return token;
+}
+
+/**
+ * Check a password reset token and use it up
+ * @param {string} token - Token from the reset link
+ * @param {object} options - { transaction } to use it up together with the password change
+ * @returns {Promise<object>} - The user (with password hash) whose password may now be set
+ * @throws {Error} - 400 INVALID_RESET_TOKEN, RESET_TOKEN_EXPIRED or RESET_TOKEN_USED,
+ *   403 ACCOUNT_DEACTIVATED
+ */
+async function consumeResetToken(token, { transaction } = {}) {
+    let decoded;
+    try {
+        decoded = verifyToken(token, JWT_CONFIG.TOKEN_TYPES.RESET);
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            throw tokenError(400, 'RESET_TOKEN_EXPIRED', 'Reset token has expired. Please request a new password reset.');
+        }
+        throw tokenError(400, 'INVALID_RESET_TOKEN', 'Invalid or expired reset token');
+    }
+    
+    // Stateless tokens from before resets were recorded have no jti
+    const record = decoded.tokenType === JWT_CONFIG.TOKEN_TYPES.RESET && decoded.jti
+        ? await db.PasswordResetToken.findOne({ where: { jti: decoded.jti }, transaction })
+        : null;
+    
+    if (!record || !sameHash(record.tokenHash, hashToken(token))) {
+        throw tokenError(400, 'INVALID_RESET_TOKEN', 'Invalid or expired reset token');
+    }
+    if (record.usedAt) {
+        throw tokenError(400, 'RESET_TOKEN_USED', 'This reset link has already been used. Please request a new password reset.');
+    }
+    
+    const user = await db.User.scope('withPassword').findByPk(record.userId, { transaction });
+    
+    // A changed password (by this link or any other way) retires every older link
+    if (!user || decoded.pwd !== passwordFingerprint(user.password)) {
+        throw tokenError(400, 'INVALID_RESET_TOKEN', 'This reset link is no longer valid. Please request a new password reset.');
+    }
+    if (!user.isActive) {
+        throw tokenError(403, 'ACCOUNT_DEACTIVATED', 'Account is deactivated');
+    }
+    if (!await record.consume({ transaction })) {
+        throw tokenError(400, 'RESET_TOKEN_USED', 'This reset link has already been used. Please request a new password reset.');
+    }
+    
+    return user;
+}
+
+module.exports = {
+    issueAuthTokens,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeSessions,
+    issueResetToken,
+    consumeResetToken
+};
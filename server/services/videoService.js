@@ -0,0 +1,144 @@
+/**
+ * ============================================
+ * VIDEO SERVICE
+ * ============================================
+ * Allowed video providers, video details for video posts and
+ * durations for uploaded video files
+ * ============================================
+ */
+
+const fs = require('fs');
+const db = require('../models');
+const { VIDEO_CONFIG } = require('../config/config');
+const { VIDEO_PROVIDERS, VIDEO_PROVIDER_IDS, parseVideoUrl } = require('../utils/videoProviders');
+const { readVideoDuration } = require('../utils/videoInfo');
+const { getUploadPath, getUploadInfoPath } = require('../utils/uploadPaths');
+
+// site_settings key holding the admin's provider allowlist
+const ALLOWED_PROVIDERS_SETTING = 'video.allowedProviders';
+
+function videoError(status, code, message) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+}
+
+/**
+ * Providers video posts may use right now
+ * @returns {Promise<Array>} - Provider ids
+ */
+async function getAllowedProviders() {
+    const allowed = await db.SiteSetting.getValue(
+        ALLOWED_PROVIDERS_SETTING,
+        VIDEO_CONFIG.DEFAULT_PROVIDERS || VIDEO_PROVIDER_IDS
+    );
+    return VIDEO_PROVIDER_IDS.filter(id => allowed.includes(id));
+}
+
+/**
+ * Replace the provider allowlist. Existing posts keep playing;
+ * the list applies to videos added from now on.
+ * @param {Array} providers - Provider ids (already validated)
+ * @param {object} user - Admin making the change
+ * @returns {Promise<Array>} - The new allowlist
+ */
+async function setAllowedProviders(providers, user) {
+    const allowed = VIDEO_PROVIDER_IDS.filter(id => providers.includes(id));
+    await db.SiteSetting.setValue(ALLOWED_PROVIDERS_SETTING, allowed, user);
+    return allowed;
+}
+
+/**
+ * Every provider with whether it is allowed
+ */
+async function listProviders() {
+    const allowed = await getAllowedProviders();
+    return VIDEO_PROVIDER_IDS.map(id => ({
+        id,
+        name: VIDEO_PROVIDERS[id].name,
+        allowed: allowed.includes(id)
+    }));
+}
+
+/**
+ * Read the duration of a stored video upload and record it beside the file
+ * @param {object} file - Stored upload (multer file with path, size, mimetype)
+ * @returns {Promise<object>} - { duration } in seconds (null if the file does not say)
+ */
+async function processVideo(file) {
+    const handle = await fs.promises.open(file.path, 'r');
+    let duration;
+    
+    try {
+        const read = async (offset, length) => {
+            const buffer = Buffer.alloc(Math.max(0, Math.min(length, file.size - offset)));
+            const { bytesRead } = await handle.read(buffer, 0, buffer.length, offset);
+            return buffer.subarray(0, bytesRead);
+        };
+        duration = await readVideoDuration(read, file.size, file.mimetype);
+    } finally {
+        await handle.close();
+    }
+    
+    const info = { duration };
+    await fs.promises.writeFile(getUploadInfoPath(file.path), JSON.stringify(info));
+    return info;
+}
+
+/**
+ * Recorded details of an uploaded video, or null if there are none
+ */
+async function loadVideoInfo(boardId, filename) {
+    const filePath = getUploadPath(boardId, filename);
+    if (!filePath) return null;
+    
+    try {
+        return JSON.parse(await fs.promises.readFile(getUploadInfoPath(filePath), 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Work out how a video post plays
+ * @param {number} boardId - Board the post is on (uploads must belong to it)
+ * @param {string} url - Video URL from the post's link_url
+ * @returns {Promise<object>} - metadata.video: { provider, providerName, videoId,
+ *   embedUrl, startTime, duration }
+ * @throws {Error} - 400 UNSUPPORTED_VIDEO or VIDEO_PROVIDER_NOT_ALLOWED
+ */
+async function describeVideo(boardId, url) {
+    const video = parseVideoUrl(url);
+    
+    if (!video || (video.provider === 'upload' && video.boardId !== boardId)) {
+        throw videoError(400, 'UNSUPPORTED_VIDEO', 'This video link is not from a supported provider');
+    }
+    
+    const allowed = await getAllowedProviders();
+    if (!allowed.includes(video.provider)) {
+        throw videoError(400, 'VIDEO_PROVIDER_NOT_ALLOWED', `${VIDEO_PROVIDERS[video.provider].name} videos are not allowed on this site`);
+    }
+    
+    const info = video.provider === 'upload' ? await loadVideoInfo(boardId, video.videoId) : null;
+    if (video.provider === 'upload' && !info) {
+        throw videoError(400, 'UNSUPPORTED_VIDEO', 'Uploaded video not found on this board');
+    }
+    
+    return {
+        provider: video.provider,
+        providerName: VIDEO_PROVIDERS[video.provider].name,
+        videoId: video.videoId,
+        embedUrl: video.embedUrl,
+        startTime: video.startTime,
+        duration: info ? info.duration : null
+    };
+}
+
+module.exports = {
+    getAllowedProviders,
+    setAllowedProviders,
+    listProviders,
+    processVideo,
+    describeVideo
+};
@@ -0,0 +1,195 @@
+/**
+ * ============================================
+ * ARCHIVE MANIFEST TESTS
+ * ============================================
+ * Format checks, parent ordering, upload URL rewriting and
+ * archived upload checks for board export and import
+ * Run with: npm test
+ * ============================================
+ */
+
+const {
+    ARCHIVE_FORMAT,
+    ARCHIVE_VERSION,
+    checkManifest,
+    orderParentsFirst,
+    rebaseUploadUrls,
+    isAcceptableFile
+} = require('../utils/archiveManifest');
+
+const manifest = (overrides = {}) => ({
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    sourceBoardId: 7,
+    board: { title: 'Team board' },
+    users: [{ id: 1, username: 'alice' }],
+    posts: [{ id: 10, userId: 1, parentPostId: null }],
+    comments: [{ id: 20, postId: 10, userId: 1, parentCommentId: null }],
+    reactions: [{ postId: 10, userId: 1, reactionType: 'like' }],
+    files: ['0123456789abcdef0123456789abcdef.png'],
+    ...overrides
+});
+
+const ids = items => items.map(item => item.id);
+
+const STEM = '0123456789abcdef0123456789abcdef';
+const PNG = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00, 0x00]);
+const JPEG = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10]);
+const json = value => Buffer.from(JSON.stringify(value));
+
+describe('checkManifest', () => {
+    test('accepts a complete manifest', () => {
+        expect(checkManifest(manifest())).toBeNull();
+    });
+    
+    test('rejects other formats and unknown versions', () => {
+        expect(checkManifest(null)).toMatch(/not a board archive/i);
+        expect(checkManifest(manifest({ format: 'something-else' }))).toMatch(/not a board archive/i);
+        expect(checkManifest(manifest({ version: ARCHIVE_VERSION + 1 }))).toMatch(/unsupported archive version/i);
+    });
+    
+    test('requires board settings with a title', () => {
+        expect(checkManifest(manifest({ board: { title: '  ' } }))).toMatch(/board settings/);
+        expect(checkManifest(manifest({ board: undefined }))).toMatch(/board settings/);
+    });
+    
+    test('requires every list with integer ids', () => {
+        expect(checkManifest(manifest({ comments: undefined }))).toMatch(/comments list/);
+        expect(checkManifest(manifest({ posts: [{ id: '10', userId: 1 }] }))).toMatch(/invalid entry in posts/);
+        expect(checkManifest(manifest({ reactions: [{ postId: 10 }] }))).toMatch(/invalid entry in reactions/);
+        expect(checkManifest(manifest({ files: [42] }))).toMatch(/files list/);
+    });
+});
+
+describe('orderParentsFirst', () => {
+    test('puts every parent before its children', () => {
+        const items = [
+            { id: 3, parentId: 2 },
+            { id: 2, parentId: 1 },
+            { id: 4, parentId: null },
+            { id: 1, parentId: null }
+        ];
+        
+        const order = ids(orderParentsFirst(items, 'parentId'));
+        expect(order).toHaveLength(4);
+        expect(order.indexOf(1)).toBeLessThan(order.indexOf(2));
+        expect(order.indexOf(2)).toBeLessThan(order.indexOf(3));
+    });
+    
+    test('treats entries with a missing parent as top level', () => {
+        const items = [{ id: 1, parentId: 99 }, { id: 2, parentId: 1 }];
+        expect(ids(orderParentsFirst(items, 'parentId'))).toEqual([1, 2]);
+    });
+    
+    test('breaks cycles instead of dropping entries', () => {
+        const items = [{ id: 1, parentId: 2 }, { id: 2, parentId: 1 }, { id: 3, parentId: null }];
+        expect(ids(orderParentsFirst(items, 'parentId')).sort()).toEqual([1, 2, 3]);
+    });
+    
+    test('keeps children after a parent that only appears later in the list', () => {
+        const items = [
+            { id: 5, parentCommentId: 4 },
+            { id: 6, parentCommentId: 4 },
+            { id: 4, parentCommentId: 1 },
+            { id: 1, parentCommentId: null }
+        ];
+        
+        const order = ids(orderParentsFirst(items, 'parentCommentId'));
+        expect(order[0]).toBe(1);
+        expect(order.indexOf(4)).toBeLessThan(order.indexOf(5));
+        expect(order.indexOf(4)).toBeLessThan(order.indexOf(6));
+    });
+    
+    test('handles an empty list', () => {
+        expect(orderParentsFirst([], 'parentId')).toEqual([]);
+    });
+});
+
+describe('rebaseUploadUrls', () => {
+    test('moves upload URLs in nested values to the new board', () => {
+        const metadata = {
+            image: {
+                width: 800,
+                sources: [
+                    { url: '/api/boards/7/uploads/abc-320.jpg', width: 320 },
+                    { url: '/api/boards/7/uploads/abc.jpg', width: 800 }
+                ]
+            }
+        };
+        
+        expect(rebaseUploadUrls(metadata, 7, 42)).toEqual({
+            image: {
+                width: 800,
+                sources: [
+                    { url: '/api/boards/42/uploads/abc-320.jpg', width: 320 },
+                    { url: '/api/boards/42/uploads/abc.jpg', width: 800 }
+                ]
+            }
+        });
+    });
+    
+    test('rewrites every upload field of a post and leaves the original untouched', () => {
+        const post = {
+            imageUrl: '/api/boards/7/uploads/abc.png',
+            metadata: { video: { url: '/api/boards/7/uploads/def.mp4', duration: 12 }, tags: ['/api/boards/7/uploads/x.jpg'] }
+        };
+        
+        const rebased = rebaseUploadUrls(post, 7, 42);
+        expect(rebased.imageUrl).toBe('/api/boards/42/uploads/abc.png');
+        expect(rebased.metadata.video).toEqual({ url: '/api/boards/42/uploads/def.mp4', duration: 12 });
+        expect(rebased.metadata.tags).toEqual(['/api/boards/42/uploads/x.jpg']);
+        expect(post.metadata.video.url).toBe('/api/boards/7/uploads/def.mp4');
+    });
+    
+    test('leaves other boards, external URLs and non-strings alone', () => {
+        expect(rebaseUploadUrls('/api/boards/70/uploads/abc.jpg', 7, 42)).toBe('/api/boards/70/uploads/abc.jpg');
+        expect(rebaseUploadUrls('https://example.com/api/boards/7/uploads/a.jpg', 7, 42))
+            .toBe('https://example.com/api/boards/7/uploads/a.jpg');
+        expect(rebaseUploadUrls(null, 7, 42)).toBeNull();
+        expect(rebaseUploadUrls(5, 7, 42)).toBe(5);
+    });
+});
+
+describe('isAcceptableFile', () => {
+    const imageInfo = {
+        width: 800,
+        height: 600,
+        dominantColor: '#336699',
+        thumbnails: [{ filename: `${STEM}-320.png`, width: 320, height: 240 }]
+    };
+    
+    test('accepts uploads whose content matches the extension', () => {
+        expect(isAcceptableFile(`${STEM}.png`, PNG)).toBe(true);
+        expect(isAcceptableFile(`${STEM}-320.jpg`, JPEG)).toBe(true);
+    });
+    
+    test('rejects content that does not match the extension', () => {
+        expect(isAcceptableFile(`${STEM}.png`, JPEG)).toBe(false);
+        expect(isAcceptableFile(`${STEM}.jpg`, Buffer.from('<svg onload="alert(1)">'))).toBe(false);
+    });
+    
+    test('rejects extensions that are never uploaded', () => {
+        expect(isAcceptableFile(`${STEM}.exe`, PNG)).toBe(false);
+        expect(isAcceptableFile(`${STEM}.html`, Buffer.from('<html></html>'))).toBe(false);
+    });
+    
+    test('accepts image and video details files', () => {
+        expect(isAcceptableFile(`${STEM}.json`, json(imageInfo))).toBe(true);
+        expect(isAcceptableFile(`${STEM}.json`, json({ ...imageInfo, thumbnails: [] }))).toBe(true);
+        expect(isAcceptableFile(`${STEM}.json`, json({ duration: 12.5 }))).toBe(true);
+        expect(isAcceptableFile(`${STEM}.json`, json({ duration: null }))).toBe(true);
+    });
+    
+    test('rejects details files of any other shape', () => {
+        expect(isAcceptableFile(`${STEM}.json`, Buffer.from('{not json'))).toBe(false);
+        expect(isAcceptableFile(`${STEM}.json`, json([imageInfo]))).toBe(false);
+        expect(isAcceptableFile(`${STEM}.json`, json({ duration: -1 }))).toBe(false);
+        expect(isAcceptableFile(`${STEM}.json`, json({ duration: 3, url: 'https://example.com' }))).toBe(false);
+        expect(isAcceptableFile(`${STEM}.json`, json({ ...imageInfo, width: '800' }))).toBe(false);
+        expect(isAcceptableFile(`${STEM}.json`, json({ ...imageInfo, dominantColor: 'red;background:url(x)' }))).toBe(false);
+        expect(isAcceptableFile(`${STEM}.json`, json({
+            ...imageInfo,
+            thumbnails: [{ filename: '../../other/secret.png', width: 320, height: 240 }]
+        }))).toBe(false);
+    });
+});
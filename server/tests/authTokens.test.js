@@ -0,0 +1,649 @@
+/**
+ * ============================================
+ * AUTH TOKEN TESTS
+ * ============================================
+ * Refresh token rotation and reuse detection, logout, sessions,
+ * password resets, email verification and two-factor login through the
+ * auth controller and middleware, with the models replaced by an
+ * in-memory store
+ * Run with: npm test
+ * ============================================
+ */
+
+process.env.JWT_SECRET = 'auth-token-test-secret';
+process.env.MAIL_TRANSPORT = 'noop';
+
+jest.mock('../models', () => {
+    const rows = [];
+    const sessions = [];
+    const matches = (row, where) => Object.entries(where).every(([key, value]) => (
+        Array.isArray(value) ? value.includes(row[key]) : row[key] === value
+    ));
+    
+    const RefreshToken = {
+        rows,
+        async create(values) {
+            const row = { id: rows.length + 1, revokedAt: null, replacedBy: null, ...values };
+            row.isUsable = () => !row.revokedAt && row.expiresAt.getTime() > Date.now();
+            row.rotateTo = async (jti) => {
+                if (row.revokedAt) return false;
+                Object.assign(row, { revokedAt: new Date(), replacedBy: jti });
+                return true;
+            };
+            rows.push(row);
+            return row;
+        },
+        async findOne({ where }) {
+            return rows.find(row => matches(row, where)) || null;
+        },
+        async revokeFamily(familyId) {
+            const live = rows.filter(row => matches(row, { familyId, revokedAt: null }));
+            live.forEach(row => { row.revokedAt = new Date(); });
+            return live.length;
+        }
+    };
+    
+    const UserSession = {
+        sessions,
+        async create(values) {
+            const session = { id: sessions.length + 1, revokedAt: null, lastUsedAt: new Date(), ...values };
+            session.update = async (changes) => Object.assign(session, changes);
+            session.toSummary = current => ({ id: session.id, userAgent: session.userAgent, current: session.id === current });
+            sessions.push(session);
+            return session;
+        },
+        async findOne({ where }) {
+            return sessions.find(session => matches(session, where)) || null;
+        },
+        async findActiveForUser(userId) {
+            return sessions.filter(session => matches(session, { userId, revokedAt: null }));
+        },
+        async update(changes, { where }) {
+            sessions.filter(session => matches(session, where)).forEach(session => Object.assign(session, changes));
+        },
+        async revokeForUser(userId, { only = null, except = null } = {}) {
+            const live = sessions.filter(session => matches(session, { userId, revokedAt: null })
+                && (!only || session.id === only) && session.id !== except);
+            live.forEach(session => { session.revokedAt = new Date(); });
+            return live;
+        }
+    };
+    
+    const resets = [];
+    const PasswordResetToken = {
+        async create(values) {
+            const reset = { id: resets.length + 1, usedAt: null, ...values };
+            reset.consume = async () => {
+                if (reset.usedAt) return false;
+                reset.usedAt = new Date();
+                return true;
+            };
+            resets.push(reset);
+            return reset;
+        },
+        async findOne({ where }) {
+            return resets.find(reset => matches(reset, where)) || null;
+        }
+    };
+    
+    // save() stands in for the hashing hook
+    const users = [
+        { id: 1, username: 'ann', email: 'ann@example.com', role: 'user', isActive: true, password: 'hash:Old1!' },
+        { id: 2, username: 'bob', email: 'bob@example.com', role: 'user', isActive: true, password: 'hash:Old2!' },
+        { id: 3, username: 'cat', email: 'cat@example.com', role: 'user', isActive: true, password: 'hash:Old3!' },
+        { id: 4, username: 'dan', email: 'dan@example.com', role: 'moderator', isActive: true, password: 'hash:Old4!' },
+        { id: 5, username: 'eve', email: 'eve@example.com', role: 'admin', isActive: true, password: 'hash:Old5!' }
+    ];
+    users.forEach(user => {
+        user.save = async () => {
+            if (!user.password.startsWith('hash:')) user.password = `hash:${user.password}`;
+        };
+        user.comparePassword = async candidate => user.password === `hash:${candidate}`;
+        user.update = async changes => Object.assign(user, changes);
+        user.updateLastLogin = async () => Object.assign(user, { lastLogin: new Date() });
+        user.getPublicProfile = () => ({ id: user.id, email: user.email, emailVerified: user.emailVerified });
+    });
+    const User = {
+        async findByPk(id) {
+            return users.find(user => user.id === Number(id)) || null;
+        },
+        async findOne({ where }) {
+            return users.find(user => matches(user, where)) || null;
+        },
+        async findByEmailForAuth(email) {
+            return users.find(user => user.email === email && user.isActive) || null;
+        },
+        scope() {
+            return User;
+        }
+    };
+    
+    const settings = new Map();
+    const SiteSetting = {
+        settings,
+        async getValue(key, fallback = null) {
+            return settings.has(key) ? settings.get(key) : fallback;
+        }
+    };
+    
+    const mfaRecords = [];
+    const UserMfa = {
+        mfaRecords,
+        async create(values) {
+            const { MFA_CONFIG } = require('../config/config');
+            const record = { id: mfaRecords.length + 1, enabledAt: null, lastUsedStep: null, failedAttempts: 0, lockedUntil: null, ...values };
+            record.isEnabled = () => Boolean(record.enabledAt);
+            record.isLocked = () => Boolean(record.lockedUntil) && record.lockedUntil.getTime() > Date.now();
+            record.update = async changes => Object.assign(record, changes);
+            record.recordFailure = async () => {
+                record.failedAttempts++;
+                if (record.failedAttempts >= MFA_CONFIG.MAX_FAILED_ATTEMPTS) {
+                    Object.assign(record, { failedAttempts: 0, lockedUntil: new Date(Date.now() + MFA_CONFIG.LOCKOUT) });
+                }
+            };
+            record.clearFailures = async () => Object.assign(record, { failedAttempts: 0, lockedUntil: null });
+            record.useStep = async (step) => {
+                if (record.lastUsedStep !== null && record.lastUsedStep >= step) return false;
+                record.lastUsedStep = step;
+                return true;
+            };
+            mfaRecords.push(record);
+            return record;
+        },
+        async findOne({ where }) {
+            return mfaRecords.find(record => matches(record, where)) || null;
+        },
+        async findEnabled(userId) {
+            return mfaRecords.find(record => record.userId === userId && record.enabledAt) || null;
+        },
+        async destroy({ where }) {
+            mfaRecords.splice(0, mfaRecords.length, ...mfaRecords.filter(record => !matches(record, where)));
+        }
+    };
+    
+    const recoveryCodes = [];
+    const MfaRecoveryCode = {
+        recoveryCodes,
+        async replaceForUser(userId, codeHashes) {
+            await MfaRecoveryCode.destroy({ where: { userId } });
+            codeHashes.forEach(codeHash => {
+                const row = { id: recoveryCodes.length + 1, userId, codeHash, usedAt: null };
+                row.consume = async () => {
+                    if (row.usedAt) return false;
+                    row.usedAt = new Date();
+                    return true;
+                };
+                recoveryCodes.push(row);
+            });
+        },
+        async findOne({ where }) {
+            return recoveryCodes.find(row => matches(row, where)) || null;
+        },
+        async countUnused(userId) {
+            return recoveryCodes.filter(row => matches(row, { userId, usedAt: null })).length;
+        },
+        async destroy({ where }) {
+            recoveryCodes.splice(0, recoveryCodes.length, ...recoveryCodes.filter(row => !matches(row, where)));
+        }
+    };
+    
+    // No rollback in memory; the work just runs
+    const sequelize = { transaction: async work => work({}) };
+    
+    return { sequelize, RefreshToken, UserSession, PasswordResetToken, User, SiteSetting, UserMfa, MfaRecoveryCode };
+});
+
+const jwt = require('jsonwebtoken');
+const db = require('../models');
+const { generateToken, generateVerificationToken, verifyToken, hashToken, JWT_CONFIG } = require('../config/jwt');
+const { issueAuthTokens, issueResetToken } = require('../services/tokenService');
+const authController = require('../controllers/authController');
+const { requireVerifiedEmail, authenticate } = require('../middleware/auth');
+const { generateCode } = require('../utils/totp');
+const { decryptSecret } = require('../services/mfaService');
+
+function mockResponse() {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    res.cookie = jest.fn(() => res);
+    res.clearCookie = jest.fn(() => res);
+    return res;
+}
+
+async function refresh(refreshToken) {
+    const res = mockResponse();
+    await authController.refreshToken({ body: { refreshToken } }, res);
+    const status = res.status.mock.calls.length ? res.status.mock.calls[0][0] : 200;
+    return { status, body: res.json.mock.calls[0][0] };
+}
+
+const ann = { id: 1, email: 'ann@example.com', role: 'user' };
+
+describe('refresh tokens', () => {
+    test('are stored hashed, indexed by jti', async () => {
+        const tokens = await issueAuthTokens(ann);
+        const row = await db.RefreshToken.findOne({ where: { jti: tokens.refreshTokenId } });
+        
+        expect(row.tokenHash).toBe(hashToken(tokens.refreshToken));
+        expect(row.tokenHash).not.toContain(tokens.refreshToken);
+        expect(row.familyId).toBe(tokens.refreshTokenFamily);
+        expect(verifyToken(tokens.refreshToken, JWT_CONFIG.TOKEN_TYPES.REFRESH).jti).toBe(tokens.refreshTokenId);
+    });
+    
+    test('rotate into a new pair in the same family', async () => {
+        const tokens = await issueAuthTokens(ann);
+        const { status, body } = await refresh(tokens.refreshToken);
+        
+        expect(status).toBe(200);
+        expect(verifyToken(body.data.accessToken).userId).toBe(1);
+        
+        const next = verifyToken(body.data.refreshToken, JWT_CONFIG.TOKEN_TYPES.REFRESH);
+        expect(next.family).toBe(tokens.refreshTokenFamily);
+        expect(next.jti).not.toBe(tokens.refreshTokenId);
+        
+        const old = await db.RefreshToken.findOne({ where: { jti: tokens.refreshTokenId } });
+        expect(old.replacedBy).toBe(next.jti);
+    });
+    
+    test('reusing a rotated token revokes the whole family', async () => {
+        const tokens = await issueAuthTokens(ann);
+        const { body: first } = await refresh(tokens.refreshToken);
+        
+        const replay = await refresh(tokens.refreshToken);
+        expect(replay).toMatchObject({ status: 401, body: { code: 'REFRESH_TOKEN_REUSED' } });
+        
+        const latest = await refresh(first.data.refreshToken);
+        expect(latest).toMatchObject({ status: 401, body: { code: 'REFRESH_TOKEN_REVOKED' } });
+    });
+    
+    test('other families survive a reuse', async () => {
+        const stolen = await issueAuthTokens(ann);
+        const other = await issueAuthTokens(ann);
+        await refresh(stolen.refreshToken);
+        await refresh(stolen.refreshToken);
+        
+        expect((await refresh(other.refreshToken)).status).toBe(200);
+    });
+    
+    test('refuses unrecorded, mistyped and expired tokens', async () => {
+        const unrecorded = generateToken({ userId: 1, jti: 'not-stored', family: 'x' }, JWT_CONFIG.TOKEN_TYPES.REFRESH);
+        expect(await refresh(unrecorded)).toMatchObject({ status: 401, body: { code: 'INVALID_REFRESH_TOKEN' } });
+        
+        const access = (await issueAuthTokens(ann)).accessToken;
+        expect(await refresh(access)).toMatchObject({ status: 401, body: { code: 'INVALID_REFRESH_TOKEN' } });
+        
+        const expired = jwt.sign(
+            { userId: 1, tokenType: JWT_CONFIG.TOKEN_TYPES.REFRESH, exp: Math.floor(Date.now() / 1000) - 10 },
+            process.env.JWT_SECRET
+        );
+        expect(await refresh(expired)).toMatchObject({ status: 401, body: { code: 'REFRESH_TOKEN_EXPIRED' } });
+    });
+    
+    test('requires a token', async () => {
+        expect(await refresh(undefined)).toMatchObject({ status: 400, body: { code: 'NO_REFRESH_TOKEN' } });
+    });
+});
+
+describe('logout', () => {
+    async function logout(user, refreshToken) {
+        const res = mockResponse();
+        await authController.logout({ user, body: { refreshToken } }, res);
+        return res;
+    }
+    
+    test('revokes the refresh token', async () => {
+        const tokens = await issueAuthTokens(ann);
+        const res = await logout(ann, tokens.refreshToken);
+        
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+        expect(await refresh(tokens.refreshToken)).toMatchObject({ status: 401, body: { code: 'REFRESH_TOKEN_REVOKED' } });
+    });
+    
+    test('leaves tokens of other users alone', async () => {
+        const tokens = await issueAuthTokens(ann);
+        await logout({ id: 2 }, tokens.refreshToken);
+        
+        expect((await refresh(tokens.refreshToken)).status).toBe(200);
+    });
+    
+    test('still succeeds without a usable token', async () => {
+        const res = await logout(ann, 'garbage');
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    });
+});
+
+describe('sessions', () => {
+    const bob = { id: 2, email: 'bob@example.com', role: 'user' };
+    
+    async function call(handler, req) {
+        const res = mockResponse();
+        await authController[handler]({ params: {}, body: {}, ...req }, res);
+        const status = res.status.mock.calls.length ? res.status.mock.calls[0][0] : 200;
+        return { status, body: res.json.mock.calls[0][0] };
+    }
+    
+    test('are recorded per sign-in and named in the access token', async () => {
+        const tokens = await issueAuthTokens(bob, { userAgent: 'Phone', ipAddress: '203.0.113.9' });
+        const session = await db.UserSession.findOne({ where: { id: tokens.sessionId } });
+        
+        expect(session).toMatchObject({ userId: 2, tokenFamily: tokens.refreshTokenFamily, userAgent: 'Phone', ipAddress: '203.0.113.9' });
+        expect(verifyToken(tokens.accessToken).sid).toBe(tokens.sessionId);
+        
+        const { body } = await refresh(tokens.refreshToken);
+        expect(verifyToken(body.data.accessToken).sid).toBe(tokens.sessionId);
+    });
+    
+    test('list marks the current session', async () => {
+        const laptop = await issueAuthTokens(bob, { userAgent: 'Laptop' });
+        const { body } = await call('listSessions', { user: { ...bob, sessionId: laptop.sessionId } });
+        
+        const current = body.data.sessions.filter(session => session.current);
+        expect(current).toEqual([expect.objectContaining({ id: laptop.sessionId, userAgent: 'Laptop' })]);
+    });
+    
+    test('revoking one session kills its refresh token', async () => {
+        const lost = await issueAuthTokens(bob, { userAgent: 'Lost phone' });
+        
+        expect((await call('revokeSession', { user: bob, params: { sessionId: String(lost.sessionId) } })).status).toBe(200);
+        expect((await refresh(lost.refreshToken)).status).toBe(401);
+        expect((await call('revokeSession', { user: bob, params: { sessionId: String(lost.sessionId) } })).status).toBe(404);
+    });
+    
+    test('cannot revoke a session of someone else', async () => {
+        const annTokens = await issueAuthTokens(ann);
+        const result = await call('revokeSession', { user: bob, params: { sessionId: String(annTokens.sessionId) } });
+        
+        expect(result).toMatchObject({ status: 404, body: { code: 'SESSION_NOT_FOUND' } });
+        expect((await refresh(annTokens.refreshToken)).status).toBe(200);
+    });
+    
+    test('revoking the others keeps the current one', async () => {
+        const here = await issueAuthTokens(bob);
+        const elsewhere = await issueAuthTokens(bob);
+        
+        const { body } = await call('revokeOtherSessions', { user: { ...bob, sessionId: here.sessionId } });
+        expect(body.data.revokedCount).toBeGreaterThan(0);
+        expect((await refresh(elsewhere.refreshToken)).status).toBe(401);
+        expect((await refresh(here.refreshToken)).status).toBe(200);
+    });
+    
+    test('admins can sign a user out everywhere', async () => {
+        const tokens = await issueAuthTokens(bob);
+        const { status } = await call('forceLogoutUser', { user: { id: 99, role: 'admin' }, params: { userId: '2' } });
+        
+        expect(status).toBe(200);
+        expect(await db.UserSession.findActiveForUser(2)).toEqual([]);
+        expect((await refresh(tokens.refreshToken)).status).toBe(401);
+        expect((await call('forceLogoutUser', { user: { id: 99, role: 'admin' }, params: { userId: '42' } })).status).toBe(404);
+    });
+});
+
+describe('password resets', () => {
+    async function reset(token, password = 'New1!pass') {
+        const res = mockResponse();
+        await authController.resetPassword({ body: { token, password } }, res);
+        const status = res.status.mock.calls.length ? res.status.mock.calls[0][0] : 200;
+        return { status, body: res.json.mock.calls[0][0] };
+    }
+    
+    test('a reset link works once', async () => {
+        const cat = await db.User.findByPk(3);
+        const token = await issueResetToken(cat);
+        
+        expect((await reset(token)).status).toBe(200);
+        expect(cat.password).toBe('hash:New1!pass');
+        expect(await reset(token, 'Other1!pass')).toMatchObject({ status: 400, body: { code: 'RESET_TOKEN_USED' } });
+    });
+    
+    test('other reset links die once the password changes', async () => {
+        const cat = await db.User.findByPk(3);
+        const first = await issueResetToken(cat);
+        const second = await issueResetToken(cat);
+        
+        expect((await reset(first, 'Newer1!pass')).status).toBe(200);
+        expect(await reset(second)).toMatchObject({ status: 400, body: { code: 'INVALID_RESET_TOKEN' } });
+    });
+    
+    test('refuses stateless and mistyped tokens', async () => {
+        const stateless = generateToken({ email: 'cat@example.com' }, JWT_CONFIG.TOKEN_TYPES.RESET);
+        expect(await reset(stateless)).toMatchObject({ status: 400, body: { code: 'INVALID_RESET_TOKEN' } });
+        
+        const refreshToken = (await issueAuthTokens(ann)).refreshToken;
+        expect((await reset(refreshToken)).status).toBe(400);
+    });
+    
+    test('a reset signs the user out everywhere', async () => {
+        const cat = await db.User.findByPk(3);
+        const phone = await issueAuthTokens(cat);
+        const laptop = await issueAuthTokens(cat);
+        
+        expect((await reset(await issueResetToken(cat), 'Newest1!pass')).status).toBe(200);
+        expect(await db.UserSession.findActiveForUser(3)).toEqual([]);
+        expect((await refresh(phone.refreshToken)).status).toBe(401);
+        expect((await refresh(laptop.refreshToken)).status).toBe(401);
+    });
+    
+    test('changing the password keeps only the current session', async () => {
+        const cat = await db.User.findByPk(3);
+        const here = await issueAuthTokens(cat);
+        const elsewhere = await issueAuthTokens(cat);
+        const pendingReset = await issueResetToken(cat);
+        
+        const res = mockResponse();
+        await authController.changePassword({
+            user: { id: 3, sessionId: here.sessionId },
+            body: { currentPassword: 'Newest1!pass', newPassword: 'Changed1!pass' }
+        }, res);
+        
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+        expect((await refresh(elsewhere.refreshToken)).status).toBe(401);
+        expect((await refresh(here.refreshToken)).status).toBe(200);
+        expect((await reset(pendingReset)).body.code).toBe('INVALID_RESET_TOKEN');
+    });
+});
+
+describe('email verification', () => {
+    async function verify(token) {
+        const res = mockResponse();
+        await authController.verifyEmail({ params: { token } }, res);
+        const status = res.status.mock.calls.length ? res.status.mock.calls[0][0] : 200;
+        return { status, body: res.json.mock.calls[0][0] };
+    }
+    
+    async function createAs(user) {
+        const res = mockResponse();
+        const next = jest.fn();
+        await requireVerifiedEmail({ user }, res, next);
+        return next.mock.calls.length ? 'allowed' : res.json.mock.calls[0][0].code;
+    }
+    
+    test('the link marks the account verified', async () => {
+        const bob = await db.User.findByPk(2);
+        const { status, body } = await verify(generateVerificationToken(bob));
+        
+        expect(status).toBe(200);
+        expect(body.data.user.emailVerified).toBe(true);
+        expect(bob.emailVerified).toBe(true);
+    });
+    
+    test('refuses links of another type or for an old address', async () => {
+        const ann = await db.User.findByPk(1);
+        const reset = generateToken({ userId: 1, email: ann.email }, JWT_CONFIG.TOKEN_TYPES.RESET);
+        expect(await verify(reset)).toMatchObject({ status: 400, body: { code: 'INVALID_VERIFICATION_TOKEN' } });
+        
+        const oldAddress = generateVerificationToken({ id: 1, email: 'ann@old.example.com' });
+        expect(await verify(oldAddress)).toMatchObject({ status: 400, body: { code: 'INVALID_VERIFICATION_TOKEN' } });
+        expect(ann.emailVerified).toBeFalsy();
+    });
+    
+    test('unverified users can create content until verification is required', async () => {
+        expect(await createAs({ id: 1 })).toBe('allowed');
+        
+        db.SiteSetting.settings.set('auth.requireEmailVerification', true);
+        try {
+            expect(await createAs({ id: 1 })).toBe('EMAIL_NOT_VERIFIED');
+            expect(await createAs({ id: 2 })).toBe('allowed');
+        } finally {
+            db.SiteSetting.settings.clear();
+        }
+    });
+});
+
+describe('two-factor login', () => {
+    const dan = { id: 4, email: 'dan@example.com', role: 'moderator' };
+    
+    async function call(handler, req) {
+        const res = mockResponse();
+        await authController[handler]({ params: {}, body: {}, get: () => null, ...req }, res);
+        const status = res.status.mock.calls.length ? res.status.mock.calls[0][0] : 200;
+        return { status, body: res.json.mock.calls[0][0] };
+    }
+    
+    const login = (email, password) => call('login', { body: { email, password } });
+    
+    // Codes work once per 30-second step, so the clock is moved on by hand
+    let clock;
+    beforeAll(() => {
+        clock = Date.now();
+        jest.spyOn(Date, 'now').mockImplementation(() => clock);
+    });
+    afterAll(() => jest.restoreAllMocks());
+    
+    // Move to a step after the last code used and return that step's code
+    async function nextCode(userId) {
+        const record = await db.UserMfa.findOne({ where: { userId } });
+        clock = Math.max(clock, (record.lastUsedStep + 1) * 30 * 1000);
+        return generateCode(decryptSecret(record.secret));
+    }
+    
+    test('setup returns an otpauth URI and needs a first code', async () => {
+        const { body } = await call('setupMfa', { user: dan });
+        expect(body.data.otpauthUri).toMatch(/^otpauth:\/\/totp\/.*dan%40example\.com\?secret=/);
+        
+        const record = await db.UserMfa.findOne({ where: { userId: 4 } });
+        expect(record.secret).not.toContain(body.data.secret);
+        expect(await db.UserMfa.findEnabled(4)).toBeNull();
+        
+        expect(await call('verifyMfaSetup', { user: dan, body: { code: '000000' } }))
+            .toMatchObject({ status: 401, body: { code: 'INVALID_MFA_CODE' } });
+        
+        const confirmed = await call('verifyMfaSetup', { user: dan, body: { code: generateCode(body.data.secret) } });
+        expect(confirmed.status).toBe(200);
+        expect(confirmed.body.data.recoveryCodes).toHaveLength(10);
+        expect(db.MfaRecoveryCode.recoveryCodes.map(row => row.codeHash))
+            .not.toContain(confirmed.body.data.recoveryCodes[0]);
+        
+        expect((await call('setupMfa', { user: dan })).status).toBe(409);
+    });
+    
+    test('the password alone only earns a pending token', async () => {
+        const first = await login('dan@example.com', 'Old4!');
+        expect(first.body).toMatchObject({ code: 'MFA_REQUIRED', data: { mfaRequired: true, mfaSetupRequired: false } });
+        expect(first.body.data.tokens).toBeUndefined();
+        
+        const authRes = mockResponse();
+        const next = jest.fn();
+        await authenticate({ headers: { authorization: `Bearer ${first.body.data.mfaToken}` } }, authRes, next);
+        expect(next).not.toHaveBeenCalled();
+        
+        const { status, body } = await call('loginWithMfa', { body: { mfaToken: first.body.data.mfaToken, code: await nextCode(4) } });
+        expect(status).toBe(200);
+        expect(verifyToken(body.data.tokens.accessToken).userId).toBe(4);
+    });
+    
+    test('a code works once', async () => {
+        const { body: pending } = await login('dan@example.com', 'Old4!');
+        const code = await nextCode(4);
+        
+        expect((await call('loginWithMfa', { body: { mfaToken: pending.data.mfaToken, code } })).status).toBe(200);
+        expect(await call('loginWithMfa', { body: { mfaToken: pending.data.mfaToken, code } }))
+            .toMatchObject({ status: 401, body: { code: 'INVALID_MFA_CODE' } });
+    });
+    
+    test('recovery codes work once, however they are typed', async () => {
+        const { body: setup } = await call('regenerateRecoveryCodes', { user: dan, body: { code: await nextCode(4) } });
+        const [recoveryCode] = setup.data.recoveryCodes;
+        const { body: pending } = await login('dan@example.com', 'Old4!');
+        
+        const first = await call('loginWithMfa', { body: { mfaToken: pending.data.mfaToken, recoveryCode: recoveryCode.toUpperCase() } });
+        expect(first).toMatchObject({ status: 200, body: { data: { recoveryCodesRemaining: 9 } } });
+        expect((await call('loginWithMfa', { body: { mfaToken: pending.data.mfaToken, recoveryCode } })).status).toBe(401);
+    });
+    
+    test('too many wrong codes lock the account\'s codes, whatever the token', async () => {
+        const { body: pending } = await login('dan@example.com', 'Old4!');
+        const attempt = (mfaToken, code) => call('loginWithMfa', { body: { mfaToken, code } });
+        const { body: signedIn } = await login('dan@example.com', 'Old4!');
+        expect((await attempt(signedIn.data.mfaToken, await nextCode(4))).status).toBe(200);
+        
+        for (let i = 0; i < 5; i++) {
+            expect((await attempt(pending.data.mfaToken, '000000')).body.code).toBe('INVALID_MFA_CODE');
+        }
+        expect(await attempt(pending.data.mfaToken, await nextCode(4)))
+            .toMatchObject({ status: 429, body: { code: 'MFA_LOCKED' } });
+        
+        const { body: again } = await login('dan@example.com', 'Old4!');
+        expect((await attempt(again.data.mfaToken, await nextCode(4))).body.code).toBe('MFA_LOCKED');
+        
+        // The lock outlasts the tokens that were in use when it started
+        clock += 15 * 60 * 1000;
+        expect((await attempt(pending.data.mfaToken, await nextCode(4))).body.code).toBe('MFA_TOKEN_EXPIRED');
+        
+        const { body: fresh } = await login('dan@example.com', 'Old4!');
+        expect((await attempt(fresh.data.mfaToken, await nextCode(4))).status).toBe(200);
+    });
+    
+    test('refuses tokens that are not MFA pending tokens', async () => {
+        const { accessToken } = await issueAuthTokens(dan);
+        
+        expect(await call('loginWithMfa', { body: { mfaToken: accessToken, code: await nextCode(4) } }))
+            .toMatchObject({ status: 401, body: { code: 'INVALID_MFA_TOKEN' } });
+    });
+    
+    test('disabling needs the password and a code', async () => {
+        expect((await call('disableMfa', { user: dan, body: { password: 'wrong', code: await nextCode(4) } })).status).toBe(401);
+        expect((await call('disableMfa', { user: dan, body: { password: 'Old4!', code: await nextCode(4) } })).status).toBe(200);
+        
+        expect(await db.UserMfa.findEnabled(4)).toBeNull();
+        expect(await db.MfaRecoveryCode.countUnused(4)).toBe(0);
+        expect((await login('dan@example.com', 'Old4!')).body.data.tokens).toBeDefined();
+    });
+    
+    describe('when required for a role', () => {
+        const eve = { id: 5, email: 'eve@example.com', role: 'admin' };
+        
+        beforeAll(() => db.SiteSetting.settings.set('auth.mfaRequiredRoles', ['admin']));
+        afterAll(() => db.SiteSetting.settings.clear());
+        
+        test('existing sessions end at their next refresh', async () => {
+            const tokens = await issueAuthTokens(eve);
+            expect(await refresh(tokens.refreshToken)).toMatchObject({ status: 401, body: { code: 'MFA_SETUP_REQUIRED' } });
+        });
+        
+        test('login requires setting it up first', async () => {
+            const { body: pending } = await login('eve@example.com', 'Old5!');
+            expect(pending).toMatchObject({ code: 'MFA_SETUP_REQUIRED', data: { mfaSetupRequired: true } });
+            
+            const { body: setup } = await call('startLoginMfaSetup', { body: { mfaToken: pending.data.mfaToken } });
+            const { status, body } = await call('loginWithMfa', {
+                body: { mfaToken: pending.data.mfaToken, code: generateCode(setup.data.secret) }
+            });
+            
+            expect(status).toBe(200);
+            expect(body.data.tokens.accessToken).toBeDefined();
+            expect(body.data.recoveryCodes).toHaveLength(10);
+            expect((await refresh(body.data.tokens.refreshToken)).status).toBe(200);
+        });
+        
+        test('it cannot be turned off', async () => {
+            expect(await call('disableMfa', { user: eve, body: { password: 'Old5!', code: await nextCode(5) } }))
+                .toMatchObject({ status: 403, body: { code: 'MFA_REQUIRED_FOR_ROLE' } });
+            expect(await db.UserMfa.findEnabled(5)).not.toBeNull();
+        });
+        
+        test('other roles are not affected', async () => {
+            expect((await login('cat@example.com', 'Changed1!pass')).body.data.tokens).toBeDefined();
+        });
+    });
+});
@@ -0,0 +1,92 @@
+/**
+ * ============================================
+ * CANVAS HELPER TESTS
+ * ============================================
+ * Placement maths used by the batch positioning endpoint
+ * Run with: npm test
+ * ============================================
+ */
+
+const {
+    snapToGrid,
+    applyPlacement,
+    getPlacementError,
+    resolveZOrder
+} = require('../utils/canvas');
+const { CANVAS_CONFIG } = require('../config/config');
+
+const CURRENT = { positionX: 100, positionY: 100, width: 200, height: 150 };
+
+describe('snapToGrid', () => {
+    test('rounds to the nearest grid step', () => {
+        expect(snapToGrid(113, 20)).toBe(120);
+        expect(snapToGrid(109, 20)).toBe(100);
+    });
+    
+    test('leaves values alone without a grid', () => {
+        expect(snapToGrid(113)).toBe(113);
+        expect(snapToGrid(113, 1)).toBe(113);
+    });
+});
+
+describe('applyPlacement', () => {
+    test('keeps fields that were not sent', () => {
+        expect(applyPlacement(CURRENT, { positionX: 300 })).toEqual({
+            positionX: 300,
+            positionY: 100,
+            width: 200,
+            height: 150
+        });
+    });
+    
+    test('only snaps the fields that changed', () => {
+        const placement = applyPlacement({ ...CURRENT, positionY: 107 }, { positionX: 133 }, { gridSize: 25 });
+        expect(placement.positionX).toBe(125);
+        expect(placement.positionY).toBe(107);
+    });
+    
+    test('never snaps a size down to zero', () => {
+        expect(applyPlacement(CURRENT, { width: 10 }, { gridSize: 50 }).width).toBe(50);
+    });
+});
+
+describe('getPlacementError', () => {
+    test('accepts a placement inside the canvas', () => {
+        expect(getPlacementError(CURRENT)).toBeNull();
+    });
+    
+    test('rejects negative positions', () => {
+        expect(getPlacementError({ ...CURRENT, positionX: -1 })).toMatch(/inside/);
+    });
+    
+    test('rejects posts hanging off the far edge', () => {
+        expect(getPlacementError({ ...CURRENT, positionX: CANVAS_CONFIG.WIDTH - 100 })).toMatch(/inside/);
+    });
+    
+    test('rejects sizes outside the limits', () => {
+        expect(getPlacementError({ ...CURRENT, width: CANVAS_CONFIG.MIN_POST_SIZE - 1 })).toMatch(/at least/);
+        expect(getPlacementError({ ...CURRENT, height: CANVAS_CONFIG.MAX_POST_SIZE + 1 })).toMatch(/larger/);
+    });
+});
+
+describe('resolveZOrder', () => {
+    test('uses explicit numbers as given', () => {
+        const order = resolveZOrder([{ id: 1, zIndex: 7 }, { id: 2 }], { min: 0, max: 10 });
+        expect(order.get(1)).toBe(7);
+        expect(order.has(2)).toBe(false);
+    });
+    
+    test('stacks front and back posts in batch order', () => {
+        const order = resolveZOrder([
+            { id: 1, zIndex: 'front' },
+            { id: 2, zIndex: 'back' },
+            { id: 3, zIndex: 'front' },
+            { id: 4, zIndex: 'back' }
+        ], { min: -2, max: 5 });
+        
+        expect(order.get(1)).toBe(6);
+        expect(order.get(3)).toBe(7);
+        expect(order.get(2)).toBe(-4);
+        expect(order.get(4)).toBe(-3);
+    });
+});
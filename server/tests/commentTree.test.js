@@ -0,0 +1,80 @@
+/**
+ * ============================================
+ * COMMENT TREE TESTS
+ * ============================================
+ * Nesting, depth limits and reply counts for comment lists
+ * Run with: npm test
+ * ============================================
+ */
+
+const { buildCommentTree } = require('../utils/commentTree');
+
+// 1
+// ├── 2
+// │   └── 4
+// │       └── 5
+// └── 3
+// 6
+const COMMENTS = [
+    { id: 1, parentCommentId: null, content: 'first' },
+    { id: 2, parentCommentId: 1, content: 'reply' },
+    { id: 3, parentCommentId: 1, content: 'another reply' },
+    { id: 4, parentCommentId: 2, content: 'nested' },
+    { id: 5, parentCommentId: 4, content: 'deeper' },
+    { id: 6, parentCommentId: null, content: 'second' }
+];
+
+const ids = nodes => nodes.map(node => node.id);
+
+describe('buildCommentTree', () => {
+    test('nests replies under their parents in order', () => {
+        const tree = buildCommentTree(COMMENTS);
+        
+        expect(ids(tree)).toEqual([1, 6]);
+        expect(ids(tree[0].replies)).toEqual([2, 3]);
+        expect(ids(tree[0].replies[0].replies)).toEqual([4]);
+        expect(ids(tree[0].replies[0].replies[0].replies)).toEqual([5]);
+    });
+    
+    test('counts direct replies', () => {
+        const tree = buildCommentTree(COMMENTS);
+        
+        expect(tree[0].replyCount).toBe(2);
+        expect(tree[0].replies[1].replyCount).toBe(0);
+        expect(tree[1].replyCount).toBe(0);
+    });
+    
+    test('stops at the depth limit but keeps reply counts', () => {
+        const tree = buildCommentTree(COMMENTS, { maxDepth: 2 });
+        const reply = tree[0].replies[0];
+        
+        expect(ids(tree[0].replies)).toEqual([2, 3]);
+        expect(reply.replies).toEqual([]);
+        expect(reply.replyCount).toBe(1);
+    });
+    
+    test('returns only top-level comments at depth 1', () => {
+        const tree = buildCommentTree(COMMENTS, { maxDepth: 1 });
+        
+        expect(ids(tree)).toEqual([1, 6]);
+        expect(tree.every(node => node.replies.length === 0)).toBe(true);
+        expect(tree[0].replyCount).toBe(2);
+    });
+    
+    test('starts below a given comment', () => {
+        const tree = buildCommentTree(COMMENTS, { rootId: 2 });
+        
+        expect(ids(tree)).toEqual([4]);
+        expect(ids(tree[0].replies)).toEqual([5]);
+    });
+    
+    test('handles posts with no comments', () => {
+        expect(buildCommentTree([])).toEqual([]);
+    });
+    
+    test('does not change the input comments', () => {
+        const input = [{ id: 1, parentCommentId: null }];
+        buildCommentTree(input);
+        expect(input[0]).toEqual({ id: 1, parentCommentId: null });
+    });
+});
@@ -0,0 +1,67 @@
+/**
+ * ============================================
+ * BOARD EVENT BUS TESTS
+ * ============================================
+ * Events published by controllers for realtime clients
+ * Run with: npm test
+ * ============================================
+ */
+
+const { EVENT_TYPES, publish, subscribe } = require('../realtime/events');
+
+describe('board events', () => {
+    let received;
+    let stop;
+    
+    beforeEach(() => {
+        received = [];
+        stop = subscribe(event => received.push(event));
+    });
+    
+    afterEach(() => stop());
+    
+    test('delivers typed events with the board and actor', () => {
+        publish(4, EVENT_TYPES.POST_CREATED, { post: { id: 9 } }, { id: 2 });
+        
+        expect(received).toHaveLength(1);
+        expect(received[0]).toMatchObject({
+            type: 'post.created',
+            boardId: 4,
+            data: { post: { id: 9 } },
+            actorId: 2
+        });
+        expect(typeof received[0].timestamp).toBe('string');
+    });
+    
+    test('serialises models through toJSON', () => {
+        const post = { id: 1, toJSON: () => ({ id: 1, title: 'Plain' }) };
+        publish(1, EVENT_TYPES.POST_UPDATED, { post });
+        
+        expect(received[0].data).toEqual({ post: { id: 1, title: 'Plain' } });
+        expect(received[0].actorId).toBeNull();
+    });
+    
+    test('rejects unknown event types', () => {
+        expect(() => publish(1, 'post.exploded', {})).toThrow('Unknown board event type');
+        expect(received).toHaveLength(0);
+    });
+    
+    test('keeps delivering when a listener throws', () => {
+        const stopFaulty = subscribe(() => {
+            throw new Error('listener failed');
+        });
+        const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        
+        expect(() => publish(1, EVENT_TYPES.POST_DELETED, { postId: 3 })).not.toThrow();
+        expect(received).toHaveLength(1);
+        
+        spy.mockRestore();
+        stopFaulty();
+    });
+    
+    test('stops delivering after unsubscribing', () => {
+        stop();
+        publish(1, EVENT_TYPES.POST_DELETED, { postId: 3 });
+        expect(received).toHaveLength(0);
+    });
+});
@@ -0,0 +1,129 @@
+/**
+ * ============================================
+ * FILE TYPE DETECTION TESTS
+ * ============================================
+ * Magic byte checks used by the upload middleware
+ * Run with: npm test
+ * ============================================
+ */
+
+const {
+    detectSignature,
+    matchesMimeType,
+    mimeTypeForExtension,
+    readImageSize
+} = require('../utils/fileTypes');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00, 0x00]);
+const JPEG = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10]);
+const GIF = Buffer.from('GIF89a\x01\x00\x01\x00', 'binary');
+const WEBP = Buffer.concat([Buffer.from('RIFF'), Buffer.from([0x24, 0, 0, 0]), Buffer.from('WEBPVP8 ')]);
+const MP4 = Buffer.concat([Buffer.from([0, 0, 0, 0x20]), Buffer.from('ftypisom')]);
+const MOV = Buffer.concat([Buffer.from([0, 0, 0, 0x14]), Buffer.from('ftypqt  ')]);
+const HEIC = Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from('ftypheic')]);
+const WEBM = Buffer.concat([Buffer.from([0x1A, 0x45, 0xDF, 0xA3, 0x9F, 0x42, 0x82, 0x84]), Buffer.from('webm')]);
+const PDF = Buffer.from('%PDF-1.7\n');
+const ZIP = Buffer.from([0x50, 0x4B, 0x03, 0x04, 0x14, 0x00]);
+const TEXT = Buffer.from('name,town\nAmir,Telford\n');
+const BINARY = Buffer.from([0x00, 0x01, 0x02, 0xFE]);
+
+/**
+ * PNG signature and IHDR chunk for an image of the given size
+ */
+function pngHeader(width, height) {
+    const ihdr = Buffer.alloc(25);
+    ihdr.writeUInt32BE(13, 0);
+    ihdr.write('IHDR', 4, 'latin1');
+    ihdr.writeUInt32BE(width, 8);
+    ihdr.writeUInt32BE(height, 12);
+    return Buffer.concat([PNG.subarray(0, 8), ihdr]);
+}
+
+/**
+ * JPEG with an APP0 segment, then a baseline frame header of the given size
+ */
+function jpegHeader(width, height) {
+    const frame = Buffer.from([0xFF, 0xC0, 0x00, 0x11, 0x08, 0, 0, 0, 0]);
+    frame.writeUInt16BE(height, 5);
+    frame.writeUInt16BE(width, 7);
+    return Buffer.concat([Buffer.from([0xFF, 0xD8]), Buffer.from([0xFF, 0xE0, 0x00, 0x04, 0x00, 0x00]), frame]);
+}
+
+describe('detectSignature', () => {
+    test('recognises images', () => {
+        expect(detectSignature(PNG)).toBe('png');
+        expect(detectSignature(JPEG)).toBe('jpeg');
+        expect(detectSignature(GIF)).toBe('gif');
+        expect(detectSignature(WEBP)).toBe('webp');
+    });
+    
+    test('recognises videos', () => {
+        expect(detectSignature(MP4)).toBe('mp4');
+        expect(detectSignature(MOV)).toBe('quicktime');
+        expect(detectSignature(WEBM)).toBe('webm');
+        expect(detectSignature(HEIC)).toBeNull();
+    });
+    
+    test('recognises documents', () => {
+        expect(detectSignature(PDF)).toBe('pdf');
+        expect(detectSignature(ZIP)).toBe('zip');
+        expect(detectSignature(TEXT)).toBe('text');
+    });
+    
+    test('accepts text cut off in the middle of a character', () => {
+        const text = Buffer.from('café');
+        expect(detectSignature(text.subarray(0, text.length - 1))).toBe('text');
+    });
+    
+    test('returns null for unknown or empty content', () => {
+        expect(detectSignature(BINARY)).toBeNull();
+        expect(detectSignature(Buffer.alloc(0))).toBeNull();
+    });
+});
+
+describe('matchesMimeType', () => {
+    test('accepts content that matches the declared type', () => {
+        expect(matchesMimeType('image/png', PNG)).toBe(true);
+        expect(matchesMimeType('text/csv', TEXT)).toBe(true);
+        expect(matchesMimeType('video/mp4', MP4)).toBe(true);
+        expect(matchesMimeType('application/vnd.openxmlformats-officedocument.wordprocessingml.document', ZIP)).toBe(true);
+    });
+    
+    test('rejects content disguised as another type', () => {
+        expect(matchesMimeType('image/png', JPEG)).toBe(false);
+        expect(matchesMimeType('image/jpeg', TEXT)).toBe(false);
+        expect(matchesMimeType('application/pdf', BINARY)).toBe(false);
+    });
+    
+    test('rejects MIME types we do not accept', () => {
+        expect(matchesMimeType('text/html', TEXT)).toBe(false);
+        expect(matchesMimeType('image/svg+xml', TEXT)).toBe(false);
+    });
+});
+
+describe('mimeTypeForExtension', () => {
+    test('maps stored extensions back to MIME types', () => {
+        expect(mimeTypeForExtension('jpg')).toBe('image/jpeg');
+        expect(mimeTypeForExtension('docx')).toBe('application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+        expect(mimeTypeForExtension('exe')).toBeNull();
+    });
+});
+
+describe('readImageSize', () => {
+    test('reads PNG, GIF and JPEG headers', () => {
+        expect(readImageSize(pngHeader(700, 400))).toEqual({ width: 700, height: 400 });
+        expect(readImageSize(GIF)).toEqual({ width: 1, height: 1 });
+        expect(readImageSize(jpegHeader(1024, 768))).toEqual({ width: 1024, height: 768 });
+    });
+    
+    test('reads the huge sizes a small file can claim', () => {
+        expect(readImageSize(pngHeader(100000, 100000))).toEqual({ width: 100000, height: 100000 });
+    });
+    
+    test('returns null when the header does not say', () => {
+        expect(readImageSize(PNG)).toBeNull();
+        expect(readImageSize(JPEG)).toBeNull();
+        expect(readImageSize(WEBP)).toBeNull();
+        expect(readImageSize(TEXT)).toBeNull();
+    });
+});
@@ -0,0 +1,55 @@
+/**
+ * ============================================
+ * IMAGE COLOUR TESTS
+ * ============================================
+ * Dominant colour stored with image posts
+ * Run with: npm test
+ * ============================================
+ */
+
+const { dominantColor } = require('../utils/imageColor');
+
+/**
+ * Build RGBA pixel data from [r, g, b, a] tuples
+ */
+function pixels(...colours) {
+    return Buffer.from(colours.flat());
+}
+
+const repeat = (colour, count) => Array(count).fill(colour);
+
+describe('dominantColor', () => {
+    test('returns the only colour of a flat image', () => {
+        expect(dominantColor(pixels(...repeat([255, 0, 0, 255], 10)))).toBe('#ff0000');
+    });
+    
+    test('picks the most common colour', () => {
+        const data = pixels(
+            ...repeat([20, 40, 200, 255], 7),
+            ...repeat([250, 250, 250, 255], 3)
+        );
+        expect(dominantColor(data)).toBe('#1428c8');
+    });
+    
+    test('averages shades that fall in the same group', () => {
+        const data = pixels(
+            ...repeat([100, 100, 100, 255], 2),
+            ...repeat([102, 102, 102, 255], 2),
+            [0, 255, 0, 255]
+        );
+        expect(dominantColor(data)).toBe('#656565');
+    });
+    
+    test('ignores transparent pixels', () => {
+        const data = pixels(
+            ...repeat([0, 0, 0, 0], 20),
+            [255, 128, 0, 255]
+        );
+        expect(dominantColor(data)).toBe('#ff8000');
+    });
+    
+    test('returns null for a fully transparent image', () => {
+        expect(dominantColor(pixels(...repeat([10, 10, 10, 0], 4)))).toBeNull();
+        expect(dominantColor(Buffer.alloc(0))).toBeNull();
+    });
+});
@@ -0,0 +1,66 @@
+/**
+ * ============================================
+ * IMAGE SERVICE TESTS
+ * ============================================
+ * Size limits checked before an uploaded image is decoded
+ * Run with: npm test
+ * ============================================
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Jimp = require('jimp');
+const { UPLOAD_CONFIG } = require('../config/config');
+const { processImage } = require('../services/imageService');
+
+/**
+ * Valid PNG signature and IHDR chunk claiming the given size, with no pixel data
+ */
+function pngHeader(width, height) {
+    const ihdr = Buffer.alloc(25);
+    ihdr.writeUInt32BE(13, 0);
+    ihdr.write('IHDR', 4, 'latin1');
+    ihdr.writeUInt32BE(width, 8);
+    ihdr.writeUInt32BE(height, 12);
+    ihdr.writeUInt8(8, 16);
+    ihdr.writeUInt8(6, 17);
+    return Buffer.concat([Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]), ihdr]);
+}
+
+describe('processImage', () => {
+    let dir;
+    
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'images-'));
+    });
+    
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    
+    const store = (filename, data) => {
+        const filePath = path.join(dir, filename);
+        fs.writeFileSync(filePath, data);
+        return { path: filePath, filename, mimetype: 'image/png' };
+    };
+    
+    test('refuses an image whose header claims too many pixels, without decoding it', async () => {
+        const read = jest.spyOn(Jimp, 'read');
+        const file = store('0123456789abcdef0123456789abcdef.png', pngHeader(100000, 100000));
+        
+        expect(100000 * 100000).toBeGreaterThan(UPLOAD_CONFIG.MAX_PIXELS);
+        await expect(processImage(file)).rejects.toMatchObject({ status: 413, code: 'IMAGE_TOO_LARGE' });
+        expect(read).not.toHaveBeenCalled();
+    });
+    
+    test('decodes images within the limit', async () => {
+        const png = await new Jimp(400, 200, 0x336699ff).getBufferAsync(Jimp.MIME_PNG);
+        const file = store('fedcba9876543210fedcba9876543210.png', png);
+        
+        const info = await processImage(file);
+        expect(info).toMatchObject({ width: 400, height: 200, dominantColor: '#336699' });
+        expect(info.thumbnails.map(thumb => thumb.width)).toEqual([320]);
+    });
+});
@@ -0,0 +1,237 @@
+/**
+ * ============================================
+ * LINK PREVIEW TESTS
+ * ============================================
+ * Address checks, preview parsing, fetching against a local HTTP
+ * stand-in for the linked site, and the preview cache
+ * Run with: npm test
+ * ============================================
+ */
+
+process.env.LINK_PREVIEW_TIMEOUT = '300';
+
+// The preview cache, kept in memory
+jest.mock('../models', () => {
+    const entries = new Map();
+    const LinkPreview = {
+        entries,
+        async findFresh(url, { maxAge = 24 * 60 * 60 * 1000 } = {}) {
+            const entry = entries.get(url);
+            return entry && Date.now() - entry.fetchedAt.getTime() < maxAge ? entry : null;
+        },
+        async store(url, { preview = null, failure = null }) {
+            const entry = { url, preview, failure, fetchedAt: new Date() };
+            entries.set(url, entry);
+            return entry;
+        }
+    };
+    return { LinkPreview };
+});
+
+const http = require('http');
+const db = require('../models');
+const { LINK_PREVIEW_CONFIG } = require('../config/config');
+const { isPublicAddress, parseLinkPreview } = require('../utils/linkPreview');
+const { fetchLinkPreview, getLinkPreview } = require('../services/linkUnfurl');
+
+const allowAll = () => true;
+
+describe('isPublicAddress', () => {
+    test('allows public addresses', () => {
+        expect(isPublicAddress('93.184.216.34')).toBe(true);
+        expect(isPublicAddress('2606:4700::1111')).toBe(true);
+    });
+    
+    test('blocks private, loopback, link-local and reserved ranges', () => {
+        ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '224.0.0.1']
+            .forEach(address => expect(isPublicAddress(address)).toBe(false));
+        ['::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a00:1']
+            .forEach(address => expect(isPublicAddress(address)).toBe(false));
+    });
+    
+    test('rejects things that are not IP addresses', () => {
+        expect(isPublicAddress('localhost')).toBe(false);
+        expect(isPublicAddress('')).toBe(false);
+    });
+});
+
+describe('parseLinkPreview', () => {
+    const page = 'https://www.example.com/articles/1';
+    
+    test('prefers OpenGraph tags', () => {
+        const html = `<head>
+            <title>Plain title</title>
+            <meta property="og:title" content="OG &amp; title">
+            <meta name="twitter:title" content="Twitter title">
+            <meta content='A description' property='og:description'>
+            <meta property="og:image" content="/images/cover.png">
+            <meta property="og:site_name" content="Example News">
+        </head>`;
+        
+        expect(parseLinkPreview(html, page)).toEqual({
+            title: 'OG & title',
+            description: 'A description',
+            image: 'https://www.example.com/images/cover.png',
+            siteName: 'Example News'
+        });
+    });
+    
+    test('falls back to Twitter cards, then plain HTML', () => {
+        const html = `<title>
+            Plain   title &#8212; Example
+        </title>
+        <meta name="twitter:image" content="https://cdn.example.com/a.jpg">
+        <meta name="description" content="Meta description">`;
+        
+        expect(parseLinkPreview(html, page)).toEqual({
+            title: 'Plain title — Example',
+            description: 'Meta description',
+            image: 'https://cdn.example.com/a.jpg',
+            siteName: 'example.com'
+        });
+    });
+    
+    test('ignores image URLs that are not http(s)', () => {
+        const html = '<meta property="og:image" content="javascript:alert(1)">';
+        expect(parseLinkPreview(html, page).image).toBeNull();
+    });
+    
+    test('shortens very long values', () => {
+        const html = `<meta property="og:title" content="${'a'.repeat(500)}">`;
+        expect(parseLinkPreview(html, page).title).toHaveLength(300);
+    });
+});
+
+describe('fetchLinkPreview', () => {
+    let server;
+    let baseUrl;
+    
+    const routes = {
+        '/article': (req, res) => {
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.end('<meta property="og:title" content="Stand-in article"><meta property="og:image" content="/cover.png">');
+        },
+        '/moved': (req, res) => {
+            res.writeHead(302, { Location: '/article' });
+            res.end();
+        },
+        '/loop': (req, res) => {
+            res.writeHead(302, { Location: '/loop' });
+            res.end();
+        },
+        '/pdf': (req, res) => {
+            res.writeHead(200, { 'Content-Type': 'application/pdf' });
+            res.end('%PDF-1.4');
+        },
+        '/missing': (req, res) => {
+            res.writeHead(404, { 'Content-Type': 'text/html' });
+            res.end('Not found');
+        },
+        '/slow': () => {},
+        '/huge': (req, res) => {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.write('<title>Huge page</title>');
+            const chunk = 'x'.repeat(64 * 1024);
+            const write = () => {
+                while (!res.destroyed && res.write(chunk)) { /* keep writing until the client stops reading */ }
+                if (!res.destroyed) res.once('drain', write);
+            };
+            write();
+        }
+    };
+    
+    beforeAll(done => {
+        server = http.createServer((req, res) => (routes[req.url] || routes['/missing'])(req, res));
+        server.listen(0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+    
+    afterAll(done => {
+        server.closeAllConnections();
+        server.close(done);
+    });
+    
+    test('reads the preview from the page', async () => {
+        const preview = await fetchLinkPreview(`${baseUrl}/article`, { allowAddress: allowAll });
+        expect(preview).toEqual({
+            url: `${baseUrl}/article`,
+            title: 'Stand-in article',
+            description: null,
+            image: `${baseUrl}/cover.png`,
+            siteName: '127.0.0.1'
+        });
+    });
+    
+    test('follows redirects and reports the final URL', async () => {
+        const preview = await fetchLinkPreview(`${baseUrl}/moved`, { allowAddress: allowAll });
+        expect(preview.url).toBe(`${baseUrl}/article`);
+        expect(preview.title).toBe('Stand-in article');
+    });
+    
+    test('refuses private addresses by default', async () => {
+        await expect(fetchLinkPreview(`${baseUrl}/article`)).rejects.toMatchObject({ code: 'LINK_BLOCKED', status: 422 });
+        await expect(fetchLinkPreview(`http://localhost:${server.address().port}/article`))
+            .rejects.toMatchObject({ code: 'LINK_BLOCKED' });
+    });
+    
+    test('refuses redirects to private addresses', async () => {
+        const onlyFirstHop = jest.fn().mockReturnValueOnce(true).mockReturnValue(false);
+        await expect(fetchLinkPreview(`${baseUrl}/moved`, { allowAddress: onlyFirstHop }))
+            .rejects.toMatchObject({ code: 'LINK_BLOCKED' });
+    });
+    
+    test('gives up on redirect loops', async () => {
+        await expect(fetchLinkPreview(`${baseUrl}/loop`, { allowAddress: allowAll }))
+            .rejects.toMatchObject({ code: 'LINK_UNREACHABLE', message: expect.stringMatching(/redirected too many times/) });
+    });
+    
+    test('rejects pages that are not HTML or not found', async () => {
+        await expect(fetchLinkPreview(`${baseUrl}/pdf`, { allowAddress: allowAll })).rejects.toMatchObject({ code: 'LINK_NOT_HTML' });
+        await expect(fetchLinkPreview(`${baseUrl}/missing`, { allowAddress: allowAll }))
+            .rejects.toMatchObject({ code: 'LINK_UNREACHABLE', message: expect.stringMatching(/404/) });
+    });
+    
+    test('times out slow pages', async () => {
+        await expect(fetchLinkPreview(`${baseUrl}/slow`, { allowAddress: allowAll })).rejects.toMatchObject({ code: 'LINK_TIMEOUT', status: 504 });
+    });
+    
+    test('stops reading large pages at the size limit', async () => {
+        const preview = await fetchLinkPreview(`${baseUrl}/huge`, { allowAddress: allowAll });
+        expect(preview.title).toBe('Huge page');
+    });
+    
+    test('only fetches http and https links', async () => {
+        await expect(fetchLinkPreview('ftp://example.com/file', { allowAddress: allowAll })).rejects.toMatchObject({ code: 'LINK_BLOCKED' });
+    });
+});
+
+describe('getLinkPreview', () => {
+    // A private address, so a real fetch is refused without leaving the machine
+    const url = 'http://127.0.0.1:9/page';
+    const cache = (age) => db.LinkPreview.entries.set(url, {
+        url,
+        preview: { url, title: 'Cached page' },
+        failure: null,
+        fetchedAt: new Date(Date.now() - age)
+    });
+    
+    afterEach(() => db.LinkPreview.entries.clear());
+    
+    test('uses the cache while it is fresh', async () => {
+        cache(60 * 60 * 1000);
+        expect(await getLinkPreview(url)).toMatchObject({ title: 'Cached page' });
+    });
+    
+    test('a refresh soon after the last fetch gets the cached preview', async () => {
+        cache(LINK_PREVIEW_CONFIG.MIN_REFRESH_INTERVAL / 2);
+        expect(await getLinkPreview(url, { refresh: true })).toMatchObject({ title: 'Cached page' });
+    });
+    
+    test('a later refresh fetches the page again', async () => {
+        cache(LINK_PREVIEW_CONFIG.MIN_REFRESH_INTERVAL + 1000);
+        await expect(getLinkPreview(url, { refresh: true })).rejects.toMatchObject({ code: 'LINK_BLOCKED' });
+        expect(db.LinkPreview.entries.get(url).failure).toBe('LINK_BLOCKED');
+    });
+});
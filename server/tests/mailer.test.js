@@ -0,0 +1,170 @@
+/**
+ * ============================================
+ * MAILER TESTS
+ * ============================================
+ * Email templates, the outbox transport and the send queue
+ * (retries, timeouts, never blocking the caller)
+ * Run with: npm test
+ * ============================================
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { renderEmail, escapeHtml, MAIL_TEMPLATE_NAMES } = require('../utils/mailTemplates');
+const { createMailer, createTransport } = require('../services/mailer');
+
+const quietly = () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('renderEmail', () => {
+    test('renders matching HTML and text for every template', () => {
+        const data = {
+            name: 'Ann',
+            resetLink: 'https://board.example.com/reset?token=r',
+            verificationLink: 'https://board.example.com/verify/v',
+            invitationLink: 'https://board.example.com/invite?token=i',
+            inviterName: 'Bob',
+            boardTitle: 'Allotments',
+            permissionLevel: 'editor',
+            changedAt: 'Mon, 19 Oct 2026 10:00:00 GMT'
+        };
+        
+        MAIL_TEMPLATE_NAMES.forEach(name => {
+            const email = renderEmail(name, data);
+            expect(email.subject).toBeTruthy();
+            expect(email.text).toContain('Hi Ann,');
+            expect(email.html).toContain('Hi Ann,');
+            expect(email.html).toMatch(/^<!DOCTYPE html>/);
+        });
+        
+        const reset = renderEmail('passwordReset', data);
+        expect(reset.text).toContain('Reset password: https://board.example.com/reset?token=r');
+        expect(reset.html).toContain('href="https://board.example.com/reset?token=r"');
+        expect(renderEmail('boardInvitation', data).subject).toBe('Bob invited you to "Allotments"');
+    });
+    
+    test('escapes values in the HTML body', () => {
+        const email = renderEmail('boardInvitation', {
+            name: '<script>alert(1)</script>',
+            inviterName: 'Eve',
+            boardTitle: 'A & B',
+            permissionLevel: 'viewer',
+            invitationLink: 'https://board.example.com/invite?a=1&b="2"'
+        });
+        
+        expect(email.html).not.toContain('<script>');
+        expect(email.html).toContain('&lt;script&gt;');
+        expect(email.html).toContain('A &amp; B');
+        expect(email.html).toContain('href="https://board.example.com/invite?a=1&amp;b=&quot;2&quot;"');
+        expect(email.text).toContain('"A & B"');
+    });
+    
+    test('refuses unknown templates', () => {
+        expect(() => renderEmail('welcomeParty', {})).toThrow(/Unknown email template/);
+        expect(escapeHtml("it's")).toBe('it&#39;s');
+    });
+});
+
+describe('createTransport', () => {
+    test('outbox writes each message to a file', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+        try {
+            const mailer = createMailer({ transport: createTransport('outbox', { dir }), from: 'board@example.com' });
+            mailer.send('emailVerification', 'ann@example.com', { name: 'Ann', verificationLink: 'https://x.example/v' });
+            await mailer.flush();
+            
+            const files = fs.readdirSync(dir);
+            expect(files).toHaveLength(1);
+            const message = JSON.parse(fs.readFileSync(path.join(dir, files[0]), 'utf8'));
+            expect(message).toMatchObject({ template: 'emailVerification', to: 'ann@example.com', from: 'board@example.com' });
+            expect(message.text).toContain('https://x.example/v');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+    
+    test('refuses unknown transports', () => {
+        expect(() => createTransport('pigeon')).toThrow(/Unknown mail transport/);
+    });
+});
+
+describe('createMailer', () => {
+    const data = { name: 'Ann', resetLink: 'https://x.example/r' };
+    
+    test('send returns before the transport has finished', async () => {
+        let release;
+        const transport = { send: jest.fn(() => new Promise(resolve => { release = resolve; })), close() {} };
+        const mailer = createMailer({ transport, sendTimeout: 1000 });
+        
+        const id = mailer.send('passwordReset', 'ann@example.com', data);
+        expect(typeof id).toBe('string');
+        expect(transport.send).not.toHaveBeenCalled();
+        
+        await new Promise(resolve => setImmediate(resolve));
+        expect(transport.send).toHaveBeenCalledTimes(1);
+        expect(mailer.pending()).toBe(1);
+        
+        release();
+        await mailer.flush();
+        expect(mailer.pending()).toBe(0);
+    });
+    
+    test('retries failed deliveries with backoff', async () => {
+        quietly();
+        const transport = {
+            send: jest.fn()
+                .mockRejectedValueOnce(new Error('421 try later'))
+                .mockRejectedValueOnce(new Error('421 try later'))
+                .mockResolvedValue(),
+            close() {}
+        };
+        const mailer = createMailer({ transport, retryDelay: 5, maxAttempts: 3 });
+        
+        mailer.send('passwordReset', 'ann@example.com', data);
+        await mailer.flush();
+        
+        expect(transport.send).toHaveBeenCalledTimes(3);
+        expect(console.error).not.toHaveBeenCalled();
+    });
+    
+    test('drops a message after the last attempt', async () => {
+        quietly();
+        const transport = { send: jest.fn().mockRejectedValue(new Error('550 no such user')), close() {} };
+        const mailer = createMailer({ transport, retryDelay: 1, maxAttempts: 2 });
+        
+        mailer.send('passwordReset', 'ann@example.com', data);
+        await mailer.flush();
+        
+        expect(transport.send).toHaveBeenCalledTimes(2);
+        expect(console.error).toHaveBeenCalledWith(expect.stringMatching(/dropped after 2 attempts/), '550 no such user');
+    });
+    
+    test('gives up on a delivery attempt that hangs', async () => {
+        quietly();
+        const transport = { send: jest.fn(() => new Promise(() => {})), close() {} };
+        const mailer = createMailer({ transport, sendTimeout: 20, maxAttempts: 1 });
+        
+        mailer.send('passwordReset', 'ann@example.com', data);
+        await mailer.flush();
+        
+        expect(console.error).toHaveBeenCalledWith(expect.any(String), expect.stringMatching(/timed out/));
+    });
+    
+    test('refuses new messages when the queue is full', async () => {
+        quietly();
+        const transport = { send: jest.fn().mockResolvedValue(), close() {} };
+        const mailer = createMailer({ transport, maxQueueSize: 2 });
+        
+        expect(mailer.send('passwordReset', 'a@example.com', data)).not.toBeNull();
+        expect(mailer.send('passwordReset', 'b@example.com', data)).not.toBeNull();
+        expect(mailer.send('passwordReset', 'c@example.com', data)).toBeNull();
+        
+        await mailer.flush();
+        expect(transport.send).toHaveBeenCalledTimes(2);
+    });
+});
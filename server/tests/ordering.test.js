@@ -0,0 +1,110 @@
+/**
+ * ============================================
+ * ORDERING KEY TESTS
+ * ============================================
+ * Fractional sort keys used for manual post ordering
+ * Run with: npm test
+ * ============================================
+ */
+
+const {
+    isValidKey,
+    keyBetween,
+    generateKeys,
+    needsRebalance,
+    MAX_KEY_LENGTH
+} = require('../utils/ordering');
+
+// Appends that fit in one place before the key grows a digit
+const DIGITS_PER_PLACE = 35;
+
+describe('keyBetween', () => {
+    test('creates a first key for an empty board', () => {
+        expect(isValidKey(keyBetween(null, null))).toBe(true);
+    });
+    
+    test('creates keys strictly between two neighbours', () => {
+        const key = keyBetween('a', 'b');
+        expect(key > 'a').toBe(true);
+        expect(key < 'b').toBe(true);
+    });
+    
+    test('creates keys before the first and after the last', () => {
+        expect(keyBetween(null, '1') < '1').toBe(true);
+        expect(keyBetween('z', null) > 'z').toBe(true);
+    });
+    
+    test('keeps appended keys short', () => {
+        let key = keyBetween(null, null);
+        for (let i = 0; i < 500; i++) {
+            key = keyBetween(key, null);
+        }
+        expect(key.length).toBeLessThan(20);
+    });
+    
+    test('keeps order through many random inserts', () => {
+        const keys = [];
+        for (let i = 0; i < 500; i++) {
+            const index = Math.floor(Math.random() * (keys.length + 1));
+            const before = index > 0 ? keys[index - 1] : null;
+            const after = index < keys.length ? keys[index] : null;
+            keys.splice(index, 0, keyBetween(before, after));
+        }
+        
+        expect([...keys].sort()).toEqual(keys);
+        expect(keys.every(isValidKey)).toBe(true);
+    });
+    
+    test('rejects neighbours in the wrong order', () => {
+        expect(() => keyBetween('b', 'a')).toThrow();
+        expect(() => keyBetween('a', 'a')).toThrow();
+    });
+    
+    test('rejects malformed keys', () => {
+        expect(() => keyBetween('A', null)).toThrow();
+        expect(() => keyBetween('a0', null)).toThrow();
+    });
+});
+
+describe('generateKeys', () => {
+    test('spreads ascending keys for a whole board', () => {
+        const keys = generateKeys(100);
+        expect(keys).toHaveLength(100);
+        expect([...keys].sort()).toEqual(keys);
+        expect(new Set(keys).size).toBe(100);
+        expect(keys.every(isValidKey)).toBe(true);
+    });
+    
+    test('leaves room between generated keys', () => {
+        const [first, second] = generateKeys(2);
+        expect(() => keyBetween(first, second)).not.toThrow();
+    });
+});
+
+describe('needsRebalance', () => {
+    test('flags keys that have grown too long', () => {
+        expect(needsRebalance('i')).toBe(false);
+        expect(needsRebalance('1'.repeat(MAX_KEY_LENGTH + 1))).toBe(true);
+    });
+    
+    test('keeps a board that only ever appends within the limit', () => {
+        // What Post.nextSortKey does: append, renumbering first once the key is too long
+        let keys = [keyBetween(null, null)];
+        let renumbers = 0;
+        
+        for (let i = 0; i < MAX_KEY_LENGTH * DIGITS_PER_PLACE * 2; i++) {
+            let key = keyBetween(keys[keys.length - 1], null);
+            if (needsRebalance(key)) {
+                keys = generateKeys(keys.length);
+                key = keyBetween(keys[keys.length - 1], null);
+                renumbers++;
+            }
+            keys.push(key);
+        }
+        
+        expect(renumbers).toBeGreaterThan(0);
+        expect(keys.every(key => key.length <= MAX_KEY_LENGTH)).toBe(true);
+        expect([...keys].sort()).toEqual(keys);
+        expect(new Set(keys).size).toBe(keys.length);
+    });
+});
@@ -0,0 +1,101 @@
+/**
+ * ============================================
+ * SEARCH QUERY TESTS
+ * ============================================
+ * SQL built for /api/search and highlight formatting
+ * Run with: npm test
+ * ============================================
+ */
+
+const { buildSearchQuery, formatHighlight } = require('../utils/searchQuery');
+
+const USER = { id: 7, role: 'user' };
+
+describe('buildSearchQuery', () => {
+    test('searches boards, posts and comments by default', () => {
+        const { sql, replacements, empty } = buildSearchQuery({ q: 'market', user: USER });
+        
+        expect(empty).toBe(false);
+        expect(sql).toContain("'board' AS type");
+        expect(sql).toContain("'post' AS type");
+        expect(sql).toContain("'comment' AS type");
+        expect(sql).toContain('websearch_to_tsquery');
+        expect(replacements).toMatchObject({ q: 'market', userId: 7, limit: 20, offset: 0 });
+    });
+    
+    test('limits anonymous callers to public boards', () => {
+        const { sql } = buildSearchQuery({ q: 'market' });
+        
+        expect(sql).toContain('b.is_public = TRUE');
+        expect(sql).not.toContain('board_collaborators');
+    });
+    
+    test('lets signed-in users see their own and collaborating boards', () => {
+        const { sql } = buildSearchQuery({ q: 'market', user: USER });
+        
+        expect(sql).toContain('b.user_id = :userId');
+        expect(sql).toContain("bc.invitation_status = 'accepted'");
+    });
+    
+    test('does not filter visibility for admins', () => {
+        const { sql } = buildSearchQuery({ q: 'market', user: { id: 1, role: 'admin' } });
+        
+        expect(sql).not.toContain('b.is_public');
+    });
+    
+    test('only includes the requested kinds of result', () => {
+        const { sql } = buildSearchQuery({ q: 'market', user: USER, types: ['comment'] });
+        
+        expect(sql).not.toContain("'board' AS type");
+        expect(sql).not.toContain("'post' AS type");
+        expect(sql).toContain("'comment' AS type");
+    });
+    
+    test('a content type filter only searches posts', () => {
+        const { sql, replacements } = buildSearchQuery({ q: 'market', user: USER, contentType: 'image' });
+        
+        expect(sql).toContain("'post' AS type");
+        expect(sql).not.toContain("'board' AS type");
+        expect(sql).toContain('p.content_type = :contentType');
+        expect(replacements.contentType).toBe('image');
+    });
+    
+    test('reports an empty search when filters leave nothing to search', () => {
+        const { empty } = buildSearchQuery({ q: 'market', types: ['board'], contentType: 'image' });
+        expect(empty).toBe(true);
+    });
+    
+    test('adds board, author and date filters as replacements', () => {
+        const from = new Date('2024-01-01');
+        const to = new Date('2024-12-31');
+        const { sql, replacements } = buildSearchQuery({
+            q: 'market', user: USER, boardId: 3, authorId: 9, from, to
+        });
+        
+        expect(sql).toContain('b.id = :boardId');
+        expect(sql).toContain('p.user_id = :authorId');
+        expect(sql).toContain('c.created_at >= :from');
+        expect(sql).toContain('b.created_at <= :to');
+        expect(replacements).toMatchObject({ boardId: 3, authorId: 9, from, to });
+    });
+    
+    test('never puts the search text into the SQL', () => {
+        const { sql } = buildSearchQuery({ q: "'; DROP TABLE posts; --", user: USER });
+        expect(sql).not.toContain('DROP TABLE');
+    });
+});
+
+describe('formatHighlight', () => {
+    test('wraps matches in <mark>', () => {
+        expect(formatHighlight('the \u0002market\u0003 opens')).toBe('the <mark>market</mark> opens');
+    });
+    
+    test('escapes HTML in user content', () => {
+        expect(formatHighlight('<script>\u0002alert\u0003</script>'))
+            .toBe('&lt;script&gt;<mark>alert</mark>&lt;/script&gt;');
+    });
+    
+    test('handles missing text', () => {
+        expect(formatHighlight(null)).toBe('');
+    });
+});
@@ -0,0 +1,57 @@
+/**
+ * ============================================
+ * SECTION TESTS
+ * ============================================
+ * Section placement rules and section tree grouping
+ * Run with: npm test
+ * ============================================
+ */
+
+const { getSectionPlacementError, buildSectionTree } = require('../utils/sections');
+
+const section = (id, extra = {}) => ({ id, contentType: 'section', parentPostId: null, ...extra });
+const note = (id, parentPostId = null) => ({ id, contentType: 'text', parentPostId });
+
+describe('getSectionPlacementError', () => {
+    test('allows posts at the top level or inside a section', () => {
+        expect(getSectionPlacementError(note(1), null)).toBeNull();
+        expect(getSectionPlacementError(note(1), section(2))).toBeNull();
+    });
+    
+    test('only sections can hold posts', () => {
+        expect(getSectionPlacementError(note(1), note(2))).toMatch(/only be placed inside sections/);
+    });
+    
+    test('sections cannot be nested', () => {
+        expect(getSectionPlacementError(section(1), section(2))).toMatch(/cannot be placed inside other sections/);
+        expect(getSectionPlacementError(section(1), null)).toBeNull();
+    });
+});
+
+describe('buildSectionTree', () => {
+    test('groups posts under their sections in the given order', () => {
+        const tree = buildSectionTree([section(1), note(2, 1), note(3), section(4), note(5, 1), note(6, 4)]);
+        
+        expect(tree.map(post => post.id)).toEqual([1, 3, 4]);
+        expect(tree[0].children.map(post => post.id)).toEqual([2, 5]);
+        expect(tree[0].childCount).toBe(2);
+        expect(tree[2].children.map(post => post.id)).toEqual([6]);
+    });
+    
+    test('gives empty sections an empty child list', () => {
+        const [empty] = buildSectionTree([section(1, { isCollapsed: true })]);
+        expect(empty).toMatchObject({ id: 1, isCollapsed: true, children: [], childCount: 0 });
+    });
+    
+    test('shows posts whose section is missing at the top level', () => {
+        const tree = buildSectionTree([note(1, 99), note(2, 3), note(3)]);
+        expect(tree.map(post => post.id)).toEqual([1, 2, 3]);
+        expect(tree[0].children).toBeUndefined();
+    });
+    
+    test('does not change the posts it is given', () => {
+        const posts = [section(1), note(2, 1)];
+        buildSectionTree(posts);
+        expect(posts[0].children).toBeUndefined();
+    });
+});
@@ -0,0 +1,85 @@
+/**
+ * ============================================
+ * SLUG TESTS
+ * ============================================
+ * Slug generation, transliteration and custom slug rules
+ * Run with: npm test
+ * ============================================
+ */
+
+const { transliterate, slugify, generateUniqueSlug } = require('../utils/helpers');
+const { getSlugError } = require('../utils/validators');
+
+const takenFrom = (...slugs) => async slug => slugs.includes(slug);
+
+describe('transliterate', () => {
+    test('strips accents and spells special letters in ASCII', () => {
+        expect(transliterate('Crème Brûlée')).toBe('creme brulee');
+        expect(transliterate('Straße Ærø Łódź')).toBe('strasse aero lodz');
+    });
+    
+    test('transliterates Cyrillic and Greek', () => {
+        expect(transliterate('Привет')).toBe('privet');
+        expect(transliterate('Αθήνα')).toBe('athina');
+    });
+});
+
+describe('slugify', () => {
+    test('joins words with single hyphens', () => {
+        expect(slugify('  Weekly   Meeting -- Notes! ')).toBe('weekly-meeting-notes');
+        expect(slugify('snake_case_title')).toBe('snake-case-title');
+    });
+    
+    test('drops characters it cannot spell', () => {
+        expect(slugify('東京 Meetup')).toBe('meetup');
+        expect(slugify('東京')).toBe('');
+    });
+    
+    test('stays within 200 characters without a trailing hyphen', () => {
+        const slug = slugify(`${'a'.repeat(199)} b`);
+        expect(slug).toHaveLength(199);
+        expect(slug.endsWith('-')).toBe(false);
+    });
+});
+
+describe('generateUniqueSlug', () => {
+    test('uses the plain slug when it is free', async () => {
+        expect(await generateUniqueSlug('Community Noticeboard', takenFrom())).toBe('community-noticeboard');
+    });
+    
+    test('numbers collisions', async () => {
+        expect(await generateUniqueSlug('My Board', takenFrom('my-board'))).toBe('my-board-2');
+        expect(await generateUniqueSlug('My Board', takenFrom('my-board', 'my-board-2'))).toBe('my-board-3');
+    });
+    
+    test('avoids reserved words and numeric slugs', async () => {
+        expect(await generateUniqueSlug('Templates', takenFrom())).toBe('templates-2');
+        expect(await generateUniqueSlug('2024', takenFrom())).toBe('board-2024');
+    });
+    
+    test('falls back to "board" when nothing can be spelled', async () => {
+        expect(await generateUniqueSlug('東京', takenFrom())).toBe('board');
+    });
+    
+    test('keeps suffixed slugs within 200 characters', async () => {
+        const long = 'a'.repeat(200);
+        const slug = await generateUniqueSlug(long, takenFrom(long));
+        expect(slug).toHaveLength(200);
+        expect(slug.endsWith('-2')).toBe(true);
+    });
+});
+
+describe('getSlugError', () => {
+    test('accepts well-formed slugs', () => {
+        expect(getSlugError('team-space')).toBeNull();
+        expect(getSlugError('2024-plans')).toBeNull();
+    });
+    
+    test('rejects bad formats, numeric slugs and reserved words', () => {
+        expect(getSlugError('ab')).toMatch(/between/);
+        expect(getSlugError('Team Space')).toMatch(/lowercase/);
+        expect(getSlugError('team--space')).toMatch(/single hyphens/);
+        expect(getSlugError('12345')).toMatch(/letter/);
+        expect(getSlugError('templates')).toMatch(/reserved/);
+    });
+});
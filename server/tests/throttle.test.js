@@ -0,0 +1,63 @@
+/**
+ * ============================================
+ * THROTTLE TESTS
+ * ============================================
+ * Rate limiting used for live cursor updates
+ * Run with: npm test
+ * ============================================
+ */
+
+const { createThrottle } = require('../utils/throttle');
+
+describe('createThrottle', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+    
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+    
+    test('runs the first call straight away', () => {
+        const fn = jest.fn();
+        const throttled = createThrottle(100, fn);
+        
+        throttled(1);
+        expect(fn).toHaveBeenCalledWith(1);
+    });
+    
+    test('collapses calls within the interval and sends the latest', () => {
+        const fn = jest.fn();
+        const throttled = createThrottle(100, fn);
+        
+        throttled(1);
+        throttled(2);
+        throttled(3);
+        expect(fn).toHaveBeenCalledTimes(1);
+        
+        jest.advanceTimersByTime(100);
+        expect(fn).toHaveBeenCalledTimes(2);
+        expect(fn).toHaveBeenLastCalledWith(3);
+    });
+    
+    test('runs again straight away once the interval has passed', () => {
+        const fn = jest.fn();
+        const throttled = createThrottle(100, fn);
+        
+        throttled(1);
+        jest.advanceTimersByTime(150);
+        throttled(2);
+        expect(fn).toHaveBeenCalledTimes(2);
+    });
+    
+    test('cancel drops a pending call', () => {
+        const fn = jest.fn();
+        const throttled = createThrottle(100, fn);
+        
+        throttled(1);
+        throttled(2);
+        throttled.cancel();
+        jest.advanceTimersByTime(200);
+        expect(fn).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * ============================================
+ * TOTP TESTS
+ * ============================================
+ * Base32, TOTP codes (RFC 6238 test vectors), otpauth URIs and
+ * recovery codes
+ * Run with: npm test
+ * ============================================
+ */
+
+const {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generateCode,
+    verifyCode,
+    buildOtpauthUri,
+    generateRecoveryCodes,
+    normalizeRecoveryCode
+} = require('../utils/totp');
+
+// "12345678901234567890", the SHA-1 key from RFC 6238 appendix B
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('base32', () => {
+    test('encodes RFC 4648 vectors without padding', () => {
+        expect(base32Encode(Buffer.from('f'))).toBe('MY');
+        expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+        expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    });
+    
+    test('decodes regardless of case, spaces and padding', () => {
+        expect(base32Decode('mzxw 6ytb oi======').toString()).toBe('foobar');
+        expect(() => base32Decode('MZ1W')).toThrow(/Invalid base32/);
+    });
+    
+    test('generated secrets round-trip', () => {
+        const secret = generateSecret();
+        expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+        expect(base32Encode(base32Decode(secret))).toBe(secret);
+    });
+});
+
+describe('generateCode', () => {
+    test.each([
+        [59, '94287082'],
+        [1111111109, '07081804'],
+        [1111111111, '14050471'],
+        [1234567890, '89005924'],
+        [2000000000, '69279037'],
+        [20000000000, '65353130']
+    ])('matches RFC 6238 at %i seconds', (seconds, expected) => {
+        expect(generateCode(RFC_SECRET, { time: seconds * 1000, digits: 8 })).toBe(expected);
+    });
+    
+    test('defaults to 6 digits', () => {
+        expect(generateCode(RFC_SECRET, { time: 59 * 1000 })).toBe('287082');
+    });
+});
+
+describe('verifyCode', () => {
+    const time = 1111111111 * 1000;
+    
+    test('returns the time step of a matching code', () => {
+        const code = generateCode(RFC_SECRET, { time });
+        expect(verifyCode(RFC_SECRET, code, { time })).toBe(Math.floor(1111111111 / 30));
+        expect(verifyCode(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`, { time })).not.toBeNull();
+    });
+    
+    test('allows one step of clock drift by default', () => {
+        const previous = generateCode(RFC_SECRET, { time: time - 30 * 1000 });
+        const old = generateCode(RFC_SECRET, { time: time - 90 * 1000 });
+        
+        expect(verifyCode(RFC_SECRET, previous, { time })).toBe(Math.floor(1111111111 / 30) - 1);
+        expect(verifyCode(RFC_SECRET, previous, { time, window: 0 })).toBeNull();
+        expect(verifyCode(RFC_SECRET, old, { time })).toBeNull();
+    });
+    
+    test('refuses malformed codes', () => {
+        expect(verifyCode(RFC_SECRET, '', { time })).toBeNull();
+        expect(verifyCode(RFC_SECRET, '12345', { time })).toBeNull();
+        expect(verifyCode(RFC_SECRET, 'abcdef', { time })).toBeNull();
+        expect(verifyCode(RFC_SECRET, undefined, { time })).toBeNull();
+    });
+});
+
+describe('buildOtpauthUri', () => {
+    test('names the issuer and account', () => {
+        const uri = buildOtpauthUri({ secret: 'JBSWY3DPEHPK3PXP', accountName: 'ann@example.com', issuer: 'Telford Community Board' });
+        const url = new URL(uri);
+        
+        expect(uri.startsWith('otpauth://totp/Telford%20Community%20Board:ann%40example.com?')).toBe(true);
+        expect(url.searchParams.get('secret')).toBe('JBSWY3DPEHPK3PXP');
+        expect(url.searchParams.get('issuer')).toBe('Telford Community Board');
+        expect(url.searchParams.get('digits')).toBe('6');
+        expect(url.searchParams.get('period')).toBe('30');
+    });
+});
+
+describe('recovery codes', () => {
+    test('are distinct and readable', () => {
+        const codes = generateRecoveryCodes(10);
+        
+        expect(codes).toHaveLength(10);
+        expect(new Set(codes).size).toBe(10);
+        codes.forEach(code => expect(code).toMatch(/^[a-z2-7]{5}-[a-z2-7]{5}$/));
+    });
+    
+    test('match however they are typed', () => {
+        expect(normalizeRecoveryCode(' K3V9Q 7MX2P ')).toBe('k3v9q7mx2p');
+        expect(normalizeRecoveryCode('k3v9q-7mx2p')).toBe('k3v9q7mx2p');
+    });
+});
@@ -0,0 +1,80 @@
+/**
+ * ============================================
+ * VIDEO INFO TESTS
+ * ============================================
+ * Durations read from MP4 and WebM container headers
+ * Run with: npm test
+ * ============================================
+ */
+
+const { readVideoDuration } = require('../utils/videoInfo');
+
+const readerFor = buffer => async (offset, length) => buffer.subarray(offset, offset + length);
+const durationOf = (buffer, mimeType) => readVideoDuration(readerFor(buffer), buffer.length, mimeType);
+
+// An MP4 box: 32-bit size, type, body
+function box(type, body) {
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(8 + body.length, 0);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, body]);
+}
+
+// Version 0 movie header with a timescale and duration
+function mvhd(timescale, duration) {
+    const body = Buffer.alloc(100);
+    body.writeUInt32BE(timescale, 12);
+    body.writeUInt32BE(duration, 16);
+    return box('mvhd', body);
+}
+
+// An EBML element with a one-byte size
+const element = (id, body) => Buffer.concat([Buffer.from(id), Buffer.from([0x80 | body.length]), body]);
+
+function webm(infoChildren) {
+    const header = element([0x1A, 0x45, 0xDF, 0xA3], element([0x42, 0x82], Buffer.from('webm')));
+    const info = element([0x15, 0x49, 0xA9, 0x66], Buffer.concat(infoChildren));
+    const seekHead = element([0x11, 0x4D, 0x9B, 0x74], Buffer.alloc(4));
+    // Segment with an unknown size, as live recorders write it
+    const segment = Buffer.concat([Buffer.from([0x18, 0x53, 0x80, 0x67, 0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]), seekHead, info]);
+    return Buffer.concat([header, segment]);
+}
+
+const float64 = value => {
+    const buffer = Buffer.alloc(8);
+    buffer.writeDoubleBE(value);
+    return buffer;
+};
+
+describe('readVideoDuration', () => {
+    test('reads MP4 durations from moov/mvhd, after other boxes', async () => {
+        const file = Buffer.concat([
+            box('ftyp', Buffer.from('isom\0\0\0\0')),
+            box('mdat', Buffer.alloc(64)),
+            box('moov', mvhd(1000, 12345))
+        ]);
+        
+        expect(await durationOf(file, 'video/mp4')).toBe(12.345);
+    });
+    
+    test('reads WebM durations using the timecode scale', async () => {
+        const file = webm([
+            element([0x2A, 0xD7, 0xB1], Buffer.from([0x0F, 0x42, 0x40])),    // 1,000,000 ns per tick
+            element([0x44, 0x89], float64(61500))
+        ]);
+        
+        expect(await durationOf(file, 'video/webm')).toBe(61.5);
+    });
+    
+    test('returns null when the container does not state a duration', async () => {
+        expect(await durationOf(webm([]), 'video/webm')).toBeNull();
+        expect(await durationOf(box('ftyp', Buffer.from('isom\0\0\0\0')), 'video/mp4')).toBeNull();
+    });
+    
+    test('returns null for truncated or malformed files', async () => {
+        const file = box('moov', mvhd(1000, 5000));
+        expect(await durationOf(file.subarray(0, 20), 'video/mp4')).toBeNull();
+        expect(await durationOf(Buffer.from([0, 0, 0, 4, 0x6D, 0x6F]), 'video/mp4')).toBeNull();
+        expect(await durationOf(Buffer.from('not a video'), 'video/webm')).toBeNull();
+    });
+});
@@ -0,0 +1,94 @@
+/**
+ * ============================================
+ * VIDEO PROVIDER TESTS
+ * ============================================
+ * Video URL parsing into provider, id, start time and embed URL
+ * Run with: npm test
+ * ============================================
+ */
+
+const { parseStartTime, parseVideoUrl } = require('../utils/videoProviders');
+
+describe('parseStartTime', () => {
+    test('reads seconds, unit and clock formats', () => {
+        expect(parseStartTime('90')).toBe(90);
+        expect(parseStartTime('90s')).toBe(90);
+        expect(parseStartTime('1m30s')).toBe(90);
+        expect(parseStartTime('1h2m3s')).toBe(3723);
+        expect(parseStartTime('1:30')).toBe(90);
+        expect(parseStartTime('1:02:03')).toBe(3723);
+    });
+    
+    test('returns null for missing or unreadable values', () => {
+        expect(parseStartTime(null)).toBeNull();
+        expect(parseStartTime('')).toBeNull();
+        expect(parseStartTime('soon')).toBeNull();
+    });
+});
+
+describe('parseVideoUrl', () => {
+    test('recognises YouTube watch pages, short links, shorts and embeds', () => {
+        const expected = {
+            provider: 'youtube',
+            videoId: 'dQw4w9WgXcQ',
+            startTime: 43,
+            embedUrl: 'https://www.youtube.com/embed/dQw4w9WgXcQ?start=43'
+        };
+        
+        expect(parseVideoUrl('https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=43s')).toEqual(expected);
+        expect(parseVideoUrl('https://youtu.be/dQw4w9WgXcQ?t=43')).toEqual(expected);
+        expect(parseVideoUrl('https://m.youtube.com/shorts/dQw4w9WgXcQ?start=43')).toEqual(expected);
+        expect(parseVideoUrl('https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ?start=43')).toEqual(expected);
+    });
+    
+    test('leaves the start time out of the embed URL when there is none', () => {
+        expect(parseVideoUrl('https://www.youtube.com/watch?v=dQw4w9WgXcQ')).toMatchObject({
+            startTime: null,
+            embedUrl: 'https://www.youtube.com/embed/dQw4w9WgXcQ'
+        });
+    });
+    
+    test('recognises Vimeo pages, including unlisted ones', () => {
+        expect(parseVideoUrl('https://vimeo.com/76979871#t=1m5s')).toEqual({
+            provider: 'vimeo',
+            videoId: '76979871',
+            startTime: 65,
+            embedUrl: 'https://player.vimeo.com/video/76979871#t=65s'
+        });
+        expect(parseVideoUrl('https://vimeo.com/channels/staffpicks/76979871').videoId).toBe('76979871');
+        expect(parseVideoUrl('https://vimeo.com/76979871/abc123def4').embedUrl)
+            .toBe('https://player.vimeo.com/video/76979871?h=abc123def4');
+    });
+    
+    test('recognises Dailymotion and Loom', () => {
+        expect(parseVideoUrl('https://www.dailymotion.com/video/x8abc12_town-fair?start=10')).toEqual({
+            provider: 'dailymotion',
+            videoId: 'x8abc12',
+            startTime: 10,
+            embedUrl: 'https://www.dailymotion.com/embed/video/x8abc12?start=10'
+        });
+        expect(parseVideoUrl('https://dai.ly/x8abc12').videoId).toBe('x8abc12');
+        expect(parseVideoUrl(`https://www.loom.com/share/${'a1'.repeat(16)}`).embedUrl)
+            .toBe(`https://www.loom.com/embed/${'a1'.repeat(16)}`);
+    });
+    
+    test('recognises videos uploaded to a board', () => {
+        const filename = `${'0'.repeat(32)}.mp4`;
+        expect(parseVideoUrl(`/api/boards/7/uploads/${filename}`)).toEqual({
+            provider: 'upload',
+            videoId: filename,
+            boardId: 7,
+            startTime: null,
+            embedUrl: `/api/boards/7/uploads/${filename}`
+        });
+        expect(parseVideoUrl(`/api/boards/7/uploads/${'0'.repeat(32)}.pdf`)).toBeNull();
+    });
+    
+    test('rejects unknown providers and malformed links', () => {
+        expect(parseVideoUrl('https://videos.example.com/watch?v=dQw4w9WgXcQ')).toBeNull();
+        expect(parseVideoUrl('https://www.youtube.com/watch?v=short')).toBeNull();
+        expect(parseVideoUrl('https://www.youtube.com/feed/trending')).toBeNull();
+        expect(parseVideoUrl('javascript:alert(1)')).toBeNull();
+        expect(parseVideoUrl('not a url')).toBeNull();
+    });
+});
@@ -0,0 +1,213 @@
+/**
+ * ============================================
+ * BOARD ARCHIVE MANIFEST
+ * ============================================
+ * Format checks and id remapping helpers for the board.json
+ * manifest inside an exported board archive, and checks on the
+ * uploads it carries
+ * ============================================
+ */
+
+const path = require('path');
+const { HEADER_SIZE, matchesMimeType, mimeTypeForExtension } = require('./fileTypes');
+const { STORED_NAME_REGEX, getUploadUrl } = require('./uploadPaths');
+const { isHexColor } = require('./validators');
+
+const ARCHIVE_FORMAT = 'telford-board';
+const ARCHIVE_VERSION = 1;
+
+// Name of the manifest and the folder holding uploads inside an archive
+const MANIFEST_NAME = 'board.json';
+const FILES_DIR = 'files/';
+
+// Lists every manifest carries, and the id fields each entry needs
+const MANIFEST_LISTS = {
+    users: ['id'],
+    posts: ['id', 'userId'],
+    comments: ['id', 'postId', 'userId'],
+    reactions: ['postId', 'userId']
+};
+
+// How authors in an archive are matched to accounts on this server:
+// by username (only accounts the importer may claim), falling back to a
+// placeholder, or always the placeholder (the default)
+const AUTHOR_MODES = ['match', 'placeholder'];
+
+const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check a parsed manifest has the shape an import needs
+ * @param {object} manifest - Parsed board.json
+ * @returns {string|null} - Problem found, or null if usable
+ */
+function checkManifest(manifest) {
+    if (!isPlainObject(manifest) || manifest.format !== ARCHIVE_FORMAT) {
+        return 'Not a board archive';
+    }
+    
+    if (!Number.isInteger(manifest.version) || manifest.version < 1 || manifest.version > ARCHIVE_VERSION) {
+        return `Unsupported archive version ${manifest.version}`;
+    }
+    
+    if (!Number.isInteger(manifest.sourceBoardId)) {
+        return 'Archive does not say which board it came from';
+    }
+    
+    if (!isPlainObject(manifest.board) || typeof manifest.board.title !== 'string' || !manifest.board.title.trim()) {
+        return 'Archive has no board settings';
+    }
+    
+    for (const [list, idFields] of Object.entries(MANIFEST_LISTS)) {
+        if (!Array.isArray(manifest[list])) {
+            return `Archive is missing its ${list} list`;
+        }
+        
+        const bad = manifest[list].find(entry =>
+            !isPlainObject(entry) || idFields.some(field => !Number.isInteger(entry[field]))
+        );
+        if (bad !== undefined) {
+            return `Archive has an invalid entry in ${list}`;
+        }
+    }
+    
+    if (!Array.isArray(manifest.files) || manifest.files.some(name => typeof name !== 'string')) {
+        return 'Archive is missing its files list';
+    }
+    
+    return null;
+}
+
+/**
+ * Order entries so every parent comes before its children.
+ * Entries whose parent is missing, or that sit in a cycle, are treated as
+ * top-level, so remapping ids in this order never meets an unmapped parent
+ * except where the reference has to be dropped.
+ * @param {Array} items - Entries with an id and a parent id
+ * @param {string} parentKey - Field holding the parent id
+ * @returns {Array} - Same entries, parents first
+ */
+function orderParentsFirst(items, parentKey) {
+    const ids = new Set(items.map(item => item.id));
+    const children = new Map();
+    
+    items.forEach(item => {
+        const parentId = item[parentKey];
+        if (parentId === null || parentId === undefined || !ids.has(parentId)) return;
+        if (!children.has(parentId)) children.set(parentId, []);
+        children.get(parentId).push(item);
+    });
+    
+    const ordered = [];
+    const visited = new Set();
+    
+    const visit = (root) => {
+        const queue = [root];
+        visited.add(root.id);
+        
+        while (queue.length > 0) {
+            const item = queue.shift();
+            ordered.push(item);
+            
+            (children.get(item.id) || []).forEach(child => {
+                if (visited.has(child.id)) return;
+                visited.add(child.id);
+                queue.push(child);
+            });
+        }
+    };
+    
+    items
+        .filter(item => !ids.has(item[parentKey]))
+        .forEach(visit);
+    
+    // Anything left is part of a cycle; break it at the first entry found
+    items.forEach(item => {
+        if (!visited.has(item.id)) visit(item);
+    });
+    
+    return ordered;
+}
+
+/**
+ * Point upload URLs from one board at another, anywhere inside a value
+ * (strings, arrays and nested objects such as post metadata)
+ * @param {*} value - Value to rewrite
+ * @param {number} fromBoardId - Board the URLs currently belong to
+ * @param {number} toBoardId - Board they should belong to
+ * @returns {*} - Rewritten copy
+ */
+function rebaseUploadUrls(value, fromBoardId, toBoardId) {
+    const fromPrefix = getUploadUrl(fromBoardId, '');
+    const toPrefix = getUploadUrl(toBoardId, '');
+    
+    const rebase = (item) => {
+        if (typeof item === 'string') {
+            return item.startsWith(fromPrefix) ? toPrefix + item.slice(fromPrefix.length) : item;
+        }
+        if (Array.isArray(item)) {
+            return item.map(rebase);
+        }
+        if (isPlainObject(item)) {
+            return Object.fromEntries(Object.entries(item).map(([key, entry]) => [key, rebase(entry)]));
+        }
+        return item;
+    };
+    
+    return rebase(value);
+}
+
+/**
+ * Check a details file has the shape processImage or processVideo
+ * writes, so post metadata built from it only points at this board's uploads
+ * @param {*} info - Parsed details file
+ * @returns {boolean}
+ */
+function isUploadInfo(info) {
+    if (!isPlainObject(info)) return false;
+    
+    if ('duration' in info) {
+        return Object.keys(info).length === 1
+            && (info.duration === null || (Number.isFinite(info.duration) && info.duration >= 0));
+    }
+    
+    const isSize = item => Number.isInteger(item.width) && item.width > 0 && Number.isInteger(item.height) && item.height > 0;
+    return isSize(info)
+        && isHexColor(info.dominantColor)
+        && Array.isArray(info.thumbnails)
+        && info.thumbnails.every(thumb => isPlainObject(thumb) && isSize(thumb)
+            && typeof thumb.filename === 'string' && STORED_NAME_REGEX.test(thumb.filename));
+}
+
+/**
+ * Check an archived upload is safe to store: its content has to match
+ * its extension, and details files have to be image or video details
+ * @param {string} filename - Stored upload name
+ * @param {Buffer} data - File content
+ * @returns {boolean}
+ */
+function isAcceptableFile(filename, data) {
+    const ext = path.extname(filename).slice(1);
+    
+    if (ext === 'json') {
+        try {
+            return isUploadInfo(JSON.parse(data.toString('utf8')));
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    const mimeType = mimeTypeForExtension(ext);
+    return !!mimeType && matchesMimeType(mimeType, data.subarray(0, HEADER_SIZE));
+}
+
+module.exports = {
+    ARCHIVE_FORMAT,
+    ARCHIVE_VERSION,
+    MANIFEST_NAME,
+    FILES_DIR,
+    AUTHOR_MODES,
+    checkManifest,
+    orderParentsFirst,
+    rebaseUploadUrls,
+    isAcceptableFile
+};
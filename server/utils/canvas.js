@@ -0,0 +1,116 @@
+/**
+ * ============================================
+ * CANVAS HELPERS
+ * ============================================
+ * Placement maths for posts on canvas layout boards
+ * ============================================
+ */
+
+const { CANVAS_CONFIG } = require('../config/config');
+
+// Placement fields a batch move may change
+const PLACEMENT_FIELDS = ['positionX', 'positionY', 'width', 'height'];
+
+/**
+ * Round a value to the nearest grid step
+ * @param {number} value - Value to snap
+ * @param {number} gridSize - Grid step in px
+ * @returns {number} - Snapped value
+ */
+function snapToGrid(value, gridSize) {
+    if (!gridSize || gridSize <= 1) return value;
+    return Math.round(value / gridSize) * gridSize;
+}
+
+/**
+ * Merge requested changes onto a post's current placement
+ * @param {object} current - Current { positionX, positionY, width, height }
+ * @param {object} changes - Requested changes (any subset)
+ * @param {object} options - { gridSize }
+ * @returns {object} - New placement
+ */
+function applyPlacement(current, changes, options = {}) {
+    const placement = {};
+    
+    PLACEMENT_FIELDS.forEach(field => {
+        const changed = changes[field] !== undefined;
+        let value = changed ? changes[field] : current[field];
+        
+        // Only snap what the client moved, so untouched posts stay put
+        if (changed) {
+            value = snapToGrid(value, options.gridSize);
+        }
+        
+        // A snapped size must never collapse to nothing
+        if ((field === 'width' || field === 'height') && changed && options.gridSize) {
+            value = Math.max(value, options.gridSize);
+        }
+        
+        placement[field] = value;
+    });
+    
+    return placement;
+}
+
+/**
+ * Check a placement fits on the canvas
+ * @param {object} placement - { positionX, positionY, width, height }
+ * @returns {string|null} - Problem description, or null if it fits
+ */
+function getPlacementError(placement) {
+    const { positionX, positionY, width, height } = placement;
+    
+    if (width < CANVAS_CONFIG.MIN_POST_SIZE || height < CANVAS_CONFIG.MIN_POST_SIZE) {
+        return `Posts must be at least ${CANVAS_CONFIG.MIN_POST_SIZE}px wide and tall`;
+    }
+    
+    if (width > CANVAS_CONFIG.MAX_POST_SIZE || height > CANVAS_CONFIG.MAX_POST_SIZE) {
+        return `Posts cannot be larger than ${CANVAS_CONFIG.MAX_POST_SIZE}px`;
+    }
+    
+    if (positionX < 0 || positionY < 0 ||
+        positionX + width > CANVAS_CONFIG.WIDTH ||
+        positionY + height > CANVAS_CONFIG.HEIGHT) {
+        return `Posts must stay inside the ${CANVAS_CONFIG.WIDTH}x${CANVAS_CONFIG.HEIGHT} canvas`;
+    }
+    
+    return null;
+}
+
+/**
+ * Work out z-index values for a batch.
+ * Numbers are used as given; 'front' and 'back' stack the posts above or
+ * below everything else on the board, keeping their order in the batch.
+ * @param {Array} items - [{ id, zIndex }]
+ * @param {object} range - { min, max } current z-index range on the board
+ * @returns {Map} - post id => new z-index
+ */
+function resolveZOrder(items, range) {
+    const result = new Map();
+    const front = items.filter(item => item.zIndex === 'front');
+    const back = items.filter(item => item.zIndex === 'back');
+    
+    items.forEach(item => {
+        if (Number.isInteger(item.zIndex)) {
+            result.set(item.id, item.zIndex);
+        }
+    });
+    
+    front.forEach((item, index) => {
+        result.set(item.id, range.max + index + 1);
+    });
+    
+    back.forEach((item, index) => {
+        result.set(item.id, range.min - back.length + index);
+    });
+    
+    return result;
+}
+
+module.exports = {
+    PLACEMENT_FIELDS,
+    snapToGrid,
+    applyPlacement,
+    getPlacementError,
+    resolveZOrder
+};
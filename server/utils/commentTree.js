@@ -0,0 +1,43 @@
+/**
+ * ============================================
+ * COMMENT TREE
+ * ============================================
+ * Turns a flat list of comments into nested replies
+ * ============================================
+ */
+
+/**
+ * Build a nested comment tree from a flat list
+ * @param {Array} comments - Comments (plain objects) in display order
+ * @param {object} options - { maxDepth, rootId }
+ *   maxDepth: levels to nest, 1 = top-level comments only
+ *   rootId: start below this comment instead of at the top level
+ * @returns {Array} - Comments with `replies` and `replyCount`.
+ *   Replies cut off by the depth limit keep their replyCount so the
+ *   client can load them later with rootId.
+ */
+function buildCommentTree(comments, { maxDepth = Infinity, rootId = null } = {}) {
+    const childrenOf = new Map();
+    
+    comments.forEach(comment => {
+        const parentId = comment.parentCommentId || null;
+        if (!childrenOf.has(parentId)) childrenOf.set(parentId, []);
+        childrenOf.get(parentId).push(comment);
+    });
+    
+    const build = (parentId, depth) => (childrenOf.get(parentId) || []).map(comment => {
+        const replies = childrenOf.get(comment.id) || [];
+        
+        return {
+            ...comment,
+            replyCount: replies.length,
+            replies: depth < maxDepth ? build(comment.id, depth + 1) : []
+        };
+    });
+    
+    return build(rootId, 1);
+}
+
+module.exports = {
+    buildCommentTree
+};
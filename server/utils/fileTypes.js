@@ -0,0 +1,170 @@
+/**
+ * ============================================
+ * FILE TYPE DETECTION
+ * ============================================
+ * Identifies uploads from their first bytes (magic numbers)
+ * instead of trusting the client's MIME type or extension
+ * ============================================
+ */
+
+// Bytes needed to recognise every signature below
+const HEADER_SIZE = 512;
+
+// Stored extension and expected signature for each MIME type we accept
+const MIME_TYPES = {
+    'image/jpeg': { ext: 'jpg', signature: 'jpeg' },
+    'image/png': { ext: 'png', signature: 'png' },
+    'image/gif': { ext: 'gif', signature: 'gif' },
+    'image/webp': { ext: 'webp', signature: 'webp' },
+    'video/mp4': { ext: 'mp4', signature: 'mp4' },
+    'video/webm': { ext: 'webm', signature: 'webm' },
+    'video/quicktime': { ext: 'mov', signature: 'quicktime' },
+    'application/pdf': { ext: 'pdf', signature: 'pdf' },
+    'text/plain': { ext: 'txt', signature: 'text' },
+    'text/csv': { ext: 'csv', signature: 'text' },
+    'application/zip': { ext: 'zip', signature: 'zip' },
+    // Office documents are zip containers
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': { ext: 'docx', signature: 'zip' },
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { ext: 'xlsx', signature: 'zip' },
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': { ext: 'pptx', signature: 'zip' }
+};
+
+// ISO media brands (ftyp box) that are MP4 video rather than HEIC/AVIF images
+const MP4_BRANDS = ['isom', 'iso2', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'M4V ', 'dash', 'mmp4'];
+
+/**
+ * Check whether a buffer starts with the given bytes
+ */
+function startsWith(buffer, bytes, offset = 0) {
+    if (buffer.length < offset + bytes.length) return false;
+    return bytes.every((byte, i) => buffer[offset + i] === byte);
+}
+
+/**
+ * Check that a buffer looks like UTF-8 text (no NUL bytes, valid encoding)
+ */
+function isText(buffer) {
+    if (buffer.includes(0)) return false;
+    
+    try {
+        // stream: true tolerates a multi-byte character cut off at the end
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: true });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Identify a file from its first bytes
+ * @param {Buffer} buffer - Start of the file (HEADER_SIZE bytes is enough)
+ * @returns {string|null} - Signature name (jpeg, png, pdf, zip, text, ...) or null
+ */
+function detectSignature(buffer) {
+    if (!buffer || buffer.length === 0) return null;
+    
+    if (startsWith(buffer, [0xFF, 0xD8, 0xFF])) return 'jpeg';
+    if (startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'png';
+    if (startsWith(buffer, Buffer.from('GIF87a')) || startsWith(buffer, Buffer.from('GIF89a'))) return 'gif';
+    if (startsWith(buffer, Buffer.from('RIFF')) && startsWith(buffer, Buffer.from('WEBP'), 8)) return 'webp';
+    if (startsWith(buffer, Buffer.from('ftyp'), 4)) {
+        const brand = buffer.toString('latin1', 8, 12);
+        if (brand === 'qt  ') return 'quicktime';
+        if (MP4_BRANDS.includes(brand)) return 'mp4';
+    }
+    if (startsWith(buffer, [0x1A, 0x45, 0xDF, 0xA3]) && buffer.includes('webm')) return 'webm';
+    if (startsWith(buffer, Buffer.from('%PDF-'))) return 'pdf';
+    if (startsWith(buffer, [0x50, 0x4B, 0x03, 0x04]) || startsWith(buffer, [0x50, 0x4B, 0x05, 0x06])) return 'zip';
+    if (isText(buffer)) return 'text';
+    
+    return null;
+}
+
+/**
+ * Check that a file's content matches the MIME type it was uploaded as
+ * @param {string} mimeType - Declared MIME type
+ * @param {Buffer} buffer - Start of the file
+ * @returns {boolean} - True if the bytes match
+ */
+function matchesMimeType(mimeType, buffer) {
+    const type = MIME_TYPES[mimeType];
+    return !!type && detectSignature(buffer) === type.signature;
+}
+
+/**
+ * Look up the MIME type for a stored file extension
+ * @param {string} ext - Extension without the dot
+ * @returns {string|null} - MIME type
+ */
+function mimeTypeForExtension(ext) {
+    const entry = Object.entries(MIME_TYPES).find(([, type]) => type.ext === ext);
+    return entry ? entry[0] : null;
+}
+
+// JPEG start-of-frame markers, which carry the image size
+// (every 0xC0-0xCF marker except DHT, JPG and DAC)
+const JPEG_FRAME_MARKERS = [0xC0, 0xC1, 0xC2, 0xC3, 0xC5, 0xC6, 0xC7, 0xC9, 0xCA, 0xCB, 0xCD, 0xCE, 0xCF];
+
+/**
+ * Find the size in a JPEG's start-of-frame segment, walking the
+ * segments before it
+ */
+function readJpegSize(buffer) {
+    let offset = 2;
+    
+    while (offset + 4 <= buffer.length) {
+        if (buffer[offset] !== 0xFF) return null;
+        const marker = buffer[offset + 1];
+        
+        // Fill bytes and markers without a length
+        if (marker === 0xFF) {
+            offset++;
+            continue;
+        }
+        if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD8)) {
+            offset += 2;
+            continue;
+        }
+        // Image data starts without a frame header
+        if (marker === 0xDA || marker === 0xD9) return null;
+        
+        if (JPEG_FRAME_MARKERS.includes(marker)) {
+            if (offset + 9 > buffer.length) return null;
+            return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return null;
+}
+
+/**
+ * Read an image's width and height from its header without decoding it
+ * @param {Buffer} buffer - Start of the file (JPEGs may need more than
+ *   HEADER_SIZE bytes when they carry large EXIF data)
+ * @returns {object|null} - { width, height }, or null for other formats
+ *   or a header that does not say
+ */
+function readImageSize(buffer) {
+    switch (detectSignature(buffer)) {
+        case 'png':
+            // The IHDR chunk always comes first
+            if (buffer.length < 24 || buffer.toString('latin1', 12, 16) !== 'IHDR') return null;
+            return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+        case 'gif':
+            if (buffer.length < 10) return null;
+            return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+        case 'jpeg':
+            return readJpegSize(buffer);
+        default:
+            return null;
+    }
+}
+
+module.exports = {
+    HEADER_SIZE,
+    MIME_TYPES,
+    detectSignature,
+    matchesMimeType,
+    mimeTypeForExtension,
+    readImageSize
+};
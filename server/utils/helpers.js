@@ -0,0 +1,127 @@
+/**
+ * ============================================
+ * HELPER FUNCTIONS
+ * ============================================
+ * Small reusable utilities shared across the server
+ * ============================================
+ */
+
+const crypto = require('crypto');
+const { SLUG_MAX_LENGTH, RESERVED_SLUGS } = require('./validators');
+
+// Letters that Unicode normalisation does not break down into ASCII
+const TRANSLITERATIONS = {
+    'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'đ': 'd', 'ð': 'd', 'þ': 'th',
+    'ł': 'l', 'ı': 'i', 'ħ': 'h', 'ŋ': 'ng', 'ĸ': 'k', 'ſ': 's',
+    // Cyrillic
+    'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ё': 'e',
+    'ж': 'zh', 'з': 'z', 'и': 'i', 'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm',
+    'н': 'n', 'о': 'o', 'п': 'p', 'р': 'r', 'с': 's', 'т': 't', 'у': 'u',
+    'ф': 'f', 'х': 'kh', 'ц': 'ts', 'ч': 'ch', 'ш': 'sh', 'щ': 'shch', 'ъ': '',
+    'ы': 'y', 'ь': '', 'э': 'e', 'ю': 'yu', 'я': 'ya', 'є': 'ye', 'і': 'i',
+    'ї': 'yi', 'ґ': 'g',
+    // Greek
+    'α': 'a', 'β': 'v', 'γ': 'g', 'δ': 'd', 'ε': 'e', 'ζ': 'z', 'η': 'i',
+    'θ': 'th', 'ι': 'i', 'κ': 'k', 'λ': 'l', 'μ': 'm', 'ν': 'n', 'ξ': 'x',
+    'ο': 'o', 'π': 'p', 'ρ': 'r', 'σ': 's', 'ς': 's', 'τ': 't', 'υ': 'y',
+    'φ': 'f', 'χ': 'ch', 'ψ': 'ps', 'ω': 'o'
+};
+
+// Numbered suffixes tried before falling back to a random one
+const MAX_NUMBERED_SUFFIX = 50;
+
+/**
+ * Spell text with ASCII letters where possible (é -> e, ß -> ss, ж -> zh)
+ * @param {string} text - Text to convert
+ * @returns {string} - Lowercase transliterated text
+ */
+function transliterate(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\x00-\x7f]/g, char => TRANSLITERATIONS[char] ?? char);
+}
+
+/**
+ * Convert text into a URL-friendly slug
+ * @param {string} text - Text to convert
+ * @returns {string} - Slug (may be empty)
+ */
+function slugify(text) {
+    return transliterate(text)
+        .trim()
+        .replace(/[^a-z0-9\s_-]/g, '')
+        .replace(/[\s_-]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, SLUG_MAX_LENGTH)
+        .replace(/-+$/, '');
+}
+
+/**
+ * Add a suffix to a slug, trimming the base so the result still fits
+ */
+function withSuffix(base, suffix) {
+    return `${base.slice(0, SLUG_MAX_LENGTH - suffix.length - 1).replace(/-+$/, '')}-${suffix}`;
+}
+
+/**
+ * Generate a slug that is not already taken.
+ * Collisions get a number (my-board-2, my-board-3, ...) and, once those
+ * run out, a short random suffix.
+ * @param {string} text - Text to base the slug on
+ * @param {function} isTaken - Async callback returning true if a slug exists
+ * @returns {Promise<string>} - Unique slug
+ */
+async function generateUniqueSlug(text, isTaken) {
+    let base = slugify(text) || 'board';
+    
+    // All-digit slugs would be read as board ids
+    if (/^\d+$/.test(base)) {
+        base = withSuffix('board', base);
+    }
+    
+    const unavailable = async slug => RESERVED_SLUGS.includes(slug) || await isTaken(slug);
+    
+    if (!(await unavailable(base))) {
+        return base;
+    }
+    
+    for (let number = 2; number <= MAX_NUMBERED_SUFFIX; number++) {
+        const candidate = withSuffix(base, String(number));
+        if (!(await isTaken(candidate))) {
+            return candidate;
+        }
+    }
+    
+    let candidate;
+    do {
+        candidate = withSuffix(base, crypto.randomBytes(3).toString('hex'));
+    } while (await isTaken(candidate));
+    
+    return candidate;
+}
+
+/**
+ * Parse pagination parameters from a query string
+ * @param {object} query - req.query
+ * @param {number} defaultLimit - Default page size
+ * @returns {object} - { page, limit, offset }
+ */
+function getPagination(query, defaultLimit = 20) {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), 100);
+    
+    return {
+        page,
+        limit,
+        offset: (page - 1) * limit
+    };
+}
+
+module.exports = {
+    transliterate,
+    slugify,
+    generateUniqueSlug,
+    getPagination
+};
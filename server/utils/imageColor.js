@@ -0,0 +1,64 @@
+/**
+ * ============================================
+ * IMAGE COLOUR
+ * ============================================
+ * Dominant colour of an image, used as a placeholder
+ * background while thumbnails load
+ * ============================================
+ */
+
+// Bits kept per channel when grouping similar colours (3 bits = 512 buckets)
+const BUCKET_BITS = 3;
+
+// Pixels more transparent than this are ignored
+const MIN_ALPHA = 128;
+
+/**
+ * Format RGB values as a hex colour
+ * @returns {string} - e.g. #1a2b3c
+ */
+function toHex(r, g, b) {
+    return '#' + [r, g, b].map(value => value.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Find the most common colour in RGBA pixel data.
+ * Similar colours are grouped, then averaged within the biggest group.
+ * @param {Buffer|Uint8Array} data - RGBA bytes (4 per pixel)
+ * @returns {string|null} - Hex colour, or null if every pixel is transparent
+ */
+function dominantColor(data) {
+    const shift = 8 - BUCKET_BITS;
+    const buckets = new Map();
+    
+    for (let i = 0; i + 3 < data.length; i += 4) {
+        if (data[i + 3] < MIN_ALPHA) continue;
+        
+        const r = data[i], g = data[i + 1], b = data[i + 2];
+        const key = ((r >> shift) << (BUCKET_BITS * 2)) | ((g >> shift) << BUCKET_BITS) | (b >> shift);
+        
+        const bucket = buckets.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+        bucket.count++;
+        bucket.r += r;
+        bucket.g += g;
+        bucket.b += b;
+        buckets.set(key, bucket);
+    }
+    
+    let best = null;
+    buckets.forEach(bucket => {
+        if (!best || bucket.count > best.count) best = bucket;
+    });
+    
+    if (!best) return null;
+    
+    return toHex(
+        Math.round(best.r / best.count),
+        Math.round(best.g / best.count),
+        Math.round(best.b / best.count)
+    );
+}
+
+module.exports = {
+    dominantColor
+};
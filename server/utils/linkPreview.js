@@ -0,0 +1,177 @@
+/**
+ * ============================================
+ * LINK PREVIEWS
+ * ============================================
+ * Address checks and OpenGraph / Twitter card parsing
+ * for link post previews
+ * ============================================
+ */
+
+const net = require('net');
+
+// Addresses a link preview must never be fetched from: private networks,
+// loopback, link-local (cloud metadata), carrier NAT, multicast and reserved
+const BLOCKED_SUBNETS = [
+    ['0.0.0.0', 8, 'ipv4'],
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'],
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'],
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.0.0.0', 24, 'ipv4'],
+    ['192.0.2.0', 24, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['198.18.0.0', 15, 'ipv4'],
+    ['198.51.100.0', 24, 'ipv4'],
+    ['203.0.113.0', 24, 'ipv4'],
+    ['224.0.0.0', 4, 'ipv4'],
+    ['240.0.0.0', 4, 'ipv4'],
+    ['::', 128, 'ipv6'],
+    ['::1', 128, 'ipv6'],
+    ['64:ff9b::', 96, 'ipv6'],
+    ['100::', 64, 'ipv6'],
+    ['2001:db8::', 32, 'ipv6'],
+    ['fc00::', 7, 'ipv6'],
+    ['fe80::', 10, 'ipv6'],
+    ['ff00::', 8, 'ipv6']
+];
+
+const blockList = new net.BlockList();
+BLOCKED_SUBNETS.forEach(([address, prefix, type]) => blockList.addSubnet(address, prefix, type));
+
+// Longest values kept from a page
+const MAX_TITLE_LENGTH = 300;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_SITE_NAME_LENGTH = 100;
+const MAX_IMAGE_URL_LENGTH = 2000;
+
+// Meta tags read for each field, most specific first
+const TITLE_TAGS = ['og:title', 'twitter:title'];
+const DESCRIPTION_TAGS = ['og:description', 'twitter:description', 'description'];
+const IMAGE_TAGS = ['og:image:secure_url', 'og:image', 'og:image:url', 'twitter:image', 'twitter:image:src'];
+const SITE_NAME_TAGS = ['og:site_name', 'application-name'];
+
+const NAMED_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' '
+};
+
+/**
+ * Check an IP address is on the public internet (IPv4-mapped IPv6
+ * addresses are checked as IPv4)
+ * @param {string} address - IP address
+ * @returns {boolean}
+ */
+function isPublicAddress(address) {
+    const version = net.isIP(address);
+    if (!version) return false;
+    
+    return !blockList.check(address, version === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Decode the HTML entities that turn up in titles and descriptions
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+        }
+        const decoded = NAMED_ENTITIES[name.toLowerCase()];
+        return decoded !== undefined ? decoded : entity;
+    });
+}
+
+/**
+ * Tidy a value found in a page: decode, collapse whitespace and shorten
+ */
+function cleanText(value, maxLength) {
+    if (!value) return null;
+    
+    const text = decodeEntities(value).replace(/\s+/g, ' ').trim();
+    if (!text) return null;
+    
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1).trimEnd()}…` : text;
+}
+
+/**
+ * Read the attributes of one tag into an object (names lower-cased)
+ */
+function readAttributes(tag) {
+    const attributes = {};
+    const pattern = /([a-z_:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi;
+    let match;
+    
+    while ((match = pattern.exec(tag)) !== null) {
+        const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+        attributes[match[1].toLowerCase()] = value;
+    }
+    return attributes;
+}
+
+/**
+ * Collect <meta> values by property or name. The first value for a key wins.
+ */
+function readMetaTags(html) {
+    const tags = new Map();
+    const pattern = /<meta\b[^>]*>/gi;
+    let match;
+    
+    while ((match = pattern.exec(html)) !== null) {
+        const attributes = readAttributes(match[0]);
+        const key = (attributes.property || attributes.name || '').toLowerCase();
+        
+        if (key && attributes.content !== undefined && !tags.has(key)) {
+            tags.set(key, attributes.content);
+        }
+    }
+    return tags;
+}
+
+const firstTag = (tags, keys) => keys.map(key => tags.get(key)).find(value => value && value.trim());
+
+/**
+ * Turn an image reference into an absolute http(s) URL
+ */
+function resolveImageUrl(value, pageUrl) {
+    if (!value) return null;
+    
+    try {
+        const url = new URL(decodeEntities(value.trim()), pageUrl);
+        if (!['http:', 'https:'].includes(url.protocol) || url.href.length > MAX_IMAGE_URL_LENGTH) {
+            return null;
+        }
+        return url.href;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Pull a preview out of a page's HTML: OpenGraph first, then Twitter
+ * card tags, then plain HTML (<title>, meta description, host name)
+ * @param {string} html - Page markup (the start of it is enough)
+ * @param {string} pageUrl - URL the page was served from, for relative image URLs
+ * @returns {object} - { title, description, image, siteName }, null where not found
+ */
+function parseLinkPreview(html, pageUrl) {
+    const tags = readMetaTags(html);
+    const titleElement = html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+    
+    return {
+        title: cleanText(firstTag(tags, TITLE_TAGS) || (titleElement && titleElement[1]), MAX_TITLE_LENGTH),
+        description: cleanText(firstTag(tags, DESCRIPTION_TAGS), MAX_DESCRIPTION_LENGTH),
+        image: resolveImageUrl(firstTag(tags, IMAGE_TAGS), pageUrl),
+        siteName: cleanText(firstTag(tags, SITE_NAME_TAGS) || new URL(pageUrl).hostname.replace(/^www\./, ''), MAX_SITE_NAME_LENGTH)
+    };
+}
+
+module.exports = {
+    isPublicAddress,
+    parseLinkPreview
+};
@@ -0,0 +1,142 @@
+/**
+ * ============================================
+ * MAIL TEMPLATES
+ * ============================================
+ * The emails the board sends. Each template lists its subject,
+ * paragraphs and optional button once; the layout turns that into
+ * matching HTML and plain-text bodies.
+ * ============================================
+ */
+
+const SITE_NAME = 'Telford Community Board';
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+/**
+ * Escape text for use in HTML content or attribute values
+ */
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// Greeting line, using the display name when there is one
+const greeting = data => `Hi ${data.name || 'there'},`;
+
+/**
+ * Every template. paragraphs() returns plain text (escaped for HTML
+ * by the layout); action() returns the button, if any.
+ */
+const MAIL_TEMPLATES = {
+    passwordReset: {
+        subject: () => 'Reset your password',
+        paragraphs: data => [
+            greeting(data),
+            `Someone asked to reset the password for your ${SITE_NAME} account. If it was you, use the link below to choose a new one. It works once and expires in ${data.expiresIn || 'an hour'}.`,
+            'If you did not ask for this you can ignore this email; your password stays the same.'
+        ],
+        action: data => ({ label: 'Reset password', url: data.resetLink })
+    },
+    
+    emailVerification: {
+        subject: () => 'Confirm your email address',
+        paragraphs: data => [
+            greeting(data),
+            `Please confirm that this is the email address for your ${SITE_NAME} account. The link expires in ${data.expiresIn || '24 hours'}.`,
+            'If you did not create an account you can ignore this email.'
+        ],
+        action: data => ({ label: 'Confirm email address', url: data.verificationLink })
+    },
+    
+    boardInvitation: {
+        subject: data => `${data.inviterName} invited you to "${data.boardTitle}"`,
+        paragraphs: data => [
+            greeting(data),
+            `${data.inviterName} invited you to collaborate on the board "${data.boardTitle}" as ${/^[aeiou]/i.test(data.permissionLevel) ? 'an' : 'a'} ${data.permissionLevel}.`,
+            'You can accept or decline the invitation from the link below, or from your invitations list once you sign in.'
+        ],
+        action: data => ({ label: 'View invitation', url: data.invitationLink })
+    },
+    
+    passwordChanged: {
+        subject: () => 'Your password was changed',
+        paragraphs: data => [
+            greeting(data),
+            `The password for your ${SITE_NAME} account was ${data.viaReset ? 'reset' : 'changed'} on ${data.changedAt}. Every other signed-in device has been signed out.`,
+            'If this was not you, reset your password straight away and contact an administrator.'
+        ],
+        action: () => null
+    }
+};
+
+const MAIL_TEMPLATE_NAMES = Object.keys(MAIL_TEMPLATES);
+
+/**
+ * Wrap the rendered parts in the shared HTML layout
+ */
+function renderHtml(subject, paragraphs, action) {
+    const body = paragraphs
+        .map(text => `<p style="margin:0 0 16px;line-height:1.5">${escapeHtml(text)}</p>`)
+        .join('\n');
+    
+    const button = action
+        ? `<p style="margin:24px 0"><a href="${escapeHtml(action.url)}" style="background:#2563eb;color:#ffffff;padding:12px 20px;border-radius:6px;text-decoration:none;display:inline-block">${escapeHtml(action.label)}</a></p>
+<p style="margin:0 0 16px;font-size:13px;color:#555555">Or paste this link into your browser:<br>${escapeHtml(action.url)}</p>`
+        : '';
+    
+    return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(subject)}</title></head>
+<body style="margin:0;padding:24px;background:#f4f4f5;font-family:Arial,Helvetica,sans-serif;color:#18181b">
+<div style="max-width:560px;margin:0 auto;background:#ffffff;padding:32px;border-radius:8px">
+${body}
+${button}
+<p style="margin:32px 0 0;font-size:12px;color:#71717a">${escapeHtml(SITE_NAME)}</p>
+</div>
+</body>
+</html>`;
+}
+
+/**
+ * Plain-text body with the same content as the HTML one
+ */
+function renderText(paragraphs, action) {
+    const parts = [...paragraphs];
+    if (action) parts.push(`${action.label}: ${action.url}`);
+    parts.push(`-- \n${SITE_NAME}`);
+    return `${parts.join('\n\n')}\n`;
+}
+
+/**
+ * Render an email
+ * @param {string} name - Template name (see MAIL_TEMPLATE_NAMES)
+ * @param {object} data - Values the template uses (links, names, ...)
+ * @returns {object} - { subject, html, text }
+ */
+function renderEmail(name, data = {}) {
+    const template = MAIL_TEMPLATES[name];
+    if (!template) {
+        throw new Error(`Unknown email template: ${name}`);
+    }
+    
+    const subject = template.subject(data);
+    const paragraphs = template.paragraphs(data);
+    const action = template.action(data);
+    
+    return {
+        subject,
+        html: renderHtml(subject, paragraphs, action),
+        text: renderText(paragraphs, action)
+    };
+}
+
+module.exports = {
+    MAIL_TEMPLATE_NAMES,
+    escapeHtml,
+    renderEmail
+};
@@ -0,0 +1,139 @@
+/**
+ * ============================================
+ * ORDERING KEYS
+ * ============================================
+ * Fractional (lexicographic) sort keys for manual post ordering.
+ * A key is read as the digits after a decimal point, so a new key
+ * can always be made between two others without touching the rest.
+ * ============================================
+ */
+
+// Base-36 digits sort the same way byte-wise and in common collations
+const DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+
+// Keys longer than this trigger a renumber of the board
+const MAX_KEY_LENGTH = 64;
+
+const KEY_REGEX = /^[0-9a-z]*[1-9a-z]$/;
+
+/**
+ * Check a value is a usable sort key (never ends in the zero digit,
+ * so there is always room before it)
+ * @param {string} key - Key to check
+ * @returns {boolean} - True if valid
+ */
+function isValidKey(key) {
+    return typeof key === 'string' && KEY_REGEX.test(key);
+}
+
+/**
+ * Find the midpoint between two digit strings
+ * @param {string} a - Lower bound ('' for none)
+ * @param {string|null} b - Upper bound (null for none)
+ * @returns {string} - Digits strictly between a and b
+ */
+function midpoint(a, b) {
+    if (b !== null) {
+        // Skip the shared prefix
+        let n = 0;
+        while ((a[n] || '0') === b[n]) {
+            n++;
+        }
+        if (n > 0) {
+            return b.slice(0, n) + midpoint(a.slice(n), b.slice(n));
+        }
+    }
+    
+    const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+    
+    const digitB = b !== null ? DIGITS.indexOf(b[0]) : DIGITS.length;
+    
+    if (digitB - digitA > 1) {
+        return DIGITS[Math.round((digitA + digitB) / 2)];
+    }
+    
+    // Consecutive digits: keep a's digit and go one place deeper
+    if (b !== null && b.length > 1) {
+        return b.slice(0, 1);
+    }
+    
+    return DIGITS[digitA] + midpoint(a.slice(1), null);
+}
+
+/**
+ * Generate the shortest key after a key by bumping its first non-max digit.
+ * Appending is the common case, so this keeps keys short.
+ * @param {string} key - Current last key
+ * @returns {string} - Next key
+ */
+function keyAfter(key) {
+    let i = 0;
+    while (key[i] === DIGITS[DIGITS.length - 1]) {
+        i++;
+    }
+    
+    const digit = i < key.length ? DIGITS.indexOf(key[i]) : 0;
+    return key.slice(0, i) + DIGITS[digit + 1];
+}
+
+/**
+ * Generate a key that sorts between two keys
+ * @param {string|null} before - Key that must sort first (null for start)
+ * @param {string|null} after - Key that must sort last (null for end)
+ * @returns {string} - New key
+ */
+function keyBetween(before, after) {
+    if (before !== null && !isValidKey(before)) {
+        throw new Error(`Invalid sort key: ${before}`);
+    }
+    if (after !== null && !isValidKey(after)) {
+        throw new Error(`Invalid sort key: ${after}`);
+    }
+    if (before !== null && after !== null && before >= after) {
+        throw new Error(`Sort key ${before} must come before ${after}`);
+    }
+    
+    if (before !== null && after === null) {
+        return keyAfter(before);
+    }
+    
+    return midpoint(before || '', after);
+}
+
+/**
+ * Generate evenly spread keys for a whole list (used to renumber a board)
+ * @param {number} count - Number of keys
+ * @returns {string[]} - Ascending keys
+ */
+function generateKeys(count) {
+    const keys = [];
+    const width = Math.max(1, Math.ceil(Math.log(count + 1) / Math.log(DIGITS.length)));
+    const space = Math.pow(DIGITS.length, width);
+    const step = space / (count + 1);
+    
+    for (let i = 1; i <= count; i++) {
+        let key = Math.floor(step * i).toString(DIGITS.length).padStart(width, '0');
+        // Keys cannot end in zero
+        key = key.replace(/0+$/, '') || DIGITS[1];
+        keys.push(key);
+    }
+    
+    return keys;
+}
+
+/**
+ * Check whether a key has grown long enough to renumber the board
+ * @param {string} key - Key to check
+ * @returns {boolean} - True if too long
+ */
+function needsRebalance(key) {
+    return key.length > MAX_KEY_LENGTH;
+}
+
+module.exports = {
+    MAX_KEY_LENGTH,
+    isValidKey,
+    keyBetween,
+    generateKeys,
+    needsRebalance
+};
@@ -0,0 +1,217 @@
+/**
+ * ============================================
+ * SEARCH QUERY BUILDER
+ * ============================================
+ * Builds the PostgreSQL full-text search used by /api/search.
+ * Boards, posts and comments are searched together and ranked
+ * in one list, limited to boards the caller can see.
+ * ============================================
+ */
+
+const { ROLE_BOARD_PERMISSIONS } = require('./validators');
+
+// Kinds of result that can be searched
+const SEARCH_TYPES = ['board', 'post', 'comment'];
+
+// Text search configuration used by the documents and the indexes
+const TS_CONFIG = 'english';
+
+// Searchable documents. These must match the GIN indexes in schema.sql.
+const DOCUMENTS = {
+    board: `setweight(to_tsvector('${TS_CONFIG}', coalesce(b.title, '')), 'A') || setweight(to_tsvector('${TS_CONFIG}', coalesce(b.description, '')), 'B')`,
+    post: `setweight(to_tsvector('${TS_CONFIG}', coalesce(p.title, '')), 'A') || setweight(to_tsvector('${TS_CONFIG}', coalesce(p.content, '')), 'B')`,
+    comment: `to_tsvector('${TS_CONFIG}', c.content)`
+};
+
+// Markers ts_headline puts around matches; swapped for <mark> after escaping
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_STOP = '\u0003';
+
+// ts_headline options for titles (whole title) and bodies (short fragments)
+const TITLE_HEADLINE = `HighlightAll=true, StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}`;
+const BODY_HEADLINE = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "`;
+
+/**
+ * SQL condition limiting results to boards the user can see
+ * (public boards, their own boards and boards they collaborate on)
+ */
+function visibilityCondition(user) {
+    // Admins and moderators can see every board
+    if (user && ROLE_BOARD_PERMISSIONS[user.role]) {
+        return 'TRUE';
+    }
+    
+    if (!user) {
+        return 'b.is_public = TRUE';
+    }
+    
+    return `(b.is_public = TRUE OR b.user_id = :userId OR EXISTS (
+                SELECT 1 FROM board_collaborators bc
+                WHERE bc.board_id = b.id AND bc.user_id = :userId AND bc.invitation_status = 'accepted'
+            ))`;
+}
+
+/**
+ * Build the search SQL and its replacements
+ * @param {object} options
+ * @param {string} options.q - Search text (web search syntax: "quoted phrases", -exclude, or)
+ * @param {Array<string>} options.types - Result kinds to include (default all)
+ * @param {number} options.boardId - Only this board
+ * @param {number} options.authorId - Only boards, posts and comments by this user
+ * @param {string} options.contentType - Only posts of this content type
+ * @param {Date} options.from - Created on or after
+ * @param {Date} options.to - Created on or before
+ * @param {object} options.user - Caller (req.user), or null
+ * @param {number} options.limit - Page size
+ * @param {number} options.offset - Rows to skip
+ * @returns {object} - { sql, replacements, empty } (empty: no result kinds left after filtering)
+ */
+function buildSearchQuery(options) {
+    const {
+        q,
+        boardId,
+        authorId,
+        contentType,
+        from,
+        to,
+        user = null,
+        limit = 20,
+        offset = 0
+    } = options;
+    
+    let types = options.types && options.types.length > 0 ? options.types : SEARCH_TYPES;
+    
+    // Content types only exist on posts
+    if (contentType) {
+        types = types.filter(type => type === 'post');
+    }
+    
+    const replacements = {
+        q,
+        limit,
+        offset,
+        userId: user ? user.id : null,
+        titleHeadline: TITLE_HEADLINE,
+        bodyHeadline: BODY_HEADLINE
+    };
+    
+    // Conditions shared by every kind of result; `alias` is the searched table
+    const commonConditions = (alias) => {
+        const conditions = [visibilityCondition(user)];
+        
+        if (boardId) {
+            conditions.push('b.id = :boardId');
+            replacements.boardId = boardId;
+        }
+        if (authorId) {
+            conditions.push(`${alias}.user_id = :authorId`);
+            replacements.authorId = authorId;
+        }
+        if (from) {
+            conditions.push(`${alias}.created_at >= :from`);
+            replacements.from = from;
+        }
+        if (to) {
+            conditions.push(`${alias}.created_at <= :to`);
+            replacements.to = to;
+        }
+        
+        return conditions;
+    };
+    
+    const parts = [];
+    
+    if (types.includes('board')) {
+        parts.push(`
+            SELECT 'board' AS type, b.id, b.id AS board_id, NULL::INTEGER AS post_id,
+                   b.user_id, b.title, coalesce(b.description, '') AS body, b.created_at,
+                   ts_rank(${DOCUMENTS.board}, query) AS rank
+            FROM boards b
+            CROSS JOIN search_query
+            WHERE (${DOCUMENTS.board}) @@ query
+              AND ${commonConditions('b').join('\n              AND ')}`);
+    }
+    
+    if (types.includes('post')) {
+        const conditions = commonConditions('p');
+        if (contentType) {
+            conditions.push('p.content_type = :contentType');
+            replacements.contentType = contentType;
+        }
+        
+        parts.push(`
+            SELECT 'post' AS type, p.id, p.board_id, p.id AS post_id,
+                   p.user_id, p.title, coalesce(p.content, '') AS body, p.created_at,
+                   ts_rank(${DOCUMENTS.post}, query) AS rank
+            FROM posts p
+            CROSS JOIN search_query
+            JOIN boards b ON b.id = p.board_id
+            WHERE (${DOCUMENTS.post}) @@ query
+              AND ${conditions.join('\n              AND ')}`);
+    }
+    
+    if (types.includes('comment')) {
+        parts.push(`
+            SELECT 'comment' AS type, c.id, p.board_id, c.post_id,
+                   c.user_id, NULL AS title, c.content AS body, c.created_at,
+                   ts_rank(${DOCUMENTS.comment}, query) AS rank
+            FROM comments c
+            CROSS JOIN search_query
+            JOIN posts p ON p.id = c.post_id
+            JOIN boards b ON b.id = p.board_id
+            WHERE (${DOCUMENTS.comment}) @@ query
+              AND ${commonConditions('c').join('\n              AND ')}`);
+    }
+    
+    const union = parts.join('\n            UNION ALL');
+    
+    const sql = `
+        WITH search_query AS (
+            SELECT websearch_to_tsquery('${TS_CONFIG}', :q) AS query
+        ),
+        matches AS (${union}
+        ),
+        page AS (
+            SELECT matches.*, COUNT(*) OVER () AS total
+            FROM matches
+            ORDER BY rank DESC, created_at DESC, type, id
+            LIMIT :limit OFFSET :offset
+        )
+        SELECT page.type, page.id, page.board_id, page.post_id, page.user_id,
+               page.created_at, page.rank, page.total,
+               ts_headline('${TS_CONFIG}', coalesce(page.title, ''), search_query.query, :titleHeadline) AS title_highlight,
+               ts_headline('${TS_CONFIG}', page.body, search_query.query, :bodyHeadline) AS body_highlight,
+               b.title AS board_title, b.slug AS board_slug,
+               u.username, u.display_name
+        FROM page
+        CROSS JOIN search_query
+        JOIN boards b ON b.id = page.board_id
+        LEFT JOIN users u ON u.id = page.user_id
+        ORDER BY page.rank DESC, page.created_at DESC, page.type, page.id`;
+    
+    return { sql, replacements, empty: parts.length === 0 };
+}
+
+/**
+ * Turn a ts_headline result into safe HTML with matches wrapped in <mark>
+ * @param {string} text - Headline with highlight markers
+ * @returns {string} - HTML-escaped text
+ */
+function formatHighlight(text) {
+    if (!text) return '';
+    
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+        .split(HIGHLIGHT_START).join('<mark>')
+        .split(HIGHLIGHT_STOP).join('</mark>');
+}
+
+module.exports = {
+    SEARCH_TYPES,
+    buildSearchQuery,
+    formatHighlight
+};
@@ -0,0 +1,74 @@
+/**
+ * ============================================
+ * BOARD SECTIONS
+ * ============================================
+ * Section posts group other posts (columns or shelves) through
+ * parent_post_id. Sections are one level deep: only sections hold
+ * posts, and a section cannot sit inside another section.
+ * ============================================
+ */
+
+// What happens to a section's posts when the section is deleted
+const SECTION_CHILD_ACTIONS = ['cascade', 'reparent'];
+
+const isSection = post => !!post && post.contentType === 'section';
+
+/**
+ * Check a post can be placed in a section
+ * @param {object} post - Post being placed ({ contentType })
+ * @param {object|null} section - Target post, or null for the top level
+ * @returns {string|null} - Problem found, or null if allowed
+ */
+function getSectionPlacementError(post, section) {
+    if (!section) return null;
+    
+    if (!isSection(section)) {
+        return 'Posts can only be placed inside sections';
+    }
+    if (isSection(post)) {
+        return 'Sections cannot be placed inside other sections';
+    }
+    return null;
+}
+
+/**
+ * Group posts into a section tree.
+ * Posts keep the order they are given in; sections get `children` and
+ * `childCount`. Posts whose section is missing are shown at the top level.
+ * @param {Array} posts - Plain post objects in display order
+ * @returns {Array} - Top-level posts and sections
+ */
+function buildSectionTree(posts) {
+    const sections = new Map();
+    
+    posts.forEach(post => {
+        if (isSection(post)) {
+            sections.set(post.id, { ...post, children: [], childCount: 0 });
+        }
+    });
+    
+    const tree = [];
+    
+    posts.forEach(post => {
+        if (sections.has(post.id)) {
+            tree.push(sections.get(post.id));
+            return;
+        }
+        
+        const section = sections.get(post.parentPostId);
+        if (section) {
+            section.children.push(post);
+            section.childCount++;
+        } else {
+            tree.push(post);
+        }
+    });
+    
+    return tree;
+}
+
+module.exports = {
+    SECTION_CHILD_ACTIONS,
+    getSectionPlacementError,
+    buildSectionTree
+};
@@ -0,0 +1,53 @@
+/**
+ * ============================================
+ * THROTTLE
+ * ============================================
+ * Rate-limit a noisy function (e.g. cursor updates)
+ * ============================================
+ */
+
+/**
+ * Call fn at most once per interval. Calls in between are collapsed and
+ * the latest arguments are sent when the interval ends, so the final
+ * value is never lost.
+ * @param {number} interval - Minimum time between calls in ms
+ * @param {function} fn - Function to throttle
+ * @returns {function} - Throttled function with a cancel() method
+ */
+function createThrottle(interval, fn) {
+    let lastRun = 0;
+    let timer = null;
+    let pendingArgs = null;
+    
+    const run = () => {
+        const args = pendingArgs;
+        lastRun = Date.now();
+        timer = null;
+        pendingArgs = null;
+        fn(...args);
+    };
+    
+    const throttled = (...args) => {
+        pendingArgs = args;
+        if (timer) return;
+        
+        const wait = interval - (Date.now() - lastRun);
+        if (wait <= 0) {
+            run();
+        } else {
+            timer = setTimeout(run, wait);
+        }
+    };
+    
+    throttled.cancel = () => {
+        clearTimeout(timer);
+        timer = null;
+        pendingArgs = null;
+    };
+    
+    return throttled;
+}
+
+module.exports = {
+    createThrottle
+};
@@ -0,0 +1,192 @@
+/**
+ * ============================================
+ * TOTP
+ * ============================================
+ * Time-based one-time passwords (RFC 6238) as used by authenticator
+ * apps, plus the base32 encoding their secrets are shared in and
+ * one-time recovery codes
+ * ============================================
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// What authenticator apps assume when the otpauth URI does not say
+const TOTP_DEFAULTS = {
+    step: 30,      // Seconds each code is valid for
+    digits: 6,
+    window: 1      // Steps either side of now still accepted (clock drift)
+};
+
+/**
+ * Encode bytes as unpadded base32 (RFC 4648)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Upper-case base32
+ */
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+/**
+ * Decode base32, ignoring case, spaces and padding
+ * @param {string} text - Base32 text
+ * @returns {Buffer} - Decoded bytes
+ */
+function base32Decode(text) {
+    const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error(`Invalid base32 character: ${char}`);
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new shared secret
+ * @param {number} bytes - Secret length (20 bytes = 160 bits, as RFC 4226 recommends)
+ * @returns {string} - Base32 secret
+ */
+function generateSecret(bytes = 20) {
+    return base32Encode(crypto.randomBytes(bytes));
+}
+
+/**
+ * Time step a moment falls in
+ * @param {number} time - Milliseconds since the epoch
+ * @param {number} step - Step length in seconds
+ */
+function timeStep(time = Date.now(), step = TOTP_DEFAULTS.step) {
+    return Math.floor(time / 1000 / step);
+}
+
+/**
+ * HOTP code for one counter value (RFC 4226)
+ */
+function hotp(key, counter, digits) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    
+    const hmac = crypto.createHmac('sha1', key).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    
+    return String(binary % (10 ** digits)).padStart(digits, '0');
+}
+
+/**
+ * Code an authenticator app shows at a given time
+ * @param {string} secret - Base32 secret
+ * @param {object} options - { time (ms), step (s), digits }
+ * @returns {string} - Zero-padded code
+ */
+function generateCode(secret, { time = Date.now(), step = TOTP_DEFAULTS.step, digits = TOTP_DEFAULTS.digits } = {}) {
+    return hotp(base32Decode(secret), timeStep(time, step), digits);
+}
+
+/**
+ * Check a code against the secret, allowing for a little clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code the user typed (spaces are ignored)
+ * @param {object} options - { time (ms), step (s), digits, window (steps) }
+ * @returns {number|null} - Time step the code belongs to, or null if it
+ *   does not match. Callers record the step to refuse replays.
+ */
+function verifyCode(secret, code, {
+    time = Date.now(),
+    step = TOTP_DEFAULTS.step,
+    digits = TOTP_DEFAULTS.digits,
+    window = TOTP_DEFAULTS.window
+} = {}) {
+    const candidate = String(code || '').replace(/\s/g, '');
+    if (candidate.length !== digits || !/^\d+$/.test(candidate)) {
+        return null;
+    }
+    
+    const key = base32Decode(secret);
+    const now = timeStep(time, step);
+    
+    for (let offset = -window; offset <= window; offset++) {
+        const expected = hotp(key, now + offset, digits);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+            return now + offset;
+        }
+    }
+    return null;
+}
+
+/**
+ * otpauth:// URI for authenticator apps (usually shown as a QR code)
+ * @param {object} options - { secret, accountName, issuer, digits, step }
+ * @returns {string} - otpauth URI
+ */
+function buildOtpauthUri({ secret, accountName, issuer, digits = TOTP_DEFAULTS.digits, step = TOTP_DEFAULTS.step }) {
+    const label = issuer
+        ? `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`
+        : encodeURIComponent(accountName);
+    const params = new URLSearchParams({ secret, algorithm: 'SHA1', digits: String(digits), period: String(step) });
+    if (issuer) params.set('issuer', issuer);
+    
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Generate one-time recovery codes, e.g. "k3v9q-7mx2p"
+ * @param {number} count - How many
+ * @returns {Array<string>} - Codes to show the user once
+ */
+function generateRecoveryCodes(count = 10) {
+    return Array.from({ length: count }, () => {
+        const code = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+        return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+}
+
+/**
+ * Recovery code as stored, so "K3V9Q 7MX2P" matches "k3v9q-7mx2p"
+ * @param {string} code - Code as typed
+ * @returns {string} - Lower case without separators
+ */
+function normalizeRecoveryCode(code) {
+    return String(code || '').toLowerCase().replace(/[\s-]/g, '');
+}
+
+module.exports = {
+    TOTP_DEFAULTS,
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    timeStep,
+    generateCode,
+    verifyCode,
+    buildOtpauthUri,
+    generateRecoveryCodes,
+    normalizeRecoveryCode
+};
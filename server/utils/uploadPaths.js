@@ -0,0 +1,67 @@
+/**
+ * ============================================
+ * UPLOAD PATHS
+ * ============================================
+ * Where uploads live on disk and the URLs they are served from
+ * ============================================
+ */
+
+const path = require('path');
+const { UPLOAD_CONFIG } = require('../config/config');
+
+// Stored names are 32 random hex characters plus a known extension;
+// thumbnails add their width (e.g. <name>-640.jpg)
+const STORED_NAME_REGEX = /^[a-f0-9]{32}(-\d{1,5})?\.[a-z0-9]{2,5}$/;
+
+// Path part of an upload URL
+const UPLOAD_URL_REGEX = /^\/api\/boards\/(\d+)\/uploads\/([^/?#]+)$/;
+
+/**
+ * Directory holding a board's uploads
+ */
+function getBoardUploadDir(boardId) {
+    return path.join(UPLOAD_CONFIG.DIR, String(boardId));
+}
+
+/**
+ * Resolve the path of a stored upload, refusing anything that is not a stored name
+ * @returns {string|null} - Absolute path, or null for an invalid name
+ */
+function getUploadPath(boardId, filename) {
+    if (!STORED_NAME_REGEX.test(filename)) return null;
+    return path.join(getBoardUploadDir(boardId), filename);
+}
+
+/**
+ * Path of the JSON file that stores an upload's details (image size,
+ * video duration) next to it
+ */
+function getUploadInfoPath(filePath) {
+    return filePath.replace(/\.[a-z0-9]+$/, '.json');
+}
+
+/**
+ * URL an upload is served from
+ */
+function getUploadUrl(boardId, filename) {
+    return `/api/boards/${boardId}/uploads/${filename}`;
+}
+
+/**
+ * Split an upload URL into its board and stored name
+ * @returns {object|null} - { boardId, filename }, or null if not an upload URL
+ */
+function parseUploadUrl(url) {
+    const match = UPLOAD_URL_REGEX.exec(url || '');
+    if (!match) return null;
+    return { boardId: parseInt(match[1]), filename: match[2] };
+}
+
+module.exports = {
+    STORED_NAME_REGEX,
+    getBoardUploadDir,
+    getUploadPath,
+    getUploadInfoPath,
+    getUploadUrl,
+    parseUploadUrl
+};
@@ -0,0 +1,167 @@
+/**
+ * ============================================
+ * SHARED VALIDATORS
+ * ============================================
+ * Rules mirrored from the CHECK constraints in schema.sql
+ * so models and request validation agree
+ * ============================================
+ */
+
+// Same pattern as the valid_hex_color / valid_post_color constraints
+const HEX_COLOR_REGEX = /^#[0-9A-F]{6}$/i;
+
+// Allowed values for boards.layout_type (valid_layout constraint)
+const BOARD_LAYOUTS = ['wall', 'grid', 'stream', 'canvas'];
+
+// Allowed values for posts.content_type (valid_content_type constraint).
+// Section posts group other posts through parent_post_id.
+const POST_CONTENT_TYPES = ['text', 'image', 'link', 'video', 'file', 'section'];
+
+// Field each content type cannot do without
+const POST_REQUIRED_FIELDS = {
+    text: 'content',
+    image: 'imageUrl',
+    link: 'linkUrl',
+    video: 'linkUrl',
+    file: 'filePath',
+    section: 'title'
+};
+
+// Allowed values for reactions.reaction_type (valid_reaction constraint)
+const REACTION_TYPES = ['like', 'love', 'laugh', 'wow', 'sad', 'angry'];
+
+// Board permission levels, lowest to highest
+const BOARD_PERMISSION_LEVELS = ['viewer', 'editor', 'admin', 'owner'];
+
+// Board permission implied by a global user role
+const ROLE_BOARD_PERMISSIONS = {
+    admin: 'owner',
+    moderator: 'editor'
+};
+
+// Allowed values for board_collaborators.permission_level (valid_permission constraint)
+const COLLABORATOR_PERMISSIONS = ['viewer', 'editor', 'admin'];
+
+// Board slugs: lowercase words joined by single hyphens, within boards.slug VARCHAR(200)
+const SLUG_REGEX = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const SLUG_MIN_LENGTH = 3;
+const SLUG_MAX_LENGTH = 200;
+
+// Slugs that clash with routes under /api/boards or would read as something official
+const RESERVED_SLUGS = [
+    'about', 'admin', 'api', 'auth', 'boards', 'create', 'dashboard', 'delete',
+    'duplicate', 'edit', 'export', 'help', 'import', 'invitations', 'login',
+    'logout', 'me', 'new', 'posts', 'register', 'search', 'settings', 'static',
+    'support', 'system', 'templates', 'uploads', 'www'
+];
+
+/**
+ * Check if a value is a 6-digit hex colour (e.g. #1a2b3c)
+ * @param {string} value - Value to check
+ * @returns {boolean} - True if valid
+ */
+function isHexColor(value) {
+    return typeof value === 'string' && HEX_COLOR_REGEX.test(value);
+}
+
+/**
+ * Check if a value is an absolute http(s) URL
+ * @param {string} value - Value to check
+ * @returns {boolean} - True if valid
+ */
+function isHttpUrl(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Check if a value is an http(s) URL or a server-relative path (uploaded media)
+ * @param {string} value - Value to check
+ * @returns {boolean} - True if valid
+ */
+function isMediaUrl(value) {
+    if (typeof value !== 'string') return false;
+    if (value.startsWith('/') && !value.startsWith('//')) return true;
+    return isHttpUrl(value);
+}
+
+/**
+ * Find the field a post is missing for its content type
+ * @param {object} post - Post fields (camelCase)
+ * @returns {string|null} - Missing field name, or null if complete
+ */
+function getMissingPostField(post) {
+    const field = POST_REQUIRED_FIELDS[post.contentType || 'text'];
+    if (!field) return null;
+    
+    const value = post[field];
+    return (value === undefined || value === null || String(value).trim() === '') ? field : null;
+}
+
+/**
+ * Check a custom board slug against the format and reserved words
+ * @param {string} slug - Requested slug
+ * @returns {string|null} - Problem found, or null if the slug can be used
+ */
+function getSlugError(slug) {
+    if (typeof slug !== 'string' || slug.length < SLUG_MIN_LENGTH || slug.length > SLUG_MAX_LENGTH) {
+        return `Slug must be between ${SLUG_MIN_LENGTH} and ${SLUG_MAX_LENGTH} characters`;
+    }
+    if (!SLUG_REGEX.test(slug)) {
+        return 'Slug can only contain lowercase letters, numbers and single hyphens';
+    }
+    // Numeric slugs would be read as board ids
+    if (/^\d+$/.test(slug)) {
+        return 'Slug must contain at least one letter';
+    }
+    if (RESERVED_SLUGS.includes(slug)) {
+        return `"${slug}" is reserved`;
+    }
+    return null;
+}
+
+/**
+ * Pick the higher of two board permission levels
+ * @param {string|null} a - First level
+ * @param {string|null} b - Second level
+ * @returns {string|null} - Higher level
+ */
+function highestPermission(a, b) {
+    return BOARD_PERMISSION_LEVELS.indexOf(a) >= BOARD_PERMISSION_LEVELS.indexOf(b) ? a : b;
+}
+
+/**
+ * Compare two board permission levels
+ * @param {string} level - Level the user has
+ * @param {string} required - Level that is needed
+ * @returns {boolean} - True if level is at least required
+ */
+function meetsPermission(level, required) {
+    const have = BOARD_PERMISSION_LEVELS.indexOf(level);
+    const need = BOARD_PERMISSION_LEVELS.indexOf(required);
+    return have !== -1 && need !== -1 && have >= need;
+}
+
+module.exports = {
+    HEX_COLOR_REGEX,
+    BOARD_LAYOUTS,
+    POST_CONTENT_TYPES,
+    POST_REQUIRED_FIELDS,
+    REACTION_TYPES,
+    BOARD_PERMISSION_LEVELS,
+    ROLE_BOARD_PERMISSIONS,
+    COLLABORATOR_PERMISSIONS,
+    SLUG_MAX_LENGTH,
+    RESERVED_SLUGS,
+    isHexColor,
+    isHttpUrl,
+    isMediaUrl,
+    getMissingPostField,
+    getSlugError,
+    highestPermission,
+    meetsPermission
+};
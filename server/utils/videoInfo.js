@@ -0,0 +1,199 @@
+/**
+ * ============================================
+ * VIDEO INFO
+ * ============================================
+ * Reads the running time of uploaded MP4, QuickTime and WebM videos
+ * from their container headers, without decoding any frames
+ * ============================================
+ */
+
+// Safety nets against malformed files that would have us walk forever
+// or read a huge block into memory
+const MAX_ELEMENTS = 1000;
+const MAX_INFO_SIZE = 64 * 1024;
+
+// MP4 / QuickTime boxes
+const MP4_CONTAINER = 'moov';
+const MP4_MOVIE_HEADER = 'mvhd';
+
+// WebM (Matroska) element ids, marker bits included
+const EBML_HEADER = 0x1A45DFA3;
+const WEBM_SEGMENT = 0x18538067;
+const WEBM_INFO = 0x1549A966;
+const WEBM_TIMECODE_SCALE = 0x2AD7B1;
+const WEBM_DURATION = 0x4489;
+const WEBM_CLUSTER = 0x1F43B675;
+const DEFAULT_TIMECODE_SCALE = 1000000;     // Nanoseconds per tick
+
+/**
+ * Read a big-endian unsigned integer of up to 8 bytes
+ */
+function readUInt(buffer, offset, length) {
+    let value = 0;
+    for (let i = 0; i < length; i++) {
+        value = (value * 256) + buffer[offset + i];
+    }
+    return value;
+}
+
+/**
+ * Walk the boxes in [start, end) and return the header of the first with the given type
+ */
+async function findBox(read, start, end, type) {
+    let offset = start;
+    
+    for (let count = 0; offset + 8 <= end && count < MAX_ELEMENTS; count++) {
+        const header = await read(offset, 16);
+        if (header.length < 8) return null;
+        
+        let size = header.readUInt32BE(0);
+        let headerSize = 8;
+        if (size === 1) {
+            if (header.length < 16) return null;
+            size = readUInt(header, 8, 8);
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset;            // Box runs to the end of the file
+        }
+        if (size < headerSize) return null;
+        
+        if (header.toString('latin1', 4, 8) === type) {
+            return { start: offset + headerSize, end: Math.min(offset + size, end) };
+        }
+        offset += size;
+    }
+    return null;
+}
+
+/**
+ * Duration of an MP4 or QuickTime file from its movie header (moov/mvhd)
+ */
+async function readMp4Duration(read, size) {
+    const movie = await findBox(read, 0, size, MP4_CONTAINER);
+    const header = movie && await findBox(read, movie.start, movie.end, MP4_MOVIE_HEADER);
+    if (!header) return null;
+    
+    const body = await read(header.start, 32);
+    const version = body[0];
+    if (body.length < (version === 1 ? 32 : 20)) return null;
+    
+    const timescale = version === 1 ? body.readUInt32BE(20) : body.readUInt32BE(12);
+    const duration = version === 1 ? readUInt(body, 24, 8) : body.readUInt32BE(16);
+    
+    return timescale > 0 ? duration / timescale : null;
+}
+
+/**
+ * Read an EBML variable-length number
+ * @returns {object|null} - { value, length }, value keeps the marker bit when it is an id
+ */
+function readVint(buffer, offset, keepMarker) {
+    const first = buffer[offset];
+    if (first === undefined || first === 0) return null;
+    
+    let length = 1;
+    while (!(first & (0x80 >> (length - 1)))) length++;
+    if (offset + length > buffer.length) return null;
+    
+    let value = keepMarker ? first : first & (0xFF >> length);
+    let allOnes = value === (0xFF >> length);
+    for (let i = 1; i < length; i++) {
+        value = (value * 256) + buffer[offset + i];
+        allOnes = allOnes && buffer[offset + i] === 0xFF;
+    }
+    
+    return { value, length, unknown: !keepMarker && allOnes };
+}
+
+/**
+ * Read the id and size of the EBML element at an offset
+ */
+async function readElement(read, offset) {
+    const header = await read(offset, 12);
+    const id = readVint(header, 0, true);
+    const size = id && readVint(header, id.length, false);
+    if (!size) return null;
+    
+    return {
+        id: id.value,
+        start: offset + id.length + size.length,
+        size: size.unknown ? null : size.value
+    };
+}
+
+/**
+ * Duration of a WebM file from Segment > Info (Duration x TimecodeScale)
+ */
+async function readWebmDuration(read, fileSize) {
+    const header = await readElement(read, 0);
+    if (!header || header.id !== EBML_HEADER || header.size === null) return null;
+    
+    const segment = await readElement(read, header.start + header.size);
+    if (!segment || segment.id !== WEBM_SEGMENT) return null;
+    
+    const segmentEnd = segment.size === null ? fileSize : segment.start + segment.size;
+    let offset = segment.start;
+    
+    for (let count = 0; offset < segmentEnd && count < MAX_ELEMENTS; count++) {
+        const element = await readElement(read, offset);
+        // Info comes before the clusters; an unsized element cannot be skipped
+        if (!element || element.id === WEBM_CLUSTER || element.size === null) return null;
+        
+        if (element.id === WEBM_INFO) {
+            if (element.size > MAX_INFO_SIZE) return null;
+            return readWebmInfo(await read(element.start, element.size));
+        }
+        offset = element.start + element.size;
+    }
+    return null;
+}
+
+/**
+ * Pick Duration and TimecodeScale out of a WebM Info element
+ */
+function readWebmInfo(info) {
+    let scale = DEFAULT_TIMECODE_SCALE;
+    let duration = null;
+    let offset = 0;
+    
+    while (offset < info.length) {
+        const id = readVint(info, offset, true);
+        const size = id && readVint(info, offset + id.length, false);
+        if (!size) break;
+        
+        const start = offset + id.length + size.length;
+        if (start + size.value > info.length) break;
+        
+        if (id.value === WEBM_TIMECODE_SCALE) {
+            scale = readUInt(info, start, size.value);
+        } else if (id.value === WEBM_DURATION) {
+            if (size.value === 4) duration = info.readFloatBE(start);
+            if (size.value === 8) duration = info.readDoubleBE(start);
+        }
+        offset = start + size.value;
+    }
+    
+    return duration === null ? null : (duration * scale) / 1e9;
+}
+
+/**
+ * Work out how long a video runs
+ * @param {function} read - async (offset, length) => Buffer of up to length bytes
+ * @param {number} size - File size in bytes
+ * @param {string} mimeType - video/mp4, video/quicktime or video/webm
+ * @returns {Promise<number|null>} - Seconds (to the millisecond), or null if the
+ *   container does not say
+ */
+async function readVideoDuration(read, size, mimeType) {
+    const seconds = mimeType === 'video/webm'
+        ? await readWebmDuration(read, size)
+        : await readMp4Duration(read, size);
+    
+    return seconds !== null && Number.isFinite(seconds) && seconds >= 0
+        ? Math.round(seconds * 1000) / 1000
+        : null;
+}
+
+module.exports = {
+    readVideoDuration
+};
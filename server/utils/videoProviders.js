@@ -0,0 +1,209 @@
+/**
+ * ============================================
+ * VIDEO PROVIDERS
+ * ============================================
+ * Registry of the places a video post can play from. Each provider
+ * turns the URLs people paste (watch pages, short links, embeds)
+ * into one canonical embed URL, a provider video id and a start time.
+ * ============================================
+ */
+
+const { parseUploadUrl } = require('./uploadPaths');
+
+// Extensions of uploaded files that play as videos
+const VIDEO_UPLOAD_EXTENSIONS = ['mp4', 'webm', 'mov'];
+
+/**
+ * Read a start time such as "90", "90s", "1m30s", "1h2m3s" or "1:30"
+ * @param {string} value - Start time from a URL
+ * @returns {number|null} - Seconds, or null if missing or unreadable
+ */
+function parseStartTime(value) {
+    if (typeof value !== 'string' || value === '') return null;
+    
+    if (/^\d+$/.test(value)) return parseInt(value, 10);
+    
+    const units = value.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/i);
+    if (units && (units[1] || units[2] || units[3])) {
+        return (parseInt(units[1] || 0, 10) * 3600) + (parseInt(units[2] || 0, 10) * 60) + parseInt(units[3] || 0, 10);
+    }
+    
+    const clock = value.match(/^(?:(\d+):)?(\d{1,2}):(\d{2})$/);
+    if (clock) {
+        return (parseInt(clock[1] || 0, 10) * 3600) + (parseInt(clock[2], 10) * 60) + parseInt(clock[3], 10);
+    }
+    
+    return null;
+}
+
+/**
+ * Start time from a query parameter or a #t= fragment
+ */
+function startTimeFrom(url, ...params) {
+    for (const param of params) {
+        const seconds = parseStartTime(url.searchParams.get(param));
+        if (seconds !== null) return seconds;
+    }
+    
+    const fragment = new URLSearchParams(url.hash.slice(1));
+    return parseStartTime(fragment.get('t'));
+}
+
+const withStart = (embedUrl, param, startTime) => (startTime ? `${embedUrl}${param}${startTime}` : embedUrl);
+
+// Path segments after the host, without empty parts
+const segments = url => url.pathname.split('/').filter(Boolean);
+
+const YOUTUBE_ID = /^[A-Za-z0-9_-]{11}$/;
+const VIMEO_ID = /^\d+$/;
+const DAILYMOTION_ID = /^x[a-z0-9]+$/i;
+const LOOM_ID = /^[a-f0-9]{32}$/;
+
+/**
+ * Every supported provider. parse() gets a URL on one of the provider's
+ * hosts and returns { videoId, startTime, ... } or null; embedUrl()
+ * builds the player URL from that result.
+ */
+const VIDEO_PROVIDERS = {
+    youtube: {
+        name: 'YouTube',
+        hosts: ['youtube.com', 'www.youtube.com', 'm.youtube.com', 'youtube-nocookie.com', 'www.youtube-nocookie.com', 'youtu.be'],
+        parse(url) {
+            const [first, second] = segments(url);
+            let videoId = null;
+            
+            if (url.hostname === 'youtu.be') {
+                videoId = first;
+            } else if (first === 'watch') {
+                videoId = url.searchParams.get('v');
+            } else if (['embed', 'shorts', 'live', 'v'].includes(first)) {
+                videoId = second;
+            }
+            
+            if (!YOUTUBE_ID.test(videoId || '')) return null;
+            return { videoId, startTime: startTimeFrom(url, 't', 'start') };
+        },
+        embedUrl: ({ videoId, startTime }) => withStart(`https://www.youtube.com/embed/${videoId}`, '?start=', startTime)
+    },
+    
+    vimeo: {
+        name: 'Vimeo',
+        hosts: ['vimeo.com', 'www.vimeo.com', 'player.vimeo.com'],
+        parse(url) {
+            const parts = segments(url);
+            let videoId;
+            let hash = url.searchParams.get('h');
+            
+            if (url.hostname === 'player.vimeo.com') {
+                videoId = parts[0] === 'video' ? parts[1] : null;
+            } else {
+                // vimeo.com/123, vimeo.com/123/<hash> and vimeo.com/channels/<name>/123
+                const index = parts.findIndex(part => VIMEO_ID.test(part));
+                videoId = index === -1 ? null : parts[index];
+                if (index !== -1 && /^[a-f0-9]{6,}$/.test(parts[index + 1] || '')) {
+                    hash = parts[index + 1];
+                }
+            }
+            
+            if (!VIMEO_ID.test(videoId || '')) return null;
+            return { videoId, hash: hash || null, startTime: startTimeFrom(url, 't') };
+        },
+        embedUrl: ({ videoId, hash, startTime }) => withStart(
+            `https://player.vimeo.com/video/${videoId}${hash ? `?h=${hash}` : ''}`, '#t=', startTime && `${startTime}s`
+        )
+    },
+    
+    dailymotion: {
+        name: 'Dailymotion',
+        hosts: ['dailymotion.com', 'www.dailymotion.com', 'dai.ly'],
+        parse(url) {
+            const parts = segments(url);
+            let videoId = null;
+            
+            if (url.hostname === 'dai.ly') {
+                videoId = parts[0];
+            } else if (parts[0] === 'video') {
+                videoId = parts[1];
+            } else if (parts[0] === 'embed' && parts[1] === 'video') {
+                videoId = parts[2];
+            }
+            
+            // Watch pages can add the title after the id: x8abc12_some-title
+            videoId = videoId && videoId.split('_')[0];
+            if (!DAILYMOTION_ID.test(videoId || '')) return null;
+            return { videoId, startTime: startTimeFrom(url, 'start') };
+        },
+        embedUrl: ({ videoId, startTime }) => withStart(`https://www.dailymotion.com/embed/video/${videoId}`, '?start=', startTime)
+    },
+    
+    loom: {
+        name: 'Loom',
+        hosts: ['loom.com', 'www.loom.com'],
+        parse(url) {
+            const [first, videoId] = segments(url);
+            
+            if (!['share', 'embed'].includes(first) || !LOOM_ID.test(videoId || '')) return null;
+            return { videoId, startTime: startTimeFrom(url, 't') };
+        },
+        embedUrl: ({ videoId, startTime }) => withStart(`https://www.loom.com/embed/${videoId}`, '?t=', startTime)
+    },
+    
+    // Video files uploaded to the board itself
+    upload: {
+        name: 'Uploaded video',
+        hosts: [],
+        parse(url) {
+            const upload = parseUploadUrl(url);
+            const ext = upload && upload.filename.split('.').pop();
+            
+            if (!upload || !VIDEO_UPLOAD_EXTENSIONS.includes(ext)) return null;
+            return { videoId: upload.filename, boardId: upload.boardId, startTime: null };
+        },
+        embedUrl: ({ boardId, videoId }) => `/api/boards/${boardId}/uploads/${videoId}`
+    }
+};
+
+const VIDEO_PROVIDER_IDS = Object.keys(VIDEO_PROVIDERS);
+
+/**
+ * Work out which provider a video URL belongs to
+ * @param {string} value - URL as pasted, or an upload URL on this server
+ * @returns {object|null} - { provider, videoId, startTime, embedUrl } (plus
+ *   boardId for uploads), or null if no provider recognises the URL
+ */
+function parseVideoUrl(value) {
+    if (typeof value !== 'string') return null;
+    
+    if (value.startsWith('/') && !value.startsWith('//')) {
+        const video = VIDEO_PROVIDERS.upload.parse(value);
+        return video && { provider: 'upload', ...video, embedUrl: VIDEO_PROVIDERS.upload.embedUrl(video) };
+    }
+    
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        return null;
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) return null;
+    
+    const hostname = url.hostname.toLowerCase();
+    const provider = VIDEO_PROVIDER_IDS.find(id => VIDEO_PROVIDERS[id].hosts.includes(hostname));
+    const video = provider && VIDEO_PROVIDERS[provider].parse(url);
+    if (!video) return null;
+    
+    return {
+        provider,
+        videoId: video.videoId,
+        startTime: video.startTime,
+        embedUrl: VIDEO_PROVIDERS[provider].embedUrl(video)
+    };
+}
+
+module.exports = {
+    VIDEO_PROVIDERS,
+    VIDEO_PROVIDER_IDS,
+    VIDEO_UPLOAD_EXTENSIONS,
+    parseStartTime,
+    parseVideoUrl
+};